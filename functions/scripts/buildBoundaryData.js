@@ -0,0 +1,77 @@
+// functions/scripts/buildBoundaryData.js
+//
+// Imports municipal boundaries (RMs, counties, municipal districts) into the bundled
+// src/data/municipalities.json used by reverseGeocode. Input is a GeoJSON export of a
+// provincial open-data boundary layer in WGS84 (e.g. converted with ogr2ogr -t_srs EPSG:4326).
+//
+// Usage:
+//   node scripts/buildBoundaryData.js <input.geojson> --province SK --name-field RMNM [--type RM]
+//
+// Features already in the dataset for the same province are replaced.
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT = path.join(__dirname, '..', 'src', 'data', 'municipalities.json');
+const PRECISION = 4; // ~10 m; keeps the bundle small
+
+function parseArgs(argv) {
+  const args = { input: null, province: null, nameField: null, typeField: null, type: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--province') args.province = argv[++i];
+    else if (arg === '--name-field') args.nameField = argv[++i];
+    else if (arg === '--type-field') args.typeField = argv[++i];
+    else if (arg === '--type') args.type = argv[++i];
+    else if (!args.input) args.input = arg;
+  }
+  if (!args.input || !args.province || !args.nameField) {
+    throw new Error('Usage: buildBoundaryData.js <input.geojson> --province XX --name-field FIELD [--type RM | --type-field FIELD]');
+  }
+  return args;
+}
+
+function roundRing(ring) {
+  const rounded = [];
+  ring.forEach(([lng, lat]) => {
+    const point = [parseFloat(lng.toFixed(PRECISION)), parseFloat(lat.toFixed(PRECISION))];
+    const previous = rounded[rounded.length - 1];
+    if (!previous || previous[0] !== point[0] || previous[1] !== point[1]) rounded.push(point);
+  });
+  return rounded;
+}
+
+function roundGeometry(geometry) {
+  if (geometry.type === 'Polygon') {
+    return { type: 'Polygon', coordinates: geometry.coordinates.map(roundRing) };
+  }
+  return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(rings => rings.map(roundRing)) };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const source = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+  const dataset = JSON.parse(fs.readFileSync(OUTPUT, 'utf8'));
+  const province = args.province.toUpperCase();
+
+  const imported = (source.features || [])
+    .filter(f => f.geometry && ['Polygon', 'MultiPolygon'].includes(f.geometry.type))
+    .map(f => ({
+      type: 'Feature',
+      properties: {
+        name: String(f.properties[args.nameField] || '').trim(),
+        type: args.typeField ? String(f.properties[args.typeField] || '').trim() : (args.type || ''),
+        province
+      },
+      geometry: roundGeometry(f.geometry)
+    }))
+    .filter(f => f.properties.name);
+
+  dataset.features = dataset.features
+    .filter(f => f.properties.province !== province)
+    .concat(imported);
+  fs.writeFileSync(OUTPUT, JSON.stringify(dataset) + '\n');
+  console.log(`Imported ${imported.length} ${province} boundaries; dataset now has ${dataset.features.length}.`);
+}
+
+main();
@@ -1,21 +1,358 @@
 // functions/src/handlers/nasa.js
+const { fetchNASAPowerData, isValidDate, toNASADate } = require('../services/nasa');
+const { validateRequest } = require('../middleware/auth');
+const { logUsage } = require('../services/analytics');
+const { getWeatherWithInsights } = require('../services/weather');
+const { getClimateAnomaly } = require('../services/climateNormals');
+const { getStationsByIds, getWeatherStations } = require('../utils/weatherStations');
+const { parseDLS, getDLSCoordinates, formatDLS } = require('../utils/canadianGeography');
 const cors = require('cors')({ origin: true });
 
-// Placeholder for NASA data handling
+const NASA_POWER_FIRST_DATE = '19810101'; // Start of the POWER daily record
+const MAX_RANGE_DAYS = 366;
+const MAX_COMPARISON_STATIONS = 25;
+const COMPARISON_CONCURRENCY = 4; // Stay gentle with ECCC, as the cache warmer does
+
 async function handleGetNASAPrecipitation(req, res) {
   return cors(req, res, async () => {
-    res.status(501).json({ error: 'NASA Precipitation endpoint not implemented yet' });
+    try {
+      const auth = await validateRequest(req);
+
+      const location = await resolvePrecipitationLocation(req.query);
+      if (location.error) {
+        return res.status(location.status).json({ error: location.error });
+      }
+
+      const range = parseDateRange(req.query.start, req.query.end);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+
+      await logUsage(auth.uid, 'nasa_precipitation', {
+        source: location.source,
+        lat: location.lat,
+        lon: location.lng,
+        start: range.start,
+        end: range.end
+      });
+
+      const precipitationData = await fetchNASAPowerData(location.lat, location.lng, range.start, range.end);
+
+      return res.json({
+        apiVersion: 'v1',
+        data: precipitationData,
+        query: {
+          source: location.source,
+          station: location.station || null,
+          dls: location.dls || null
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('NASA Precipitation API error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch NASA precipitation data',
+        message: error.message
+      });
+    }
+  });
+}
+
+/**
+ * Works out the point to query from lat/lon, a citypage station ID or a DLS land description.
+ * Returns { source, lat, lng, station?, dls? } or { status, error }.
+ */
+async function resolvePrecipitationLocation(query) {
+  const { lat, lon, station, dls } = query;
+
+  if (lat !== undefined || lon !== undefined) {
+    const latNum = parseFloat(lat);
+    const lonNum = parseFloat(lon);
+    if (isNaN(latNum) || isNaN(lonNum) || Math.abs(latNum) > 90 || Math.abs(lonNum) > 180) {
+      return { status: 400, error: 'Invalid coordinates: lat must be -90..90 and lon -180..180' };
+    }
+    return { source: 'coordinates', lat: latNum, lng: lonNum };
+  }
+
+  if (station) {
+    const [match] = await getStationsByIds([station]);
+    if (!match) {
+      return { status: 404, error: `Unknown weather station: ${station}` };
+    }
+    return { source: 'station', lat: match.lat, lng: match.lng, station: { id: match.id, name: match.name, province: match.province } };
+  }
+
+  if (dls) {
+    let parsed;
+    try {
+      parsed = parseDLS(dls);
+    } catch (error) {
+      return { status: 400, error: error.message };
+    }
+    const coordinates = await getDLSCoordinates(parsed);
+    if (coordinates.lat === null) {
+      return { status: 400, error: `Land description is outside the survey grid: ${dls}` };
+    }
+    return { source: 'dls', lat: coordinates.lat, lng: coordinates.lng, dls: formatDLS(parsed) };
+  }
+
+  return { status: 400, error: 'Missing location: provide lat and lon, station, or dls' };
+}
+
+/**
+ * Validates a YYYYMMDD start/end pair. The end date defaults to today (UTC).
+ * Returns { start, end } or { error }.
+ */
+function parseDateRange(start, end) {
+  const endDate = end || toNASADate(new Date());
+  if (!start) {
+    return { error: 'Missing required parameter: start (YYYYMMDD)' };
+  }
+  if (!isValidDate(start) || !isValidDate(endDate)) {
+    return { error: 'Dates must be valid and in YYYYMMDD format' };
+  }
+  if (start > endDate) {
+    return { error: 'start must be on or before end' };
+  }
+  if (start < NASA_POWER_FIRST_DATE) {
+    return { error: `NASA POWER daily data starts on ${NASA_POWER_FIRST_DATE}` };
+  }
+  if (endDate > toNASADate(new Date())) {
+    return { error: 'end cannot be in the future' };
+  }
+  const days = (Date.UTC(+endDate.slice(0, 4), +endDate.slice(4, 6) - 1, +endDate.slice(6, 8)) -
+    Date.UTC(+start.slice(0, 4), +start.slice(4, 6) - 1, +start.slice(6, 8))) / 86400000 + 1;
+  if (days > MAX_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+  return { start, end: endDate };
+}
+
+async function handleGetClimateAnomaly(req, res) {
+  return cors(req, res, async () => {
+    try {
+      const auth = await validateRequest(req);
+
+      const location = await resolvePrecipitationLocation(req.query);
+      if (location.error) {
+        return res.status(location.status).json({ error: location.error });
+      }
+
+      const range = parseDateRange(req.query.start, req.query.end);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+
+      let gddBase;
+      if (req.query.gddBase !== undefined) {
+        gddBase = parseFloat(req.query.gddBase);
+        if (isNaN(gddBase) || gddBase < 0 || gddBase > 15) {
+          return res.status(400).json({ error: 'gddBase must be a number between 0 and 15' });
+        }
+      }
+
+      await logUsage(auth.uid, 'climate_anomaly', {
+        source: location.source,
+        lat: location.lat,
+        lon: location.lng,
+        start: range.start,
+        end: range.end
+      });
+
+      const toISODate = date => `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+      const anomaly = await getClimateAnomaly(
+        { lat: location.lat, lng: location.lng },
+        toISODate(range.start),
+        toISODate(range.end),
+        { gddBase }
+      );
+
+      return res.json({
+        apiVersion: 'v1',
+        data: anomaly,
+        query: {
+          source: location.source,
+          station: location.station || null,
+          dls: location.dls || null
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Climate anomaly API error:', error);
+      return res.status(500).json({
+        error: 'Failed to compare with climate normals',
+        message: error.message
+      });
+    }
   });
 }
 
-// Placeholder for Multiple Stations handling
 async function handleMultipleStations(req, res) {
   return cors(req, res, async () => {
-    res.status(501).json({ error: 'Multiple Stations endpoint not implemented yet' });
+    try {
+      const auth = await validateRequest(req);
+
+      const selection = await selectComparisonStations(req.query);
+      if (selection.error) {
+        return res.status(selection.status).json({ error: selection.error });
+      }
+
+      await logUsage(auth.uid, 'multi_station', {
+        selector: selection.selector,
+        stationCount: selection.stations.length
+      });
+
+      const results = await fetchStationsWithConcurrency(selection.stations, COMPARISON_CONCURRENCY);
+      // Unknown IDs are reported in place like fetch failures
+      selection.unknownIds.forEach(id => {
+        results.push({ station: { id, name: null, province: null, lat: null, lng: null }, status: 'error', error: 'Unknown station' });
+      });
+      const failed = results.filter(r => r.status === 'error').length;
+
+      return res.json({
+        apiVersion: 'v1',
+        data: {
+          stations: results,
+          summary: {
+            requested: selection.requested,
+            returned: results.length,
+            successful: results.length - failed,
+            failed,
+            truncated: selection.truncated,
+            unknownStations: selection.unknownIds
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Multiple Stations API error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch station comparison',
+        message: error.message
+      });
+    }
   });
 }
 
+/**
+ * Picks the stations to compare from ?stations=id,id, ?bbox=west,south,east,north or ?province=XX.
+ * Returns { selector, stations, requested, truncated, unknownIds } or { status, error }; requested
+ * counts every ID asked for, including unknown ones.
+ */
+async function selectComparisonStations(query) {
+  const { stations, bbox, province } = query;
+
+  if (stations) {
+    const ids = [...new Set(String(stations).split(',').map(id => id.trim()).filter(Boolean))];
+    if (ids.length === 0) {
+      return { status: 400, error: 'stations must be a comma-separated list of station IDs' };
+    }
+    const found = await getStationsByIds(ids);
+    const foundIds = new Set(found.map(s => s.id));
+    if (found.length === 0) {
+      return { status: 404, error: `Unknown weather stations: ${ids.join(', ')}` };
+    }
+    return {
+      selector: 'stations',
+      stations: found.slice(0, MAX_COMPARISON_STATIONS),
+      requested: ids.length,
+      truncated: found.length > MAX_COMPARISON_STATIONS,
+      unknownIds: ids.filter(id => !foundIds.has(id))
+    };
+  }
+
+  let matches;
+  let selector;
+  if (bbox) {
+    const [west, south, east, north] = String(bbox).split(',').map(parseFloat);
+    if ([west, south, east, north].some(isNaN) || west >= east || south >= north) {
+      return { status: 400, error: 'bbox must be west,south,east,north in decimal degrees' };
+    }
+    matches = (await getWeatherStations())
+      .filter(s => s.lng >= west && s.lng <= east && s.lat >= south && s.lat <= north);
+    selector = 'bbox';
+  } else if (province) {
+    const code = String(province).toUpperCase();
+    matches = (await getWeatherStations()).filter(s => s.province === code);
+    selector = 'province';
+  } else {
+    return { status: 400, error: 'Missing selection: provide stations, bbox or province' };
+  }
+
+  if (matches.length === 0) {
+    return { status: 404, error: 'No weather stations match the selection' };
+  }
+  return {
+    selector,
+    stations: matches.slice(0, MAX_COMPARISON_STATIONS),
+    requested: matches.length,
+    truncated: matches.length > MAX_COMPARISON_STATIONS,
+    unknownIds: []
+  };
+}
+
+/**
+ * Fetches insights for each station in batches of `concurrency`, like the cache warmer.
+ * A station that fails is reported in place rather than failing the whole comparison.
+ */
+async function fetchStationsWithConcurrency(stations, concurrency) {
+  const results = [];
+  for (let i = 0; i < stations.length; i += concurrency) {
+    const batch = stations.slice(i, i + concurrency);
+    const settled = await Promise.allSettled(
+      batch.map(station => getWeatherWithInsights(station.province, station.id))
+    );
+    settled.forEach((outcome, j) => {
+      const station = batch[j];
+      const stationInfo = { id: station.id, name: station.name, province: station.province, lat: station.lat, lng: station.lng };
+      if (outcome.status === 'fulfilled') {
+        results.push({ station: stationInfo, status: 'ok', ...summarizeStationWeather(outcome.value) });
+      } else {
+        console.error(`Station comparison failed for ${station.id}:`, outcome.reason?.message);
+        results.push({ station: stationInfo, status: 'error', error: outcome.reason?.message || 'Unknown error' });
+      }
+    });
+  }
+  return results;
+}
+
+/**
+ * Trims a getWeatherWithInsights result down to what the regional overview shows.
+ */
+function summarizeStationWeather(weather) {
+  const { spray, frost, drying } = weather.insights || {};
+  return {
+    current: weather.current,
+    forecast: (weather.forecast || []).slice(0, 2).map(period => ({
+      period: period.period,
+      summary: period.summary,
+      temperature: period.temperature,
+      pop: period.pop
+    })),
+    warnings: (weather.warnings || []).map(w => ({ type: w.type, description: w.description })),
+    insights: {
+      spray: spray ? {
+        canSpray: spray.overall.canSpray,
+        bestWindow: spray.overall.bestWindow,
+        summary: spray.overall.summary
+      } : null,
+      frost: frost ? {
+        riskLevel: frost.tonight_risk_level,
+        expectedLow: frost.expected_low_C
+      } : null,
+      drying: drying ? {
+        rating: drying.rating,
+        score: drying.dryingScore_out_of_100
+      } : null
+    }
+  };
+}
+
 module.exports = {
   handleGetNASAPrecipitation,
+  handleGetClimateAnomaly,
   handleMultipleStations
-};
\ No newline at end of file
+};
@@ -2,8 +2,16 @@
 const { fetchECCCWeather, getWeatherWithInsights } = require('../services/weather'); 
 const { validateRequest } = require('../middleware/auth');
 const { logUsage } = require('../services/analytics'); // Uncommented: analytics service
+const { DEFAULT_SPRAY_CONSTRAINTS } = require('../services/calculations');
+const { getFieldMoistureSummary } = require('../services/soilMoisture');
+const { getFarmCropFrostTolerance } = require('../services/crops/growthStages');
+const { findNearestWeatherStations, classifyStationCoverage } = require('../utils/weatherStations');
+const { getElevation } = require('../services/elevation');
 const cors = require('cors')({ origin: true });
 
+const DEFAULT_NEAREST_STATIONS = 5;
+const MAX_NEAREST_STATIONS = 10;
+
 async function handleGetWeather(req, res) {
   return cors(req, res, async () => {
     try {
@@ -42,16 +50,53 @@ async function handleGetWeatherWithInsights(req, res) {
     try {
       const auth = await validateRequest(req); // Integrated validateRequest
       
-      const { province, station } = req.query;
-      if (!province || !station) {
+      const { province, station, lat, lon, elevation } = req.query;
+      const farmPoint = parseFarmPoint(lat, lon, elevation);
+      if (farmPoint === false) {
         return res.status(400).json({
-          error: 'Missing required parameters: province and station'
+          error: 'Invalid coordinates: lat must be -90..90 and lon -180..180'
+        });
+      }
+      if (!farmPoint && (!province || !station)) {
+        return res.status(400).json({
+          error: 'Missing required parameters: province and station, or lat and lon'
         });
       }
       
-      await logUsage(auth.uid, 'weather_insights', { province, station }); // Uncommented: logUsage call
+      if (!farmPoint) {
+        await logUsage(auth.uid, 'weather_insights', { province, station }); // Uncommented: logUsage call
+      }
       
-      const weatherData = await getWeatherWithInsights(province, station);
+      // Anonymous callers have no farm to read crops from
+      const crops = auth.authenticated
+        ? await getFarmCropFrostTolerance(auth.uid).catch(error => {
+          console.warn('Weather insights: crop frost thresholds unavailable:', error.message);
+          return [];
+        })
+        : [];
+      const weatherData = await getWeatherWithInsights(province, station, {
+        sprayConstraints: parseSprayConstraints(req.query),
+        farmPoint,
+        storedGrain: parseStoredGrain(req.query),
+        frostClimatology: true,
+        crops
+      });
+      if (farmPoint) {
+        // Logged with the nearest station so farm-point traffic counts toward popular stations
+        const nearest = weatherData.interpolation?.stations?.[0];
+        await logUsage(auth.uid, 'weather_insights_farm_point', {
+          lat: farmPoint.lat,
+          lon: farmPoint.lng,
+          province: nearest?.province || null,
+          station: nearest?.id || null
+        });
+      }
+      weatherData.insights.moisture = auth.authenticated
+        ? await getFieldMoistureSummary(auth.uid).catch(error => {
+          console.warn('Weather insights: moisture status unavailable:', error.message);
+          return null;
+        })
+        : null;
       
       return res.json({
         apiVersion: 'v1',
@@ -70,7 +115,107 @@ async function handleGetWeatherWithInsights(req, res) {
   });
 }
 
+/**
+ * The N nearest weather stations to a point (?lat=&lon=&count=, optional &elevation= in m),
+ * with distance, bearing and elevation difference, and how well the nearest one covers it.
+ * count defaults to 5 and is capped at 10.
+ */
+async function handleGetNearestStations(req, res) {
+  return cors(req, res, async () => {
+    try {
+      const auth = await validateRequest(req);
+
+      const { lat, lon, elevation, count } = req.query;
+      const point = parseFarmPoint(lat, lon, elevation);
+      if (!point) {
+        return res.status(400).json({
+          error: 'lat and lon are required: lat must be -90..90 and lon -180..180'
+        });
+      }
+      const requestedCount = count === undefined ? DEFAULT_NEAREST_STATIONS : Number(count);
+      if (!Number.isInteger(requestedCount) || requestedCount < 1) {
+        return res.status(400).json({
+          error: 'count must be a whole number of stations, 1 or more'
+        });
+      }
+      const stationCount = Math.min(requestedCount, MAX_NEAREST_STATIONS);
+
+      await logUsage(auth.uid, 'nearest_stations', { lat: point.lat, lon: point.lng, count: stationCount });
+
+      const farmElevation = point.elevation !== null
+        ? point.elevation
+        : await getElevation(point).catch(() => null);
+      const stations = await findNearestWeatherStations(point, { count: stationCount, elevation: farmElevation });
+
+      return res.json({
+        apiVersion: 'v1',
+        data: {
+          stations,
+          coverage: classifyStationCoverage(stations[0]?.distance),
+          elevation: farmElevation,
+          count: stations.length,
+          truncated: requestedCount > stationCount
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Nearest Stations API error:', error);
+      return res.status(500).json({
+        error: 'Failed to find nearest weather stations',
+        message: error.message
+      });
+    }
+  });
+}
+
+/**
+ * Builds a farm-point target from query parameters.
+ * Returns null when no coordinates were given and false when they are invalid.
+ */
+function parseFarmPoint(lat, lon, elevation) {
+  if (lat === undefined && lon === undefined) return null;
+  const latNum = parseFloat(lat);
+  const lonNum = parseFloat(lon);
+  if (isNaN(latNum) || isNaN(lonNum) || Math.abs(latNum) > 90 || Math.abs(lonNum) > 180) return false;
+  const elevationNum = parseFloat(elevation);
+  return { lat: latNum, lng: lonNum, elevation: isNaN(elevationNum) ? null : elevationNum };
+}
+
+/**
+ * Picks product-specific spray limits (e.g. ?maxTemp=25&rainfastHours=4) out of the query string.
+ */
+function parseSprayConstraints(query) {
+  const constraints = {};
+  Object.keys(DEFAULT_SPRAY_CONSTRAINTS).forEach(key => {
+    if (query[key] === undefined) return;
+    if (typeof DEFAULT_SPRAY_CONSTRAINTS[key] === 'boolean') {
+      constraints[key] = query[key] === 'true';
+    } else if (!isNaN(parseFloat(query[key]))) {
+      constraints[key] = parseFloat(query[key]);
+    }
+  });
+  return constraints;
+}
+
+/**
+ * Picks a bin's grain and moisture out of the query string (e.g. ?grain=canola&grainMoisture=11&grainTemp=18)
+ * for the aeration plan. Returns undefined unless both grain and grainMoisture are given.
+ */
+function parseStoredGrain(query) {
+  const grainMoisture = parseFloat(query.grainMoisture);
+  if (!query.grain || isNaN(grainMoisture)) return undefined;
+  const optional = value => (isNaN(parseFloat(value)) ? undefined : parseFloat(value));
+  return {
+    grain: String(query.grain).toLowerCase(),
+    grainMoisture,
+    targetMoisture: optional(query.targetMoisture),
+    grainTemperature: optional(query.grainTemp)
+  };
+}
+
 module.exports = {
   handleGetWeather,
-  handleGetWeatherWithInsights
+  handleGetWeatherWithInsights,
+  handleGetNearestStations
 };
@@ -15,20 +15,38 @@ const nasaHandlers = require('./handlers/nasa');     // Assuming these are still
 const { registerFarmer } = require('./services/auth/authService');
 const { checkUsername } = require('./services/auth/usernameService'); // Corrected import
 const { updateCropData, getCropHistory } = require('./services/crops/cropService'); // Corrected import
+const { updateFarmCropStages } = require('./services/crops/growthStages');
 const { deleteUser } = require('./services/admin/adminService');       // Corrected import
+const { selectWeatherStation } = require('./services/location/stationSelectionService');
+const { getLandParcelsGeoJSON } = require('./utils/canadianGeography');
+const { updateFarmerSeasonStats, validateSeasonStart } = require('./services/seasonAccumulation');
+const { getFarmCropWaterUse } = require('./services/evapotranspiration');
+const { getFarmDiseaseRisk } = require('./services/diseaseRisk');
+const { updateFarmPestModels, getPestModel } = require('./services/crops/pestModels');
+const { simulateFarmGrainBin } = require('./services/grainBin');
+const { createDefaultAlerts, setPestAlert } = require('./services/alerts');
+const { registerNotificationToken } = require('./services/notifications');
+const stationCatalogJobs = require('./scheduled/stationCatalog');
+const soilMoistureJobs = require('./scheduled/soilMoisture');
+const pestModelJobs = require('./scheduled/pestModels');
+const frostTrackingJobs = require('./scheduled/frostTracking');
+const weatherAlertJobs = require('./scheduled/weatherAlerts');
 
 // ============= V1 HTTP Endpoints (Existing - review if still needed in this structure) =============
 // These are kept for now but might be deprecated or refactored if all functionality moves to callable functions.
 exports.v1 = {
   weather: functions.https.onRequest(weatherHandlers.handleGetWeather),
   weatherInsights: functions.https.onRequest(weatherHandlers.handleGetWeatherWithInsights),
+  nearestStations: functions.https.onRequest(weatherHandlers.handleGetNearestStations),
   precipitation: functions.https.onRequest(nasaHandlers.handleGetNASAPrecipitation),
+  climateAnomaly: functions.https.onRequest(nasaHandlers.handleGetClimateAnomaly),
   multiStation: functions.https.onRequest(nasaHandlers.handleMultipleStations)
 };
 
 // ============= Legacy Endpoint Handling (Existing - review) =============
 exports.getWeather = exports.v1.weather;
 exports.getWeatherWithInsights = exports.v1.weatherInsights;
+exports.getNearestStations = exports.v1.nearestStations;
 exports.getNASAPowerData = exports.v1.precipitation; 
 exports.getMultipleStations = exports.v1.multiStation;
 
@@ -53,6 +71,7 @@ exports.createFarmerProfile = functions.https.onCall(async (data, context) => {
         throw new functions.https.HttpsError('invalid-argument', 'Username, farm name, or verified email is required.');
     }
     const result = await registerFarmer(authUser, data);
+    await createDefaultAlerts(context.auth.uid);
     await admin.firestore().collection('farmers').doc(context.auth.uid).collection('activities').add({
         type: 'account_created',
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
@@ -84,6 +103,55 @@ exports.checkUsernameAvailability = functions.https.onCall(async (data, context)
   }
 });
 
+exports.selectWeatherStation = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to select a weather station.');
+  }
+  const stationId = data?.stationId || null;
+  if (stationId !== null && typeof stationId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'stationId must be a station code string or null.');
+  }
+  try {
+    const station = await selectWeatherStation(context.auth.uid, stationId);
+    return { success: true, selectedStation: station };
+  } catch (error) {
+    console.error('Select weather station error in callable function:', error);
+    throw new functions.https.HttpsError('internal', error.message || 'Failed to select weather station.');
+  }
+});
+
+exports.registerNotificationToken = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to receive notifications.');
+  }
+  if (!data?.token || typeof data.token !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'token must be an FCM registration token string.');
+  }
+  try {
+    await registerNotificationToken(context.auth.uid, data.token);
+    return { success: true };
+  } catch (error) {
+    console.error('Register notification token error in callable function:', error);
+    throw new functions.https.HttpsError('internal', error.message || 'Failed to register notification token.');
+  }
+});
+
+exports.getLandParcels = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to look up land parcels.');
+  }
+  const descriptions = data?.descriptions;
+  if (!descriptions || (typeof descriptions !== 'string' && !Array.isArray(descriptions))) {
+    throw new functions.https.HttpsError('invalid-argument', 'descriptions must be a land description string or an array of them.');
+  }
+  try {
+    return getLandParcelsGeoJSON(descriptions);
+  } catch (error) {
+    // Parsing problems are the caller's input, not a server fault
+    throw new functions.https.HttpsError('invalid-argument', error.message);
+  }
+});
+
 // ============= CROP MANAGEMENT FUNCTIONS (Callable) =============
 
 exports.updateCropData = functions.https.onCall(async (data, context) => {
@@ -123,6 +191,132 @@ exports.getCropHistory = functions.https.onCall(async (data, context) => {
   }
 });
 
+exports.getSeasonToDate = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to get season-to-date accumulation.');
+  }
+  const { crop, startDate, gddBase } = data || {};
+  const startDateError = startDate !== undefined ? validateSeasonStart(startDate) : null;
+  if (startDateError) {
+    throw new functions.https.HttpsError('invalid-argument', startDateError);
+  }
+  if (gddBase !== undefined && (typeof gddBase !== 'number' || gddBase < 0 || gddBase > 15)) {
+    throw new functions.https.HttpsError('invalid-argument', 'gddBase must be a number between 0 and 15 °C.');
+  }
+  try {
+    return await updateFarmerSeasonStats(context.auth.uid, { crop, startDate, gddBase });
+  } catch (error) {
+    console.error('Season-to-date error in callable function:', error);
+    throw new functions.https.HttpsError('internal', error.message || 'Failed to calculate season-to-date accumulation.');
+  }
+});
+
+exports.getCropGrowthStages = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to get crop growth stages.');
+  }
+  try {
+    const crops = await updateFarmCropStages(context.auth.uid);
+    return { crops };
+  } catch (error) {
+    console.error('Crop growth stage error in callable function:', error);
+    throw new functions.https.HttpsError('internal', error.message || 'Failed to predict crop growth stages.');
+  }
+});
+
+exports.getCropWaterUse = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to get crop water use.');
+  }
+  const { startDate, endDate } = data || {};
+  for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (value !== undefined && (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value)))) {
+      throw new functions.https.HttpsError('invalid-argument', `${name} must be a date in YYYY-MM-DD format.`);
+    }
+  }
+  try {
+    return await getFarmCropWaterUse(context.auth.uid, { startDate, endDate });
+  } catch (error) {
+    console.error('Crop water use error in callable function:', error);
+    throw new functions.https.HttpsError('internal', error.message || 'Failed to estimate crop water use.');
+  }
+});
+
+exports.getDiseaseRisk = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to get disease risk.');
+  }
+  try {
+    return await getFarmDiseaseRisk(context.auth.uid);
+  } catch (error) {
+    console.error('Disease risk error in callable function:', error);
+    throw new functions.https.HttpsError('internal', error.message || 'Failed to assess disease risk.');
+  }
+});
+
+exports.getPestModels = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to get pest models.');
+  }
+  try {
+    return await updateFarmPestModels(context.auth.uid);
+  } catch (error) {
+    console.error('Pest models error in callable function:', error);
+    throw new functions.https.HttpsError('internal', error.message || 'Failed to run pest models.');
+  }
+});
+
+exports.setPestAlert = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to set a pest alert.');
+  }
+  const { pest, threshold = null, enabled = true } = data || {};
+  if (typeof pest !== 'string' || !getPestModel(pest)) {
+    throw new functions.https.HttpsError('invalid-argument', 'pest must be a modelled pest (e.g. "wheat_midge").');
+  }
+  if (threshold !== null && (typeof threshold !== 'number' || threshold < 0 || threshold > 100)) {
+    throw new functions.https.HttpsError('invalid-argument', 'threshold must be a percent emerged between 0 and 100, or null.');
+  }
+  if (typeof enabled !== 'boolean') {
+    throw new functions.https.HttpsError('invalid-argument', 'enabled must be a boolean.');
+  }
+  try {
+    return { success: true, alert: await setPestAlert(context.auth.uid, { pest, threshold, enabled }) };
+  } catch (error) {
+    console.error('Set pest alert error in callable function:', error);
+    throw new functions.https.HttpsError('internal', error.message || 'Failed to set pest alert.');
+  }
+});
+
+exports.simulateGrainBin = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated to simulate a grain bin.');
+  }
+  const { grain, bushels, moisture, temperature, airflow, targetMoisture, fanMode } = data || {};
+  if (typeof grain !== 'string' || !grain) {
+    throw new functions.https.HttpsError('invalid-argument', 'grain is required (e.g. "wheat", "canola").');
+  }
+  for (const [name, value] of [['bushels', bushels], ['moisture', moisture], ['temperature', temperature]]) {
+    if (typeof value !== 'number' || isNaN(value)) {
+      throw new functions.https.HttpsError('invalid-argument', `${name} must be a number.`);
+    }
+  }
+  for (const [name, value] of [['airflow', airflow], ['targetMoisture', targetMoisture]]) {
+    if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value <= 0)) {
+      throw new functions.https.HttpsError('invalid-argument', `${name} must be a positive number.`);
+    }
+  }
+  if (fanMode !== undefined && !['auto', 'continuous', 'off'].includes(fanMode)) {
+    throw new functions.https.HttpsError('invalid-argument', 'fanMode must be "auto", "continuous" or "off".');
+  }
+  try {
+    return await simulateFarmGrainBin(context.auth.uid, { grain, bushels, moisture, temperature, airflow, targetMoisture, fanMode });
+  } catch (error) {
+    console.error('Grain bin simulation error in callable function:', error);
+    throw new functions.https.HttpsError('internal', error.message || 'Failed to simulate the grain bin.');
+  }
+});
+
 // ============= ADMIN FUNCTIONS (Callable) =============
 
 exports.adminDeleteUser = functions.https.onCall(async (data, context) => {
@@ -195,6 +389,12 @@ exports.seasonalCropPrompt = functions.pubsub
     }
   });
 
+exports.refreshStationCatalog = stationCatalogJobs.refreshStationCatalog;
+exports.updateSoilMoisture = soilMoistureJobs.updateSoilMoisture;
+exports.updatePestModels = pestModelJobs.updatePestModels;
+exports.trackFrostDates = frostTrackingJobs.trackFrostDates;
+exports.checkWeatherAlerts = weatherAlertJobs.checkWeatherAlerts;
+
 // ============= AUTH TRIGGERS =============
 
 exports.cleanupDeletedUser = functions.auth.user().onDelete(async (user) => {
@@ -211,7 +411,7 @@ exports.cleanupDeletedUser = functions.auth.user().onDelete(async (user) => {
         const usernameRef = admin.firestore().collection('usernames').doc(farmerData.username.toLowerCase());
         batch.delete(usernameRef);
       }
-      const subcollectionsToClean = ['cropHistory', 'activities'];
+      const subcollectionsToClean = ['cropHistory', 'activities', 'fields'];
       for (const subcollectionName of subcollectionsToClean) {
         const snapshot = await farmerProfileRef.collection(subcollectionName).limit(500).get();
         if (!snapshot.empty) snapshot.docs.forEach(doc => batch.delete(doc.ref));
@@ -26,7 +26,8 @@ const FarmerProfileSchema = {
       range: null,           // Integer: 1-34
       section: null,         // Integer: 1-36
       quarterSection: '',    // String: 'NE', 'NW', 'SE', 'SW'
-      lsd: null             // Integer: Legal Subdivision 1-16 (optional)
+      lsd: null,             // Integer: Legal Subdivision 1-16 (optional)
+      direction: 'W'         // String: 'W', or 'E' for ranges east of the Principal Meridian
     },
     
     // For GPS coordinates (from Mapbox or manual entry)
@@ -38,15 +39,25 @@ const FarmerProfileSchema = {
     // Derived location data (auto-populated by backend services)
     derived: {
       province: '',          // String: Auto-detected Canadian province (e.g., 'SK')
-      county: '',            // String: Rural municipality or county
+      provinceSupported: false, // Boolean: Farm is inside the bundled boundaries (AB, SK, MB); province and county are empty when false
+      county: '',            // String: Rural municipality, county or MD, once its boundaries are imported (scripts/buildBoundaryData.js)
       nearestTown: '',
+      cacheRegion: null,     // String: Cache-warming region from the province ('central' or 'mountain')
       soilZone: '',         // String: Agricultural soil zone (e.g., 'Brown', 'Dark Brown')
-      climateRegion: '',    // String: Crop insurance or climate classification region
+      climateRegion: '',    // String: Ecoregion-based climate region (e.g., 'Aspen Parkland')
+      elevation: null,      // Number: Ground elevation of the farm in metres
       nearestStation: {     // Details of the closest ECCC weather station
         id: '',             // Station ID (e.g., 's0000797')
         name: '',           // Station Name
         distance: 0        // Kilometers to station
-      }
+      },
+      nearbyStations: [],   // Array: 5 closest stations { id, name, province, lat, lng, distance, bearing, bearingCompass, elevation, elevationDifference }
+      stationCoverage: {    // How well the nearest station represents the farm
+        level: '',          // String: 'good' (<25 km), 'marginal' (25-75 km), 'poor' (>75 km), 'none'
+        distance: null,     // Number: Kilometers to the nearest station
+        warning: null       // String: Shown to farmers whose local conditions may differ
+      },
+      selectedStation: null // Object: Farmer-chosen alternate station { id, name, province, distance }, overrides nearestStation
     }
   },
   
@@ -65,7 +76,11 @@ const FarmerProfileSchema = {
         acres: 500,           // Number: Acres planted for this crop
         fields: [],           // Array: Future use for linking to specific field polygons
         plantingDate: null,   // Date: ISOString or Firestore Timestamp
-        expectedHarvest: null // Date: ISOString or Firestore Timestamp
+        expectedHarvest: null, // Date: ISOString or Firestore Timestamp
+        growthStage: null,    // Object: Set by getCropGrowthStages, e.g. { status: 'ok', code: 'Z31', name: 'Stem elongation',
+                              //   heatUnits, nextStage: { code, name, estimatedDate }, projectedMaturity, progressPct }
+        fieldId: '',          // String: Optional stable ID for farmers/{uid}/fields/{fieldId}; defaults to '<type>-<position>'
+        soilTexture: ''       // String: Optional, e.g. 'sandy_loam', 'clay'; scales the soil zone's available water
       } 
       */
     ],
@@ -73,7 +88,8 @@ const FarmerProfileSchema = {
     // Additional farm characteristics
     hasLivestock: false,     // Boolean
     hasIrrigation: false,    // Boolean
-    usesPrecisionAg: false   // Boolean
+    usesPrecisionAg: false,  // Boolean
+    soilTexture: ''          // String: Farm-wide default for crops without their own soilTexture (loam when blank)
   },
   
   // Gamification Profile
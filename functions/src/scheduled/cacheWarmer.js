@@ -2,6 +2,9 @@
 const functions = require('firebase-functions');
 const { fetchECCCWeather } = require('../services/weather'); // fetchECCCWeather is our getWeatherData
 const { getPopularStations } = require('../services/analytics');
+const { getStationsByIds } = require('../utils/weatherStations');
+const { CACHE_WARMING_REGIONS } = require('../utils/canadianGeography');
+const { getFarmStation } = require('../services/location/stationSelectionService');
 const admin = require('firebase-admin'); // Required for potential Firestore interactions within services
 
 // Ensure Firebase Admin is initialized (ideally once in index.js or a central config)
@@ -44,6 +47,62 @@ async function warmStationsWithRateLimit(stations, concurrency = 3) {
   return results;
 }
 
+/**
+ * Station IDs used by farmers whose province falls in the given cache-warming region.
+ * A farm near a border can rely on a station across it, so these are keyed on the farmer's
+ * province rather than the station's.
+ */
+async function getRegionFarmStationIds(region) {
+  try {
+    const snapshot = await admin.firestore().collection('farmers')
+      .where('location.derived.cacheRegion', '==', region)
+      .select('location.derived.nearestStation', 'location.derived.selectedStation')
+      .get();
+    const ids = new Set();
+    snapshot.forEach(doc => {
+      const station = getFarmStation(doc.data().location?.derived);
+      if (station) ids.add(station.id);
+    });
+    return Array.from(ids);
+  } catch (error) {
+    console.error(`Error loading farm stations for ${region} region:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Resolves priority station IDs, popular stations and the region's farm stations against the
+ * station catalog. Priority and popular stations are kept only if they are in one of the
+ * region's provinces; a popular station the catalog doesn't know is kept under the province
+ * it was requested with. Returns { province, station, name } entries.
+ */
+async function resolveRegionStations(region, priorityIds, popularStations) {
+  const provinces = CACHE_WARMING_REGIONS[region];
+  const farmStationIds = new Set(await getRegionFarmStationIds(region));
+  const catalogStations = await getStationsByIds([
+    ...priorityIds,
+    ...popularStations.map(s => s.station),
+    ...farmStationIds
+  ]);
+  const stationMap = new Map();
+  catalogStations
+    .filter(s => provinces.includes(s.province) || farmStationIds.has(s.id))
+    .forEach(s => {
+      if (!stationMap.has(s.id)) {
+        stationMap.set(s.id, { province: s.province, station: s.id, name: s.name });
+      }
+    });
+  const catalogIds = new Set(catalogStations.map(s => s.id));
+  popularStations
+    .filter(s => !catalogIds.has(s.station) && provinces.includes(s.province))
+    .forEach(s => {
+      if (!stationMap.has(s.station)) {
+        stationMap.set(s.station, { province: s.province, station: s.station, name: s.station });
+      }
+    });
+  return Array.from(stationMap.values());
+}
+
 /**
  * Warms cache for Central time zone (Manitoba/Saskatchewan)
  * Runs at 5 AM local time
@@ -63,24 +122,11 @@ exports.warmCacheCentral = functions
     const popularStations = await getPopularStations(10); // Get top 10 popular
     console.log('Popular stations fetched:', popularStations);
 
-    // Also include critical agricultural regions
-    const priorityStations = [
-      { province: 'MB', station: 's0000193', name: 'Winnipeg' },
-      { province: 'MB', station: 's0000492', name: 'Brandon' },
-      { province: 'MB', station: 's0000626', name: 'Portage la Prairie' },
-      { province: 'SK', station: 's0000788', name: 'Regina' },
-      { province: 'SK', station: 's0000797', name: 'Saskatoon' }
-    ];
+    // Also include critical agricultural regions (Winnipeg, Brandon, Portage, Regina, Saskatoon)
+    const priorityStationIds = ['s0000193', 's0000492', 's0000626', 's0000788', 's0000797'];
     
-    // Combine popular and priority stations, ensuring no duplicates
-    const allStationsMap = new Map();
-    priorityStations.forEach(s => allStationsMap.set(`${s.province}/${s.station}`, s));
-    popularStations.forEach(s => {
-      if (!allStationsMap.has(`${s.province}/${s.station}`)) {
-        allStationsMap.set(`${s.province}/${s.station}`, s);
-      }
-    });
-    const allStations = Array.from(allStationsMap.values());
+    // Combine popular and priority stations via the catalog, ensuring no duplicates
+    const allStations = await resolveRegionStations('central', priorityStationIds, popularStations);
     console.log('Total stations to warm (Central):', allStations);
 
     // Warm cache with controlled concurrency
@@ -113,21 +159,10 @@ exports.warmCacheMountain = functions
     const popularStationsAB = await getPopularStations(5); // Get top 5 for AB region (example)
      console.log('Popular AB stations fetched:', popularStationsAB);
 
-    const priorityStationsAB = [
-      { province: 'AB', station: 's0000047', name: 'Calgary' },
-      { province: 'AB', station: 's0000045', name: 'Edmonton' },
-      { province: 'AB', station: 's0000030', name: 'Lethbridge' }
-      // Add more specific AB stations if needed
-    ];
+    // Calgary, Edmonton, Lethbridge
+    const priorityStationIdsAB = ['s0000047', 's0000045', 's0000030'];
 
-    const allStationsABMap = new Map();
-    priorityStationsAB.forEach(s => allStationsABMap.set(`${s.province}/${s.station}`, s));
-    popularStationsAB.filter(s => s.province === 'AB').forEach(s => { // Filter popular for AB
-        if (!allStationsABMap.has(`${s.province}/${s.station}`)) {
-            allStationsABMap.set(`${s.province}/${s.station}`, s);
-        }
-    });
-    const allStationsAB = Array.from(allStationsABMap.values());
+    const allStationsAB = await resolveRegionStations('mountain', priorityStationIdsAB, popularStationsAB);
     console.log('Total stations to warm (Mountain):', allStationsAB);
 
     if (allStationsAB.length === 0) {
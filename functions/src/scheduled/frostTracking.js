@@ -0,0 +1,87 @@
+// functions/src/scheduled/frostTracking.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { updateStationFrostSeason, recordFarmFrostDates } = require('../services/frostTracking');
+const { getFarmStation } = require('../services/location/stationSelectionService');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+/**
+ * Farmers grouped by the weather station their farm uses, keyed by station ID.
+ */
+async function getFarmersByStation() {
+  const snapshot = await admin.firestore().collection('farmers')
+    .select('location.derived')
+    .get();
+  const stations = new Map();
+  snapshot.forEach(doc => {
+    const station = getFarmStation(doc.data().location?.derived);
+    if (!station || !station.province) return;
+    if (!stations.has(station.id)) stations.set(station.id, { station, farmerIds: [] });
+    stations.get(station.id).farmerIds.push(doc.id);
+  });
+  return [...stations.values()];
+}
+
+/**
+ * Updates one station's frost season, then copies it to each of its farmers.
+ */
+async function updateStation({ station, farmerIds }) {
+  const season = await updateStationFrostSeason(station);
+  const results = await Promise.allSettled(farmerIds.map(id => recordFarmFrostDates(id, season)));
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.error(`✗ Frost dates not recorded for farmer ${farmerIds[i]}:`, result.reason.message);
+    }
+  });
+  return results.filter(result => result.status === 'fulfilled').length;
+}
+
+/**
+ * Updates every station a few at a time; one station failing doesn't stop the rest.
+ */
+async function updateAllStations(groups, concurrency = 3) {
+  let farms = 0;
+  const failed = [];
+  for (let i = 0; i < groups.length; i += concurrency) {
+    const batch = groups.slice(i, i + concurrency);
+    const results = await Promise.allSettled(batch.map(group => updateStation(group)));
+    results.forEach((result, j) => {
+      if (result.status === 'fulfilled') {
+        farms += result.value;
+      } else {
+        console.error(`✗ Frost tracking failed for station ${batch[j].station.id}:`, result.reason.message);
+        failed.push(batch[j].station.id);
+      }
+    });
+  }
+  return { farms, failed };
+}
+
+/**
+ * Daily first/last frost tracking from each farm station's observed minimum, recorded in
+ * frostSeasons/{stationId}_{season} and in every farmer's stats.
+ * Runs at 7 AM from April through November, after ECCC's morning "yesterday" summary.
+ */
+exports.trackFrostDates = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .pubsub
+  .schedule('0 7 * 4-11 *')
+  .timeZone('America/Regina')
+  .onRun(async (context) => {
+    try {
+      const groups = await getFarmersByStation();
+      const { farms, failed } = await updateAllStations(groups);
+      console.log(`Frost dates updated for ${groups.length - failed.length} station(s) and ${farms} farm(s).`);
+      if (failed.length > 0) console.warn('Frost tracking failures:', failed);
+    } catch (error) {
+      console.error('Error tracking frost dates:', error);
+    }
+    return null;
+  });
@@ -0,0 +1,75 @@
+// functions/src/scheduled/pestModels.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { updateFarmPestModels } = require('../services/crops/pestModels');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+/**
+ * Farmers with a located farm and at least one enabled pest alert.
+ */
+async function getFarmersWithPestAlerts() {
+  const db = admin.firestore();
+  const snapshot = await db.collectionGroup('alerts')
+    .where('type', '==', 'PEST_DEGREE_DAYS')
+    .where('enabled', '==', true)
+    .get();
+  const userIds = [...new Set(snapshot.docs.map(doc => doc.ref.parent.parent.id))];
+
+  const ids = [];
+  for (const userId of userIds) {
+    const farmerDoc = await db.collection('farmers').doc(userId).get();
+    if (farmerDoc.exists && typeof farmerDoc.data().location?.coordinates?.lat === 'number') {
+      ids.push(userId);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Runs every farm's pest models a few at a time; one farm failing doesn't stop the rest.
+ */
+async function updateAllFarms(farmerIds, concurrency = 3) {
+  let updated = 0;
+  const failed = [];
+  for (let i = 0; i < farmerIds.length; i += concurrency) {
+    const batch = farmerIds.slice(i, i + concurrency);
+    const results = await Promise.allSettled(batch.map(id => updateFarmPestModels(id)));
+    results.forEach((result, j) => {
+      if (result.status === 'fulfilled') {
+        updated++;
+      } else {
+        console.error(`✗ Pest models failed for farmer ${batch[j]}:`, result.reason.message);
+        failed.push(batch[j]);
+      }
+    });
+  }
+  return { updated, failed };
+}
+
+/**
+ * Daily insect degree-day update for farmers with pest alerts, so PEST_DEGREE_DAYS alerts
+ * see the latest emergence. Runs at 6:30 AM from April through September.
+ */
+exports.updatePestModels = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .pubsub
+  .schedule('30 6 * 4-9 *')
+  .timeZone('America/Regina')
+  .onRun(async (context) => {
+    try {
+      const farmerIds = await getFarmersWithPestAlerts();
+      const { updated, failed } = await updateAllFarms(farmerIds);
+      console.log(`Pest models updated for ${updated} of ${farmerIds.length} farm(s).`);
+      if (failed.length > 0) console.warn('Pest model failures:', failed);
+    } catch (error) {
+      console.error('Error updating pest models:', error);
+    }
+    return null;
+  });
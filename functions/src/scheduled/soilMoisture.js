@@ -0,0 +1,74 @@
+// functions/src/scheduled/soilMoisture.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { updateFarmSoilMoisture } = require('../services/soilMoisture');
+const { getCropModel } = require('../services/crops/growthStages');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+/**
+ * Farmers with a located farm and at least one crop the water balance can model.
+ */
+async function getFarmersWithFields() {
+  const snapshot = await admin.firestore().collection('farmers')
+    .select('location.coordinates', 'farmDetails.crops')
+    .get();
+  const ids = [];
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    const located = typeof data.location?.coordinates?.lat === 'number';
+    if (located && (data.farmDetails?.crops || []).some(crop => getCropModel(crop.type))) {
+      ids.push(doc.id);
+    }
+  });
+  return ids;
+}
+
+/**
+ * Updates every farm's field water balances a few at a time; one farm failing doesn't stop the rest.
+ */
+async function updateAllFarms(farmerIds, concurrency = 3) {
+  let updated = 0;
+  const failed = [];
+  for (let i = 0; i < farmerIds.length; i += concurrency) {
+    const batch = farmerIds.slice(i, i + concurrency);
+    const results = await Promise.allSettled(batch.map(id => updateFarmSoilMoisture(id)));
+    results.forEach((result, j) => {
+      if (result.status === 'fulfilled') {
+        updated++;
+      } else {
+        console.error(`✗ Soil moisture failed for farmer ${batch[j]}:`, result.reason.message);
+        failed.push(batch[j]);
+      }
+    });
+  }
+  return { updated, failed };
+}
+
+/**
+ * Daily soil-moisture water balance for every farm's fields.
+ * Runs at 6 AM through the growing season (May-October), after NASA POWER's overnight update
+ * and ECCC's morning "yesterday" summary.
+ */
+exports.updateSoilMoisture = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .pubsub
+  .schedule('0 6 * 5-10 *')
+  .timeZone('America/Regina')
+  .onRun(async (context) => {
+    try {
+      const farmerIds = await getFarmersWithFields();
+      const { updated, failed } = await updateAllFarms(farmerIds);
+      console.log(`Soil moisture updated for ${updated} of ${farmerIds.length} farm(s).`);
+      if (failed.length > 0) console.warn('Soil moisture failures:', failed);
+    } catch (error) {
+      console.error('Error updating soil moisture:', error);
+    }
+    return null;
+  });
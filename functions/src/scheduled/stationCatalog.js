@@ -0,0 +1,26 @@
+// functions/src/scheduled/stationCatalog.js
+const functions = require('firebase-functions');
+const { refreshStationCatalog } = require('../services/stationCatalog');
+
+/**
+ * Rebuilds the ECCC citypage station catalog from siteList.xml.
+ * Runs weekly (Monday 3 AM); ECCC adds or retires sites only a few times a year.
+ */
+exports.refreshStationCatalog = functions
+  .runWith({
+    timeoutSeconds: 120,
+    memory: '256MB'
+  })
+  .pubsub
+  .schedule('0 3 * * 1')
+  .timeZone('America/Regina')
+  .onRun(async (context) => {
+    try {
+      const result = await refreshStationCatalog();
+      console.log(`Station catalog refreshed: ${result.count} stations (${result.added.length} added, ${result.removed.length} removed).`);
+      if (result.removed.length > 0) console.warn('Retired stations:', result.removed);
+    } catch (error) {
+      console.error('Error refreshing station catalog:', error);
+    }
+    return null;
+  });
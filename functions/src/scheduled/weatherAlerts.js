@@ -0,0 +1,107 @@
+// functions/src/scheduled/weatherAlerts.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getWeatherWithInsights } = require('../services/weather');
+const { checkAlertConditions, createDefaultAlerts, DEFAULT_ALERTS_VERSION } = require('../services/alerts');
+const { deliverAlerts } = require('../services/notifications');
+const { getFarmStation } = require('../services/location/stationSelectionService');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+/**
+ * Farmers grouped by the weather station their farm uses, with the default alerts version
+ * each one was last given.
+ */
+async function getFarmersByStation() {
+  const snapshot = await admin.firestore().collection('farmers')
+    .select('location.derived', 'alertDefaultsVersion')
+    .get();
+  const stations = new Map();
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    const station = getFarmStation(data.location?.derived);
+    if (!station || !station.province) return;
+    if (!stations.has(station.id)) stations.set(station.id, { station, farmers: [] });
+    stations.get(station.id).farmers.push({ id: doc.id, alertDefaultsVersion: data.alertDefaultsVersion || 0 });
+  });
+  return [...stations.values()];
+}
+
+/**
+ * Checks one farmer's alerts against their station's weather and delivers what fired.
+ * Farmers who predate a default alert get it first.
+ */
+async function checkFarmer(farmer, weatherData) {
+  if (farmer.alertDefaultsVersion < DEFAULT_ALERTS_VERSION) {
+    await createDefaultAlerts(farmer.id);
+  }
+  const triggered = await checkAlertConditions(farmer.id, weatherData);
+  const { stored } = await deliverAlerts(farmer.id, triggered);
+  return stored;
+}
+
+/**
+ * Fetches a station's weather once and checks all of its farmers against it.
+ */
+async function checkStation({ station, farmers }) {
+  const weatherData = await getWeatherWithInsights(station.province, station.id);
+  const results = await Promise.allSettled(farmers.map(farmer => checkFarmer(farmer, weatherData)));
+  let sent = 0;
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      sent += result.value;
+    } else {
+      console.error(`✗ Alerts not checked for farmer ${farmers[i].id}:`, result.reason.message);
+    }
+  });
+  return sent;
+}
+
+/**
+ * Checks every station a few at a time; one station failing doesn't stop the rest.
+ */
+async function checkAllStations(groups, concurrency = 3) {
+  let sent = 0;
+  const failed = [];
+  for (let i = 0; i < groups.length; i += concurrency) {
+    const batch = groups.slice(i, i + concurrency);
+    const results = await Promise.allSettled(batch.map(group => checkStation(group)));
+    results.forEach((result, j) => {
+      if (result.status === 'fulfilled') {
+        sent += result.value;
+      } else {
+        console.error(`✗ Alert check failed for station ${batch[j].station.id}:`, result.reason.message);
+        failed.push(batch[j].station.id);
+      }
+    });
+  }
+  return { sent, failed };
+}
+
+/**
+ * Evaluates every farmer's alerts (users/{uid}/alerts) against their farm station's latest
+ * weather and sends what fires as notifications. Runs every 30 minutes so severe weather
+ * warnings reach farmers soon after ECCC issues them.
+ */
+exports.checkWeatherAlerts = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .pubsub
+  .schedule('*/30 * * * *')
+  .timeZone('America/Regina')
+  .onRun(async (context) => {
+    try {
+      const groups = await getFarmersByStation();
+      const { sent, failed } = await checkAllStations(groups);
+      console.log(`Alerts checked for ${groups.length - failed.length} station(s); ${sent} notification(s) sent.`);
+      if (failed.length > 0) console.warn('Alert check failures:', failed);
+    } catch (error) {
+      console.error('Error checking weather alerts:', error);
+    }
+    return null;
+  });
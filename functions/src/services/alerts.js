@@ -8,6 +8,13 @@ const db = admin.firestore();
 
 // Import calculations service needed for some alert types
 const calculations = require('./calculations');
+const { getPestModel } = require('./crops/pestModels');
+
+// Alerts on a condition that can hold for hours; these notify once each time it starts
+const CONDITION_ALERTS = ['SPRAY_CONDITIONS', 'WIND_THRESHOLD', 'TEMPERATURE', 'FROST_RISK', 'RAIN_EXPECTED'];
+
+// Bump when a default alert is added so existing farmers get it on the next alert check
+const DEFAULT_ALERTS_VERSION = 2;
 
 /**
  * Check if alert conditions are met for a given user and current weather data.
@@ -30,31 +37,137 @@ async function checkAlertConditions(userId, weatherData) {
     return [];
   }
 
+  const severeWeatherEnabled = await isSevereWeatherEnabled(userId, alertsSnapshot);
+  const pestModels = await loadPestModels(userId, alertsSnapshot);
+  if (pestModels) {
+    weatherData = { ...weatherData, insights: { ...weatherData.insights, pests: pestModels } };
+  }
   const triggeredAlerts = [];
+  const stateUpdates = [];
   alertsSnapshot.forEach(doc => {
     const alert = { id: doc.id, ...doc.data() };
-    
+    if (alert.type === 'SEVERE_WEATHER') {
+      if (!severeWeatherEnabled) return;
+      // Remember what is active now so the same warning is only pushed once
+      stateUpdates.push(doc.ref.update({
+        seenWarnings: (weatherData.warnings || []).map(getWarningKey),
+        lastChecked: admin.firestore.FieldValue.serverTimestamp()
+      }));
+    }
+
     // Ensure weatherData is passed to shouldTriggerAlert
-    if (shouldTriggerAlert(alert, weatherData)) {
-      triggeredAlerts.push({
-        alertName: alert.name,
-        alertType: alert.type,
-        triggeredAt: new Date().toISOString(),
-        // Including a snapshot of relevant current conditions that triggered the alert
-        weatherSnapshot: {
-          temperature: weatherData.current.temperature,
-          windSpeed: weatherData.current.windSpeed,
-          condition: weatherData.current.condition,
-          // Add more relevant fields based on alert type if necessary
-        },
-        message: generateAlertMessage(alert, weatherData) // Generate a human-readable message
-      });
+    const met = shouldTriggerAlert(alert, weatherData);
+    if (CONDITION_ALERTS.includes(alert.type)) {
+      // Condition alerts fire when the condition starts holding, not on every check while it holds
+      const wasActive = alert.active === true;
+      if (met !== wasActive) {
+        stateUpdates.push(doc.ref.update({
+          active: met,
+          ...(met ? { lastTriggered: admin.firestore.FieldValue.serverTimestamp() } : {})
+        }));
+      }
+      if (wasActive) return;
+    }
+    if (!met) return;
+    if (alert.type === 'PEST_DEGREE_DAYS') {
+      // One notification per pest per season
+      stateUpdates.push(doc.ref.update({
+        notifiedSeason: weatherData.insights.pests.season,
+        lastTriggered: admin.firestore.FieldValue.serverTimestamp()
+      }));
     }
+    triggeredAlerts.push({
+      alertName: alert.name,
+      alertType: alert.type,
+      triggeredAt: new Date().toISOString(),
+      // Including a snapshot of relevant current conditions that triggered the alert
+      weatherSnapshot: {
+        temperature: weatherData.current.temperature,
+        windSpeed: weatherData.current.windSpeed,
+        condition: weatherData.current.condition,
+        // Add more relevant fields based on alert type if necessary
+      },
+      message: generateAlertMessage(alert, weatherData) // Generate a human-readable message
+    });
   });
 
+  try {
+    await Promise.all(stateUpdates);
+  } catch (error) {
+    console.error(`Failed to record alert state for user ${userId}:`, error);
+  }
+
   return triggeredAlerts;
 }
 
+/**
+ * Honours the farmer's preferences.notifications.severeWeather toggle.
+ * Only reads the profile when the user actually has a SEVERE_WEATHER alert enabled.
+ */
+async function isSevereWeatherEnabled(userId, alertsSnapshot) {
+  if (!alertsSnapshot.docs.some(doc => doc.data().type === 'SEVERE_WEATHER')) return false;
+  try {
+    const farmerDoc = await db.collection('farmers').doc(userId).get();
+    return !farmerDoc.exists || farmerDoc.data().preferences?.notifications?.severeWeather !== false;
+  } catch (error) {
+    console.error(`Failed to read notification preferences for user ${userId}:`, error);
+    return true; // Err on the side of warning the user
+  }
+}
+
+/**
+ * The farmer's latest pest model run (farmerStats/{uid}.pestModels), read only when the user
+ * has a PEST_DEGREE_DAYS alert enabled.
+ */
+async function loadPestModels(userId, alertsSnapshot) {
+  if (!alertsSnapshot.docs.some(doc => doc.data().type === 'PEST_DEGREE_DAYS')) return null;
+  try {
+    const statsDoc = await db.collection('farmerStats').doc(userId).get();
+    return statsDoc.exists ? statsDoc.data().pestModels || null : null;
+  } catch (error) {
+    console.error(`Failed to read pest models for user ${userId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * The pest an alert watches, if it has reached the alert's trigger and hasn't been notified
+ * this season. alert.threshold is a percent emerged; without one the alert fires when
+ * scouting should start.
+ */
+function getTriggeredPest(alert, weatherData) {
+  const models = weatherData.insights?.pests;
+  if (!models || alert.notifiedSeason === models.season) return null;
+  const pest = (models.pests || []).find(p => p.pest === alert.pest);
+  if (!pest) return null;
+  const reached = typeof alert.threshold === 'number'
+    ? pest.percentEmerged >= alert.threshold
+    : pest.scouting?.status === 'active';
+  return reached ? pest : null;
+}
+
+/**
+ * Identifies an ECCC warning across fetches (the same event keeps its issue time).
+ */
+function getWarningKey(warning) {
+  return `${warning.type}|${warning.description}|${warning.issued || ''}`;
+}
+
+/**
+ * Warnings in the weather data that match the alert's filters and have not been seen yet.
+ * alert.warningTypes defaults to warnings, watches and advisories; alert.hazards optionally
+ * narrows to categories such as ['tornado', 'hail', 'frost'].
+ */
+function getNewWarnings(alert, weatherData) {
+  const warningTypes = alert.warningTypes || ['warning', 'watch', 'advisory'];
+  const seen = alert.seenWarnings || [];
+  return (weatherData.warnings || []).filter(w =>
+    warningTypes.includes(w.type) &&
+    (!Array.isArray(alert.hazards) || alert.hazards.length === 0 || alert.hazards.includes(w.hazard)) &&
+    !seen.includes(getWarningKey(w))
+  );
+}
+
 /**
  * Determine if a specific alert should trigger based on weather data.
  */
@@ -85,6 +198,12 @@ function shouldTriggerAlert(alert, weatherData) {
         const frostInsights = weatherData.insights?.frost || calculations.calculateFrostRisk(weatherData);
         return frostInsights.tonight_risk_level === alert.riskLevel; // e.g., alert.riskLevel could be 'HIGH', 'MEDIUM'
         
+      case 'SEVERE_WEATHER':
+        return getNewWarnings(alert, weatherData).length > 0;
+        
+      case 'PEST_DEGREE_DAYS':
+        return getTriggeredPest(alert, weatherData) !== null;
+
       case 'RAIN_EXPECTED':
         if (!weatherData.forecast || typeof alert.threshold !== 'number') return false;
         return weatherData.forecast.some(day => 
@@ -108,7 +227,7 @@ function generateAlertMessage(alert, weatherData) {
   const current = weatherData.current;
   switch (alert.type) {
     case 'SPRAY_CONDITIONS':
-      return alert.condition ? \`Good news! Spraying conditions are now favorable near ${weatherData.location.city}.\` : \` Heads up! Spraying conditions are no longer favorable near ${weatherData.location.city}.\`;
+      return alert.condition ? `Good news! Spraying conditions are now favorable near ${weatherData.location.city}.` : `Heads up! Spraying conditions are no longer favorable near ${weatherData.location.city}.`;
     case 'WIND_THRESHOLD':
       return `Wind speed alert: Currently ${current.windSpeed} km/h near ${weatherData.location.city}, which is ${alert.operator} your threshold of ${alert.threshold} km/h.`;
     case 'TEMPERATURE':
@@ -116,15 +235,26 @@ function generateAlertMessage(alert, weatherData) {
     case 'FROST_RISK':
       const frostInsights = weatherData.insights?.frost || calculations.calculateFrostRisk(weatherData);
       return `Frost risk update for ${weatherData.location.city}: Tonight's risk is ${frostInsights.tonight_risk_level}. Factors: ${frostInsights.factors.join(', ') || 'None specified'}.`;
+    case 'SEVERE_WEATHER':
+      const newWarnings = getNewWarnings(alert, weatherData);
+      return `${weatherData.location.city}: ${newWarnings.map(w => w.description).join('; ')}.` +
+        (newWarnings[0]?.url ? ` Details: ${newWarnings[0].url}` : '');
     case 'RAIN_EXPECTED':
       return `Rainfall probability has reached your threshold of ${alert.threshold}% for an upcoming period near ${weatherData.location.city}.`;
+    case 'PEST_DEGREE_DAYS': {
+      const pest = getTriggeredPest(alert, weatherData);
+      const progress = `${pest.name}: ${pest.percentEmerged}% ${pest.stage.toLowerCase()} (${pest.degreeDays} degree days above ${pest.baseTemp}°C).`;
+      return `${progress} Time to scout. ${pest.scouting.advice}`;
+    }
     default:
       return `Alert triggered for ${alert.name || alert.type}.`;
   }
 }
 
 /**
- * Create default alerts for a new user.
+ * Create the default alerts a user doesn't have yet, and record the defaults version on the
+ * farmer profile (alertDefaultsVersion). Alerts the user already has, including ones they have
+ * turned off, are left alone, so this is safe to run again when a new default is added.
  * @param {string} userId - The ID of the user.
  */
 async function createDefaultAlerts(userId) {
@@ -143,6 +273,13 @@ async function createDefaultAlerts(userId) {
       enabled: true,
       description: 'Notifies when there is a high risk of frost tonight.'
     },
+    {
+      name: 'Severe Weather Warnings',
+      type: 'SEVERE_WEATHER',
+      warningTypes: ['warning', 'watch', 'advisory'],
+      enabled: true,
+      description: 'Notifies when Environment Canada issues a warning, watch or advisory for your station.'
+    },
     {
       name: 'High Wind Speed Warning',
       type: 'WIND_THRESHOLD',
@@ -161,31 +298,75 @@ async function createDefaultAlerts(userId) {
     }
   ];
 
-  const batch = db.batch();
   const alertsCollectionRef = db.collection('users').doc(userId).collection('alerts');
 
-  defaultAlerts.forEach(alert => {
-    // Use a consistent ID or let Firestore generate one if duplicates are okay or handled differently
-    const alertRef = alertsCollectionRef.doc(alert.type + (alert.condition !== undefined ? '_'+String(alert.condition) : '') + (alert.riskLevel ? '_'+alert.riskLevel : '') + (alert.operator ? '_'+alert.operator+'_'+alert.threshold : '') );
-    batch.set(alertRef, {
-      ...alert,
-      isDefault: true,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      lastChecked: null, // Timestamp of last check
-      lastTriggered: null // Timestamp of last trigger
-    });
-  });
-
   try {
+    const existing = new Set((await alertsCollectionRef.get()).docs.map(doc => doc.id));
+    const batch = db.batch();
+    let created = 0;
+    defaultAlerts.forEach(alert => {
+      const alertId = alert.type + (alert.condition !== undefined ? '_'+String(alert.condition) : '') + (alert.riskLevel ? '_'+alert.riskLevel : '') + (alert.operator ? '_'+alert.operator+'_'+alert.threshold : '');
+      if (existing.has(alertId)) return;
+      batch.set(alertsCollectionRef.doc(alertId), {
+        ...alert,
+        isDefault: true,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastChecked: null, // Timestamp of last check
+        lastTriggered: null // Timestamp of last trigger
+      });
+      created++;
+    });
+    batch.set(db.collection('farmers').doc(userId), { alertDefaultsVersion: DEFAULT_ALERTS_VERSION }, { merge: true });
     await batch.commit();
-    console.log(`Default alerts created for user ${userId}`);
+    console.log(`${created} default alert(s) created for user ${userId}`);
   } catch (error) {
     console.error(`Failed to create default alerts for user ${userId}:`, error);
   }
 }
 
+/**
+ * Creates or updates a user's PEST_DEGREE_DAYS alert for one pest (users/{uid}/alerts/PEST_DEGREE_DAYS_{pest}).
+ * The daily updatePestModels job runs the models for users with an enabled pest alert, and
+ * checkWeatherAlerts sends the notification once the pest reaches the trigger.
+ * @param {string} userId - The ID of the user.
+ * @param {object} options - { pest, threshold, enabled }; threshold is a percent emerged,
+ *   null to alert when scouting should start
+ * @returns {Promise<object>} The alert as stored.
+ */
+async function setPestAlert(userId, { pest, threshold = null, enabled = true } = {}) {
+  const model = getPestModel(pest);
+  if (!model) {
+    throw new Error(`Unknown pest: ${pest}.`);
+  }
+  if (threshold !== null && (typeof threshold !== 'number' || threshold < 0 || threshold > 100)) {
+    throw new Error('threshold must be a percent emerged between 0 and 100, or null.');
+  }
+  const alertRef = db.collection('users').doc(userId).collection('alerts').doc(`PEST_DEGREE_DAYS_${pest}`);
+  const existing = await alertRef.get();
+  const alert = {
+    name: `${model.name} Scouting Alert`,
+    type: 'PEST_DEGREE_DAYS',
+    pest,
+    threshold,
+    enabled: enabled !== false,
+    description: threshold === null
+      ? `Notifies when ${model.name.toLowerCase()} degree days reach the start of scouting.`
+      : `Notifies when ${model.name.toLowerCase()} reach ${threshold}% ${model.stage.toLowerCase()}.`
+  };
+  await alertRef.set({
+    ...alert,
+    ...(existing.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp(), lastTriggered: null }),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  return { id: alertRef.id, ...alert };
+}
+
 module.exports = {
   checkAlertConditions,
   createDefaultAlerts,
-  shouldTriggerAlert // Exporting for potential direct use or testing
+  DEFAULT_ALERTS_VERSION,
+  setPestAlert,
+  shouldTriggerAlert, // Exporting for potential direct use or testing
+  getNewWarnings,
+  getTriggeredPest
 };
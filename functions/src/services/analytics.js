@@ -55,7 +55,7 @@ async function getPopularStations(limit = 20) {
     
     const usageSnapshot = await admin.firestore()
       .collection('usage')
-      .where('endpoint', 'in', ['weather_basic', 'weather_insights']) // Ensure these match actual endpoint names used in logUsage
+      .where('endpoint', 'in', ['weather_basic', 'weather_insights', 'weather_insights_farm_point']) // Ensure these match actual endpoint names used in logUsage
       .where('timestamp', '>=', sevenDaysAgo)
       .get();
     
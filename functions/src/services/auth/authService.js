@@ -6,11 +6,14 @@ const { generateUniqueUsername } = require('../../utils/validation');
 const {
   getDLSCoordinates,
   getDLSFromCoordinates,
+  parseDLS,
   getSoilZone,
   getClimateRegion,
-  reverseGeocode // This is a stub in canadianGeography.js for now
+  reverseGeocode,
+  getCacheWarmingRegion
 } = require('../../utils/canadianGeography');
-const { findNearestWeatherStation } = require('../../utils/weatherStations');
+const { findNearestWeatherStations, classifyStationCoverage } = require('../../utils/weatherStations');
+const { getElevation } = require('../../services/elevation');
 const {
   isAlphaTester,
   isBetaTester,
@@ -68,7 +71,8 @@ async function registerFarmer(authUser, profileDataFromClient) {
         crops: processCropData(profileDataFromClient.crops || []),
         hasLivestock: profileDataFromClient.hasLivestock || false,
         hasIrrigation: profileDataFromClient.hasIrrigation || false,
-        usesPrecisionAg: profileDataFromClient.usesPrecisionAg || false
+        usesPrecisionAg: profileDataFromClient.usesPrecisionAg || false,
+        soilTexture: typeof profileDataFromClient.soilTexture === 'string' ? profileDataFromClient.soilTexture : ''
       },
       gamification: {
         points: 100,
@@ -142,41 +146,60 @@ async function registerFarmer(authUser, profileDataFromClient) {
 
 async function processLocationData(locationInputFromClient) {
   let coordinates = locationInputFromClient.coordinates || { lat: null, lng: null };
+  // Land descriptions may be typed as text, e.g. "NW-12-34-5-W4"
+  const dlsInput = typeof locationInputFromClient.dls === 'string'
+    ? parseDLS(locationInputFromClient.dls)
+    : locationInputFromClient.dls;
   const locationOutput = {
-    method: locationInputFromClient.method || (locationInputFromClient.dls?.meridian ? 'dls' : 'pin'),
-    dls: locationInputFromClient.dls || {},
+    method: locationInputFromClient.method || (dlsInput?.meridian ? 'dls' : 'pin'),
+    dls: dlsInput || {},
     coordinates: coordinates,
     derived: {}
   };
 
-  if (locationOutput.method === 'dls' && locationInputFromClient.dls?.meridian) {
-    coordinates = await getDLSCoordinates(locationInputFromClient.dls);
+  if (locationOutput.method === 'dls' && dlsInput?.meridian) {
+    coordinates = await getDLSCoordinates(dlsInput);
     locationOutput.coordinates = coordinates;
   } else if (coordinates.lat && coordinates.lng) {
     locationOutput.dls = await getDLSFromCoordinates(coordinates);
   }
   
   if (coordinates.lat && coordinates.lng) {
-    const [nearestStationData, geoDataFromReverseGeocode, soil, climate] = await Promise.all([
-      findNearestWeatherStation(coordinates),
-      reverseGeocode(coordinates), // This is still a stub in canadianGeography.js
+    const elevation = await getElevation(coordinates).catch(() => null);
+    const [nearbyStations, geoDataFromReverseGeocode, soil, climate] = await Promise.all([
+      findNearestWeatherStations(coordinates, { count: 5, elevation }),
+      reverseGeocode(coordinates),
       getSoilZone(coordinates),
       getClimateRegion(coordinates)
     ]).catch(err => {
         console.error("Error deriving location details:", err);
-        return [null, { province: '', county: '', nearestTown: '' }, null, null]; // Ensure defaults match structure
+        return [[], { province: '', county: '', nearestTown: '' }, null, null]; // Ensure defaults match structure
     });
 
+    const nearest = nearbyStations[0];
+    const stationCoverage = classifyStationCoverage(nearest?.distance);
+    if (stationCoverage.warning) {
+      console.warn(`Station coverage for ${coordinates.lat},${coordinates.lng} is ${stationCoverage.level}.`);
+    }
+
     locationOutput.derived = {
       province: geoDataFromReverseGeocode.province || '',
+      provinceSupported: geoDataFromReverseGeocode.supported === true,
       county: geoDataFromReverseGeocode.county || '',
       nearestTown: geoDataFromReverseGeocode.nearestTown || '',
+      cacheRegion: getCacheWarmingRegion(geoDataFromReverseGeocode.province),
       soilZone: soil || '',
       climateRegion: climate || '',
-      nearestStation: nearestStationData || { id: '', name: '', distance: 0 }
+      elevation: elevation,
+      nearestStation: nearest
+        ? { id: nearest.id, name: nearest.name, province: nearest.province, distance: nearest.distance }
+        : { id: '', name: '', distance: 0 },
+      nearbyStations: nearbyStations,
+      stationCoverage: stationCoverage,
+      selectedStation: null
     };
   } else {
-     locationOutput.derived = { province: '', county: '', nearestTown: '', soilZone: '', climateRegion: '', nearestStation: {id:'', name:'', distance: 0}};
+     locationOutput.derived = { province: '', provinceSupported: false, county: '', nearestTown: '', cacheRegion: null, soilZone: '', climateRegion: '', elevation: null, nearestStation: {id:'', name:'', distance: 0}, nearbyStations: [], stationCoverage: classifyStationCoverage(null), selectedStation: null };
      console.warn("Coordinates are missing, derived location data will be empty or placeholder.");
   }
   
@@ -187,7 +210,7 @@ function processCropData(cropsInputArray) {
   const validCropTypes = [
     'wheat', 'canola', 'barley', 'corn', 'soybeans', 
     'oats', 'flax', 'lentils', 'peas', 'chickpeas',
-    'potatoes', 'sugar_beets', 'sunflowers', 'hemp', 'mustard', 'rye', 'triticale', 'other'
+    'potatoes', 'sugar_beets', 'sunflowers', 'hemp', 'mustard', 'rye', 'triticale', 'alfalfa', 'other'
   ];
   
   if (!Array.isArray(cropsInputArray)) return [];
@@ -200,7 +223,9 @@ function processCropData(cropsInputArray) {
       acres: parseFloat(crop.acres) || 0,
       fields: Array.isArray(crop.fields) ? crop.fields : [],
       plantingDate: crop.plantingDate || null,
-      expectedHarvest: crop.expectedHarvest || null
+      expectedHarvest: crop.expectedHarvest || null,
+      fieldId: typeof crop.fieldId === 'string' ? crop.fieldId : '',
+      soilTexture: typeof crop.soilTexture === 'string' ? crop.soilTexture : ''
     };
   }).filter(crop => crop.acres > 0 && crop.type !== 'unknown');
 }
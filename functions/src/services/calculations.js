@@ -2,23 +2,259 @@
  * Agricultural calculations from weather data
  */
 
-// Placeholder for a more sophisticated forecast analysis
-function findBestSprayWindow(forecast) {
-  // TODO: Implement logic to find the best 2-4 hour spray window from hourly forecast if available
-  // For now, returns a generic message or null
-  if (forecast && forecast.length > 0) {
-    // This is a simplistic check on the first available forecast period
-    const firstGoodPeriod = forecast.find(f => {
-      const high = f.temperature?.high;
-      const low = f.temperature?.low;
-      // Example: Needs a day forecast with moderate temperature
-      return high && high > 5 && high < 28;
-    });
-    if (firstGoodPeriod) {
-      return `Consider spraying during ${firstGoodPeriod.period.toLowerCase()} if other conditions (wind, humidity) are met.`;
+const grainStorage = require('../data/grainStorage.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Default spray constraints. Callers can override any of these per product,
+ * e.g. { maxTemp: 25 } for Group 4 herbicides or { rainfastHours: 4 } for glufosinate.
+ */
+const DEFAULT_SPRAY_CONSTRAINTS = {
+  minTemp: 5,            // °C - below this, herbicide uptake slows
+  maxTemp: 28,           // °C - above this, volatility and drift increase
+  minWind: 3,            // km/h - calmer than this, drift direction is unpredictable
+  maxWind: 15,           // km/h - windier than this risks drift
+  maxGust: 25,           // km/h
+  minHumidity: 40,       // % - only checked when the hour has a humidity value
+  maxHumidity: 80,       // %
+  popThreshold: 40,      // % - an hour at or above this PoP counts as rain
+  rainfastHours: 1,      // Hours that must stay dry after application
+  priorDryHours: 0,      // Hours that must have been dry before application (wet leaves)
+  minWindowHours: 2,     // Shortest window worth reporting
+  daylightOnly: true
+};
+
+// Surface inversion estimate. Inversions form from about an hour before sunset as the ground
+// cools by radiation, and mix out one to three hours after sunrise. Wind stirs the layer, and
+// clear skies, dry air and fast evening cooling strengthen it.
+const INVERSION_WIND = [[5, 1], [10, 0.6], [15, 0.2]]; // km/h below which each factor applies; 0 above
+const INVERSION_SKY = { clear: 1, partly: 0.6, cloudy: 0.2 };
+const INVERSION_RAPID_COOLING = 2;   // °C/h drop that counts as fast cooling
+const INVERSION_DRY_SPREAD = 10;     // °C dewpoint spread at which radiative cooling is strongest
+const INVERSION_HUMID_SPREAD = 2;    // °C; nearer saturation, dew and fog slow the cooling
+const INVERSION_LEVELS = [[0.6, 'high'], [0.35, 'moderate']];
+// Hours likelier than this to sit under an inversion are blocked. A safety limit, so unlike
+// DEFAULT_SPRAY_CONSTRAINTS it can't be overridden per product or request.
+const MAX_INVERSION_LIKELIHOOD = 0.5;
+
+/**
+ * Is the given time between sunrise and sunset? Today's rise/set times are
+ * projected onto neighbouring days, which is close enough for a 24-48h timeline.
+ * Returns null when sun times are unknown.
+ */
+function isDaylight(time, sun) {
+  if (!sun || !sun.sunrise || !sun.sunset) return null;
+  const t = new Date(time).getTime();
+  const sunrise = new Date(sun.sunrise).getTime();
+  const dayLength = ((new Date(sun.sunset).getTime() - sunrise) % DAY_MS + DAY_MS) % DAY_MS;
+  const sinceSunrise = ((t - sunrise) % DAY_MS + DAY_MS) % DAY_MS;
+  return sinceSunrise < dayLength;
+}
+
+/**
+ * How prone the time of day is to an inversion, from the sun times: 1 at night, tapering over
+ * the hour or two before sunset and the three hours after sunrise, 0 through the day.
+ * 0.5 when sun times are unknown.
+ */
+function inversionDaypart(time, sun) {
+  const daylight = isDaylight(time, sun);
+  if (daylight === null) return 0.5;
+  if (!daylight) return 1;
+  const t = new Date(time).getTime();
+  const sinceSunrise = ((t - new Date(sun.sunrise).getTime()) % DAY_MS + DAY_MS) % DAY_MS / HOUR_MS;
+  const untilSunset = ((new Date(sun.sunset).getTime() - t) % DAY_MS + DAY_MS) % DAY_MS / HOUR_MS;
+  if (sinceSunrise < 1) return 0.9;
+  if (untilSunset <= 1) return 0.8;
+  if (sinceSunrise < 2) return 0.6;
+  if (untilSunset <= 2) return 0.4;
+  if (sinceSunrise < 3) return 0.3;
+  return 0;
+}
+
+/**
+ * Likelihood (0-1) that one hour of the timeline sits under a surface temperature inversion.
+ * The time of day and the wind gate the estimate; sky cover, cooling since the previous hour
+ * and the dewpoint spread scale it. Unknown inputs count as middling.
+ * @returns {object} { time, likelihood, level: 'high'|'moderate'|'low', factors: { daypart, wind, sky, cooling, dewpointSpread } }
+ */
+function assessInversionHour(hourly, index, sun) {
+  const hour = hourly[index];
+  const previous = index > 0 ? hourly[index - 1] : null;
+  const known = value => typeof value === 'number' && !isNaN(value);
+
+  const daypart = inversionDaypart(hour.time, sun);
+  const wind = known(hour.windSpeed) ? (INVERSION_WIND.find(([limit]) => hour.windSpeed < limit)?.[1] ?? 0) : 0.5;
+  const sky = INVERSION_SKY[skyCover(hour.condition)] ?? 0.5;
+  const cooling = previous && known(previous.temperature) && known(hour.temperature)
+    ? Math.max(0, Math.min(1, (previous.temperature - hour.temperature) / INVERSION_RAPID_COOLING))
+    : 0.5;
+  const dewpoint = known(hour.dewpoint) ? hour.dewpoint : calculateDewpoint(hour.temperature, hour.humidity);
+  const spread = known(dewpoint) && known(hour.temperature) ? hour.temperature - dewpoint : null;
+  const dryness = spread === null
+    ? 0.5
+    : 0.3 + 0.7 * Math.max(0, Math.min(1, (spread - INVERSION_HUMID_SPREAD) / (INVERSION_DRY_SPREAD - INVERSION_HUMID_SPREAD)));
+
+  const likelihood = parseFloat((daypart * wind * (0.4 + 0.6 * (0.5 * sky + 0.25 * cooling + 0.25 * dryness))).toFixed(2));
+  return {
+    time: hour.time,
+    likelihood,
+    level: INVERSION_LEVELS.find(([min]) => likelihood >= min)?.[1] || 'low',
+    factors: {
+      daypart,
+      wind,
+      sky,
+      cooling: parseFloat(cooling.toFixed(2)),
+      dewpointSpread: spread === null ? null : parseFloat(spread.toFixed(1))
+    }
+  };
+}
+
+/**
+ * Hour-by-hour inversion likelihood through an hourly forecast.
+ * @param {Array<object>} hourly - Hourly forecast ({ time, temperature, humidity, dewpoint, windSpeed, condition })
+ * @param {object} [sun] - { sunrise, sunset } ISO strings
+ * @returns {Array<object>} assessInversionHour output per hour
+ */
+function calculateInversionRisk(hourly, sun = null) {
+  if (!Array.isArray(hourly)) return [];
+  return hourly.map((_, i) => assessInversionHour(hourly, i, sun));
+}
+
+/**
+ * Scores how comfortably a value sits inside [min, max]: 1 in the middle half
+ * of the range, tapering to 0.5 at the edges. Values outside score 0.
+ */
+function rangeScore(value, min, max) {
+  if (value === null || value === undefined) return 1;
+  if (value < min || value > max) return 0;
+  const margin = Math.min(value - min, max - value);
+  const quarter = (max - min) / 4;
+  return quarter > 0 ? 0.5 + 0.5 * Math.min(1, margin / quarter) : 1;
+}
+
+/**
+ * Evaluates one hour of the timeline against the spray constraints.
+ * @returns {object} { suitable, blockers: [], scores: { factor: 0..1 } }
+ */
+function evaluateSprayHour(hourly, index, constraints, sun) {
+  const hour = hourly[index];
+  const c = constraints;
+  const blockers = [];
+  const scores = {};
+
+  if (hour.temperature === null || hour.temperature === undefined) {
+    blockers.push('temperature');
+  } else {
+    scores.temperature = rangeScore(hour.temperature, c.minTemp, c.maxTemp);
+    if (!scores.temperature) blockers.push('temperature');
+  }
+
+  if (hour.windSpeed === null || hour.windSpeed === undefined) {
+    blockers.push('wind');
+  } else {
+    scores.wind = rangeScore(hour.windSpeed, c.minWind, c.maxWind);
+    if (!scores.wind || (hour.windGust !== null && hour.windGust !== undefined && hour.windGust > c.maxGust)) {
+      blockers.push('wind');
     }
   }
-  return 'No ideal window identified with current daily forecast data. Check hourly if available.';
+
+  if (hour.humidity !== null && hour.humidity !== undefined) {
+    scores.humidity = rangeScore(hour.humidity, c.minHumidity, c.maxHumidity);
+    if (!scores.humidity) blockers.push('humidity');
+  }
+
+  // Rain in the hour itself, the rainfast interval after it, or the dry interval before it
+  const hourTime = new Date(hour.time).getTime();
+  const rainNearby = hourly.some(h => {
+    const offsetHours = (new Date(h.time).getTime() - hourTime) / HOUR_MS;
+    return offsetHours >= -c.priorDryHours && offsetHours <= c.rainfastHours && (h.pop || 0) >= c.popThreshold;
+  });
+  scores.rain = rainNearby ? 0 : 1 - Math.min(hour.pop || 0, c.popThreshold) / c.popThreshold / 2;
+  if (rainNearby) blockers.push('rain');
+
+  if (c.daylightOnly && isDaylight(hour.time, sun) === false) blockers.push('daylight');
+
+  if (assessInversionHour(hourly, index, sun).likelihood > MAX_INVERSION_LIKELIHOOD) blockers.push('inversion');
+
+  return { suitable: blockers.length === 0, blockers, scores };
+}
+
+/**
+ * Scans an hourly timeline for contiguous spray windows.
+ * @param {Array<object>} hourly - Hourly forecast ({ time, temperature, windSpeed, windGust, humidity, pop })
+ * @param {object} [constraints] - Overrides for DEFAULT_SPRAY_CONSTRAINTS
+ * @param {object} [sun] - { sunrise, sunset } ISO strings, used for the daylight check
+ * @returns {Array<object>} Windows ranked best first
+ */
+function findSprayWindows(hourly, constraints = {}, sun = null) {
+  if (!Array.isArray(hourly) || hourly.length === 0) return [];
+  const c = { ...DEFAULT_SPRAY_CONSTRAINTS, ...constraints };
+  const lastForecastTime = new Date(hourly[hourly.length - 1].time).getTime();
+
+  const evaluations = hourly.map((_, i) => evaluateSprayHour(hourly, i, c, sun));
+  const windows = [];
+  let runStart = null;
+
+  for (let i = 0; i <= hourly.length; i++) {
+    const suitable = i < hourly.length && evaluations[i].suitable;
+    if (suitable && runStart === null) runStart = i;
+    if (!suitable && runStart !== null) {
+      if (i - runStart >= c.minWindowHours) {
+        windows.push(buildSprayWindow(hourly, evaluations, runStart, i - 1, c, lastForecastTime));
+      }
+      runStart = null;
+    }
+  }
+
+  return windows.sort((a, b) => b.score - a.score || b.hours - a.hours);
+}
+
+function buildSprayWindow(hourly, evaluations, startIndex, endIndex, constraints, lastForecastTime) {
+  const hours = hourly.slice(startIndex, endIndex + 1);
+  const factorTotals = {};
+  evaluations.slice(startIndex, endIndex + 1).forEach(ev => {
+    Object.entries(ev.scores).forEach(([factor, score]) => {
+      factorTotals[factor] = factorTotals[factor] || { sum: 0, count: 0 };
+      factorTotals[factor].sum += score;
+      factorTotals[factor].count++;
+    });
+  });
+  const factorAverages = Object.fromEntries(
+    Object.entries(factorTotals).map(([factor, t]) => [factor, t.sum / t.count])
+  );
+  const averages = Object.values(factorAverages);
+  const score = Math.round(averages.reduce((a, b) => a + b, 0) / averages.length * 100);
+  const limitingFactor = Object.entries(factorAverages).sort((a, b) => a[1] - b[1])[0][0];
+
+  const numeric = key => hours.map(h => h[key]).filter(v => v !== null && v !== undefined);
+  const avg = values => values.length ? parseFloat((values.reduce((a, b) => a + b, 0) / values.length).toFixed(1)) : null;
+  const endTime = new Date(new Date(hours[hours.length - 1].time).getTime() + HOUR_MS);
+
+  return {
+    start: hours[0].time,
+    end: endTime.toISOString(),
+    hours: hours.length,
+    score,
+    limitingFactor,
+    rainfastVerified: endTime.getTime() - HOUR_MS + constraints.rainfastHours * HOUR_MS <= lastForecastTime,
+    conditions: {
+      avgTemperature: avg(numeric('temperature')),
+      avgWindSpeed: avg(numeric('windSpeed')),
+      maxGust: numeric('windGust').length ? Math.max(...numeric('windGust')) : null,
+      avgHumidity: avg(numeric('humidity')),
+      maxPop: Math.max(0, ...numeric('pop'))
+    }
+  };
+}
+
+/**
+ * Returns the highest-ranked spray window from an hourly timeline, or null.
+ */
+function findBestSprayWindow(hourly, constraints = {}, sun = null) {
+  const windows = findSprayWindows(hourly, constraints, sun);
+  return windows.length > 0 ? windows[0] : null;
 }
 
 /**
@@ -36,6 +272,7 @@ function calculateGDD(tempMax, tempMin, baseTemp = 10, maxThreshold = 30) {
 
 /**
  * Calculate Corn Heat Units (CHU) - Ontario/Eastern Canada method
+ * Daily CHU is the average of the day (Ymax) and night (Ymin) contributions.
  */
 function calculateCHU(tempMax, tempMin) {
   // Daily maximum temperature contribution (Ymax)
@@ -50,72 +287,194 @@ function calculateCHU(tempMax, tempMin) {
     yMin = 1.8 * (tempMin - 4.4);
   }
   
-  return Math.max(0, yMax) + Math.max(0, yMin); // CHU cannot be negative, sum of positive contributions
+  return (Math.max(0, yMax) + Math.max(0, yMin)) / 2; // CHU cannot be negative; average of positive contributions
+}
+
+/**
+ * Saturation vapour pressure (kPa) at a temperature in °C (FAO-56 eq. 11)
+ */
+function saturationVapourPressure(temp) {
+  return 0.6108 * Math.exp((17.27 * temp) / (temp + 237.3));
+}
+
+/**
+ * Extraterrestrial radiation Ra (MJ/m²/day) for a latitude and day of year (FAO-56 eq. 21)
+ */
+function calculateExtraterrestrialRadiation(latitude, dayOfYear) {
+  const phi = (latitude * Math.PI) / 180;
+  const dr = 1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365);
+  const declination = 0.409 * Math.sin((2 * Math.PI * dayOfYear) / 365 - 1.39);
+  // Clamped so the midnight sun and polar night don't produce NaN
+  const ws = Math.acos(Math.min(1, Math.max(-1, -Math.tan(phi) * Math.tan(declination))));
+  return (24 * 60 / Math.PI) * 0.082 * dr *
+    (ws * Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.sin(ws));
+}
+
+/**
+ * Reference evapotranspiration ET₀ (mm/day) by the Hargreaves equation (FAO-56 eq. 52).
+ * Needs only max/min temperature; used when humidity, wind or radiation are missing.
+ */
+function calculateET0Hargreaves(tempMax, tempMin, latitude, dayOfYear) {
+  const ra = calculateExtraterrestrialRadiation(latitude, dayOfYear);
+  const tMean = (tempMax + tempMin) / 2;
+  return Math.max(0, 0.0023 * (tMean + 17.8) * Math.sqrt(Math.max(0, tempMax - tempMin)) * 0.408 * ra);
+}
+
+/**
+ * Reference evapotranspiration ET₀ (mm/day) for a grass surface by FAO-56 Penman-Monteith
+ * (eq. 6), on a daily step with soil heat flux taken as zero.
+ * @param {object} day - { tempMax, tempMin (°C), humidity (mean RH %) or humidityMax/humidityMin,
+ *   windSpeed (m/s at 2 m), solarRadiation (MJ/m²/day) }
+ * @param {object} site - { latitude, dayOfYear, elevation (m, defaults to 0) }
+ */
+function calculateET0PenmanMonteith(day, site) {
+  const { tempMax, tempMin, windSpeed, solarRadiation } = day;
+  const elevation = site.elevation || 0;
+  const tMean = (tempMax + tempMin) / 2;
+
+  const pressure = 101.3 * Math.pow((293 - 0.0065 * elevation) / 293, 5.26);
+  const gamma = 0.000665 * pressure;
+  const delta = (4098 * saturationVapourPressure(tMean)) / Math.pow(tMean + 237.3, 2);
+
+  const esMax = saturationVapourPressure(tempMax);
+  const esMin = saturationVapourPressure(tempMin);
+  const es = (esMax + esMin) / 2;
+  const ea = day.humidityMax !== undefined && day.humidityMin !== undefined
+    ? (esMin * day.humidityMax / 100 + esMax * day.humidityMin / 100) / 2
+    : es * day.humidity / 100;
+
+  const ra = calculateExtraterrestrialRadiation(site.latitude, site.dayOfYear);
+  const rso = (0.75 + 2e-5 * elevation) * ra;
+  const netShortwave = 0.77 * solarRadiation; // Grass albedo 0.23
+  const relativeShortwave = rso > 0 ? Math.min(1, solarRadiation / rso) : 1;
+  const netLongwave = 4.903e-9 * ((Math.pow(tempMax + 273.16, 4) + Math.pow(tempMin + 273.16, 4)) / 2) *
+    (0.34 - 0.14 * Math.sqrt(Math.max(0, ea))) * (1.35 * relativeShortwave - 0.35);
+  const netRadiation = netShortwave - netLongwave;
+
+  const et0 = (0.408 * delta * netRadiation + gamma * (900 / (tMean + 273)) * windSpeed * (es - ea)) /
+    (delta + gamma * (1 + 0.34 * windSpeed));
+  return Math.max(0, et0);
+}
+
+/**
+ * Daily ET₀ by the best method the data allows: Penman-Monteith when temperature, humidity,
+ * wind and solar radiation are all present, Hargreaves when only max/min temperature are.
+ * @returns {{ et0: number, method: 'penman-monteith'|'hargreaves' }|null} null without max/min temperature
+ */
+function calculateReferenceET(day, site) {
+  const present = value => value !== null && value !== undefined && !isNaN(value);
+  if (!present(day.tempMax) || !present(day.tempMin)) return null;
+
+  const hasHumidity = present(day.humidity) || (present(day.humidityMax) && present(day.humidityMin));
+  if (hasHumidity && present(day.windSpeed) && present(day.solarRadiation)) {
+    return { et0: calculateET0PenmanMonteith(day, site), method: 'penman-monteith' };
+  }
+  return { et0: calculateET0Hargreaves(day.tempMax, day.tempMin, site.latitude, site.dayOfYear), method: 'hargreaves' };
 }
 
 /**
  * Determine if conditions are suitable for spraying
+ * @param {object} weather - Weather object from fetchECCCWeather
+ * @param {object} [constraints] - Product-specific overrides for DEFAULT_SPRAY_CONSTRAINTS
  */
-function calculateSprayConditions(weather) {
+function calculateSprayConditions(weather, constraints = {}) {
   const wind = weather.current.windSpeed;
   const temp = weather.current.temperature;
   const humidity = weather.current.humidity;
+  const c = { ...DEFAULT_SPRAY_CONSTRAINTS, ...constraints };
   
   const conditions = {
     temperature: {
       value: temp,
-      suitable: temp >= 5 && temp <= 28, // Adjusted upper limit slightly
-      reason: temp < 5 ? 'Too cold - reduced herbicide efficacy' : 
-               temp > 28 ? 'Too hot - increased drift and volatility' : 'Good'
+      suitable: temp >= c.minTemp && temp <= c.maxTemp,
+      reason: temp < c.minTemp ? 'Too cold - reduced herbicide efficacy' : 
+               temp > c.maxTemp ? 'Too hot - increased drift and volatility' : 'Good'
     },
     wind: {
       value: wind,
-      suitable: wind >= 3 && wind <= 15,
-      reason: wind < 3 ? 'Too calm - potential for inversion layer' : 
-               wind > 15 ? 'Too windy - high drift risk' : 'Good'
+      suitable: wind >= c.minWind && wind <= c.maxWind,
+      reason: wind < c.minWind ? 'Too calm - unpredictable drift direction' : 
+               wind > c.maxWind ? 'Too windy - high drift risk' : 'Good'
     },
     humidity: {
       value: humidity,
-      suitable: humidity >= 40 && humidity <= 80, // Adjusted upper limit slightly
-      reason: humidity < 40 ? 'Too dry - rapid droplet evaporation' : 
-               humidity > 80 ? 'Too humid - slow drying, reduced absorption' : 'Good'
+      suitable: humidity >= c.minHumidity && humidity <= c.maxHumidity,
+      reason: humidity < c.minHumidity ? 'Too dry - rapid droplet evaporation' : 
+               humidity > c.maxHumidity ? 'Too humid - slow drying, reduced absorption' : 'Good'
     },
+    inversion: describeInversion(weather.hourly, weather.sun),
     overall: {
       canSpray: false,
-      bestWindow: null
+      bestWindow: null,
+      windows: []
     }
   };
   
   conditions.overall.canSpray = conditions.temperature.suitable && 
                                 conditions.wind.suitable && 
-                                conditions.humidity.suitable;
+                                conditions.humidity.suitable &&
+                                conditions.inversion.suitable;
   
-  if (weather.forecast && weather.forecast.length > 0) {
-    conditions.overall.bestWindow = findBestSprayWindow(weather.forecast);
-  }
+  conditions.overall.windows = findSprayWindows(weather.hourly, constraints, weather.sun);
+  conditions.overall.bestWindow = conditions.overall.windows[0] || null;
+  conditions.overall.summary = summarizeSprayWindows(weather.hourly, conditions.overall.windows);
   
   return conditions;
 }
 
+/**
+ * Inversion risk for the spray insights: the first forecast hour stands in for now, with the
+ * reason naming what drives it and the full hourly timeline alongside.
+ */
+function describeInversion(hourly, sun) {
+  const timeline = calculateInversionRisk(hourly, sun);
+  const now = timeline[0];
+  if (!now) {
+    return { value: null, level: null, suitable: true, reason: 'No hourly forecast to assess inversion risk', hourly: [] };
+  }
+  const drivers = [];
+  if (now.factors.daypart >= 0.8) drivers.push(now.factors.daypart === 1 ? 'night' : 'near sunrise or sunset');
+  if (now.factors.wind >= 0.6) drivers.push('light wind');
+  if (now.factors.sky === 1) drivers.push('clear sky');
+  if (now.factors.cooling === 1) drivers.push('rapid cooling');
+  if (now.factors.dewpointSpread !== null && now.factors.dewpointSpread >= INVERSION_DRY_SPREAD) drivers.push('dry air');
+  const because = drivers.length > 0 ? ` (${drivers.join(', ')})` : '';
+  const suitable = now.likelihood <= MAX_INVERSION_LIKELIHOOD;
+
+  return {
+    value: now.likelihood,
+    level: now.level,
+    suitable,
+    reason: suitable
+      ? (now.level === 'low' ? 'Good' : `Inversion possible${because} - watch for hanging haze or smoke`)
+      : `Inversion likely${because} - fine droplets can drift far off target`,
+    hourly: timeline
+  };
+}
+
+function summarizeSprayWindows(hourly, windows) {
+  if (!Array.isArray(hourly) || hourly.length === 0) {
+    return 'No hourly forecast available to identify spray windows.';
+  }
+  if (windows.length === 0) {
+    return `No spray window of sufficient length in the next ${hourly.length} hours.`;
+  }
+  const best = windows[0];
+  return `Best window: ${best.hours} hours starting ${best.start} (score ${best.score}, limited by ${best.limitingFactor}).`;
+}
+
 /**
  * Calculate drying conditions for harvest
+ * @param {object} weather
+ * @param {string} [grain='wheat'] - Grain whose EMC is reported (see calculateGrainEMC)
  */
-function calculateDryingConditions(weather) {
+function calculateDryingConditions(weather, grain = 'wheat') {
   const temp = weather.current.temperature;
   const humidity = weather.current.humidity;
   const wind = weather.current.windSpeed;
   
-  // More standard EMC formula for grains (Henderson-Thompson or similar simplified)
-  // This is a very simplified version. Actual EMC depends on grain type.
-  // For a generic approach, relative humidity is the main driver.
-  // Lower RH = better drying. Higher temp = better drying (to a point).
-  let EMC = 0;
-  if (humidity > 0) { // Avoid division by zero or log of zero
-    EMC = 100 * (Math.log(1 - (humidity / 100)) / (-0.0005 * (temp + 20)));
-    EMC = Math.max(0, Math.min(EMC, 40)); // Cap EMC at reasonable values
-  } else {
-    EMC = 5; // Very dry if RH is 0
-  }
+  // Grain-specific EMC; lower RH = better drying, higher temp = better drying (to a point)
+  const EMC = calculateGrainEMC(grain, temp, humidity) ?? calculateGrainEMC('wheat', temp, humidity) ?? 0;
   
   // Drying rate score (0-100) - higher is better
   const tempScore = Math.max(0, Math.min(temp, 30)) / 30 * 35;       // Max 35 points for temp up to 30C
@@ -131,6 +490,7 @@ function calculateDryingConditions(weather) {
 
   return {
     EMC_estimated_percent: EMC.toFixed(1),
+    grain: grainStorage.grains[grain] ? grain : 'wheat',
     dryingScore_out_of_100: Math.min(100, dryingScore), // Ensure score doesn't exceed 100
     rating: rating,
     details: {
@@ -141,48 +501,291 @@ function calculateDryingConditions(weather) {
   };
 }
 
+const FAN_HEAT_RISE = 1;         // °C - the fan motor and compression warm the air passing through
+const EMC_DEADBAND = 0.5;        // % - air this close to the grain's moisture neither dries nor rewets
+const COOLING_DIFFERENTIAL = 5;  // °C - aeration only cools when the air is this much colder than the grain
+
 /**
- * Frost risk assessment
+ * Equilibrium moisture content (% wet basis) of a grain held in air at the given temperature
+ * and relative humidity, from the grain's modified Henderson or Chung-Pfost constants.
+ * @param {string} grain - wheat, barley, oats, corn, peas, flax or canola
+ * @param {number} temperature - °C
+ * @param {number} humidity - %
+ * @returns {number|null} null for an unknown grain or missing values
  */
-function calculateFrostRisk(weather) {
-  const currentTemp = weather.current.temperature;
-  const windSpeed = weather.current.windSpeed;
-  const condition = weather.current.condition ? weather.current.condition.toLowerCase() : '';
-  
-  // Use forecasted low if available and more reliable
-  let forecastedLow = null;
-  if (weather.forecast && weather.forecast[0] && weather.forecast[0].temperature?.low !== null) {
-    forecastedLow = parseFloat(weather.forecast[0].temperature.low);
+function calculateGrainEMC(grain, temperature, humidity) {
+  const properties = grainStorage.grains[String(grain || '').toLowerCase()];
+  if (!properties || typeof temperature !== 'number' || typeof humidity !== 'number' || isNaN(temperature) || isNaN(humidity)) {
+    return null;
+  }
+  const rh = Math.min(Math.max(humidity, 1), 99) / 100; // Both equations break down at 0 and 100% RH
+  const k = properties.constants;
+  const dryBasis = properties.equation === 'chung-pfost'
+    ? (-100 / k.B) * Math.log((-(temperature + k.C) * Math.log(rh)) / k.A)
+    : Math.pow(Math.log(1 - rh) / (-k.K * (temperature + k.C)), 1 / k.N);
+  if (!isFinite(dryBasis)) return null;
+  const wetBasis = (100 * Math.max(0, dryBasis)) / (100 + Math.max(0, dryBasis));
+  return parseFloat(wetBasis.toFixed(1));
+}
+
+/**
+ * Relative humidity (%) of air in equilibrium with grain at a moisture and temperature:
+ * the inverse of calculateGrainEMC.
+ * @param {string} grain
+ * @param {number} temperature - Grain temperature, °C
+ * @param {number} moisture - % wet basis
+ * @returns {number|null} null for an unknown grain
+ */
+function calculateEquilibriumHumidity(grain, temperature, moisture) {
+  const properties = grainStorage.grains[String(grain || '').toLowerCase()];
+  if (!properties || typeof temperature !== 'number' || typeof moisture !== 'number') return null;
+  const dryBasis = (100 * moisture) / (100 - moisture);
+  const k = properties.constants;
+  const rh = properties.equation === 'chung-pfost'
+    ? Math.exp((-k.A / (temperature + k.C)) * Math.exp((-k.B * dryBasis) / 100))
+    : 1 - Math.exp(-k.K * (temperature + k.C) * Math.pow(dryBasis, k.N));
+  return Math.min(100, Math.max(0, 100 * rh));
+}
+
+/**
+ * One hour of the aeration decision: the EMC of outside air once the fan has warmed it, what
+ * that air does to the grain, and whether the fan should run. Grain wetter than the target
+ * is in drying mode and the fan runs whenever the air dries it. Otherwise the fan runs to
+ * cool the grain when the air is at least 5 °C colder and won't rewet it past the target,
+ * which needs the grain temperature.
+ * @param {string} grain
+ * @param {object} air - { temperature, humidity }
+ * @param {object} bin - { grainMoisture, targetMoisture, grainTemperature, fanHeatRise }
+ * @returns {{ emc: number|null, effect: 'drying'|'rewetting'|'neutral'|null, fan: boolean }}
+ */
+function evaluateAerationHour(grain, air, bin) {
+  const { temperature, humidity } = air;
+  if (typeof temperature !== 'number' || typeof humidity !== 'number' || isNaN(temperature) || isNaN(humidity)) {
+    return { emc: null, effect: null, fan: false };
+  }
+  const rise = typeof bin.fanHeatRise === 'number' ? bin.fanHeatRise : FAN_HEAT_RISE;
+  // Warming the air lowers its relative humidity at the same vapour pressure
+  const fanHumidity = humidity * saturationVapourPressure(temperature) / saturationVapourPressure(temperature + rise);
+  const emc = calculateGrainEMC(grain, temperature + rise, fanHumidity);
+  let effect = 'neutral';
+  if (emc < bin.grainMoisture - EMC_DEADBAND) effect = 'drying';
+  else if (emc > bin.grainMoisture + EMC_DEADBAND) effect = 'rewetting';
+
+  const fan = bin.grainMoisture > bin.targetMoisture
+    ? effect === 'drying'
+    : typeof bin.grainTemperature === 'number' &&
+      temperature <= bin.grainTemperature - COOLING_DIFFERENTIAL &&
+      emc <= bin.targetMoisture + EMC_DEADBAND;
+  return { emc, effect, fan };
+}
+
+/**
+ * Natural-air drying and aeration plan for a bin: the EMC of the air the fan would push
+ * (now and for each forecast hour), whether that air dries or rewets the grain, and whether
+ * to run the fan (see evaluateAerationHour).
+ * @param {object} weather - fetchECCCWeather output (current, hourly)
+ * @param {object} bin - { grain, grainMoisture (% wet basis), targetMoisture, grainTemperature (°C), fanHeatRise (°C) }
+ * @returns {object|null} { grain, grainName, mode, grainMoisture, targetMoisture, current, hourly, summary, recommendation },
+ *   or null for an unknown grain or missing grain moisture
+ */
+function calculateAerationPlan(weather, bin = {}) {
+  const grain = String(bin.grain || '').toLowerCase();
+  const properties = grainStorage.grains[grain];
+  if (!properties || typeof bin.grainMoisture !== 'number') return null;
+
+  const grainMoisture = bin.grainMoisture;
+  const targetMoisture = typeof bin.targetMoisture === 'number' ? bin.targetMoisture : properties.storageMoisture;
+  const grainTemperature = typeof bin.grainTemperature === 'number' ? bin.grainTemperature : null;
+  const mode = grainMoisture > targetMoisture ? 'drying' : 'aeration';
+  const state = { grainMoisture, targetMoisture, grainTemperature, fanHeatRise: bin.fanHeatRise };
+
+  const evaluate = (time, temperature, humidity) => {
+    const hour = evaluateAerationHour(grain, { temperature, humidity }, state);
+    return hour.emc === null
+      ? { time, temperature: null, humidity: null, ...hour }
+      : { time, temperature, humidity, ...hour };
+  };
+
+  const current = evaluate(weather.timestamp || null, weather.current?.temperature, weather.current?.humidity);
+  const hourly = (weather.hourly || []).map(h => evaluate(h.time, h.temperature, h.humidity));
+  const summary = {
+    hours: hourly.length,
+    dryingHours: hourly.filter(h => h.effect === 'drying').length,
+    rewettingHours: hourly.filter(h => h.effect === 'rewetting').length,
+    fanHours: hourly.filter(h => h.fan).length,
+    fanOn: hourly.filter(h => h.fan).map(h => h.time)
+  };
+
+  let recommendation;
+  if (mode === 'drying') {
+    recommendation = summary.fanHours > 0
+      ? `Run the fan for the ${summary.fanHours} forecast hour(s) that dry ${properties.name.toLowerCase()} below ${grainMoisture}%; ` +
+        `shut it off for the ${summary.rewettingHours} hour(s) that would rewet it.`
+      : `No forecast hour will dry ${properties.name.toLowerCase()} at ${grainMoisture}%; leave the fan off or add heat.`;
+  } else if (grainTemperature === null) {
+    recommendation = `Grain is at or below the ${targetMoisture}% target. Enter the grain temperature to plan cooling.`;
+  } else {
+    recommendation = summary.fanHours > 0
+      ? `Grain is dry; run the fan for ${summary.fanHours} cool forecast hour(s) to bring it down from ${grainTemperature}°C.`
+      : 'Grain is dry and no forecast hour is cool and dry enough to aerate; leave the fan off.';
   }
 
-  const effectiveTempForRisk = forecastedLow !== null ? forecastedLow : currentTemp - 3; // Fallback rough estimate
+  return { grain, grainName: properties.name, mode, grainMoisture, targetMoisture, current, hourly, summary, recommendation };
+}
+
+const FROST_FORECAST_ERROR = 2;   // °C - typical standard error of an overnight minimum forecast
+const CALM_WIND = 10;             // km/h - below this the air near the ground stops mixing
+const LOW_SPOT_COOLING = { clear: 3, partly: 1.5, cloudy: 0 }; // °C colder in low spots on calm nights
+const FORECAST_WEIGHT = { hourly: 0.85, period: 0.7 };         // vs. climatology
+
+/**
+ * Reads sky cover from an ECCC condition ('Clear', 'A few clouds', 'Mainly cloudy'...).
+ * @returns {'clear'|'partly'|'cloudy'|null}
+ */
+function skyCover(condition) {
+  if (typeof condition !== 'string' || !condition) return null;
+  const c = condition.toLowerCase();
+  if (c.includes('clear') || c.includes('sunny')) return c.includes('cloud') ? 'partly' : 'clear';
+  if (c.includes('few clouds') || c.includes('partly')) return 'partly';
+  return 'cloudy';
+}
+
+/**
+ * Dew point (°C) from temperature and relative humidity (Magnus formula).
+ */
+function calculateDewpoint(temperature, humidity) {
+  if (typeof temperature !== 'number' || typeof humidity !== 'number' || humidity <= 0) return null;
+  const gamma = Math.log(humidity / 100) + (17.62 * temperature) / (243.12 + temperature);
+  return parseFloat(((243.12 * gamma) / (17.62 - gamma)).toFixed(1));
+}
+
+/**
+ * Relative humidity (%) from temperature and dew point (Magnus formula), capped at 100.
+ */
+function calculateRelativeHumidity(temperature, dewpoint) {
+  if (typeof temperature !== 'number' || typeof dewpoint !== 'number' || isNaN(temperature) || isNaN(dewpoint)) return null;
+  const humidity = 100 * Math.exp((17.62 * dewpoint) / (243.12 + dewpoint) - (17.62 * temperature) / (243.12 + temperature));
+  return Math.min(100, Math.round(humidity));
+}
+
+/**
+ * Standard normal cumulative probability (Abramowitz and Stegun 7.1.26).
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+    Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Chance the minimum reaches a threshold, given an estimated minimum and the forecast error.
+ */
+function chanceAtOrBelow(threshold, estimatedMinimum) {
+  return normalCdf((threshold - estimatedMinimum) / FROST_FORECAST_ERROR);
+}
+
+/**
+ * Frost risk for the next night. The hourly forecast gives the minimum and how long the air
+ * stays at or below 0 and -2 °C; on calm clear or partly cloudy nights low spots are taken to
+ * run 1.5-3 °C colder, though not much below the dew point, where dew and frost forming
+ * slows the cooling. The chance of frost blends the forecast (with a 2 °C forecast error)
+ * with the 1991-2020 frost frequency for the date when options.climatology is given. The risk
+ * level follows the low-spot chance, since low spots freeze first. Crops get their own
+ * chance of damage from the stage-specific thresholds in options.crops.
+ * @param {object} weather - fetchECCCWeather output (current, hourly, forecast, sun)
+ * @param {object} [options] - { climatology: calculateFrostProbability output,
+ *   crops: [{ type, variety, stage, damage, severe }] (getFarmCropFrostTolerance) }
+ * @returns {object} { current_temp_C, expected_low_C, tonight_risk_level, probability, estimatedMinimum, dewpoint,
+ *   hoursBelow0, hoursBelowMinus2, frostPeriod, lowSpot, climatology, crops, factors }
+ */
+function calculateFrostRisk(weather, options = {}) {
+  const current = weather.current || {};
+  const currentTemp = current.temperature;
+  const sky = skyCover(current.condition);
+  const dewpoint = typeof current.dewpoint === 'number' && !isNaN(current.dewpoint)
+    ? current.dewpoint
+    : calculateDewpoint(currentTemp, current.humidity);
+
+  const hours = (weather.hourly || []).filter(h => typeof h.temperature === 'number' && !isNaN(h.temperature));
+  const periodLow = parseFloat(weather.forecast?.[0]?.temperature?.low);
+  const hourlyLow = hours.length > 0 ? Math.min(...hours.map(h => h.temperature)) : null;
+  const lows = [hourlyLow, isNaN(periodLow) ? null : periodLow].filter(v => v !== null);
+  const forecastedLow = lows.length > 0 ? parseFloat(Math.min(...lows).toFixed(1)) : null;
+  const estimatedMinimum = forecastedLow !== null ? forecastedLow : currentTemp - 3; // Fallback rough estimate
+
+  // Radiative cooling in low spots, hour by hour where the forecast allows
+  const coolingFor = (condition, windSpeed, time) => {
+    if (typeof windSpeed === 'number' && windSpeed >= CALM_WIND) return 0;
+    if (time && isDaylight(time, weather.sun) === true) return 0;
+    return LOW_SPOT_COOLING[skyCover(condition) || 'cloudy'];
+  };
+  const floorAtDewpoint = (temp, cooled) => (dewpoint === null || cooled >= dewpoint - 1 ? cooled : Math.min(temp, dewpoint - 1));
+  const lowSpotHours = hours.map(h => ({
+    time: h.time,
+    temperature: h.temperature,
+    lowSpot: floorAtDewpoint(h.temperature, h.temperature - coolingFor(h.condition || current.condition, h.windSpeed, h.time))
+  }));
+  const nightCooling = lowSpotHours.length > 0
+    ? Math.max(...lowSpotHours.map(h => h.temperature - h.lowSpot))
+    : coolingFor(current.condition, current.windSpeed, null);
+  const lowSpotMinimum = lowSpotHours.length > 0
+    ? Math.min(...lowSpotHours.map(h => h.lowSpot))
+    : floorAtDewpoint(estimatedMinimum, estimatedMinimum - nightCooling);
+
+  const countAtOrBelow = (key, threshold) => lowSpotHours.filter(h => h[key] <= threshold).length;
+  const frostHours = lowSpotHours.filter(h => h.temperature <= 0);
+
+  // Blend the forecast with climatology for the date
+  const climatology = options.climatology || null;
+  const weight = hours.length > 0 ? FORECAST_WEIGHT.hourly : forecastedLow !== null ? FORECAST_WEIGHT.period : 0;
+  const blend = forecastChance => (climatology
+    ? weight * forecastChance + (1 - weight) * climatology.probability
+    : forecastChance);
+  const probability = blend(chanceAtOrBelow(0, estimatedMinimum));
+  const lowSpotProbability = blend(chanceAtOrBelow(0, lowSpotMinimum));
 
   const risk = {
     current_temp_C: currentTemp,
     expected_low_C: forecastedLow !== null ? forecastedLow : 'Not in immediate forecast',
-    tonight_risk_level: 'LOW',
+    tonight_risk_level: lowSpotProbability >= 0.5 ? 'HIGH' : lowSpotProbability >= 0.2 ? 'MEDIUM' : 'LOW',
+    probability: Math.round(probability * 100),
+    estimatedMinimum: parseFloat(estimatedMinimum.toFixed(1)),
+    dewpoint,
+    hoursBelow0: countAtOrBelow('temperature', 0),
+    hoursBelowMinus2: countAtOrBelow('temperature', -2),
+    frostPeriod: frostHours.length > 0 ? { start: frostHours[0].time, end: frostHours[frostHours.length - 1].time } : null,
+    lowSpot: {
+      minimum: parseFloat(lowSpotMinimum.toFixed(1)),
+      probability: Math.round(lowSpotProbability * 100),
+      hoursBelow0: countAtOrBelow('lowSpot', 0),
+      hoursBelowMinus2: countAtOrBelow('lowSpot', -2)
+    },
+    climatology: climatology ? { probability: Math.round(climatology.probability * 100), period: climatology.period } : null,
+    crops: (options.crops || []).map(crop => assessCropFrost(crop, lowSpotMinimum)),
     factors: []
   };
 
-  if (effectiveTempForRisk <= 0) {
-    risk.tonight_risk_level = 'HIGH';
-    risk.factors.push('Temperature expected to drop to 0°C or below.');
-  } else if (effectiveTempForRisk <= 2) {
-    risk.tonight_risk_level = 'MEDIUM';
+  if (estimatedMinimum <= 0) {
+    risk.factors.push(`Temperature expected to drop to ${risk.estimatedMinimum}°C` +
+      (risk.hoursBelow0 > 0 ? `, with ${risk.hoursBelow0} hour(s) at or below 0°C.` : '.'));
+  } else if (estimatedMinimum <= 2) {
     risk.factors.push('Temperature expected to drop near 0-2°C, light frost possible.');
-  } else if (effectiveTempForRisk <= 4) {
-    risk.tonight_risk_level = 'LOW'; // Still low, but mention it
-     risk.factors.push('Temperatures expected to remain above 2-4°C, but monitor if skies clear.');
+  } else if (estimatedMinimum <= 4) {
+    risk.factors.push('Temperatures expected to remain above 2-4°C, but monitor if skies clear.');
   }
-
-  if (windSpeed < 8 && (condition.includes('clear') || condition.includes('a few clouds'))) {
-    risk.factors.push('Clear skies and light winds increase radiative cooling and frost risk.');
-    if (risk.tonight_risk_level === 'LOW' && effectiveTempForRisk <= 5) risk.tonight_risk_level = 'MEDIUM'; // Bump up risk if conditions are prime
+  if (nightCooling > 0 && lowSpotMinimum < estimatedMinimum && lowSpotMinimum <= 2) {
+    risk.factors.push(`${sky === 'clear' ? 'Clear skies' : 'Breaks in the cloud'} and light winds: low spots could fall to ${risk.lowSpot.minimum}°C.`);
   }
-  
-  if (weather.current.dewpoint && effectiveTempForRisk <= weather.current.dewpoint && effectiveTempForRisk <=2) {
-      risk.factors.push('Temperature may drop to dew point, increasing frost intensity if below freezing.')
+  if (dewpoint !== null && estimatedMinimum <= 2) {
+    risk.factors.push(dewpoint <= estimatedMinimum - 2
+      ? `Dry air (dew point ${dewpoint}°C) lets temperatures keep falling overnight.`
+      : `Dew point ${dewpoint}°C: dew and frost forming will slow cooling near that temperature.`);
+  }
+  if (climatology) {
+    risk.factors.push(`Frost occurs on about ${risk.climatology.probability}% of nights around this date (${climatology.period}).`);
   }
+  risk.crops.filter(c => c.risk !== 'none').forEach(c => risk.factors.push(c.message));
 
   if (risk.factors.length === 0 && risk.tonight_risk_level === 'LOW') {
     risk.factors.push('Currently, frost risk appears low based on available data.');
@@ -191,11 +794,52 @@ function calculateFrostRisk(weather) {
   return risk;
 }
 
+/**
+ * Chance of frost damage for one crop at its current stage, from the low-spot minimum.
+ */
+function assessCropFrost(crop, minimum) {
+  const stage = crop.stage ? `${crop.stage.name} (${crop.stage.code})` : 'an unknown stage';
+  const name = crop.type.charAt(0).toUpperCase() + crop.type.slice(1).replace(/_/g, ' ');
+  const base = { type: crop.type, variety: crop.variety || '', stage: crop.stage || null, damageThreshold: crop.damage, severeThreshold: crop.severe };
+  if (typeof crop.damage !== 'number') {
+    return { ...base, probability: 0, risk: 'none', message: `${name} at ${stage} is past frost damage.` };
+  }
+  const probability = chanceAtOrBelow(crop.damage, minimum);
+  const severe = typeof crop.severe === 'number' && minimum <= crop.severe;
+  let level = 'none';
+  if (severe) level = 'severe';
+  else if (minimum <= crop.damage) level = 'damage';
+  else if (probability >= 0.2) level = 'possible';
+
+  const messages = {
+    severe: `${name} at ${stage}: a minimum near ${parseFloat(minimum.toFixed(1))}°C is below the ${crop.severe}°C severe-damage threshold.`,
+    damage: `${name} at ${stage}: damage likely; the ${crop.damage}°C threshold is forecast to be reached.`,
+    possible: `${name} at ${stage}: ${Math.round(probability * 100)}% chance of reaching the ${crop.damage}°C damage threshold.`,
+    none: `${name} at ${stage}: no frost damage expected.`
+  };
+  return { ...base, probability: Math.round(probability * 100), risk: level, message: messages[level] };
+}
+
 module.exports = {
   calculateGDD,
   calculateCHU,
+  calculateExtraterrestrialRadiation,
+  calculateET0Hargreaves,
+  calculateET0PenmanMonteith,
+  calculateReferenceET,
   calculateSprayConditions,
+  calculateInversionRisk,
   calculateDryingConditions,
+  calculateGrainEMC,
+  calculateEquilibriumHumidity,
+  evaluateAerationHour,
+  calculateAerationPlan,
+  saturationVapourPressure,
   calculateFrostRisk,
-  findBestSprayWindow // Exporting the placeholder
+  calculateDewpoint,
+  calculateRelativeHumidity,
+  findSprayWindows,
+  findBestSprayWindow,
+  isDaylight,
+  DEFAULT_SPRAY_CONSTRAINTS
 };
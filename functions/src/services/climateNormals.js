@@ -0,0 +1,447 @@
+// functions/src/services/climateNormals.js
+const { calculateGDD, calculateCHU } = require('./calculations');
+const { fetchNASADailyHistory, fetchNASAPowerParameters, calendarSlot, toNASADate } = require('./nasa');
+
+/**
+ * 1991-2020 climate normals from NASA POWER daily history, and comparisons of any date
+ * range against them ("is this drier than usual?").
+ */
+
+const NORMALS_START_YEAR = 1991;       // Current WMO standard normals period
+const NORMALS_END_YEAR = 2020;
+const NORMALS_PARAMETERS = ['T2M_MAX', 'T2M_MIN', 'PRECTOTCORR'];
+const GRID_LAT_STEP = 0.5;             // POWER meteorology comes from the MERRA-2 0.5° x 0.625° grid
+const GRID_LNG_STEP = 0.625;
+const SMOOTHING_HALF_WINDOW = 7;       // Daily normals are a 15-day centred mean of the raw means
+const MAX_MISSING_FRACTION = 0.1;      // Years missing more than this of a window are left out
+const FROST_HALF_WINDOW = 7;           // Frost climatology pools the 15 days centred on the date
+const MIDSUMMER_SLOT = 196;            // July 15: frosts before it end spring, frosts from it on start fall
+const FEB_29_SLOT = 59;
+const DAY_MS = 86400000;
+
+// `relative` metrics are accumulations where percent of normal is meaningful
+const METRICS = {
+  precipitation: { unit: 'mm', relative: true, higher: 'wetter than', lower: 'drier than' },
+  temperature: { unit: '°C', relative: false, higher: 'warmer than', lower: 'cooler than' },
+  gdd: { unit: 'GDD', relative: true, higher: 'ahead of', lower: 'behind' },
+  chu: { unit: 'CHU', relative: true, higher: 'ahead of', lower: 'behind' }
+};
+
+const round1 = value => parseFloat(value.toFixed(1));
+
+/**
+ * Snaps a point to the centre of its POWER grid cell, so every farm in a cell shares one
+ * cached 30-year history.
+ * @param {object} coordinates - { lat, lng }
+ * @returns {{ lat: number, lng: number }}
+ */
+function toGridCell(coordinates) {
+  return {
+    lat: parseFloat((Math.round(coordinates.lat / GRID_LAT_STEP) * GRID_LAT_STEP).toFixed(3)),
+    lng: parseFloat((Math.round(coordinates.lng / GRID_LNG_STEP) * GRID_LNG_STEP).toFixed(3))
+  };
+}
+
+/**
+ * Document ID for a point's POWER grid cell, e.g. '50.5_-104.375'.
+ */
+function gridCellId(coordinates) {
+  const cell = toGridCell(coordinates);
+  return `${cell.lat}_${cell.lng}`;
+}
+
+/**
+ * The 1991-2020 daily history for the grid cell containing a point (cached long-term).
+ */
+async function getNormalsHistory(coordinates) {
+  const cell = toGridCell(coordinates);
+  return fetchNASADailyHistory(cell.lat, cell.lng, NORMALS_START_YEAR, NORMALS_END_YEAR, NORMALS_PARAMETERS);
+}
+
+/**
+ * Totals for a run of daily rows. Temperature is the mean of the daily (max + min) / 2;
+ * everything else is summed. Missing values are skipped.
+ * @param {Array<object>} rows - [{ tMax, tMin, precipitation }]
+ * @param {number} [gddBase=5]
+ * @returns {{ precipitation: number|null, temperature: number|null, gdd: number|null, chu: number|null, days: number }}
+ */
+function summarizeDailyRows(rows, gddBase = 5) {
+  let precipitation = 0;
+  let precipDays = 0;
+  let temperatureSum = 0;
+  let gdd = 0;
+  let chu = 0;
+  let tempDays = 0;
+  rows.forEach(row => {
+    if (typeof row.precipitation === 'number') {
+      precipitation += row.precipitation;
+      precipDays++;
+    }
+    if (typeof row.tMax === 'number' && typeof row.tMin === 'number') {
+      temperatureSum += (row.tMax + row.tMin) / 2;
+      gdd += calculateGDD(row.tMax, row.tMin, gddBase);
+      chu += calculateCHU(row.tMax, row.tMin);
+      tempDays++;
+    }
+  });
+  return {
+    precipitation: precipDays > 0 ? round1(precipitation) : null,
+    temperature: tempDays > 0 ? round1(temperatureSum / tempDays) : null,
+    gdd: tempDays > 0 ? round1(gdd) : null,
+    chu: tempDays > 0 ? round1(chu) : null,
+    days: rows.length
+  };
+}
+
+/**
+ * Totals for the same calendar window in every normals year. A window that crosses New
+ * Year reads the following year for its later days; a Feb 29 is skipped in common years.
+ * @param {object} history - fetchNASADailyHistory output
+ * @param {Array<string>} dates - 'YYYY-MM-DD', ascending
+ * @param {number} [gddBase=5]
+ * @returns {Array<object>} [{ year, precipitation, temperature, gdd, chu, days }]
+ */
+function calculateWindowDistribution(history, dates, gddBase = 5) {
+  if (!history?.years || dates.length === 0) return [];
+  const firstYear = parseInt(dates[0].substring(0, 4), 10);
+  const samples = [];
+
+  for (let year = history.period.startYear; year <= history.period.endYear; year++) {
+    const rows = [];
+    let missing = 0;
+    let complete = true;
+    for (const date of dates) {
+      const yearData = history.years[year + parseInt(date.substring(0, 4), 10) - firstYear];
+      if (!yearData) {
+        complete = false; // Window runs past the end of the normals period
+        break;
+      }
+      const slot = calendarSlot(date);
+      const row = { tMax: yearData.T2M_MAX[slot], tMin: yearData.T2M_MIN[slot], precipitation: yearData.PRECTOTCORR[slot] };
+      if (slot === FEB_29_SLOT && row.tMax === null && row.precipitation === null) continue;
+      if (row.tMax === null || row.tMin === null || row.precipitation === null) missing++;
+      rows.push(row);
+    }
+    if (complete && rows.length > 0 && missing <= rows.length * MAX_MISSING_FRACTION) {
+      samples.push({ year, ...summarizeDailyRows(rows, gddBase) });
+    }
+  }
+  return samples;
+}
+
+/**
+ * Share of samples below the value, counting ties as half (0-100).
+ */
+function percentileRank(value, samples) {
+  if (samples.length === 0) return null;
+  const below = samples.filter(v => v < value).length;
+  const equal = samples.filter(v => v === value).length;
+  return Math.round(((below + equal / 2) / samples.length) * 100);
+}
+
+/**
+ * Tercile-style category for a percentile rank, as used in seasonal outlooks.
+ */
+function classifyPercentile(rank) {
+  if (rank === null) return null;
+  if (rank < 10) return 'much below normal';
+  if (rank < 33) return 'below normal';
+  if (rank <= 67) return 'near normal';
+  if (rank <= 90) return 'above normal';
+  return 'much above normal';
+}
+
+/**
+ * Compares actual totals with the normals-period distribution for the same window.
+ * @param {object} actual - summarizeDailyRows-style totals
+ * @param {Array<object>} distribution - calculateWindowDistribution output
+ * @returns {object} { precipitation|temperature|gdd|chu: { actual, normal, anomaly, percentOfNormal, percentileRank, category, unit } | null }
+ */
+function compareToNormals(actual, distribution) {
+  const comparison = {};
+  Object.entries(METRICS).forEach(([metric, meta]) => {
+    const values = distribution.map(s => s[metric]).filter(v => typeof v === 'number');
+    const value = actual?.[metric];
+    if (typeof value !== 'number' || values.length === 0) {
+      comparison[metric] = null;
+      return;
+    }
+    const normal = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const rank = percentileRank(value, values);
+    comparison[metric] = {
+      actual: value,
+      normal: round1(normal),
+      anomaly: round1(value - normal),
+      percentOfNormal: meta.relative && normal > 0 ? Math.round((value / normal) * 100) : null,
+      percentileRank: rank,
+      category: classifyPercentile(rank),
+      unit: meta.unit
+    };
+  });
+  return comparison;
+}
+
+/**
+ * Plain-language lines for dashboards and insights, e.g.
+ * "Precipitation is 62% of normal (81 mm vs 131 mm), drier than 83% of years."
+ */
+function describeComparison(comparison) {
+  const lines = [];
+  const direction = (metric, rank) => (rank >= 50
+    ? `${METRICS[metric].higher} ${rank}% of years`
+    : `${METRICS[metric].lower} ${100 - rank}% of years`);
+
+  const precip = comparison.precipitation;
+  if (precip && precip.percentOfNormal !== null) {
+    lines.push(`Precipitation is ${precip.percentOfNormal}% of normal (${Math.round(precip.actual)} mm vs ${Math.round(precip.normal)} mm), ${direction('precipitation', precip.percentileRank)}.`);
+  }
+  const temp = comparison.temperature;
+  if (temp) {
+    const side = temp.anomaly >= 0 ? 'above' : 'below';
+    lines.push(`Mean temperature is ${Math.abs(temp.anomaly).toFixed(1)} °C ${side} normal, ${direction('temperature', temp.percentileRank)}.`);
+  }
+  const gdd = comparison.gdd;
+  if (gdd && gdd.percentOfNormal !== null) {
+    lines.push(`Growing degree days are ${gdd.percentOfNormal}% of normal (${Math.round(gdd.actual)} vs ${Math.round(gdd.normal)}), ${direction('gdd', gdd.percentileRank)}.`);
+  }
+  return lines;
+}
+
+/**
+ * Per-day-of-year 1991-2020 normals (366 days, Feb 29 included) for precipitation, mean
+ * temperature, GDD and CHU, smoothed with a 15-day centred mean.
+ * @param {object} coordinates - { lat, lng }
+ * @param {object} [options] - { gddBase = 5 }
+ * @returns {Promise<object>} { location, period, gddBase, days: [{ monthDay, precipitation, temperature, gdd, chu }] }
+ */
+async function getClimateNormals(coordinates, options = {}) {
+  const gddBase = typeof options.gddBase === 'number' ? options.gddBase : 5;
+  const history = await getNormalsHistory(coordinates);
+  return {
+    location: { lat: coordinates.lat, lng: coordinates.lng, gridCell: toGridCell(coordinates) },
+    period: `${NORMALS_START_YEAR}-${NORMALS_END_YEAR}`,
+    gddBase,
+    days: calculateDailyNormals(history, gddBase),
+    source: 'NASA POWER'
+  };
+}
+
+/**
+ * Raw per-slot means across years, then circularly smoothed.
+ */
+function calculateDailyNormals(history, gddBase = 5) {
+  const slots = Array.from({ length: 366 }, () => ({ precipitation: [], temperature: [], gdd: [], chu: [] }));
+  Object.values(history.years).forEach(yearData => {
+    slots.forEach((slot, i) => {
+      const tMax = yearData.T2M_MAX[i];
+      const tMin = yearData.T2M_MIN[i];
+      const precip = yearData.PRECTOTCORR[i];
+      if (typeof precip === 'number') slot.precipitation.push(precip);
+      if (typeof tMax === 'number' && typeof tMin === 'number') {
+        slot.temperature.push((tMax + tMin) / 2);
+        slot.gdd.push(calculateGDD(tMax, tMin, gddBase));
+        slot.chu.push(calculateCHU(tMax, tMin));
+      }
+    });
+  });
+  const mean = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+  const raw = slots.map(slot => ({
+    precipitation: mean(slot.precipitation),
+    temperature: mean(slot.temperature),
+    gdd: mean(slot.gdd),
+    chu: mean(slot.chu)
+  }));
+
+  const smooth = (i, key) => {
+    const window = [];
+    for (let offset = -SMOOTHING_HALF_WINDOW; offset <= SMOOTHING_HALF_WINDOW; offset++) {
+      const value = raw[(i + offset + raw.length) % raw.length][key];
+      if (value !== null) window.push(value);
+    }
+    const value = mean(window);
+    return value === null ? null : parseFloat(value.toFixed(2));
+  };
+
+  return raw.map((_, i) => ({
+    monthDay: new Date(Date.UTC(2000, 0, 1) + i * DAY_MS).toISOString().slice(5, 10),
+    precipitation: smooth(i, 'precipitation'),
+    temperature: smooth(i, 'temperature'),
+    gdd: smooth(i, 'gdd'),
+    chu: smooth(i, 'chu')
+  }));
+}
+
+/**
+ * Climatological chance of frost on a date: the share of 1991-2020 days within a week either
+ * side whose minimum fell to the threshold or below. POWER minima are grid-cell averages, so
+ * low spots frost more often than this.
+ * @param {object} history - getNormalsHistory output
+ * @param {string} date - 'YYYY-MM-DD' (only the month and day are used)
+ * @param {number} [threshold=0] - °C
+ * @returns {{ probability: number, threshold: number, samples: number, period: string }|null} null without data
+ */
+function calculateFrostProbability(history, date, threshold = 0) {
+  return frostFrequencyAt(history, calendarSlot(date), threshold);
+}
+
+/**
+ * Share of frost nights in the fortnight around a calendar slot, across the normals years.
+ */
+function frostFrequencyAt(history, centre, threshold) {
+  let frosts = 0;
+  let samples = 0;
+  Object.values(history.years).forEach(yearData => {
+    for (let offset = -FROST_HALF_WINDOW; offset <= FROST_HALF_WINDOW; offset++) {
+      const tMin = yearData.T2M_MIN[(centre + offset + 366) % 366];
+      if (typeof tMin !== 'number') continue;
+      samples++;
+      if (tMin <= threshold) frosts++;
+    }
+  });
+  if (samples === 0) return null;
+  return {
+    probability: parseFloat((frosts / samples).toFixed(2)),
+    threshold,
+    samples,
+    period: `${NORMALS_START_YEAR}-${NORMALS_END_YEAR}`
+  };
+}
+
+/**
+ * calculateFrostProbability for every calendar day, small enough to store per grid cell so
+ * requests can look the day up instead of loading the 30-year history.
+ * @param {object} history - getNormalsHistory output
+ * @param {number} [threshold=0] - °C
+ * @returns {{ probabilities: Array<number|null>, threshold: number, period: string }} probabilities
+ *   by calendar slot (0 = Jan 1, 59 = Feb 29)
+ */
+function calculateFrostProbabilityTable(history, threshold = 0) {
+  return {
+    probabilities: Array.from({ length: 366 }, (_, slot) => frostFrequencyAt(history, slot, threshold)?.probability ?? null),
+    threshold,
+    period: `${NORMALS_START_YEAR}-${NORMALS_END_YEAR}`
+  };
+}
+
+/**
+ * A date's frost probability from a stored calculateFrostProbabilityTable, shaped like
+ * calculateFrostProbability output (without samples). null when the table has no value.
+ * @param {object|null} table - calculateFrostProbabilityTable output
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {{ probability: number, threshold: number, period: string }|null}
+ */
+function lookupFrostProbability(table, date) {
+  const probability = table?.probabilities?.[calendarSlot(date)];
+  if (typeof probability !== 'number') return null;
+  return { probability, threshold: table.threshold, period: table.period };
+}
+
+/**
+ * Median 1991-2020 last spring and first fall frost dates and frost-free period. Each year's
+ * last spring frost is its last minimum at or below the threshold before July 15, and its
+ * first fall frost the first one from July 15 on. Years missing either side are left out of
+ * that side.
+ * @param {object} history - getNormalsHistory output
+ * @param {number} [threshold=0] - °C
+ * @returns {{ lastSpringFrost: string|null, firstFallFrost: string|null, frostFreeDays: number|null,
+ *   threshold: number, years: number, period: string }} Dates as 'MM-DD'
+ */
+function calculateFrostDateNormals(history, threshold = 0) {
+  const spring = [];
+  const fall = [];
+  const frostFree = [];
+  Object.values(history.years).forEach(yearData => {
+    const frosts = yearData.T2M_MIN
+      .map((tMin, slot) => (typeof tMin === 'number' && tMin <= threshold ? slot : null))
+      .filter(slot => slot !== null);
+    const last = frosts.filter(slot => slot < MIDSUMMER_SLOT).pop();
+    const first = frosts.find(slot => slot >= MIDSUMMER_SLOT);
+    if (last !== undefined) spring.push(last);
+    if (first !== undefined) fall.push(first);
+    if (last !== undefined && first !== undefined) frostFree.push(first - last - 1);
+  });
+
+  const median = values => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return Math.round(sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2);
+  };
+  const toMonthDay = slot => (slot === null ? null : new Date(Date.UTC(2000, 0, 1) + slot * DAY_MS).toISOString().slice(5, 10));
+
+  return {
+    lastSpringFrost: toMonthDay(median(spring)),
+    firstFallFrost: toMonthDay(median(fall)),
+    frostFreeDays: median(frostFree),
+    threshold,
+    years: frostFree.length,
+    period: `${NORMALS_START_YEAR}-${NORMALS_END_YEAR}`
+  };
+}
+
+/**
+ * Actual vs. normal for a date range at a location: totals, anomaly, percent of normal and
+ * percentile rank against 1991-2020. Days NASA POWER hasn't published yet are left out of
+ * both sides so partial ranges still compare like with like.
+ * @param {object} coordinates - { lat, lng }
+ * @param {string} startDate - 'YYYY-MM-DD'
+ * @param {string} endDate - 'YYYY-MM-DD'
+ * @param {object} [options] - { gddBase = 5 }
+ * @returns {Promise<object>} { location, period, gddBase, comparison, summary, normalsPeriod, yearsCompared }
+ */
+async function getClimateAnomaly(coordinates, startDate, endDate, options = {}) {
+  if (startDate > endDate) {
+    throw new Error('Start date must be on or before end date.');
+  }
+  const gddBase = typeof options.gddBase === 'number' ? options.gddBase : 5;
+  const cell = toGridCell(coordinates);
+
+  const [actualData, history] = await Promise.all([
+    fetchNASAPowerParameters(cell.lat, cell.lng, toNASADate(new Date(startDate)), toNASADate(new Date(endDate)), NORMALS_PARAMETERS),
+    getNormalsHistory(coordinates)
+  ]);
+
+  const rows = actualData.daily
+    .filter(d => d.date >= startDate && d.date <= endDate)
+    .map(d => ({ date: d.date, tMax: d.T2M_MAX, tMin: d.T2M_MIN, precipitation: d.PRECTOTCORR }));
+  const available = rows.filter(r => r.tMax !== null && r.tMin !== null && r.precipitation !== null);
+  const distribution = calculateWindowDistribution(history, available.map(r => r.date), gddBase);
+  const comparison = compareToNormals(summarizeDailyRows(available, gddBase), distribution);
+
+  return {
+    location: { lat: coordinates.lat, lng: coordinates.lng, gridCell: cell },
+    period: {
+      start: startDate,
+      end: endDate,
+      daysCompared: available.length,
+      missingDays: rows.filter(r => !available.includes(r)).map(r => r.date)
+    },
+    gddBase,
+    comparison,
+    summary: describeComparison(comparison),
+    normalsPeriod: `${NORMALS_START_YEAR}-${NORMALS_END_YEAR}`,
+    yearsCompared: distribution.length,
+    source: 'NASA POWER',
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  getClimateNormals,
+  getClimateAnomaly,
+  getNormalsHistory,
+  calculateDailyNormals,
+  calculateFrostProbability,
+  calculateFrostProbabilityTable,
+  lookupFrostProbability,
+  calculateFrostDateNormals,
+  calculateWindowDistribution,
+  summarizeDailyRows,
+  compareToNormals,
+  describeComparison,
+  percentileRank,
+  toGridCell,
+  gridCellId,
+  NORMALS_START_YEAR,
+  NORMALS_END_YEAR
+};
@@ -0,0 +1,347 @@
+// functions/src/services/crops/growthStages.js
+const admin = require('firebase-admin');
+const { calculateGDD, calculateCHU } = require('../calculations');
+const { calendarSlot } = require('../nasa');
+const { getSeasonToDate } = require('../seasonAccumulation');
+const { getNormalsHistory, calculateDailyNormals } = require('../climateNormals');
+const { getFarmStation } = require('../location/stationSelectionService');
+const cropModels = require('../../data/cropModels.json');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const RECENT_RATE_DAYS = 7;       // Fallback projection rate when normals are unavailable
+const MAX_PROJECTION_DAYS = 200;  // Past this the stage isn't reached before freeze-up
+const DAY_MS = 86400000;
+
+function addDays(dateString, days) {
+  return new Date(Date.parse(dateString) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function toDateString(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * The development model for a crop type (as validated by processCropData), or null.
+ * @param {string} cropType - e.g. 'wheat', 'canola', 'corn'
+ * @returns {object|null} { type, name, heatUnit: 'GDD'|'CHU', baseTemp, scale, stages: [{ code, name, units }], note }
+ */
+function getCropModel(cropType) {
+  const model = cropModels.crops[String(cropType || '').toLowerCase()];
+  return model ? { type: String(cropType).toLowerCase(), ...model } : null;
+}
+
+/**
+ * One day's heat units for a crop: CHU for corn, GDD at the crop's base otherwise.
+ */
+function dailyHeatUnits(model, tMax, tMin) {
+  return model.heatUnit === 'CHU' ? calculateCHU(tMax, tMin) : calculateGDD(tMax, tMin, model.baseTemp);
+}
+
+/**
+ * Heat units accumulated since seeding from daily max/min rows.
+ * @param {object} model - getCropModel output
+ * @param {Array<object>} daily - [{ date, tMax, tMin }] (season-to-date daily rows)
+ * @param {string} plantingDate - 'YYYY-MM-DD'
+ * @returns {{ total: number, days: number, recentRate: number|null }}
+ */
+function accumulateHeatUnits(model, daily, plantingDate) {
+  const values = daily
+    .filter(d => d.date >= plantingDate && d.tMax !== null && d.tMin !== null)
+    .map(d => dailyHeatUnits(model, d.tMax, d.tMin));
+  const recent = values.slice(-RECENT_RATE_DAYS);
+  return {
+    total: parseFloat(values.reduce((sum, v) => sum + v, 0).toFixed(1)),
+    days: values.length,
+    recentRate: recent.length > 0 ? recent.reduce((sum, v) => sum + v, 0) / recent.length : null
+  };
+}
+
+/**
+ * FAO-56 crop coefficient (Kc) for a crop at a given heat-unit total since seeding. Kc holds
+ * at its initial value until the development stage, rises linearly to the mid-season value,
+ * holds through mid-season and falls linearly to the end value at maturity.
+ * @param {string} cropType
+ * @param {number} heatUnits - Accumulated since seeding
+ * @returns {{ kc: number, period: 'initial'|'development'|'mid'|'late' }|null} null without a model
+ */
+function cropCoefficient(cropType, heatUnits) {
+  const model = getCropModel(cropType);
+  if (!model || !model.kc) return null;
+
+  const { kc, stages } = model;
+  const unitsAt = code => stages.find(stage => stage.code === code).units;
+  const developmentStart = unitsAt(kc.developmentStart);
+  const midStart = unitsAt(kc.midStart);
+  const lateStart = unitsAt(kc.lateStart);
+  const maturity = stages[stages.length - 1].units;
+  const interpolate = (from, to, start, end) => from + (to - from) * Math.min(1, (heatUnits - start) / (end - start));
+
+  let value;
+  let period;
+  if (heatUnits < developmentStart) {
+    value = kc.initial;
+    period = 'initial';
+  } else if (heatUnits < midStart) {
+    value = interpolate(kc.initial, kc.mid, developmentStart, midStart);
+    period = 'development';
+  } else if (heatUnits < lateStart) {
+    value = kc.mid;
+    period = 'mid';
+  } else {
+    value = interpolate(kc.mid, kc.end, lateStart, maturity);
+    period = 'late';
+  }
+  return { kc: parseFloat(value.toFixed(2)), period };
+}
+
+/**
+ * Frost tolerance of a crop at a growth stage: the temperatures (°C) at which damage starts
+ * and becomes severe.
+ * @param {string} cropType
+ * @param {string} stageCode - e.g. 'Z55', 'BBCH 14' (growthStage.code)
+ * @returns {{ from: string, damage: number|null, severe: number|null }|null} null without a model
+ *   or when the stage isn't one of the crop's
+ */
+function getFrostTolerance(cropType, stageCode) {
+  const model = getCropModel(cropType);
+  if (!model || !model.frost) return null;
+  const codes = model.stages.map(stage => stage.code);
+  const index = codes.indexOf(stageCode);
+  if (index === -1) return null;
+  const applicable = model.frost.filter(entry => codes.indexOf(entry.from) <= index);
+  return { ...(applicable[applicable.length - 1] || model.frost[0]) };
+}
+
+/**
+ * The farmer's crops with the frost tolerance of their last predicted growth stage
+ * (see updateFarmCropStages), for crop-specific frost risk. Only crops with a stage
+ * predicted this season are included; unseeded, unmodelled and mature crops are left out.
+ * @param {string} farmerId - The UID of the farmer.
+ * @returns {Promise<Array<object>>} [{ type, variety, stage: { code, name }, damage, severe }]
+ */
+async function getFarmCropFrostTolerance(farmerId) {
+  const farmerDoc = await admin.firestore().collection('farmers').doc(farmerId).get();
+  if (!farmerDoc.exists) return [];
+  const season = String(new Date().getUTCFullYear());
+  return (farmerDoc.data().farmDetails?.crops || [])
+    .map(crop => {
+      const growthStage = crop.growthStage;
+      const inSeason = growthStage?.status === 'ok' && !growthStage.maturityReached &&
+        String(growthStage.asOf || '').startsWith(season);
+      if (!inSeason) return null;
+      const tolerance = getFrostTolerance(crop.type, growthStage.code);
+      return tolerance && {
+        type: crop.type,
+        variety: crop.variety || '',
+        stage: { code: growthStage.code, name: growthStage.name },
+        damage: tolerance.damage,
+        severe: tolerance.severe
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Walks forward day by day until the expected heat units cover what's needed.
+ * @param {number} unitsNeeded
+ * @param {string} fromDate - Last day with data ('YYYY-MM-DD'); projection starts the day after
+ * @param {function(string): number} rateForDate - Expected heat units on a date
+ * @returns {string|null} Estimated date, or null if not reached within MAX_PROJECTION_DAYS
+ */
+function projectDate(unitsNeeded, fromDate, rateForDate) {
+  if (unitsNeeded <= 0) return fromDate;
+  let remaining = unitsNeeded;
+  for (let day = 1; day <= MAX_PROJECTION_DAYS; day++) {
+    const date = addDays(fromDate, day);
+    remaining -= Math.max(0, rateForDate(date) || 0);
+    if (remaining <= 0) return date;
+  }
+  return null;
+}
+
+/**
+ * Maps accumulated heat units to the crop's current stage and projects the next stage and
+ * maturity. Projections use daily climate normals when given, else the recent daily rate.
+ * @param {string} cropType
+ * @param {number} heatUnits - Accumulated since seeding
+ * @param {object} options - { asOf: 'YYYY-MM-DD', normals: calculateDailyNormals output, recentRate }
+ * @returns {object|null} { crop, scale, heatUnit, baseTemp, heatUnits, asOf, current, nextStage, maturity, progressPct, note }
+ */
+function predictGrowthStage(cropType, heatUnits, options = {}) {
+  const model = getCropModel(cropType);
+  if (!model) return null;
+
+  const stages = model.stages;
+  const currentIndex = stages.reduce((found, stage, i) => (heatUnits >= stage.units ? i : found), 0);
+  const current = stages[currentIndex];
+  const next = stages[currentIndex + 1] || null;
+  const maturity = stages[stages.length - 1];
+
+  const key = model.heatUnit === 'CHU' ? 'chu' : 'gdd';
+  const rateForDate = options.normals
+    ? date => options.normals[calendarSlot(date)]?.[key]
+    : () => options.recentRate;
+  const canProject = Boolean(options.asOf) && (Boolean(options.normals) || options.recentRate > 0);
+  const estimate = units => (canProject ? projectDate(units - heatUnits, options.asOf, rateForDate) : null);
+
+  return {
+    crop: model.type,
+    cropName: model.name,
+    scale: model.scale,
+    heatUnit: model.heatUnit,
+    baseTemp: model.heatUnit === 'CHU' ? null : model.baseTemp,
+    heatUnits,
+    asOf: options.asOf || null,
+    current: { code: current.code, name: current.name, units: current.units },
+    nextStage: next
+      ? { code: next.code, name: next.name, units: next.units, unitsRemaining: parseFloat((next.units - heatUnits).toFixed(1)), estimatedDate: estimate(next.units) }
+      : null,
+    maturity: {
+      code: maturity.code,
+      name: maturity.name,
+      units: maturity.units,
+      reached: heatUnits >= maturity.units,
+      estimatedDate: heatUnits >= maturity.units ? null : estimate(maturity.units)
+    },
+    progressPct: Math.min(100, Math.round((heatUnits / maturity.units) * 100)),
+    projectionBasis: canProject ? (options.normals ? '1991-2020 daily normals' : `last ${RECENT_RATE_DAYS} days`) : null,
+    note: model.note || null
+  };
+}
+
+/**
+ * Works out the current growth stage and projected maturity of each crop in a farmer's
+ * profile and stores them on the crops (farmDetails.crops[i].growthStage). Crops without a
+ * seeding date this season, or without a model, get a status explaining why. The stages are
+ * merged onto the crops in a transaction, so edits made meanwhile aren't overwritten.
+ * @param {string} farmerId - The UID of the farmer.
+ * @returns {Promise<Array<object>>} [{ type, variety, plantingDate, growthStage }]
+ */
+async function updateFarmCropStages(farmerId) {
+  if (!farmerId) {
+    throw new Error('Farmer ID is required to predict growth stages.');
+  }
+  const db = admin.firestore();
+  const farmerRef = db.collection('farmers').doc(farmerId);
+  const farmerDoc = await farmerRef.get();
+  if (!farmerDoc.exists) {
+    throw new Error('Farmer profile not found.');
+  }
+  const farmer = farmerDoc.data();
+  const coordinates = farmer.location?.coordinates;
+  if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+    throw new Error('Farm location is not set; add coordinates or a land description first.');
+  }
+
+  const crops = farmer.farmDetails?.crops || [];
+  const season = String(new Date().getUTCFullYear());
+  const seeded = crops
+    .filter(crop => getCropModel(crop.type))
+    .map(crop => toDateString(crop.plantingDate))
+    .filter(date => date && date.startsWith(season))
+    .sort();
+
+  let daily = [];
+  let asOf = null;
+  let normalsHistory = null;
+  if (seeded.length > 0) {
+    const [seasonData, history] = await Promise.all([
+      getSeasonToDate(coordinates, { startDate: seeded[0], station: getFarmStation(farmer.location?.derived) }),
+      getNormalsHistory(coordinates).catch(error => {
+        console.warn('Growth stages: normals unavailable, projecting from recent weather:', error.message);
+        return null;
+      })
+    ]);
+    daily = seasonData.daily;
+    asOf = [...daily].reverse().find(d => d.tMax !== null)?.date || null;
+    normalsHistory = history;
+  }
+
+  const normalsByBase = new Map();
+  const normalsFor = model => {
+    if (!normalsHistory) return null;
+    const base = model.heatUnit === 'CHU' ? 'CHU' : model.baseTemp;
+    if (!normalsByBase.has(base)) {
+      normalsByBase.set(base, calculateDailyNormals(normalsHistory, model.heatUnit === 'CHU' ? 5 : model.baseTemp));
+    }
+    return normalsByBase.get(base);
+  };
+
+  const updatedAt = new Date().toISOString(); // serverTimestamp() isn't allowed inside arrays
+  const stageFor = crop => {
+    const model = getCropModel(crop.type);
+    const plantingDate = toDateString(crop.plantingDate);
+    let growthStage;
+    if (!model) {
+      growthStage = { status: 'no_model', updatedAt };
+    } else if (!plantingDate || !plantingDate.startsWith(season)) {
+      growthStage = { status: 'no_planting_date', updatedAt };
+    } else {
+      const accumulated = accumulateHeatUnits(model, daily, plantingDate);
+      const prediction = predictGrowthStage(crop.type, accumulated.total, {
+        asOf,
+        normals: normalsFor(model),
+        recentRate: accumulated.recentRate
+      });
+      growthStage = {
+        status: 'ok',
+        scale: prediction.scale,
+        heatUnit: prediction.heatUnit,
+        baseTemp: prediction.baseTemp,
+        heatUnits: prediction.heatUnits,
+        asOf: prediction.asOf,
+        code: prediction.current.code,
+        name: prediction.current.name,
+        nextStage: prediction.nextStage,
+        maturityReached: prediction.maturity.reached,
+        projectedMaturity: prediction.maturity.estimatedDate,
+        progressPct: prediction.progressPct,
+        projectionBasis: prediction.projectionBasis,
+        updatedAt
+      };
+    }
+    return growthStage;
+  };
+  const cropKey = crop => `${getCropModel(crop.type)?.type || crop.type}_${toDateString(crop.plantingDate)}`;
+  const stages = new Map(crops.map(crop => [cropKey(crop), stageFor(crop)]));
+
+  // The crops may have been edited while the weather was fetched: merge the stages onto the
+  // current list, leaving crops added or re-dated since then for the next run
+  const updatedCrops = await db.runTransaction(async (transaction) => {
+    const currentDoc = await transaction.get(farmerRef);
+    if (!currentDoc.exists) {
+      throw new Error('Farmer profile not found.');
+    }
+    const merged = (currentDoc.data().farmDetails?.crops || []).map(crop => (
+      stages.has(cropKey(crop)) ? { ...crop, growthStage: stages.get(cropKey(crop)) } : crop
+    ));
+    transaction.update(farmerRef, { 'farmDetails.crops': merged });
+    return merged;
+  });
+  console.log(`Updated growth stages for ${updatedCrops.length} crop(s) for farmer ${farmerId}.`);
+
+  return updatedCrops.map(crop => ({
+    type: crop.type,
+    variety: crop.variety || '',
+    plantingDate: toDateString(crop.plantingDate),
+    growthStage: crop.growthStage || null
+  }));
+}
+
+module.exports = {
+  getCropModel,
+  dailyHeatUnits,
+  accumulateHeatUnits,
+  cropCoefficient,
+  getFrostTolerance,
+  getFarmCropFrostTolerance,
+  projectDate,
+  predictGrowthStage,
+  updateFarmCropStages
+};
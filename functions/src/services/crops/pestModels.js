@@ -0,0 +1,178 @@
+// functions/src/services/crops/pestModels.js
+const admin = require('firebase-admin');
+const { calculateGDD } = require('../calculations');
+const { calendarSlot } = require('../nasa');
+const { getSeasonToDate } = require('../seasonAccumulation');
+const { getNormalsHistory, calculateDailyNormals } = require('../climateNormals');
+const { getFarmStation } = require('../location/stationSelectionService');
+const { projectDate } = require('./growthStages');
+const pestModels = require('../../data/pestModels.json');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const round1 = value => parseFloat(value.toFixed(1));
+
+/**
+ * The degree-day model for a pest, or null.
+ * @param {string} pestKey - e.g. 'wheat_midge', 'bertha_armyworm'
+ * @returns {object|null} { key, name, scientificName, baseTemp, startDate, stage, hosts, curve, scoutAt, scouting, generationUnits }
+ */
+function getPestModel(pestKey) {
+  const model = pestModels.pests[pestKey];
+  return model ? { key: pestKey, ...model } : null;
+}
+
+/**
+ * Percent of the population through the modelled stage, interpolated along the emergence curve.
+ * @param {Array<Array<number>>} curve - [[degree days, percent], ...] in ascending order
+ * @param {number} degreeDays
+ * @returns {number} Whole percent, 0-100
+ */
+function percentEmerged(curve, degreeDays) {
+  if (degreeDays <= curve[0][0]) return curve[0][1];
+  for (let i = 1; i < curve.length; i++) {
+    const [units, pct] = curve[i];
+    if (degreeDays <= units) {
+      const [prevUnits, prevPct] = curve[i - 1];
+      return Math.round(prevPct + (pct - prevPct) * (degreeDays - prevUnits) / (units - prevUnits));
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+/**
+ * Degree days for a pest from its start date, with the date each running total was reached.
+ * @param {object} model - getPestModel output
+ * @param {Array<object>} daily - [{ date, tMax, tMin }] (season-to-date daily rows)
+ * @param {string} season - 'YYYY'
+ * @returns {{ total: number, cumulative: Array<{ date: string, degreeDays: number }> }}
+ */
+function accumulatePestDegreeDays(model, daily, season) {
+  const startDate = `${season}-${model.startDate}`;
+  let total = 0;
+  const cumulative = daily
+    .filter(d => d.date >= startDate && d.tMax !== null && d.tMin !== null)
+    .map(d => {
+      total += calculateGDD(d.tMax, d.tMin, model.baseTemp);
+      return { date: d.date, degreeDays: total };
+    });
+  return { total: round1(total), cumulative };
+}
+
+/**
+ * Where a pest is in its season: degree days, percent emerged and when scouting should start.
+ * A scouting date not yet reached is projected from daily climate normals when given.
+ * @param {string} pestKey
+ * @param {Array<object>} daily - [{ date, tMax, tMin }] covering the pest's start date onward
+ * @param {object} options - { season: 'YYYY', asOf: 'YYYY-MM-DD', normals: calculateDailyNormals output at the pest's base }
+ * @returns {object|null} { pest, name, scientificName, stage, baseTemp, degreeDays, percentEmerged, scouting, hosts, generations }
+ */
+function evaluatePest(pestKey, daily, options = {}) {
+  const model = getPestModel(pestKey);
+  if (!model) return null;
+
+  const season = options.season || String(new Date().getUTCFullYear());
+  const { total, cumulative } = accumulatePestDegreeDays(model, daily, season);
+  const reachedOn = cumulative.find(d => d.degreeDays >= model.scoutAt)?.date || null;
+
+  let startDate = reachedOn;
+  let basis = reachedOn ? 'observed' : null;
+  if (!reachedOn && options.asOf && options.normals) {
+    startDate = projectDate(model.scoutAt - total, options.asOf, date => options.normals[calendarSlot(date)]?.gdd);
+    basis = startDate ? '1991-2020 daily normals' : null;
+  }
+  const active = total >= model.scoutAt;
+
+  return {
+    pest: model.key,
+    name: model.name,
+    scientificName: model.scientificName,
+    stage: model.stage,
+    baseTemp: model.baseTemp,
+    degreeDays: total,
+    percentEmerged: percentEmerged(model.curve, total),
+    scouting: {
+      startUnits: model.scoutAt,
+      unitsRemaining: active ? 0 : round1(model.scoutAt - total),
+      status: active ? 'active' : 'upcoming',
+      startDate,
+      basis,
+      advice: model.scouting
+    },
+    hosts: model.hosts,
+    generations: model.generationUnits ? round1(total / model.generationUnits) : null
+  };
+}
+
+/**
+ * Runs every pest model for a farmer's location and stores the results in
+ * farmerStats/{uid}.pestModels, where alerts pick them up. Pests are flagged relevant when
+ * one of the farm's crops is a host.
+ * @param {string} farmerId - The UID of the farmer.
+ * @returns {Promise<object>} { season, asOf, pests: [evaluatePest output plus crops and relevant] }
+ */
+async function updateFarmPestModels(farmerId) {
+  if (!farmerId) {
+    throw new Error('Farmer ID is required to run pest models.');
+  }
+  const db = admin.firestore();
+  const farmerDoc = await db.collection('farmers').doc(farmerId).get();
+  if (!farmerDoc.exists) {
+    throw new Error('Farmer profile not found.');
+  }
+  const farmer = farmerDoc.data();
+  const coordinates = farmer.location?.coordinates;
+  if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+    throw new Error('Farm location is not set; add coordinates or a land description first.');
+  }
+
+  const season = String(new Date().getUTCFullYear());
+  const [seasonData, normalsHistory] = await Promise.all([
+    getSeasonToDate(coordinates, { startDate: `${season}-01-01`, station: getFarmStation(farmer.location?.derived) }),
+    getNormalsHistory(coordinates).catch(error => {
+      console.warn('Pest models: normals unavailable, scouting dates will not be projected:', error.message);
+      return null;
+    })
+  ]);
+  const asOf = [...seasonData.daily].reverse().find(d => d.tMax !== null)?.date || null;
+
+  const normalsByBase = new Map();
+  const normalsFor = baseTemp => {
+    if (!normalsHistory) return null;
+    if (!normalsByBase.has(baseTemp)) normalsByBase.set(baseTemp, calculateDailyNormals(normalsHistory, baseTemp));
+    return normalsByBase.get(baseTemp);
+  };
+
+  const crops = farmer.farmDetails?.crops || [];
+  const pests = Object.keys(pestModels.pests).map(key => {
+    const model = getPestModel(key);
+    const result = evaluatePest(key, seasonData.daily, { season, asOf, normals: normalsFor(model.baseTemp) });
+    const hostCrops = crops
+      .filter(crop => model.hosts.includes(String(crop.type || '').toLowerCase()))
+      .map(crop => ({ type: crop.type, variety: crop.variety || '' }));
+    return { ...result, crops: hostCrops, relevant: hostCrops.length > 0 };
+  });
+
+  await db.collection('farmerStats').doc(farmerId).set({
+    pestModels: {
+      season,
+      asOf,
+      pests,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }
+  }, { merge: true });
+  console.log(`Updated ${pests.length} pest model(s) for farmer ${farmerId}.`);
+
+  return { season, asOf, pests };
+}
+
+module.exports = {
+  getPestModel,
+  percentEmerged,
+  accumulatePestDegreeDays,
+  evaluatePest,
+  updateFarmPestModels
+};
@@ -0,0 +1,329 @@
+// functions/src/services/diseaseRisk.js
+const admin = require('firebase-admin');
+const { fetchNASAPowerParameters, toNASADate } = require('./nasa');
+const { fetchECCCWeather } = require('./weather');
+const { mergeDailyObservations } = require('./seasonAccumulation');
+const { getCropModel, updateFarmCropStages } = require('./crops/growthStages');
+const { getFarmStation } = require('./location/stationSelectionService');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const LOOKBACK_DAYS = 14;
+const FORECAST_HOURS = 48;
+const HUMID_DAY_RH = 80;        // % daily mean RH; such days carry long spells near saturation
+const HUMID_HOUR_RH = 80;       // % hourly RH that keeps a canopy humid
+const WET_HOUR_RH = 90;         // % hourly RH at which leaves are assumed wet
+const WET_HOUR_POP = 60;        // % chance of precipitation counted as a wet hour
+const RAIN_DAY_MM = 1;
+const DAY_MS = 86400000;
+const DISEASE_PARAMETERS = ['T2M_MAX', 'T2M_MIN', 'RH2M', 'PRECTOTCORR'];
+
+// Stage windows (first stage reached, stage that closes the window) in which a fungicide
+// decision is made, by crop. Codes are stages from cropModels.json.
+const SCLEROTINIA_WINDOWS = {
+  canola: ['BBCH 60', 'BBCH 69'],
+  mustard: ['BBCH 60', 'BBCH 69']
+};
+const FUSARIUM_WINDOWS = {
+  wheat: ['Z55', 'Z75'],
+  barley: ['Z55', 'Z75']
+};
+const LEAF_DISEASES = {
+  canola: { name: 'Blackleg', window: ['BBCH 09', 'BBCH 50'] },
+  mustard: { name: 'Blackleg', window: ['BBCH 09', 'BBCH 50'] },
+  wheat: { name: 'Leaf spots', window: ['Z31', 'Z55'] },
+  barley: { name: 'Leaf spots', window: ['Z31', 'Z55'] },
+  oats: { name: 'Leaf spots', window: ['Z31', 'Z55'] },
+  triticale: { name: 'Leaf spots', window: ['Z31', 'Z55'] },
+  peas: { name: 'Ascochyta blight', window: ['BBCH 15', 'BBCH 70'] },
+  lentils: { name: 'Ascochyta blight', window: ['BBCH 15', 'BBCH 70'] },
+  chickpeas: { name: 'Ascochyta blight', window: ['BBCH 15', 'BBCH 70'] }
+};
+
+const round1 = value => parseFloat(value.toFixed(1));
+
+function addDays(dateString, days) {
+  return new Date(Date.parse(dateString) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function classifyScore(score) {
+  if (score >= 4) return 'high';
+  if (score >= 2) return 'moderate';
+  return 'low';
+}
+
+/**
+ * Rain, humidity and temperature over the last week or two and the next 48 forecast hours.
+ * @param {object} conditions - { daily: [{ date, tMax, tMin, humidity, precipitation }] (oldest first),
+ *   hourly: ECCC hourly forecast }
+ * @returns {object} { rain7, rain14, rainDays7, humidDays7, meanTemp7, forecastHumidHours, forecastWetHours, days }
+ */
+function summarizeConditions(conditions) {
+  const daily = (conditions.daily || []).slice(-LOOKBACK_DAYS);
+  const week = daily.slice(-7);
+  const temps = week.filter(d => d.tMax !== null && d.tMin !== null).map(d => (d.tMax + d.tMin) / 2);
+  const hours = (conditions.hourly || []).slice(0, FORECAST_HOURS);
+  const sumRain = rows => round1(rows.reduce((sum, d) => sum + (d.precipitation || 0), 0));
+  return {
+    rain7: sumRain(week),
+    rain14: sumRain(daily),
+    rainDays7: week.filter(d => d.precipitation >= RAIN_DAY_MM).length,
+    humidDays7: week.filter(d => d.humidity >= HUMID_DAY_RH).length,
+    meanTemp7: temps.length > 0 ? round1(temps.reduce((sum, t) => sum + t, 0) / temps.length) : null,
+    forecastHumidHours: hours.filter(h => h.humidity >= HUMID_HOUR_RH || h.pop >= WET_HOUR_POP).length,
+    forecastWetHours: hours.filter(h => h.humidity >= WET_HOUR_RH || h.pop >= WET_HOUR_POP).length,
+    days: daily.length
+  };
+}
+
+/**
+ * Sclerotinia stem rot risk for canola at flowering. Petal infection needs apothecia, which
+ * follow two weeks of moist soil, plus humid canopies at 15-25 °C while petals are falling.
+ * @param {object} conditions - See summarizeConditions
+ * @returns {object} { disease, riskClass, score, maxScore, factors }
+ */
+function calculateSclerotiniaRisk(conditions) {
+  const s = summarizeConditions(conditions);
+  const factors = [];
+  let score = 0;
+
+  if (s.rain14 >= 30) {
+    score += 2;
+    factors.push(`${s.rain14} mm of rain in the last 14 days keeps the soil moist enough for apothecia.`);
+  } else if (s.rain14 >= 10) {
+    score += 1;
+    factors.push(`${s.rain14} mm of rain in the last 14 days may support some apothecia.`);
+  }
+  if (s.humidDays7 >= 3) {
+    score += 2;
+    factors.push(`${s.humidDays7} humid days (mean RH ≥ ${HUMID_DAY_RH}%) in the last week.`);
+  } else if (s.humidDays7 >= 1) {
+    score += 1;
+    factors.push(`${s.humidDays7} humid day${s.humidDays7 === 1 ? '' : 's'} (mean RH ≥ ${HUMID_DAY_RH}%) in the last week.`);
+  }
+  if (s.meanTemp7 !== null && s.meanTemp7 >= 15 && s.meanTemp7 <= 25) {
+    score += 1;
+    factors.push(`Mean temperature of ${s.meanTemp7} °C is in the 15-25 °C infection range.`);
+  }
+  if (s.forecastHumidHours >= 12) {
+    score += 1;
+    factors.push(`${s.forecastHumidHours} humid or rainy hours in the next ${FORECAST_HOURS} hours.`);
+  }
+
+  return { disease: 'Sclerotinia stem rot', riskClass: classifyScore(score), score, maxScore: 6, factors };
+}
+
+/**
+ * Fusarium head blight risk for wheat and barley at heading. Infection follows rain and long
+ * humid spells at 15-30 °C around heading and flowering.
+ * @param {object} conditions - See summarizeConditions
+ * @returns {object} { disease, riskClass, score, maxScore, factors }
+ */
+function calculateFusariumRisk(conditions) {
+  const s = summarizeConditions(conditions);
+  const factors = [];
+  let score = 0;
+
+  if (s.rainDays7 >= 3) {
+    score += 2;
+    factors.push(`Rain on ${s.rainDays7} of the last 7 days (${s.rain7} mm).`);
+  } else if (s.rainDays7 >= 1) {
+    score += 1;
+    factors.push(`Rain on ${s.rainDays7} of the last 7 days (${s.rain7} mm).`);
+  }
+  if (s.humidDays7 >= 3) {
+    score += 2;
+    factors.push(`${s.humidDays7} humid days (mean RH ≥ ${HUMID_DAY_RH}%) in the last week.`);
+  } else if (s.humidDays7 >= 1) {
+    score += 1;
+    factors.push(`${s.humidDays7} humid day${s.humidDays7 === 1 ? '' : 's'} (mean RH ≥ ${HUMID_DAY_RH}%) in the last week.`);
+  }
+  if (s.meanTemp7 !== null && s.meanTemp7 >= 15 && s.meanTemp7 <= 30) {
+    score += 1;
+    factors.push(`Mean temperature of ${s.meanTemp7} °C favours infection (15-30 °C).`);
+  }
+  if (s.forecastWetHours >= 12) {
+    score += 1;
+    factors.push(`${s.forecastWetHours} wet hours expected in the next ${FORECAST_HOURS} hours.`);
+  }
+
+  return { disease: 'Fusarium head blight', riskClass: classifyScore(score), score, maxScore: 6, factors };
+}
+
+/**
+ * Generic leaf-disease wetness index: estimated leaf-wet hours over the last week plus the
+ * forecast. Daily data can't resolve dew, so a rain day counts as 12 wet hours and a humid
+ * day as 6; forecast hours count when RH ≥ 90% or rain is likely.
+ * @param {object} conditions - See summarizeConditions
+ * @returns {object} { disease, riskClass, wetHours, forecastWetHours, factors }
+ */
+function calculateLeafWetnessIndex(conditions) {
+  const s = summarizeConditions(conditions);
+  const week = (conditions.daily || []).slice(-7);
+  const wetHours = week.reduce((sum, d) => {
+    if (d.precipitation >= RAIN_DAY_MM) return sum + 12;
+    if (d.humidity >= HUMID_DAY_RH) return sum + 6;
+    return sum;
+  }, 0);
+  const total = wetHours + s.forecastWetHours;
+  const factors = [];
+  if (wetHours > 0) {
+    factors.push(`About ${wetHours} leaf-wet hours in the last 7 days (${s.rainDays7} rain day${s.rainDays7 === 1 ? '' : 's'}).`);
+  }
+  if (s.forecastWetHours > 0) {
+    factors.push(`${s.forecastWetHours} wet hours expected in the next ${FORECAST_HOURS} hours.`);
+  }
+
+  let riskClass = total >= 48 ? 'high' : total >= 24 ? 'moderate' : 'low';
+  if (riskClass !== 'low' && s.meanTemp7 !== null && s.meanTemp7 < 10) {
+    riskClass = riskClass === 'high' ? 'moderate' : 'low';
+    factors.push(`Cool weather (${s.meanTemp7} °C mean) slows leaf infection.`);
+  }
+  return { disease: 'Leaf disease (wetness index)', riskClass, wetHours, forecastWetHours: s.forecastWetHours, factors };
+}
+
+/**
+ * Whether a crop's development puts it inside a fungicide decision window.
+ * @param {string} cropType
+ * @param {number|null} heatUnits - Accumulated since seeding; null when unknown
+ * @param {Array<string>} window - [first stage code, closing stage code]
+ * @returns {object} { relevant, timing: 'before'|'now'|'past'|'unknown', window: { from, to } }
+ */
+function assessDecisionTiming(cropType, heatUnits, window) {
+  const model = getCropModel(cropType);
+  const stage = code => model.stages.find(s => s.code === code);
+  const from = stage(window[0]);
+  const to = stage(window[1]);
+  let timing = 'unknown';
+  if (typeof heatUnits === 'number') {
+    timing = heatUnits < from.units ? 'before' : heatUnits < to.units ? 'now' : 'past';
+  }
+  return {
+    relevant: timing === 'now',
+    timing,
+    window: { from: { code: from.code, name: from.name }, to: { code: to.code, name: to.name } }
+  };
+}
+
+/**
+ * Plain-language advice combining a risk class with the decision timing.
+ */
+function describeDecision(cropName, risk, decision) {
+  const windowName = `${decision.window.from.name.toLowerCase()} to ${decision.window.to.name.toLowerCase()}`;
+  if (decision.timing === 'now') {
+    return risk.riskClass === 'low'
+      ? `${cropName} is in the ${risk.disease.toLowerCase()} decision window (${windowName}); risk is low, so a fungicide is unlikely to pay.`
+      : `${cropName} is in the ${risk.disease.toLowerCase()} decision window (${windowName}) and risk is ${risk.riskClass}: decide on a fungicide now.`;
+  }
+  if (decision.timing === 'before') {
+    return `${cropName} has not reached ${decision.window.from.name.toLowerCase()}; keep watching ${risk.disease.toLowerCase()} risk.`;
+  }
+  if (decision.timing === 'past') {
+    return `${cropName} is past the ${risk.disease.toLowerCase()} decision window.`;
+  }
+  return `Add a seeding date for ${cropName.toLowerCase()} to time ${risk.disease.toLowerCase()} decisions.`;
+}
+
+/**
+ * Runs the disease models that apply to a crop and attaches decision timing.
+ * @param {object} crop - { type, growthStage } (growthStage from updateFarmCropStages)
+ * @param {object} conditions - See summarizeConditions
+ * @returns {Array<object>} [{ disease, riskClass, factors, decision, recommendation, ... }]
+ */
+function assessCropDiseaseRisk(crop, conditions) {
+  const model = getCropModel(crop.type);
+  const type = model?.type;
+  const heatUnits = crop.growthStage?.status === 'ok' ? crop.growthStage.heatUnits : null;
+  const cropName = model?.name || crop.type;
+  const assessed = [];
+  const withDecision = (risk, window) => {
+    const decision = window ? assessDecisionTiming(type, heatUnits, window) : null;
+    return { ...risk, decision, recommendation: decision ? describeDecision(cropName, risk, decision) : null };
+  };
+
+  if (SCLEROTINIA_WINDOWS[type]) {
+    assessed.push(withDecision(calculateSclerotiniaRisk(conditions), SCLEROTINIA_WINDOWS[type]));
+  }
+  if (FUSARIUM_WINDOWS[type]) {
+    assessed.push(withDecision(calculateFusariumRisk(conditions), FUSARIUM_WINDOWS[type]));
+  }
+  const leaf = calculateLeafWetnessIndex(conditions);
+  if (LEAF_DISEASES[type]) {
+    assessed.push(withDecision({ ...leaf, disease: LEAF_DISEASES[type].name }, LEAF_DISEASES[type].window));
+  } else {
+    assessed.push(withDecision(leaf, null));
+  }
+  return assessed;
+}
+
+/**
+ * Disease risk for each crop on a farm from the last two weeks of weather (NASA POWER, with
+ * yesterday's station observation filling POWER's lag) and the hourly forecast. Growth stages
+ * are refreshed first so decision timing reflects today's development.
+ * @param {string} farmerId - The UID of the farmer.
+ * @param {object} [options] - { today } for testing
+ * @returns {Promise<object>} { period, conditions, crops: [{ type, variety, growthStage, risks }], timestamp }
+ */
+async function getFarmDiseaseRisk(farmerId, options = {}) {
+  if (!farmerId) {
+    throw new Error('Farmer ID is required to assess disease risk.');
+  }
+  const farmerDoc = await admin.firestore().collection('farmers').doc(farmerId).get();
+  if (!farmerDoc.exists) {
+    throw new Error('Farmer profile not found.');
+  }
+  const farmer = farmerDoc.data();
+  const coordinates = farmer.location?.coordinates;
+  if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+    throw new Error('Farm location is not set; add coordinates or a land description first.');
+  }
+
+  const endDate = addDays((options.today || new Date()).toISOString().slice(0, 10), -1);
+  const startDate = addDays(endDate, -(LOOKBACK_DAYS - 1));
+  const lat = parseFloat(coordinates.lat.toFixed(2));
+  const lng = parseFloat(coordinates.lng.toFixed(2));
+  const station = getFarmStation(farmer.location?.derived);
+
+  const [history, recent, crops] = await Promise.all([
+    fetchNASAPowerParameters(lat, lng, toNASADate(new Date(startDate)), toNASADate(new Date(endDate)), DISEASE_PARAMETERS),
+    station?.id && station?.province
+      ? fetchECCCWeather(station.province, station.id).catch(error => {
+        console.warn(`Disease risk: no forecast from ${station.id}:`, error.message);
+        return null;
+      })
+      : Promise.resolve(null),
+    updateFarmCropStages(farmerId)
+  ]);
+
+  const humidity = new Map((history.daily || []).map(row => [row.date, row.RH2M ?? null]));
+  const daily = mergeDailyObservations(history.daily, recent?.yesterday, startDate, endDate)
+    .map(row => ({ ...row, humidity: humidity.get(row.date) ?? null }));
+  const conditions = { daily, hourly: recent?.hourly || [] };
+
+  return {
+    period: { start: startDate, end: endDate },
+    conditions: summarizeConditions(conditions),
+    crops: crops.map(crop => ({
+      type: crop.type,
+      variety: crop.variety,
+      growthStage: crop.growthStage?.status === 'ok'
+        ? { code: crop.growthStage.code, name: crop.growthStage.name, heatUnits: crop.growthStage.heatUnits }
+        : null,
+      risks: assessCropDiseaseRisk(crop, conditions)
+    })),
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  getFarmDiseaseRisk,
+  assessCropDiseaseRisk,
+  assessDecisionTiming,
+  calculateSclerotiniaRisk,
+  calculateFusariumRisk,
+  calculateLeafWetnessIndex,
+  summarizeConditions
+};
@@ -0,0 +1,68 @@
+// functions/src/services/elevation.js
+const axios = require('axios');
+
+// Open-Meteo serves Copernicus 90 m DEM heights; up to 100 points per request, no key required.
+// It is the only non-ECCC, non-NASA service the backend calls, so it can be swapped or turned
+// off from the functions environment (functions/.env):
+//   ELEVATION_API_URL - an Open-Meteo-compatible elevation endpoint (e.g. self-hosted)
+//   ELEVATION_LOOKUP=off - skip lookups; elevations stay null and lapse-rate corrections are skipped
+const DEFAULT_ELEVATION_URL = 'https://api.open-meteo.com/v1/elevation';
+const MAX_POINTS_PER_REQUEST = 100;
+
+function getElevationConfig() {
+  return {
+    enabled: String(process.env.ELEVATION_LOOKUP || '').toLowerCase() !== 'off',
+    url: process.env.ELEVATION_API_URL || DEFAULT_ELEVATION_URL
+  };
+}
+
+/**
+ * Looks up ground elevation (metres above sea level) for a list of points.
+ * Points that cannot be resolved come back as null rather than failing the batch, as do all
+ * points when lookups are turned off.
+ * @param {Array<object>} points - [{ lat, lng }]
+ * @returns {Promise<Array<number|null>>} Elevations in the same order as the points
+ */
+async function getElevations(points) {
+  const config = getElevationConfig();
+  if (!config.enabled) return points.map(() => null);
+  const elevations = [];
+  for (let i = 0; i < points.length; i += MAX_POINTS_PER_REQUEST) {
+    const batch = points.slice(i, i + MAX_POINTS_PER_REQUEST);
+    try {
+      const response = await axios.get(config.url, {
+        timeout: 15000,
+        params: {
+          latitude: batch.map(p => p.lat.toFixed(4)).join(','),
+          longitude: batch.map(p => p.lng.toFixed(4)).join(',')
+        },
+        headers: { 'User-Agent': 'Agricast/1.0 (Agricultural verification system)' }
+      });
+      const values = response.data?.elevation || [];
+      batch.forEach((_, j) => {
+        const value = values[j];
+        elevations.push(typeof value === 'number' && !isNaN(value) ? Math.round(value) : null);
+      });
+    } catch (error) {
+      console.error('Elevation lookup error:', error.message);
+      batch.forEach(() => elevations.push(null));
+    }
+  }
+  return elevations;
+}
+
+/**
+ * Elevation (m) of a single point, or null if unavailable.
+ */
+async function getElevation(coordinates) {
+  if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+    return null;
+  }
+  const [elevation] = await getElevations([coordinates]);
+  return elevation;
+}
+
+module.exports = {
+  getElevation,
+  getElevations
+};
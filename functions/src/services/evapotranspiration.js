@@ -0,0 +1,228 @@
+// functions/src/services/evapotranspiration.js
+const admin = require('firebase-admin');
+const { calculateReferenceET } = require('./calculations');
+const { fetchNASAPowerParameters, toNASADate } = require('./nasa');
+const { getElevation } = require('./elevation');
+const { getCropModel, dailyHeatUnits, cropCoefficient } = require('./crops/growthStages');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const ET_PARAMETERS = ['T2M_MAX', 'T2M_MIN', 'RH2M', 'WS2M', 'ALLSKY_SFC_SW_DWN', 'PRECTOTCORR'];
+const DEFAULT_SEASON_START = '05-01'; // Used when no crop has a seeding date this season
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 86400000;
+
+const round1 = value => parseFloat(value.toFixed(1));
+const round2 = value => parseFloat(value.toFixed(2));
+
+function toDateString(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+  return new Date(Date.parse(dateString) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function dayOfYear(dateString) {
+  return Math.floor((Date.parse(dateString) - Date.UTC(Number(dateString.slice(0, 4)), 0, 1)) / DAY_MS) + 1;
+}
+
+/**
+ * Daily ET₀ from NASA POWER rows, by Penman-Monteith where the row is complete and
+ * Hargreaves where only max/min temperature were published.
+ * @param {Array<object>} nasaDaily - fetchNASAPowerParameters daily rows
+ * @param {object} site - { latitude, elevation }
+ * @returns {Array<object>} [{ date, tMax, tMin, precipitation, et0, method }] (et0/method null when temperature is missing)
+ */
+function calculateDailyET(nasaDaily, site) {
+  return nasaDaily.map(row => {
+    const reference = calculateReferenceET({
+      tempMax: row.T2M_MAX,
+      tempMin: row.T2M_MIN,
+      humidity: row.RH2M,
+      windSpeed: row.WS2M,
+      solarRadiation: row.ALLSKY_SFC_SW_DWN
+    }, { latitude: site.latitude, dayOfYear: dayOfYear(row.date), elevation: site.elevation });
+    return {
+      date: row.date,
+      tMax: row.T2M_MAX ?? null,
+      tMin: row.T2M_MIN ?? null,
+      precipitation: row.PRECTOTCORR ?? null,
+      et0: reference ? round2(reference.et0) : null,
+      method: reference ? reference.method : null
+    };
+  });
+}
+
+/**
+ * Totals and method counts for a run of calculateDailyET rows.
+ */
+function summarizeET(daily) {
+  const withET = daily.filter(d => d.et0 !== null);
+  return {
+    totals: {
+      et0: round1(withET.reduce((sum, d) => sum + d.et0, 0)),
+      precipitation: round1(daily.reduce((sum, d) => sum + (d.precipitation || 0), 0))
+    },
+    methods: {
+      penmanMonteith: withET.filter(d => d.method === 'penman-monteith').length,
+      hargreaves: withET.filter(d => d.method === 'hargreaves').length
+    },
+    missingDays: daily.filter(d => d.et0 === null).map(d => d.date)
+  };
+}
+
+/**
+ * Daily crop evapotranspiration (ETc = Kc × ET₀) from seeding, with Kc following the crop's
+ * heat-unit development.
+ * @param {string} cropType
+ * @param {Array<object>} daily - calculateDailyET rows covering the seeding date onward
+ * @param {string} plantingDate - 'YYYY-MM-DD'
+ * @returns {Array<object>|null} [{ date, heatUnits, kc, period, etc }] or null without a crop model
+ */
+function calculateCropET(cropType, daily, plantingDate) {
+  const model = getCropModel(cropType);
+  if (!model) return null;
+
+  let heatUnits = 0;
+  return daily
+    .filter(d => d.date >= plantingDate)
+    .map(d => {
+      if (d.tMax !== null && d.tMin !== null) {
+        heatUnits += dailyHeatUnits(model, d.tMax, d.tMin);
+      }
+      const coefficient = cropCoefficient(cropType, heatUnits);
+      return {
+        date: d.date,
+        heatUnits: round1(heatUnits),
+        kc: coefficient.kc,
+        period: coefficient.period,
+        etc: d.et0 !== null ? round2(coefficient.kc * d.et0) : null
+      };
+    });
+}
+
+/**
+ * Reference evapotranspiration for a point over a date range.
+ * @param {object} coordinates - { lat, lng }
+ * @param {string} startDate - 'YYYY-MM-DD'
+ * @param {string} endDate - 'YYYY-MM-DD'
+ * @param {object} [options] - { elevation } in metres; Penman-Monteith assumes sea level without it
+ * @returns {Promise<object>} { location, period, daily, totals, methods, missingDays, source, timestamp }
+ */
+async function getReferenceET(coordinates, startDate, endDate, options = {}) {
+  if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+    throw new Error('Coordinates are required for evapotranspiration.');
+  }
+  const days = Math.round((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS) + 1;
+  if (!(days >= 1)) {
+    throw new Error('End date must be on or after the start date.');
+  }
+  if (days > MAX_RANGE_DAYS) {
+    throw new Error(`Evapotranspiration is limited to ${MAX_RANGE_DAYS} days per request.`);
+  }
+  // Two decimals (~1 km) is finer than POWER's 0.5° grid and keeps cache keys stable
+  const lat = parseFloat(coordinates.lat.toFixed(2));
+  const lng = parseFloat(coordinates.lng.toFixed(2));
+  const elevation = typeof options.elevation === 'number' ? options.elevation : null;
+
+  const history = await fetchNASAPowerParameters(lat, lng, toNASADate(new Date(startDate)), toNASADate(new Date(endDate)), ET_PARAMETERS);
+  const byDate = new Map((history.daily || []).map(row => [row.date, row]));
+  const rows = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    rows.push(byDate.get(date) || { date });
+  }
+  const daily = calculateDailyET(rows, { latitude: lat, elevation: elevation || 0 });
+
+  return {
+    location: { lat, lng, elevation },
+    period: { start: startDate, end: endDate, days },
+    daily,
+    ...summarizeET(daily),
+    source: 'NASA POWER',
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Daily ET₀ at the farm and ETc for each seeded crop. Kc comes from heat units accumulated
+ * since seeding, so the weather is fetched from the earliest seeding date even when the
+ * requested range starts later.
+ * @param {string} farmerId - The UID of the farmer.
+ * @param {object} [options] - { startDate, endDate } ('YYYY-MM-DD'); defaults run from the
+ *   earliest seeding date this season (else May 1) to yesterday
+ * @returns {Promise<object>} getReferenceET output for the range plus crops: [{ type, variety, plantingDate, status, totals, daily }]
+ */
+async function getFarmCropWaterUse(farmerId, options = {}) {
+  if (!farmerId) {
+    throw new Error('Farmer ID is required to estimate crop water use.');
+  }
+  const farmerDoc = await admin.firestore().collection('farmers').doc(farmerId).get();
+  if (!farmerDoc.exists) {
+    throw new Error('Farmer profile not found.');
+  }
+  const farmer = farmerDoc.data();
+  const coordinates = farmer.location?.coordinates;
+  if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+    throw new Error('Farm location is not set; add coordinates or a land description first.');
+  }
+
+  const endDate = options.endDate || addDays(new Date().toISOString().slice(0, 10), -1);
+  const season = endDate.slice(0, 4);
+  const crops = (farmer.farmDetails?.crops || []).map(crop => ({ ...crop, plantingDate: toDateString(crop.plantingDate) }));
+  const seeded = crops
+    .filter(crop => getCropModel(crop.type) && crop.plantingDate && crop.plantingDate.startsWith(season))
+    .map(crop => crop.plantingDate)
+    .sort();
+  const startDate = options.startDate || seeded[0] || `${season}-${DEFAULT_SEASON_START}`;
+  if (startDate > endDate) {
+    throw new Error('End date must be on or after the start date.');
+  }
+  const fetchStart = seeded.length > 0 && seeded[0] < startDate ? seeded[0] : startDate;
+
+  const derivedElevation = farmer.location?.derived?.elevation;
+  const elevation = typeof derivedElevation === 'number'
+    ? derivedElevation
+    : await getElevation(coordinates).catch(() => null);
+
+  const reference = await getReferenceET(coordinates, fetchStart, endDate, { elevation });
+  const inRange = row => row.date >= startDate && row.date <= endDate;
+  const daily = reference.daily.filter(inRange);
+
+  return {
+    ...reference,
+    period: { start: startDate, end: endDate, days: daily.length },
+    daily,
+    ...summarizeET(daily),
+    crops: crops.map(crop => {
+      const summary = { type: crop.type, variety: crop.variety || '', plantingDate: crop.plantingDate };
+      if (!getCropModel(crop.type)) {
+        return { ...summary, status: 'no_model' };
+      }
+      if (!crop.plantingDate || !crop.plantingDate.startsWith(season)) {
+        return { ...summary, status: 'no_planting_date' };
+      }
+      const cropDaily = calculateCropET(crop.type, reference.daily, crop.plantingDate).filter(inRange);
+      return {
+        ...summary,
+        status: 'ok',
+        currentKc: cropDaily.length > 0 ? cropDaily[cropDaily.length - 1].kc : null,
+        totals: { etc: round1(cropDaily.reduce((sum, d) => sum + (d.etc || 0), 0)) },
+        daily: cropDaily
+      };
+    })
+  };
+}
+
+module.exports = {
+  getReferenceET,
+  getFarmCropWaterUse,
+  calculateDailyET,
+  calculateCropET,
+  ET_PARAMETERS
+};
@@ -0,0 +1,179 @@
+// functions/src/services/farmPointWeather.js
+
+/**
+ * Inverse-distance weighted (IDW) "farm-point" weather built from several nearby
+ * citypage stations. Pure functions only; fetching lives in services/weather.js.
+ */
+
+const IDW_POWER = 2;
+const MIN_DISTANCE_KM = 1;            // Avoids infinite weights when a station sits on the farm
+const LAPSE_RATE_C_PER_M = 0.0065;    // Standard environmental lapse rate (6.5 °C per km)
+
+/**
+ * Normalized IDW weights for stations at the given distances.
+ * @param {Array<number>} distancesKm
+ * @param {number} [power=2]
+ * @returns {Array<number>} Weights summing to 1
+ */
+function calculateIDWWeights(distancesKm, power = IDW_POWER) {
+  const raw = distancesKm.map(d => 1 / Math.pow(Math.max(d, MIN_DISTANCE_KM), power));
+  const total = raw.reduce((a, b) => a + b, 0);
+  return raw.map(w => (total > 0 ? w / total : 0));
+}
+
+/**
+ * Temperature correction (°C) to move a station reading to the farm's elevation.
+ * A station 100 m higher than the farm reads ~0.65 °C too cold, so the correction is positive.
+ */
+function lapseRateCorrection(stationElevation, farmElevation) {
+  if (typeof stationElevation !== 'number' || typeof farmElevation !== 'number') return 0;
+  return (stationElevation - farmElevation) * LAPSE_RATE_C_PER_M;
+}
+
+/**
+ * Weighted mean of the non-null values; weights are renormalized over the stations that reported.
+ * @param {Array<{value: number|null, weight: number}>} samples
+ * @returns {number|null}
+ */
+function weightedMean(samples) {
+  const valid = samples.filter(s => typeof s.value === 'number' && !isNaN(s.value));
+  const totalWeight = valid.reduce((sum, s) => sum + s.weight, 0);
+  if (valid.length === 0 || totalWeight === 0) return null;
+  return parseFloat((valid.reduce((sum, s) => sum + s.value * s.weight, 0) / totalWeight).toFixed(1));
+}
+
+function temperatureSamples(entries, pick, farmElevation) {
+  return entries.map(e => {
+    const value = pick(e);
+    return {
+      value: typeof value === 'number' ? value + lapseRateCorrection(e.station.elevation, farmElevation) : null,
+      weight: e.weight
+    };
+  });
+}
+
+function interpolateCurrent(entries, farmElevation) {
+  const nearest = entries[0].weather.current;
+  return {
+    temperature: weightedMean(temperatureSamples(entries, e => e.weather.current?.temperature, farmElevation)),
+    condition: nearest.condition,
+    humidity: weightedMean(entries.map(e => ({ value: e.weather.current?.humidity, weight: e.weight }))),
+    dewpoint: weightedMean(entries.map(e => ({ value: e.weather.current?.dewpoint, weight: e.weight }))),
+    windSpeed: weightedMean(entries.map(e => ({ value: e.weather.current?.windSpeed, weight: e.weight }))),
+    windDirection: nearest.windDirection,
+    observationTime: nearest.observationTime
+  };
+}
+
+/**
+ * Daily periods are matched by name ("Tonight", "Tuesday"...) against the nearest station,
+ * since neighbouring stations are issued on the same schedule.
+ */
+function interpolateForecast(entries, farmElevation) {
+  return (entries[0].weather.forecast || []).map(period => {
+    const matches = entries
+      .map(e => ({ ...e, period: (e.weather.forecast || []).find(p => p.period === period.period) }))
+      .filter(e => e.period);
+    return {
+      ...period,
+      temperature: {
+        high: weightedMean(temperatureSamples(matches, e => e.period.temperature?.high, farmElevation)),
+        low: weightedMean(temperatureSamples(matches, e => e.period.temperature?.low, farmElevation))
+      },
+      pop: String(Math.round(weightedMean(matches.map(e => ({ value: parseFloat(e.period.pop), weight: e.weight }))) || 0))
+    };
+  });
+}
+
+function interpolateHourly(entries, farmElevation) {
+  return (entries[0].weather.hourly || []).map(hour => {
+    const matches = entries
+      .map(e => ({ ...e, hour: (e.weather.hourly || []).find(h => h.time === hour.time) }))
+      .filter(e => e.hour);
+    const field = key => matches.map(e => ({ value: e.hour[key], weight: e.weight }));
+    return {
+      ...hour,
+      temperature: weightedMean(temperatureSamples(matches, e => e.hour.temperature, farmElevation)),
+      humidity: weightedMean(field('humidity')),
+      dewpoint: weightedMean(field('dewpoint')),
+      pop: weightedMean(field('pop')) ?? 0,
+      windSpeed: weightedMean(field('windSpeed')),
+      windGust: weightedMean(field('windGust'))
+    };
+  });
+}
+
+function mergeWarnings(entries) {
+  const seen = new Set();
+  const merged = [];
+  entries.forEach(e => (e.weather.warnings || []).forEach(w => {
+    const key = `${w.type}|${w.description}|${w.issued}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      merged.push(w);
+    }
+  }));
+  return merged;
+}
+
+/**
+ * Interpolates station weather objects to a farm location.
+ * @param {Array<object>} stationResults - [{ station: { id, name, province, distance, elevation }, weather }]
+ *   where weather is the fetchECCCWeather output. Order does not matter.
+ * @param {object} target - { lat, lng, elevation }
+ * @returns {object} A weather object shaped like fetchECCCWeather's, plus an `interpolation` block
+ */
+function interpolateStationWeather(stationResults, target) {
+  const usable = stationResults
+    .filter(r => r && r.weather && r.weather.current && typeof r.station.distance === 'number')
+    .sort((a, b) => a.station.distance - b.station.distance);
+  if (usable.length === 0) {
+    throw new Error('No station data available to interpolate farm-point weather.');
+  }
+
+  const weights = calculateIDWWeights(usable.map(r => r.station.distance));
+  const entries = usable.map((r, i) => ({ ...r, weight: weights[i] }));
+  const farmElevation = typeof target.elevation === 'number' ? target.elevation : null;
+  const nearestWeather = entries[0].weather;
+
+  return {
+    location: {
+      city: `Farm point near ${nearestWeather.location?.city || entries[0].station.name}`,
+      province: entries[0].station.province || nearestWeather.location?.province,
+      lat: target.lat,
+      lon: target.lng,
+      elevation: farmElevation
+    },
+    current: interpolateCurrent(entries, farmElevation),
+    forecast: interpolateForecast(entries, farmElevation),
+    hourly: interpolateHourly(entries, farmElevation),
+    sun: nearestWeather.sun,
+    warnings: mergeWarnings(entries),
+    almanac: nearestWeather.almanac,
+    // Text-derived precipitation amounts don't average meaningfully; use the nearest station's
+    precipitation: nearestWeather.precipitation,
+    interpolation: {
+      method: 'IDW',
+      power: IDW_POWER,
+      lapseRateCPerKm: LAPSE_RATE_C_PER_M * 1000,
+      elevationCorrected: farmElevation !== null && entries.some(e => typeof e.station.elevation === 'number'),
+      stations: entries.map(e => ({
+        id: e.station.id,
+        name: e.station.name,
+        province: e.station.province || null,
+        distance: e.station.distance,
+        elevation: typeof e.station.elevation === 'number' ? e.station.elevation : null,
+        weight: parseFloat(e.weight.toFixed(3))
+      }))
+    },
+    timestamp: new Date().toISOString(),
+    source: 'ECCC (farm-point interpolation)'
+  };
+}
+
+module.exports = {
+  interpolateStationWeather,
+  calculateIDWWeights,
+  lapseRateCorrection,
+  LAPSE_RATE_C_PER_M
+};
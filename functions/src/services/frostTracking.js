@@ -0,0 +1,259 @@
+// functions/src/services/frostTracking.js
+const admin = require('firebase-admin');
+const { fetchECCCWeather } = require('./weather');
+const { fetchNASAPowerParameters, toNASADate } = require('./nasa');
+const {
+  getNormalsHistory,
+  calculateFrostDateNormals,
+  calculateFrostProbabilityTable,
+  gridCellId,
+  toGridCell
+} = require('./climateNormals');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const FROST_THRESHOLD = 0;    // °C; a minimum at or below this is a frost
+const MIDSUMMER = '07-15';    // Frosts before this end spring, frosts from it on start fall
+const SEASON_START = '03-01'; // Gaps from here on are filled from NASA POWER
+const DAY_MS = 86400000;
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+  return toDateString(new Date(Date.parse(dateString) + days * DAY_MS));
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+function formatMonthDay(dateString) {
+  return new Date(dateString).toLocaleDateString('en-CA', { month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * "6 days later than normal", "on the normal date", ...
+ */
+function describeShift(days, later, earlier) {
+  if (days === 0) return 'on the normal date';
+  return `${Math.abs(days)} day${Math.abs(days) === 1 ? '' : 's'} ${days > 0 ? later : earlier} than normal`;
+}
+
+/**
+ * The season's last spring and first fall frost from daily minimums, and the frost-free
+ * period so far compared with normal. The last spring frost stays provisional until July 15.
+ * @param {object} observations - { 'YYYY-MM-DD': { low, source } }
+ * @param {string} season - 'YYYY'
+ * @param {object|null} [normals] - calculateFrostDateNormals output
+ * @returns {object} { season, asOf, lastSpringFrost: { date, low, source, final }, firstFallFrost: { date, low, source },
+ *   frostFreeDays, complete, normal, departure, summary }
+ */
+function summarizeFrostSeason(observations, season, normals = null) {
+  const midsummer = `${season}-${MIDSUMMER}`;
+  const days = Object.keys(observations || {})
+    .filter(date => date.startsWith(`${season}-`) && typeof observations[date].low === 'number')
+    .sort();
+  const asOf = days.length > 0 ? days[days.length - 1] : null;
+  const frosts = days.filter(date => observations[date].low <= FROST_THRESHOLD);
+  const lastSpring = frosts.filter(date => date < midsummer).pop() || null;
+  const firstFall = frosts.find(date => date >= midsummer) || null;
+  const event = date => ({ date, low: observations[date].low, source: observations[date].source || null });
+
+  // Counted from the day after the last spring frost to the day before the first fall frost
+  const frostFreeDays = lastSpring ? daysBetween(lastSpring, firstFall || addDays(asOf, 1)) - 1 : null;
+
+  let normal = null;
+  let departure = null;
+  if (normals && normals.lastSpringFrost && asOf) {
+    const normalLast = `${season}-${normals.lastSpringFrost}`;
+    const normalFirst = normals.firstFallFrost ? `${season}-${normals.firstFallFrost}` : null;
+    const end = normalFirst && normalFirst <= asOf ? normalFirst : addDays(asOf, 1);
+    normal = {
+      lastSpringFrost: normalLast,
+      firstFallFrost: normalFirst,
+      frostFreeDays: normals.frostFreeDays,
+      frostFreeToDate: Math.max(0, daysBetween(normalLast, end) - 1),
+      period: normals.period
+    };
+    const comparableFrostFree = firstFall ? normal.frostFreeDays : normal.frostFreeToDate;
+    departure = {
+      lastSpringFrost: lastSpring ? daysBetween(normalLast, lastSpring) : null,
+      firstFallFrost: firstFall && normalFirst ? daysBetween(normalFirst, firstFall) : null,
+      frostFreeDays: frostFreeDays !== null && comparableFrostFree !== null ? frostFreeDays - comparableFrostFree : null
+    };
+  }
+
+  const summary = [];
+  if (lastSpring) {
+    const shift = departure?.lastSpringFrost !== null && departure?.lastSpringFrost !== undefined
+      ? `, ${describeShift(departure.lastSpringFrost, 'later', 'earlier')}` : '';
+    summary.push(`${asOf >= midsummer ? 'Last spring frost' : 'Latest frost so far'} was ${formatMonthDay(lastSpring)} (${observations[lastSpring].low} °C)${shift}.`);
+  }
+  if (firstFall) {
+    const shift = departure?.firstFallFrost !== null && departure?.firstFallFrost !== undefined
+      ? `, ${describeShift(departure.firstFallFrost, 'later', 'earlier')}` : '';
+    summary.push(`First fall frost was ${formatMonthDay(firstFall)} (${observations[firstFall].low} °C)${shift}.`);
+  } else if (normal?.firstFallFrost && asOf >= normal.firstFallFrost) {
+    summary.push(`No fall frost yet; it normally arrives by ${formatMonthDay(normal.firstFallFrost)}.`);
+  }
+  if (frostFreeDays !== null && departure?.frostFreeDays !== null && departure?.frostFreeDays !== undefined) {
+    const difference = Math.abs(departure.frostFreeDays);
+    const compared = departure.frostFreeDays === 0 ? 'the same as' : `${difference} ${departure.frostFreeDays > 0 ? 'more' : 'fewer'} than`;
+    summary.push(firstFall
+      ? `Frost-free period was ${frostFreeDays} days, ${compared} the normal ${normal.frostFreeDays}.`
+      : `${frostFreeDays} frost-free days so far, ${compared} normal by this date.`);
+  }
+
+  return {
+    season,
+    asOf,
+    lastSpringFrost: lastSpring ? { ...event(lastSpring), final: asOf >= midsummer } : null,
+    firstFallFrost: firstFall ? event(firstFall) : null,
+    frostFreeDays,
+    complete: firstFall !== null,
+    normal,
+    departure,
+    summary
+  };
+}
+
+/**
+ * NASA POWER minimums at the station for the days it has no observation of its own.
+ */
+async function fetchMissingMinimums(station, observations, startDate, endDate) {
+  const missing = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    if (!observations[date]) missing.push(date);
+  }
+  if (missing.length === 0) return {};
+
+  const data = await fetchNASAPowerParameters(
+    parseFloat(station.lat.toFixed(2)), parseFloat(station.lng.toFixed(2)),
+    toNASADate(new Date(missing[0])), toNASADate(new Date(missing[missing.length - 1])), ['T2M_MIN']
+  );
+  const wanted = new Set(missing);
+  const filled = {};
+  (data.daily || []).forEach(row => {
+    if (wanted.has(row.date) && typeof row.T2M_MIN === 'number') {
+      filled[row.date] = { low: row.T2M_MIN, source: 'NASA POWER' };
+    }
+  });
+  return filled;
+}
+
+/**
+ * Stores the day-by-day frost probability for the station's grid cell in
+ * frostClimatology/{cell}, where weather insights look it up.
+ * @returns {Promise<string>} The cell's document ID
+ */
+async function storeFrostClimatology(station, history) {
+  const cellId = gridCellId({ lat: station.lat, lng: station.lng });
+  await admin.firestore().collection('frostClimatology').doc(cellId).set({
+    cell: toGridCell({ lat: station.lat, lng: station.lng }),
+    ...calculateFrostProbabilityTable(history, FROST_THRESHOLD),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return cellId;
+}
+
+/**
+ * Adds yesterday's minimum at a station to its season document, frostSeasons/{stationId}_{season},
+ * and re-derives the season's frost dates. Days the station didn't report (before tracking
+ * started, or when the job missed a run) are filled from NASA POWER at the station's location,
+ * and the frost-date normals and frost climatology for the station's grid cell are computed
+ * once per season.
+ * Observations come from the station only; community frost reports aren't collected yet.
+ * @param {object} station - { id, name, province, lat, lng } (getFarmStation output)
+ * @param {object} [options] - { today: Date }
+ * @returns {Promise<object>} summarizeFrostSeason output plus station
+ */
+async function updateStationFrostSeason(station, options = {}) {
+  if (!station || !station.id || !station.province) {
+    throw new Error('A weather station with an ID and province is required to track frost.');
+  }
+  const yesterday = addDays(toDateString(options.today || new Date()), -1);
+  const season = yesterday.slice(0, 4);
+  const db = admin.firestore();
+  const docRef = db.collection('frostSeasons').doc(`${station.id}_${season}`);
+  const existing = await docRef.get();
+  const stored = existing.exists ? existing.data() : {};
+  const observations = { ...(stored.observations || {}) };
+  const hasLocation = typeof station.lat === 'number' && typeof station.lng === 'number';
+
+  const weather = await fetchECCCWeather(station.province, station.id);
+  const observed = weather.yesterday;
+  if (observed && observed.date && observed.date.startsWith(`${season}-`) && typeof observed.low === 'number') {
+    observations[observed.date] = { low: observed.low, source: 'ECCC' };
+  }
+
+  if (hasLocation) {
+    try {
+      Object.assign(observations, await fetchMissingMinimums(station, observations, `${season}-${SEASON_START}`, yesterday));
+    } catch (error) {
+      console.warn(`Frost tracking: could not fill gaps for ${station.id} from NASA POWER:`, error.message);
+    }
+  }
+
+  let normals = stored.normals || null;
+  let frostClimatology = stored.frostClimatology || null;
+  if ((!normals || !frostClimatology) && hasLocation) {
+    try {
+      const history = await getNormalsHistory({ lat: station.lat, lng: station.lng });
+      normals = normals || calculateFrostDateNormals(history, FROST_THRESHOLD);
+      frostClimatology = await storeFrostClimatology(station, history);
+    } catch (error) {
+      console.warn(`Frost tracking: normals unavailable for ${station.id}:`, error.message);
+    }
+  }
+
+  const result = summarizeFrostSeason(observations, season, normals);
+  await docRef.set({
+    stationId: station.id,
+    name: station.name || null,
+    province: station.province,
+    season,
+    observations,
+    normals,
+    frostClimatology,
+    ...result,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return { ...result, station: { id: station.id, name: station.name || null } };
+}
+
+/**
+ * Copies a station's frost season to a farmer's stats: the dates into quickStats.lastFrost and
+ * quickStats.firstFrost, and the full comparison into frostSeason.
+ * @param {string} farmerId - The UID of the farmer.
+ * @param {object} stationSeason - updateStationFrostSeason output
+ * @returns {Promise<void>}
+ */
+async function recordFarmFrostDates(farmerId, stationSeason) {
+  if (!farmerId) {
+    throw new Error('Farmer ID is required to record frost dates.');
+  }
+  const { station, ...season } = stationSeason;
+  await admin.firestore().collection('farmerStats').doc(farmerId).set({
+    quickStats: {
+      lastFrost: season.lastSpringFrost?.date || null,
+      firstFrost: season.firstFallFrost?.date || null
+    },
+    frostSeason: {
+      ...season,
+      station,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }
+  }, { merge: true });
+}
+
+module.exports = {
+  summarizeFrostSeason,
+  updateStationFrostSeason,
+  recordFarmFrostDates
+};
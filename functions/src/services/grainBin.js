@@ -0,0 +1,208 @@
+// functions/src/services/grainBin.js
+const admin = require('firebase-admin');
+const {
+  calculateEquilibriumHumidity,
+  evaluateAerationHour,
+  saturationVapourPressure
+} = require('./calculations');
+const { fetchECCCWeather, extendHourlyForecast } = require('./weather');
+const { getFarmStation } = require('./location/stationSelectionService');
+const grainStorage = require('../data/grainStorage.json');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const AIR_DENSITY = 1.2;            // kg/m³
+const AIR_HEAT_CAPACITY = 1.006;    // kJ/kg·K
+const WATER_HEAT_CAPACITY = 4.19;   // kJ/kg·K
+const GRAIN_HEAT_CAPACITY = 1.3;    // kJ/kg·K, dry matter
+const LATENT_HEAT = 2500;           // kJ/kg, evaporating water from grain
+const ATMOSPHERIC_PRESSURE = 101.325; // kPa
+const CFM_TO_M3_PER_HOUR = 1.699;
+const FAN_HEAT_RISE = 1;            // °C
+const DEFAULT_AIRFLOW = 1;          // cfm/bu, typical natural-air drying fan
+const AT_RISK_DAYS = 14;            // Less storage time left than this needs action now
+const WATCH_DAYS = 45;
+
+const round1 = value => parseFloat(value.toFixed(1));
+const round2 = value => parseFloat(value.toFixed(2));
+
+/**
+ * Water vapour per kg of dry air for air at a temperature (°C) and relative humidity (%).
+ */
+function humidityRatio(temperature, humidity) {
+  const vapourPressure = (humidity / 100) * saturationVapourPressure(temperature);
+  return (0.622 * vapourPressure) / (ATMOSPHERIC_PRESSURE - vapourPressure);
+}
+
+/**
+ * Allowable storage time before spoilage starts, from the safe-storage fit in
+ * data/grainStorage.json.
+ * @param {string} grain
+ * @param {number} moisture - % wet basis
+ * @param {number} temperature - °C
+ * @returns {number|null} Days, or null for an unknown grain
+ */
+function calculateSafeStorageDays(grain, moisture, temperature) {
+  const properties = grainStorage.grains[String(grain || '').toLowerCase()];
+  if (!properties || typeof moisture !== 'number' || typeof temperature !== 'number') return null;
+  const fit = grainStorage.safeStorage;
+  const equivalentMoisture = moisture - (properties.storageMoisture - fit.referenceMoisture);
+  return Math.pow(10, fit.intercept - fit.moisture * equivalentMoisture - fit.temperature * temperature);
+}
+
+/**
+ * Classifies the storage time left after the simulation.
+ */
+function classifyStorageRisk(days, grainName) {
+  if (days < AT_RISK_DAYS) {
+    return { level: 'at_risk', message: `${grainName} could start to spoil in about ${Math.max(0, Math.round(days))} days; dry, cool or market it now.` };
+  }
+  if (days < WATCH_DAYS) {
+    return { level: 'watch', message: `About ${Math.round(days)} days of safe storage left; keep drying or cooling and check the bin weekly.` };
+  }
+  return { level: 'safe', message: `${grainName} should keep for ${days > 365 ? 'over a year' : `about ${Math.round(days)} days`} at current conditions.` };
+}
+
+/**
+ * Simulates a bin hour by hour through the forecast. The bin is treated as one well-mixed
+ * mass: with the fan on, air warmed by the fan leaves at the grain temperature in equilibrium
+ * with the grain, carrying away (or depositing) the difference in moisture, and evaporative
+ * cooling and sensible heat set the new grain temperature. With the fan off nothing changes.
+ * Real bins dry in a front from the floor up, so the top layer stays wetter than the average.
+ * The fan runs when evaluateAerationHour says it should, unless fanMode is 'continuous' or 'off'.
+ * The simulation covers exactly the hours given; `horizon` reports the span and how many hours
+ * were estimated from the period forecast rather than forecast hourly.
+ * @param {object} weather - { hourly: [{ time, temperature, humidity, estimated }] }
+ * @param {object} bin - { grain, bushels, moisture (% wet basis), temperature (°C), airflow (cfm/bu),
+ *   targetMoisture, fanMode: 'auto'|'continuous'|'off', fanHeatRise }
+ * @returns {object} { grain, grainName, bushels, airflow, fanMode, targetMoisture, horizon, initial, final, hourly,
+ *   fanHours, fanOn, waterRemovedKg, storageLifeUsedPct, risk, note }
+ */
+function simulateGrainBin(weather, bin) {
+  const grain = String(bin.grain || '').toLowerCase();
+  const properties = grainStorage.grains[grain];
+  if (!properties) {
+    throw new Error(`Unknown grain "${bin.grain}"; expected one of ${Object.keys(grainStorage.grains).join(', ')}.`);
+  }
+  if (typeof bin.bushels !== 'number' || bin.bushels <= 0) {
+    throw new Error('Bin size in bushels must be a positive number.');
+  }
+  if (typeof bin.moisture !== 'number' || bin.moisture <= 0 || bin.moisture >= 40) {
+    throw new Error('Grain moisture must be a percentage (wet basis) between 0 and 40.');
+  }
+  if (typeof bin.temperature !== 'number') {
+    throw new Error('Grain temperature is required.');
+  }
+
+  const airflow = typeof bin.airflow === 'number' ? bin.airflow : DEFAULT_AIRFLOW;
+  const fanMode = bin.fanMode || 'auto';
+  const rise = typeof bin.fanHeatRise === 'number' ? bin.fanHeatRise : FAN_HEAT_RISE;
+  const targetMoisture = typeof bin.targetMoisture === 'number' ? bin.targetMoisture : properties.storageMoisture;
+
+  const dryMatter = bin.bushels * properties.bushelWeight * (1 - bin.moisture / 100);
+  const airMass = airflow * bin.bushels * CFM_TO_M3_PER_HOUR * AIR_DENSITY; // kg per hour
+  let water = (dryMatter * bin.moisture) / (100 - bin.moisture);
+  let temperature = bin.temperature;
+  let lifeUsed = 0;
+  let waterRemoved = 0;
+  const moisture = () => (100 * water) / (dryMatter + water);
+
+  const hours = weather.hourly || [];
+  const hourly = hours.map(hour => {
+    const air = { temperature: hour.temperature, humidity: hour.humidity };
+    const decision = evaluateAerationHour(grain, air, {
+      grainMoisture: moisture(), targetMoisture, grainTemperature: temperature, fanHeatRise: rise
+    });
+    const fan = decision.emc !== null && (fanMode === 'continuous' || (fanMode === 'auto' && decision.fan));
+
+    let removed = 0;
+    if (fan) {
+      const inletTemperature = air.temperature + rise;
+      const inletRatio = humidityRatio(air.temperature, air.humidity); // Heating doesn't change the vapour content
+      const outletRatio = humidityRatio(temperature, calculateEquilibriumHumidity(grain, temperature, moisture()));
+      removed = Math.max(-water, airMass * (outletRatio - inletRatio));
+      const heat = airMass * AIR_HEAT_CAPACITY * (inletTemperature - temperature) - removed * LATENT_HEAT;
+      water -= removed;
+      temperature += heat / (dryMatter * GRAIN_HEAT_CAPACITY + water * WATER_HEAT_CAPACITY);
+      waterRemoved += removed;
+    }
+    lifeUsed += 1 / (24 * calculateSafeStorageDays(grain, moisture(), temperature));
+
+    return {
+      time: hour.time,
+      estimated: hour.estimated === true,
+      airTemperature: decision.emc === null ? null : air.temperature,
+      airHumidity: decision.emc === null ? null : air.humidity,
+      airEmc: decision.emc,
+      fan,
+      moisture: round2(moisture()),
+      temperature: round1(temperature),
+      waterRemovedKg: round1(removed)
+    };
+  });
+
+  const initialDays = calculateSafeStorageDays(grain, bin.moisture, bin.temperature);
+  const finalDays = calculateSafeStorageDays(grain, moisture(), temperature) * Math.max(0, 1 - lifeUsed);
+  const fanHours = hourly.filter(h => h.fan);
+
+  return {
+    grain,
+    grainName: properties.name,
+    bushels: bin.bushels,
+    airflow,
+    fanMode,
+    targetMoisture,
+    horizon: {
+      start: hours[0]?.time || null,
+      end: hours[hours.length - 1]?.time || null,
+      hours: hours.length,
+      estimatedHours: hours.filter(h => h.estimated === true).length
+    },
+    initial: { moisture: bin.moisture, temperature: bin.temperature, safeStorageDays: round1(initialDays) },
+    final: { moisture: round2(moisture()), temperature: round1(temperature), safeStorageDays: round1(finalDays) },
+    hourly,
+    fanHours: fanHours.length,
+    fanOn: fanHours.map(h => h.time),
+    waterRemovedKg: round1(waterRemoved),
+    storageLifeUsedPct: round1(lifeUsed * 100),
+    risk: classifyStorageRisk(finalDays, properties.name),
+    note: 'Whole-bin average; the top of the bin dries last and should be probed.'
+  };
+}
+
+/**
+ * Runs the bin simulation for the farm's weather station over the next days: ECCC's hourly
+ * forecast, then hours estimated from the period forecast (extendHourlyForecast).
+ * @param {string} farmerId - The UID of the farmer.
+ * @param {object} bin - simulateGrainBin bin options
+ * @returns {Promise<object>} simulateGrainBin output plus station and forecastIssued
+ */
+async function simulateFarmGrainBin(farmerId, bin) {
+  if (!farmerId) {
+    throw new Error('Farmer ID is required to simulate a grain bin.');
+  }
+  const farmerDoc = await admin.firestore().collection('farmers').doc(farmerId).get();
+  if (!farmerDoc.exists) {
+    throw new Error('Farmer profile not found.');
+  }
+  const station = getFarmStation(farmerDoc.data().location?.derived);
+  if (!station || !station.province) {
+    throw new Error('No weather station is set for this farm; add coordinates or a land description first.');
+  }
+
+  const weather = await fetchECCCWeather(station.province, station.id);
+  return {
+    ...simulateGrainBin({ ...weather, hourly: extendHourlyForecast(weather) }, bin),
+    station: { id: station.id, name: station.name || null },
+    forecastIssued: weather.timestamp || null
+  };
+}
+
+module.exports = {
+  calculateSafeStorageDays,
+  simulateGrainBin,
+  simulateFarmGrainBin
+};
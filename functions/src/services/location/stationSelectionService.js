@@ -0,0 +1,68 @@
+// functions/src/services/location/stationSelectionService.js
+const admin = require('firebase-admin');
+const { getStationsByIds, calculateDistance } = require('../../utils/weatherStations');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+/**
+ * The station a farm's weather should come from: the farmer's chosen alternate if set,
+ * otherwise the nearest station.
+ * @param {object} derived - profile.location.derived
+ * @returns {object|null} { id, name, province, distance }
+ */
+function getFarmStation(derived) {
+  if (!derived) return null;
+  if (derived.selectedStation && derived.selectedStation.id) return derived.selectedStation;
+  if (derived.nearestStation && derived.nearestStation.id) return derived.nearestStation;
+  return null;
+}
+
+/**
+ * Lets a farmer pick an alternate weather station (e.g. one across a river valley that
+ * better matches their land). Passing a null stationId reverts to the nearest station.
+ * @param {string} farmerId - The UID of the farmer.
+ * @param {string|null} stationId - Citypage station code (e.g. 's0000797').
+ * @returns {Promise<object|null>} The selected station, or null when reverted.
+ */
+async function selectWeatherStation(farmerId, stationId) {
+  if (!farmerId) {
+    throw new Error('Farmer ID is required to select a weather station.');
+  }
+  const db = admin.firestore();
+  const farmerRef = db.collection('farmers').doc(farmerId);
+  const farmerDoc = await farmerRef.get();
+  if (!farmerDoc.exists) {
+    throw new Error('Farmer profile not found.');
+  }
+
+  let selectedStation = null;
+  if (stationId) {
+    const [station] = await getStationsByIds([stationId]);
+    if (!station) {
+      throw new Error(`Unknown weather station: ${stationId}`);
+    }
+    const coordinates = farmerDoc.data().location?.coordinates || {};
+    const distance = calculateDistance(coordinates.lat, coordinates.lng, station.lat, station.lng);
+    selectedStation = {
+      id: station.id,
+      name: station.name,
+      province: station.province,
+      distance: isFinite(distance) ? parseFloat(distance.toFixed(1)) : null
+    };
+  }
+
+  await farmerRef.update({
+    'location.derived.selectedStation': selectedStation,
+    'metadata.lastActive': admin.firestore.FieldValue.serverTimestamp()
+  });
+  console.log(`Farmer ${farmerId} weather station set to ${selectedStation ? selectedStation.id : 'nearest'}.`);
+  return selectedStation;
+}
+
+module.exports = {
+  getFarmStation,
+  selectWeatherStation
+};
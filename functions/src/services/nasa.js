@@ -8,55 +8,69 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 
+const NASA_POWER_DAILY_URL = 'https://power.larc.nasa.gov/api/temporal/daily/point';
+const NASA_POWER_CLIMATOLOGY_URL = 'https://power.larc.nasa.gov/api/temporal/climatology/point';
+const CLIMATOLOGY_TTL_SECONDS = 30 * 86400; // Long-term monthly means only change when POWER re-baselines
+const DAYS_IN_CALENDAR = 366; // History arrays keep a Feb 29 slot in every year (null outside leap years)
+const MONTH_KEYS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const NASA_MISSING_VALUE = -999;
+
+// Daily parameters we request from the AG community. `aggregate` decides whether a
+// period summary is a total (precipitation) or an average.
+const NASA_PARAMETERS = {
+  T2M: { name: 'temperature', unit: '°C', aggregate: 'mean', description: 'Mean temperature at 2 m' },
+  T2M_MAX: { name: 'temperatureMax', unit: '°C', aggregate: 'mean', description: 'Maximum temperature at 2 m' },
+  T2M_MIN: { name: 'temperatureMin', unit: '°C', aggregate: 'mean', description: 'Minimum temperature at 2 m' },
+  PRECTOTCORR: { name: 'precipitation', unit: 'mm', aggregate: 'sum', description: 'Precipitation Corrected' },
+  RH2M: { name: 'humidity', unit: '%', aggregate: 'mean', description: 'Relative humidity at 2 m' },
+  WS2M: { name: 'windSpeed', unit: 'm/s', aggregate: 'mean', description: 'Wind speed at 2 m' },
+  ALLSKY_SFC_SW_DWN: { name: 'solarRadiation', unit: 'MJ/m²/day', aggregate: 'mean', description: 'All-sky surface shortwave downward irradiance' },
+  GWETROOT: { name: 'rootZoneWetness', unit: 'fraction', aggregate: 'mean', description: 'Root zone soil wetness (0 = dry, 1 = saturated)' }
+};
+
+const DEFAULT_PARAMETER_SET = Object.keys(NASA_PARAMETERS);
+
 /**
- * Fetch precipitation data from NASA POWER API
+ * Upper-cased, de-duplicated and sorted POWER codes, so equivalent requests share a cache key.
+ * Throws if none are given or any isn't in NASA_PARAMETERS.
+ * @param {Array<string>} parameters - POWER codes
+ * @returns {Array<string>}
+ */
+function normalizeParameters(parameters) {
+  const requested = [...new Set(parameters.map(p => String(p).toUpperCase()))].sort();
+  const unsupported = requested.filter(p => !NASA_PARAMETERS[p]);
+  if (requested.length === 0 || unsupported.length > 0) {
+    throw new Error('Unsupported NASA POWER parameters: ' + (unsupported.join(', ') || 'none requested'));
+  }
+  return requested;
+}
+
+/**
+ * Request daily point data from NASA POWER and return the raw JSON body.
  * @param {number} lat - Latitude
- * @param {number} lon - Longitude  
+ * @param {number} lon - Longitude
  * @param {string} startDate - Start date (YYYYMMDD format)
  * @param {string} endDate - End date (YYYYMMDD format)
- * @returns {Object} Processed NASA POWER data
+ * @param {Array<string>} parameters - POWER parameter codes
+ * @param {number} [timeout=30000] - Request timeout in ms
  */
-async function fetchNASAPowerData(lat, lon, startDate, endDate) {
-  // Check cache first
-  const cacheKey = `nasa_${lat}_${lon}_${startDate}_${endDate}`;
-  const cachedData = await getCachedData(cacheKey);
-  if (cachedData) {
-    console.log('Returning cached NASA POWER data');
-    return cachedData;
-  }
+async function requestNASAPower(lat, lon, startDate, endDate, parameters, timeout = 30000) {
+  const url = `${NASA_POWER_DAILY_URL}?parameters=${parameters.join(',')}&community=AG&longitude=${lon}&latitude=${lat}&start=${startDate}&end=${endDate}&format=JSON`;
 
-  // NASA POWER API endpoint
-  const baseUrl = 'https://power.larc.nasa.gov/api/temporal/daily/point';
-  
-  // Parameters for precipitation data
-  const parameters = 'PRECTOTCORR'; // Precipitation Corrected
-  const community = 'AG'; // Agricultural community
-  const format = 'JSON';
-  
-  // Build the full URL
-  const url = `${baseUrl}?parameters=${parameters}&community=${community}&longitude=${lon}&latitude=${lat}&start=${startDate}&end=${endDate}&format=${format}`;
-  
   try {
     console.log(`Fetching NASA POWER data from: ${url}`);
-    
+
     const response = await axios.get(url, {
-      timeout: 30000, // 30 second timeout (NASA can be slow)
+      timeout, // 30 seconds by default (NASA can be slow)
       headers: {
         'User-Agent': 'Agricast/1.0 (Agricultural verification system)'
       }
     });
-    
-    // Process the NASA POWER response
-    const processedData = processNASAResponse(response.data, lat, lon, startDate, endDate);
-    
-    // Cache the processed data for 24 hours (86400 seconds)
-    await cacheData(cacheKey, processedData, 86400);
-    
-    return processedData;
-    
+    return response.data;
+
   } catch (error) {
     console.error('NASA POWER fetch error:', error.message);
-    
+
     if (error.response) {
       // NASA API returned an error
       if (error.response.status === 422) {
@@ -65,11 +79,276 @@ async function fetchNASAPowerData(lat, lon, startDate, endDate) {
         throw new Error('No NASA POWER data available for this location/time');
       }
     }
-    
+
     throw new Error('Failed to fetch NASA POWER data: ' + error.message);
   }
 }
 
+/**
+ * Fetch precipitation data from NASA POWER API
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude  
+ * @param {string} startDate - Start date (YYYYMMDD format)
+ * @param {string} endDate - End date (YYYYMMDD format)
+ * @returns {Object} Processed NASA POWER data
+ */
+async function fetchNASAPowerData(lat, lon, startDate, endDate) {
+  // Check cache first
+  const cacheKey = `nasa_${lat}_${lon}_${startDate}_${endDate}`;
+  const cachedData = await getCachedData(cacheKey);
+  if (cachedData) {
+    console.log('Returning cached NASA POWER data');
+    return cachedData;
+  }
+
+  const rawData = await requestNASAPower(lat, lon, startDate, endDate, ['PRECTOTCORR']);
+
+  // Process the NASA POWER response
+  const processedData = processNASAResponse(rawData, lat, lon, startDate, endDate);
+
+  // Cache the processed data for 24 hours (86400 seconds)
+  await cacheData(cacheKey, processedData, 86400);
+
+  return processedData;
+}
+
+/**
+ * Fetch a set of daily parameters from NASA POWER (temperature, humidity, wind, solar
+ * radiation, root-zone wetness, precipitation), cached per parameter set.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} startDate - Start date (YYYYMMDD format)
+ * @param {string} endDate - End date (YYYYMMDD format)
+ * @param {Array<string>} [parameters] - POWER codes from NASA_PARAMETERS; defaults to all of them
+ * @returns {Object} { location, period, parameters: { CODE: { ...meta, summary, daily } }, daily, metadata }
+ */
+async function fetchNASAPowerParameters(lat, lon, startDate, endDate, parameters = DEFAULT_PARAMETER_SET) {
+  const requested = normalizeParameters(parameters);
+
+  const cacheKey = `nasa_${lat}_${lon}_${startDate}_${endDate}_${requested.join('-')}`;
+  const cachedData = await getCachedData(cacheKey);
+  if (cachedData) {
+    console.log('Returning cached NASA POWER parameter data');
+    return cachedData;
+  }
+
+  const rawData = await requestNASAPower(lat, lon, startDate, endDate, requested);
+  const processedData = processNASAParameters(rawData, requested, lat, lon, startDate, endDate);
+
+  await cacheData(cacheKey, processedData, 86400);
+
+  return processedData;
+}
+
+/**
+ * Fetch long-term monthly means (POWER climatology) for a point, cached for 30 days.
+ * Precipitation comes back as a mean daily rate (mm/day) for each month.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Array<string>} parameters - POWER codes from NASA_PARAMETERS
+ * @returns {Object} { location, parameters: { CODE: { ...meta, monthly: [12 values, Jan first], annual } }, metadata }
+ */
+async function fetchNASAClimatology(lat, lon, parameters) {
+  const requested = normalizeParameters(parameters);
+
+  const cacheKey = `nasa_climatology_${lat}_${lon}_${requested.join('-')}`;
+  const cachedData = await getCachedData(cacheKey);
+  if (cachedData) {
+    console.log('Returning cached NASA POWER climatology');
+    return cachedData;
+  }
+
+  const url = `${NASA_POWER_CLIMATOLOGY_URL}?parameters=${requested.join(',')}&community=AG&longitude=${lon}&latitude=${lat}&format=JSON`;
+  let rawData;
+  try {
+    console.log(`Fetching NASA POWER climatology from: ${url}`);
+    const response = await axios.get(url, {
+      timeout: 30000,
+      headers: { 'User-Agent': 'Agricast/1.0 (Agricultural verification system)' }
+    });
+    rawData = response.data;
+  } catch (error) {
+    console.error('NASA POWER climatology fetch error:', error.message);
+    throw new Error('Failed to fetch NASA POWER climatology: ' + error.message);
+  }
+
+  const parameterData = rawData?.properties?.parameter;
+  if (!parameterData) {
+    throw new Error('Failed to process NASA POWER climatology');
+  }
+  const fillValue = rawData.header?.fill_value ?? NASA_MISSING_VALUE;
+  const clean = value => (typeof value !== 'number' || value === NASA_MISSING_VALUE || value === fillValue ? null : value);
+
+  const series = {};
+  requested.forEach(code => {
+    const values = parameterData[code] || {};
+    series[code] = {
+      ...NASA_PARAMETERS[code],
+      // Climatology precipitation is a rate, not a monthly total
+      unit: code === 'PRECTOTCORR' ? 'mm/day' : NASA_PARAMETERS[code].unit,
+      monthly: MONTH_KEYS.map(month => clean(values[month])),
+      annual: clean(values.ANN)
+    };
+  });
+
+  const climatology = {
+    location: { latitude: lat, longitude: lon },
+    parameters: series,
+    metadata: {
+      source: 'NASA POWER',
+      community: 'AG',
+      temporalResolution: 'Monthly climatology',
+      period: rawData.header?.start && rawData.header?.end ? `${rawData.header.start}-${rawData.header.end}` : null
+    },
+    timestamp: new Date().toISOString()
+  };
+
+  await cacheData(cacheKey, climatology, CLIMATOLOGY_TTL_SECONDS);
+
+  return climatology;
+}
+
+/**
+ * Position of a date in a 366-slot calendar (Jan 1 = 0, Feb 29 = 59, Dec 31 = 365), so the
+ * same month and day line up across leap and common years.
+ * @param {string} date - 'YYYY-MM-DD' or 'YYYYMMDD'
+ * @returns {number}
+ */
+function calendarSlot(date) {
+  const digits = date.replace(/-/g, '');
+  const month = parseInt(digits.substring(4, 6), 10);
+  const day = parseInt(digits.substring(6, 8), 10);
+  return Math.round((Date.UTC(2000, month - 1, day) - Date.UTC(2000, 0, 1)) / 86400000);
+}
+
+/**
+ * Fetch several years of daily values in one POWER request and keep them compactly: one
+ * 366-slot array per year and parameter (see calendarSlot). Cached for 30 days, since past
+ * years don't change; ~30 years of three parameters fits comfortably in one cache document.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} startYear - First full year
+ * @param {number} endYear - Last full year
+ * @param {Array<string>} parameters - POWER codes from NASA_PARAMETERS
+ * @returns {Object} { location, period: { startYear, endYear }, parameters, years: { YYYY: { CODE: [366] } }, metadata }
+ */
+async function fetchNASADailyHistory(lat, lon, startYear, endYear, parameters) {
+  const requested = normalizeParameters(parameters);
+
+  const cacheKey = `nasa_history_${lat}_${lon}_${startYear}_${endYear}_${requested.join('-')}`;
+  const cachedData = await getCachedData(cacheKey);
+  if (cachedData) {
+    console.log('Returning cached NASA POWER daily history');
+    return cachedData;
+  }
+
+  // Decades of daily data take POWER noticeably longer to assemble
+  const rawData = await requestNASAPower(lat, lon, `${startYear}0101`, `${endYear}1231`, requested, 60000);
+  const parameterData = rawData?.properties?.parameter;
+  if (!parameterData) {
+    throw new Error('Failed to process NASA POWER data');
+  }
+  const fillValue = rawData.header?.fill_value ?? NASA_MISSING_VALUE;
+
+  const years = {};
+  for (let year = startYear; year <= endYear; year++) {
+    years[year] = {};
+    requested.forEach(code => {
+      years[year][code] = new Array(DAYS_IN_CALENDAR).fill(null);
+    });
+  }
+  requested.forEach(code => {
+    Object.entries(parameterData[code] || {}).forEach(([dateKey, value]) => {
+      const year = dateKey.substring(0, 4);
+      if (!years[year] || typeof value !== 'number' || value === NASA_MISSING_VALUE || value === fillValue) return;
+      years[year][code][calendarSlot(dateKey)] = parseFloat(value.toFixed(2));
+    });
+  });
+
+  const history = {
+    location: { latitude: lat, longitude: lon },
+    period: { startYear, endYear },
+    parameters: requested,
+    years,
+    metadata: {
+      source: 'NASA POWER',
+      community: 'AG',
+      temporalResolution: 'Daily'
+    },
+    timestamp: new Date().toISOString()
+  };
+
+  await cacheData(cacheKey, history, CLIMATOLOGY_TTL_SECONDS);
+
+  return history;
+}
+
+/**
+ * Turn a multi-parameter POWER response into per-parameter series plus merged daily rows.
+ * Missing values (-999 or the response's fill value) become null and are left out of summaries.
+ */
+function processNASAParameters(data, parameters, lat, lon, startDate, endDate) {
+  const parameterData = data?.properties?.parameter;
+  if (!parameterData) {
+    throw new Error('Failed to process NASA POWER data');
+  }
+  const fillValue = data.header?.fill_value ?? NASA_MISSING_VALUE;
+  const isMissing = value => value === null || value === undefined || value === NASA_MISSING_VALUE || value === fillValue;
+
+  const rowsByDate = new Map();
+  const series = {};
+
+  parameters.forEach(code => {
+    const meta = NASA_PARAMETERS[code];
+    const values = parameterData[code] || {};
+    const daily = Object.keys(values).sort().map(dateKey => {
+      const date = formatNASADate(dateKey);
+      const value = isMissing(values[dateKey]) ? null : values[dateKey];
+      if (!rowsByDate.has(date)) rowsByDate.set(date, { date });
+      rowsByDate.get(date)[code] = value;
+      return { date, value };
+    });
+
+    const present = daily.map(d => d.value).filter(v => v !== null);
+    const total = present.reduce((sum, v) => sum + v, 0);
+    series[code] = {
+      ...meta,
+      summary: {
+        total: meta.aggregate === 'sum' ? parseFloat(total.toFixed(2)) : null,
+        mean: present.length > 0 ? parseFloat((total / present.length).toFixed(2)) : null,
+        min: present.length > 0 ? Math.min(...present) : null,
+        max: present.length > 0 ? Math.max(...present) : null,
+        daysWithData: present.length,
+        dataCompleteness: daily.length > 0 ? ((present.length / daily.length) * 100).toFixed(1) + '%' : '0.0%'
+      },
+      daily
+    };
+  });
+
+  const daily = Array.from(rowsByDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    location: {
+      latitude: lat,
+      longitude: lon
+    },
+    period: {
+      start: formatDateDisplay(startDate),
+      end: formatDateDisplay(endDate),
+      days: daily.length
+    },
+    parameters: series,
+    daily,
+    metadata: {
+      source: 'NASA POWER',
+      community: 'AG',
+      spatialResolution: '0.5 x 0.5 degree',
+      temporalResolution: 'Daily'
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
 /**
  * Process NASA POWER API response into our standard format
  */
@@ -232,7 +511,22 @@ function isValidDate(dateStr) {
          date.getDate() === day;
 }
 
+/**
+ * Format a Date as a NASA request date (YYYYMMDD, UTC)
+ */
+function toNASADate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
 module.exports = {
   fetchNASAPowerData,
-  isValidDate
+  fetchNASAPowerParameters,
+  fetchNASAClimatology,
+  fetchNASADailyHistory,
+  processNASAParameters,
+  calendarSlot,
+  isValidDate,
+  toNASADate,
+  NASA_PARAMETERS,
+  DEFAULT_PARAMETER_SET
 };
@@ -0,0 +1,100 @@
+// functions/src/services/notifications.js
+const admin = require('firebase-admin');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+// FCM errors that mean the token will never work again
+const STALE_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+const ALERT_TITLES = {
+  SPRAY_CONDITIONS: 'Spray window',
+  FROST_RISK: 'Frost risk',
+  SEVERE_WEATHER: 'Weather warning',
+  WIND_THRESHOLD: 'Wind alert',
+  TEMPERATURE: 'Temperature alert',
+  RAIN_EXPECTED: 'Rain expected',
+  PEST_DEGREE_DAYS: 'Pest scouting'
+};
+
+/**
+ * Saves a device's FCM registration token on the farmer profile (farmers/{uid}.notificationTokens).
+ * @param {string} userId - The UID of the farmer.
+ * @param {string} token - The token from the app's messaging SDK.
+ * @returns {Promise<void>}
+ */
+async function registerNotificationToken(userId, token) {
+  if (!userId) {
+    throw new Error('User ID is required to register a notification token.');
+  }
+  if (!token || typeof token !== 'string') {
+    throw new Error('A notification token string is required.');
+  }
+  await admin.firestore().collection('farmers').doc(userId).set({
+    notificationTokens: admin.firestore.FieldValue.arrayUnion(token)
+  }, { merge: true });
+}
+
+/**
+ * Delivers triggered alerts (checkAlertConditions output) to a farmer: each one is written to
+ * users/{uid}/notifications for the in-app inbox, and pushed to the farmer's devices unless
+ * preferences.notifications.weatherAlerts is off. Tokens FCM rejects as stale are removed.
+ * @param {string} userId - The UID of the farmer.
+ * @param {Array} triggered - Triggered alert objects.
+ * @returns {Promise<object>} { stored, pushed }
+ */
+async function deliverAlerts(userId, triggered) {
+  if (!triggered || triggered.length === 0) return { stored: 0, pushed: 0 };
+  const db = admin.firestore();
+  const notifications = triggered.map(alert => ({
+    title: ALERT_TITLES[alert.alertType] || alert.alertName || 'Weather alert',
+    body: alert.message,
+    alertType: alert.alertType,
+    alertName: alert.alertName || null,
+    triggeredAt: alert.triggeredAt,
+    read: false
+  }));
+
+  const batch = db.batch();
+  const inbox = db.collection('users').doc(userId).collection('notifications');
+  notifications.forEach(notification => {
+    batch.set(inbox.doc(), { ...notification, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+  });
+  await batch.commit();
+
+  const farmerRef = db.collection('farmers').doc(userId);
+  const farmerDoc = await farmerRef.get();
+  const farmer = farmerDoc.exists ? farmerDoc.data() : {};
+  const tokens = farmer.notificationTokens || [];
+  if (tokens.length === 0 || farmer.preferences?.notifications?.weatherAlerts === false) {
+    return { stored: notifications.length, pushed: 0 };
+  }
+
+  let pushed = 0;
+  const stale = new Set();
+  for (const notification of notifications) {
+    const response = await admin.messaging().sendEachForMulticast({
+      tokens,
+      notification: { title: notification.title, body: notification.body },
+      data: { alertType: notification.alertType || '' }
+    });
+    pushed += response.successCount;
+    response.responses.forEach((result, i) => {
+      if (!result.success && STALE_TOKEN_ERRORS.includes(result.error?.code)) stale.add(tokens[i]);
+    });
+  }
+  if (stale.size > 0) {
+    await farmerRef.update({ notificationTokens: admin.firestore.FieldValue.arrayRemove(...stale) });
+  }
+  return { stored: notifications.length, pushed };
+}
+
+module.exports = {
+  registerNotificationToken,
+  deliverAlerts
+};
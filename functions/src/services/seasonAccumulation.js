@@ -0,0 +1,342 @@
+// functions/src/services/seasonAccumulation.js
+const admin = require('firebase-admin');
+const { calculateGDD, calculateCHU } = require('./calculations');
+const { fetchNASAPowerParameters, fetchNASAClimatology, toNASADate } = require('./nasa');
+const { fetchECCCWeather } = require('./weather');
+const { getFarmStation } = require('./location/stationSelectionService');
+const { getNormalsHistory, calculateWindowDistribution, compareToNormals, describeComparison } = require('./climateNormals');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const DEFAULT_GDD_BASE = 5;           // Prairie convention for cereals and canola
+const DEFAULT_SEASON_START = '05-01'; // Used when no seeding date is known
+const DAY_MS = 86400000;
+// A season fits in one POWER request and one cache document, and compares against single-season normals
+const MAX_SEASON_DAYS = 366;
+const SEASON_PARAMETERS = ['T2M_MAX', 'T2M_MIN', 'PRECTOTCORR'];
+
+const round1 = value => parseFloat(value.toFixed(1));
+
+/**
+ * Converts an ISO string, Date or Firestore Timestamp to 'YYYY-MM-DD' (UTC), or null.
+ */
+function toDateString(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+  return new Date(Date.parse(dateString) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Checks a caller-supplied season start: a real 'YYYY-MM-DD' date, not in the future and no
+ * more than MAX_SEASON_DAYS before today.
+ * @param {string} startDate - 'YYYY-MM-DD'
+ * @param {Date} [today]
+ * @returns {string|null} What's wrong with it, or null when it's usable
+ */
+function validateSeasonStart(startDate, today = new Date()) {
+  if (typeof startDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(startDate) || toDateString(startDate) !== startDate) {
+    return 'startDate must be a date in YYYY-MM-DD format.';
+  }
+  const todayString = toDateString(today);
+  if (startDate > todayString) {
+    return 'startDate cannot be in the future.';
+  }
+  if (startDate < addDays(todayString, -MAX_SEASON_DAYS)) {
+    return `startDate cannot be more than ${MAX_SEASON_DAYS} days ago.`;
+  }
+  return null;
+}
+
+/**
+ * Picks the accumulation start date: an explicit date, else the named crop's seeding
+ * date, else May 1 of the season.
+ * @param {object} options - { startDate, crop, season }
+ * @param {Array<object>} [crops] - farmDetails.crops
+ * @returns {{ date: string, source: 'explicit'|'plantingDate'|'default' }}
+ */
+function resolveSeasonStart(options = {}, crops = []) {
+  const season = options.season || new Date().getUTCFullYear();
+  const explicit = toDateString(options.startDate);
+  if (explicit) return { date: explicit, source: 'explicit' };
+
+  if (options.crop) {
+    const crop = crops.find(c => c.type && c.type.toLowerCase() === String(options.crop).toLowerCase());
+    const planted = toDateString(crop?.plantingDate);
+    if (planted && planted.startsWith(String(season))) return { date: planted, source: 'plantingDate' };
+  }
+  return { date: `${season}-${DEFAULT_SEASON_START}`, source: 'default' };
+}
+
+/**
+ * Lines NASA POWER daily rows up with ECCC's "yesterday" observation. POWER lags a few
+ * days behind, so the station's reading fills yesterday when POWER has no value for it.
+ * @param {Array<object>} nasaDaily - processNASAParameters daily rows ({ date, T2M_MAX, T2M_MIN, PRECTOTCORR })
+ * @param {object|null} yesterday - fetchECCCWeather().yesterday
+ * @param {string} startDate - 'YYYY-MM-DD'
+ * @param {string} endDate - 'YYYY-MM-DD'
+ * @returns {Array<object>} One row per day: { date, tMax, tMin, precipitation, source } (source null when missing)
+ */
+function mergeDailyObservations(nasaDaily, yesterday, startDate, endDate) {
+  const byDate = new Map((nasaDaily || []).map(row => [row.date, row]));
+  const rows = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    const nasa = byDate.get(date);
+    if (nasa && nasa.T2M_MAX !== null && nasa.T2M_MAX !== undefined && nasa.T2M_MIN !== null && nasa.T2M_MIN !== undefined) {
+      rows.push({ date, tMax: nasa.T2M_MAX, tMin: nasa.T2M_MIN, precipitation: nasa.PRECTOTCORR ?? null, source: 'NASA POWER' });
+    } else if (yesterday && yesterday.date === date && yesterday.high !== null && yesterday.low !== null) {
+      rows.push({ date, tMax: yesterday.high, tMin: yesterday.low, precipitation: yesterday.precipitation, source: 'ECCC' });
+    } else {
+      rows.push({ date, tMax: null, tMin: null, precipitation: null, source: null });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Daily and cumulative GDD, CHU and precipitation. Days without data add nothing.
+ * @param {Array<object>} rows - mergeDailyObservations output
+ * @param {number} [gddBase=5]
+ * @returns {{ daily: Array<object>, totals: object, missingDays: Array<string> }}
+ */
+function accumulateSeason(rows, gddBase = DEFAULT_GDD_BASE) {
+  const totals = { gdd: 0, chu: 0, precipitation: 0 };
+  const missingDays = [];
+  const daily = rows.map(row => {
+    const hasTemps = row.tMax !== null && row.tMin !== null;
+    if (!hasTemps) missingDays.push(row.date);
+    const gdd = hasTemps ? calculateGDD(row.tMax, row.tMin, gddBase) : null;
+    const chu = hasTemps ? calculateCHU(row.tMax, row.tMin) : null;
+    totals.gdd += gdd || 0;
+    totals.chu += chu || 0;
+    totals.precipitation += row.precipitation || 0;
+    return {
+      date: row.date,
+      tMax: row.tMax,
+      tMin: row.tMin,
+      gdd: gdd === null ? null : round1(gdd),
+      chu: chu === null ? null : round1(chu),
+      precipitation: row.precipitation === null ? null : round1(row.precipitation),
+      cumulative: { gdd: round1(totals.gdd), chu: round1(totals.chu), precipitation: round1(totals.precipitation) },
+      source: row.source
+    };
+  });
+  return {
+    daily,
+    totals: { gdd: round1(totals.gdd), chu: round1(totals.chu), precipitation: round1(totals.precipitation) },
+    missingDays
+  };
+}
+
+/**
+ * Normal GDD, CHU and precipitation for the same dates from monthly climatology: each day
+ * takes its month's mean max/min temperature and mean daily precipitation. Working from
+ * monthly means understates heat units on variable days, so treat the result as a guide.
+ * @param {object} climatology - fetchNASAClimatology output
+ * @param {Array<string>} dates - 'YYYY-MM-DD'
+ * @param {number} [gddBase=5]
+ * @returns {{ gdd: number, chu: number, precipitation: number }|null}
+ */
+function calculateNormals(climatology, dates, gddBase = DEFAULT_GDD_BASE) {
+  const params = climatology?.parameters;
+  if (!params || !params.T2M_MAX || !params.T2M_MIN || !params.PRECTOTCORR) return null;
+  const normals = { gdd: 0, chu: 0, precipitation: 0 };
+  for (const date of dates) {
+    const month = parseInt(date.substring(5, 7), 10) - 1;
+    const tMax = params.T2M_MAX.monthly[month];
+    const tMin = params.T2M_MIN.monthly[month];
+    const precip = params.PRECTOTCORR.monthly[month];
+    if (tMax === null || tMin === null || precip === null) return null;
+    normals.gdd += calculateGDD(tMax, tMin, gddBase);
+    normals.chu += calculateCHU(tMax, tMin);
+    normals.precipitation += precip;
+  }
+  return { gdd: round1(normals.gdd), chu: round1(normals.chu), precipitation: round1(normals.precipitation) };
+}
+
+function percentOf(actual, normal) {
+  return normal > 0 ? Math.round((actual / normal) * 100) : null;
+}
+
+/**
+ * Compares season totals with normals over the days that have data. Uses the 1991-2020
+ * daily history when it loaded (adds percentile ranks); otherwise falls back to the much
+ * smaller monthly climatology request.
+ * @returns {Promise<object>} { normals, percentOfNormal, percentileRank, summary, source }
+ */
+async function compareSeasonToNormals(coordinates, normalsHistory, daily, totals, gddBase) {
+  const observedDates = daily.filter(d => d.gdd !== null).map(d => d.date);
+  const pick = (comparison, key) => ({
+    gdd: comparison.gdd?.[key] ?? null,
+    chu: comparison.chu?.[key] ?? null,
+    precipitation: comparison.precipitation?.[key] ?? null
+  });
+
+  const distribution = normalsHistory ? calculateWindowDistribution(normalsHistory, observedDates, gddBase) : [];
+  if (distribution.length > 0) {
+    const comparison = compareToNormals(totals, distribution);
+    return {
+      normals: pick(comparison, 'normal'),
+      percentOfNormal: pick(comparison, 'percentOfNormal'),
+      percentileRank: pick(comparison, 'percentileRank'),
+      summary: describeComparison(comparison),
+      source: 'NASA POWER 1991-2020 daily'
+    };
+  }
+
+  const climatology = await fetchNASAClimatology(coordinates.lat, coordinates.lng, SEASON_PARAMETERS).catch(error => {
+    console.warn('Season-to-date: climatology unavailable:', error.message);
+    return null;
+  });
+  const normals = observedDates.length > 0 ? calculateNormals(climatology, observedDates, gddBase) : null;
+  return {
+    normals,
+    percentOfNormal: normals
+      ? { gdd: percentOf(totals.gdd, normals.gdd), chu: percentOf(totals.chu, normals.chu), precipitation: percentOf(totals.precipitation, normals.precipitation) }
+      : { gdd: null, chu: null, precipitation: null },
+    percentileRank: { gdd: null, chu: null, precipitation: null },
+    summary: [],
+    source: normals ? 'NASA POWER climatology' : null
+  };
+}
+
+/**
+ * Season-to-date GDD, CHU and precipitation for a location, with percent of normal and
+ * percentile rank against 1991-2020. History comes from NASA POWER; ECCC's yesterday observation fills the lag.
+ * @param {object} coordinates - { lat, lng }
+ * @param {object} [options] - { startDate: 'YYYY-MM-DD', gddBase, station: { id, province }, today: Date }
+ * @returns {Promise<object>} { location, period, gddBase, totals, normals, percentOfNormal, percentileRank,
+ *   summary, daily, missingDays, sources }
+ */
+async function getSeasonToDate(coordinates, options = {}) {
+  if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+    throw new Error('Coordinates are required for season-to-date accumulation.');
+  }
+  const gddBase = typeof options.gddBase === 'number' ? options.gddBase : DEFAULT_GDD_BASE;
+  const startDate = toDateString(options.startDate) || `${new Date().getUTCFullYear()}-${DEFAULT_SEASON_START}`;
+  const endDate = addDays(toDateString(options.today || new Date()), -1);
+  // Two decimals (~1 km) is finer than POWER's 0.5° grid and keeps cache keys stable
+  const lat = parseFloat(coordinates.lat.toFixed(2));
+  const lng = parseFloat(coordinates.lng.toFixed(2));
+
+  const result = {
+    location: { lat, lng, station: options.station?.id || null },
+    period: { start: startDate, end: endDate, days: 0 },
+    gddBase,
+    totals: { gdd: 0, chu: 0, precipitation: 0 },
+    normals: null,
+    percentOfNormal: { gdd: null, chu: null, precipitation: null },
+    percentileRank: { gdd: null, chu: null, precipitation: null },
+    summary: [],
+    daily: [],
+    missingDays: [],
+    sources: { history: 'NASA POWER', recent: null, normals: null },
+    timestamp: new Date().toISOString()
+  };
+  if (startDate < addDays(endDate, 1 - MAX_SEASON_DAYS)) {
+    throw new Error(`Season-to-date accumulation covers at most ${MAX_SEASON_DAYS} days; start on or after ${addDays(endDate, 1 - MAX_SEASON_DAYS)}.`);
+  }
+  if (startDate > endDate) {
+    return result; // Season hasn't started yet
+  }
+
+  const [history, normalsHistory, recent] = await Promise.all([
+    fetchNASAPowerParameters(lat, lng, toNASADate(new Date(startDate)), toNASADate(new Date(endDate)), SEASON_PARAMETERS),
+    getNormalsHistory({ lat, lng }).catch(error => {
+      console.warn('Season-to-date: 1991-2020 history unavailable:', error.message);
+      return null;
+    }),
+    options.station?.id && options.station?.province
+      ? fetchECCCWeather(options.station.province, options.station.id).catch(error => {
+        console.warn(`Season-to-date: no recent observations from ${options.station.id}:`, error.message);
+        return null;
+      })
+      : Promise.resolve(null)
+  ]);
+
+  const rows = mergeDailyObservations(history.daily, recent?.yesterday, startDate, endDate);
+  const { daily, totals, missingDays } = accumulateSeason(rows, gddBase);
+  const normals = await compareSeasonToNormals({ lat, lng }, normalsHistory, daily, totals, gddBase);
+
+  return {
+    ...result,
+    period: { start: startDate, end: endDate, days: daily.length },
+    totals,
+    normals: normals.normals,
+    percentOfNormal: normals.percentOfNormal,
+    percentileRank: normals.percentileRank,
+    summary: normals.summary,
+    daily,
+    missingDays,
+    sources: {
+      history: 'NASA POWER',
+      recent: daily.some(d => d.source === 'ECCC') ? `ECCC ${options.station.id}` : null,
+      normals: normals.source
+    }
+  };
+}
+
+/**
+ * Computes a farmer's season-to-date accumulation and stores it in farmerStats/{uid}:
+ * quickStats totals are updated and the summary (without daily rows) goes in seasonToDate.
+ * @param {string} farmerId - The UID of the farmer.
+ * @param {object} [options] - { crop, startDate, gddBase }
+ * @returns {Promise<object>} getSeasonToDate output plus startSource
+ */
+async function updateFarmerSeasonStats(farmerId, options = {}) {
+  if (!farmerId) {
+    throw new Error('Farmer ID is required for season-to-date accumulation.');
+  }
+  const db = admin.firestore();
+  const farmerDoc = await db.collection('farmers').doc(farmerId).get();
+  if (!farmerDoc.exists) {
+    throw new Error('Farmer profile not found.');
+  }
+  const farmer = farmerDoc.data();
+  const coordinates = farmer.location?.coordinates;
+  if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+    throw new Error('Farm location is not set; add coordinates or a land description first.');
+  }
+
+  const season = new Date().getUTCFullYear();
+  const start = resolveSeasonStart({ ...options, season }, farmer.farmDetails?.crops || []);
+  const result = await getSeasonToDate(coordinates, {
+    startDate: start.date,
+    gddBase: options.gddBase,
+    station: getFarmStation(farmer.location?.derived)
+  });
+
+  const { daily, ...summary } = result;
+  await db.collection('farmerStats').doc(farmerId).set({
+    quickStats: {
+      totalGDD: result.totals.gdd,
+      totalPrecipitation: result.totals.precipitation
+    },
+    seasonToDate: {
+      ...summary,
+      crop: options.crop || null,
+      startSource: start.source,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    },
+    seasonYear: season
+  }, { merge: true });
+
+  return { ...result, crop: options.crop || null, startSource: start.source };
+}
+
+module.exports = {
+  getSeasonToDate,
+  updateFarmerSeasonStats,
+  resolveSeasonStart,
+  validateSeasonStart,
+  mergeDailyObservations,
+  accumulateSeason,
+  calculateNormals,
+  DEFAULT_GDD_BASE
+};
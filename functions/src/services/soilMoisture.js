@@ -0,0 +1,340 @@
+// functions/src/services/soilMoisture.js
+const admin = require('firebase-admin');
+const { fetchNASAPowerParameters, toNASADate } = require('./nasa');
+const { fetchECCCWeather } = require('./weather');
+const { getReferenceET, calculateDailyET, calculateCropET } = require('./evapotranspiration');
+const { getCropModel } = require('./crops/growthStages');
+const { getFarmStation } = require('./location/stationSelectionService');
+const { getSoilZoneInfo, getSoilZoneMetadata } = require('../utils/canadianGeography');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const DEFAULT_SEASON_START = '05-01';    // Bucket starts here unless a crop was seeded earlier
+const DEFAULT_AVAILABLE_WATER_MM = 160;  // Outside the mapped soil zones
+const DEPLETION_FRACTION = 0.5;          // FAO-56 p: crops start to stress below half of available water
+const CURVE_NUMBER = 75;                 // SCS runoff curve number for row crops on loam
+const RECENT_DAYS = 14;                  // Daily rows kept on the field document
+const ET_RATE_DAYS = 7;                  // Window for the days-until-stress drawdown rate
+const DEFAULT_INITIAL_FRACTION = 0.8;    // Spring start when POWER root-zone wetness is unavailable
+const DAY_MS = 86400000;
+
+// Plant-available water (mm per m of root zone) by texture, FAO-56 Table 19 midpoints. The soil
+// zone capacities are for loam, so a field's texture scales its zone's value.
+const TEXTURE_WATER_MM_PER_M = {
+  sand: 80,
+  loamy_sand: 90,
+  sandy_loam: 130,
+  loam: 155,
+  silt_loam: 160,
+  silt: 180,
+  clay_loam: 160,
+  silty_clay_loam: 155,
+  silty_clay: 160,
+  clay: 160
+};
+
+// POWER GWETROOT (0 = dry, 1 = saturated) roughly at wilting point and field capacity
+const WILTING_WETNESS = 0.3;
+const FIELD_CAPACITY_WETNESS = 0.8;
+
+const round1 = value => parseFloat(value.toFixed(1));
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+function toDateString(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+  return new Date(Date.parse(dateString) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Plant-available water capacity of a field's root zone.
+ * @param {string} soilZone - location.derived.soilZone
+ * @param {string} [texture] - e.g. 'sandy_loam', 'clay'; loam when unknown
+ * @param {object} [coordinates] - Used to look the zone up when the profile doesn't name one
+ * @returns {{ capacityMm: number, zone: string|null, texture: string }}
+ */
+function getAvailableWaterCapacity(soilZone, texture, coordinates) {
+  const zone = getSoilZoneMetadata(soilZone) || getSoilZoneInfo(coordinates);
+  const key = String(texture || 'loam').toLowerCase().replace(/[\s-]+/g, '_');
+  const perMetre = TEXTURE_WATER_MM_PER_M[key] ? key : 'loam';
+  const zoneCapacity = zone?.availableWaterMm || DEFAULT_AVAILABLE_WATER_MM;
+  return {
+    capacityMm: Math.round(zoneCapacity * TEXTURE_WATER_MM_PER_M[perMetre] / TEXTURE_WATER_MM_PER_M.loam),
+    zone: zone?.zone || null,
+    texture: perMetre
+  };
+}
+
+/**
+ * Runoff (mm) from a day's rain by the SCS curve-number method.
+ */
+function calculateRunoff(precipitation, curveNumber = CURVE_NUMBER) {
+  const retention = 25400 / curveNumber - 254;
+  const initialAbstraction = 0.2 * retention;
+  if (precipitation <= initialAbstraction) return 0;
+  return Math.pow(precipitation - initialAbstraction, 2) / (precipitation - initialAbstraction + retention);
+}
+
+/**
+ * Moisture status from percent plant-available water, in provincial crop report terms.
+ */
+function classifyMoisture(percentAvailable) {
+  if (percentAvailable === null || percentAvailable === undefined) return null;
+  if (percentAvailable >= 90) return 'surplus';
+  if (percentAvailable >= DEPLETION_FRACTION * 100) return 'adequate';
+  if (percentAvailable >= 25) return 'short';
+  return 'very short';
+}
+
+/**
+ * Daily bucket water balance: rain in, runoff off the top, crop ET out (reduced by the FAO-56
+ * stress coefficient once the bucket is below the depletion threshold), and anything above
+ * capacity lost to deep drainage. Days missing rain or ET leave the bucket unchanged.
+ * @param {Array<object>} days - [{ date, precipitation, etc }] with etc the unstressed crop ET (mm)
+ * @param {object} options - { capacityMm, initialFraction }
+ * @returns {object} { daily, totals, waterMm, percentAvailable, status, daysUntilStress, asOf, missingDays }
+ */
+function runWaterBalance(days, options) {
+  const capacity = options.capacityMm;
+  const stressPoint = capacity * (1 - DEPLETION_FRACTION);
+  let water = capacity * clamp01(options.initialFraction ?? DEFAULT_INITIAL_FRACTION);
+  const totals = { precipitation: 0, runoff: 0, drainage: 0, etc: 0, actualEt: 0 };
+  const daily = [];
+  const missingDays = [];
+
+  for (const day of days) {
+    if (day.precipitation === null || day.precipitation === undefined || day.etc === null || day.etc === undefined) {
+      missingDays.push(day.date);
+      continue;
+    }
+    const runoff = calculateRunoff(day.precipitation);
+    water += day.precipitation - runoff;
+    const drainage = Math.max(0, water - capacity);
+    water -= drainage;
+    const stressCoefficient = water >= stressPoint ? 1 : water / stressPoint;
+    const actualEt = Math.min(water, day.etc * stressCoefficient);
+    water -= actualEt;
+
+    totals.precipitation += day.precipitation;
+    totals.runoff += runoff;
+    totals.drainage += drainage;
+    totals.etc += day.etc;
+    totals.actualEt += actualEt;
+    daily.push({
+      date: day.date,
+      precipitation: round1(day.precipitation),
+      runoff: round1(runoff),
+      drainage: round1(drainage),
+      etc: round1(day.etc),
+      actualEt: round1(actualEt),
+      waterMm: round1(water),
+      percentAvailable: Math.round((water / capacity) * 100)
+    });
+  }
+
+  const recent = daily.slice(-ET_RATE_DAYS);
+  const rate = recent.length > 0 ? recent.reduce((sum, d) => sum + d.etc, 0) / recent.length : 0;
+  let daysUntilStress = null;
+  if (water < stressPoint) {
+    daysUntilStress = 0;
+  } else if (rate > 0) {
+    daysUntilStress = Math.floor((water - stressPoint) / rate);
+  }
+  const percentAvailable = Math.round((water / capacity) * 100);
+
+  return {
+    daily,
+    totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round1(value)])),
+    waterMm: round1(water),
+    percentAvailable,
+    status: classifyMoisture(percentAvailable),
+    daysUntilStress,
+    asOf: daily.length > 0 ? daily[daily.length - 1].date : null,
+    missingDays
+  };
+}
+
+/**
+ * Starting fraction of available water from POWER root-zone wetness on the first day.
+ */
+async function getInitialFraction(lat, lng, date) {
+  try {
+    const data = await fetchNASAPowerParameters(lat, lng, toNASADate(new Date(date)), toNASADate(new Date(date)), ['GWETROOT']);
+    const wetness = data.daily?.[0]?.GWETROOT;
+    if (typeof wetness === 'number') {
+      return { fraction: round1(clamp01((wetness - WILTING_WETNESS) / (FIELD_CAPACITY_WETNESS - WILTING_WETNESS))), source: 'NASA POWER GWETROOT' };
+    }
+  } catch (error) {
+    console.warn('Soil moisture: root-zone wetness unavailable:', error.message);
+  }
+  return { fraction: DEFAULT_INITIAL_FRACTION, source: 'default' };
+}
+
+/**
+ * Runs the water balance for each modelled crop (field) on a farm from the start of the season
+ * to yesterday and stores the result in farmers/{uid}/fields/{fieldId}. Fields are crop entries
+ * in farmDetails.crops; fields no longer in the profile are removed.
+ * @param {string} farmerId - The UID of the farmer.
+ * @param {object} [options] - { today } for testing
+ * @returns {Promise<Array<object>>} [{ fieldId, crop, soilMoisture }]
+ */
+async function updateFarmSoilMoisture(farmerId, options = {}) {
+  if (!farmerId) {
+    throw new Error('Farmer ID is required to update soil moisture.');
+  }
+  const farmerRef = admin.firestore().collection('farmers').doc(farmerId);
+  const farmerDoc = await farmerRef.get();
+  if (!farmerDoc.exists) {
+    throw new Error('Farmer profile not found.');
+  }
+  const farmer = farmerDoc.data();
+  const coordinates = farmer.location?.coordinates;
+  if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+    throw new Error('Farm location is not set; add coordinates or a land description first.');
+  }
+
+  const endDate = addDays(toDateString(options.today || new Date()), -1);
+  const season = endDate.slice(0, 4);
+  const fields = (farmer.farmDetails?.crops || [])
+    .map((crop, i) => ({
+      ...crop,
+      fieldId: crop.fieldId || `${crop.type}-${i + 1}`,
+      plantingDate: toDateString(crop.plantingDate)
+    }))
+    .filter(crop => getCropModel(crop.type));
+  const seeded = fields.map(f => f.plantingDate).filter(date => date && date.startsWith(season)).sort();
+  const defaultStart = `${season}-${DEFAULT_SEASON_START}`;
+  const startDate = seeded.length > 0 && seeded[0] < defaultStart ? seeded[0] : defaultStart;
+  if (fields.length === 0 || startDate > endDate) {
+    return [];
+  }
+
+  const derived = farmer.location?.derived || {};
+  const station = getFarmStation(derived);
+  const [reference, recent, initial] = await Promise.all([
+    getReferenceET(coordinates, startDate, endDate, { elevation: derived.elevation }),
+    station?.id && station?.province
+      ? fetchECCCWeather(station.province, station.id).catch(error => {
+        console.warn(`Soil moisture: no recent observations from ${station.id}:`, error.message);
+        return null;
+      })
+      : Promise.resolve(null),
+    getInitialFraction(parseFloat(coordinates.lat.toFixed(2)), parseFloat(coordinates.lng.toFixed(2)), startDate)
+  ]);
+
+  // POWER runs a few days behind; yesterday's station observation fills the latest day
+  const daily = reference.daily.map(day => {
+    const yesterday = recent?.yesterday;
+    if (day.et0 !== null || !yesterday || yesterday.date !== day.date || yesterday.high === null || yesterday.low === null) {
+      return day;
+    }
+    const [filled] = calculateDailyET(
+      [{ date: day.date, T2M_MAX: yesterday.high, T2M_MIN: yesterday.low, PRECTOTCORR: yesterday.precipitation }],
+      { latitude: reference.location.lat, elevation: reference.location.elevation || 0 }
+    );
+    return filled;
+  });
+
+  const fieldsRef = farmerRef.collection('fields');
+  const results = [];
+  for (const field of fields) {
+    const model = getCropModel(field.type);
+    const plantingDate = field.plantingDate && field.plantingDate.startsWith(season) ? field.plantingDate : null;
+    const cropKc = new Map((plantingDate ? calculateCropET(field.type, daily, plantingDate) : []).map(d => [d.date, d.kc]));
+    const soil = getAvailableWaterCapacity(derived.soilZone, field.soilTexture || farmer.farmDetails?.soilTexture, coordinates);
+    const balance = runWaterBalance(
+      daily.map(day => ({
+        date: day.date,
+        precipitation: day.precipitation,
+        // Before seeding the field loses water at the crop's initial (near bare-soil) rate
+        etc: day.et0 !== null ? day.et0 * (cropKc.get(day.date) ?? model.kc.initial) : null
+      })),
+      { capacityMm: soil.capacityMm, initialFraction: initial.fraction }
+    );
+
+    const soilMoisture = {
+      asOf: balance.asOf,
+      waterMm: balance.waterMm,
+      capacityMm: soil.capacityMm,
+      percentAvailable: balance.percentAvailable,
+      status: balance.status,
+      daysUntilStress: balance.daysUntilStress,
+      stressThresholdPct: Math.round((1 - DEPLETION_FRACTION) * 100),
+      season: { start: startDate, initialFraction: initial.fraction, initialSource: initial.source, ...balance.totals },
+      recent: balance.daily.slice(-RECENT_DAYS),
+      missingDays: balance.missingDays
+    };
+    await fieldsRef.doc(field.fieldId).set({
+      fieldId: field.fieldId,
+      crop: field.type,
+      variety: field.variety || '',
+      acres: field.acres || null,
+      plantingDate,
+      soil: { zone: soil.zone, texture: soil.texture, capacityMm: soil.capacityMm },
+      soilMoisture,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    results.push({ fieldId: field.fieldId, crop: field.type, soilMoisture });
+  }
+
+  const existing = await fieldsRef.get();
+  const current = new Set(fields.map(f => f.fieldId));
+  await Promise.all(existing.docs.filter(doc => !current.has(doc.id)).map(doc => doc.ref.delete()));
+
+  console.log(`Updated soil moisture for ${results.length} field(s) for farmer ${farmerId}.`);
+  return results;
+}
+
+/**
+ * Moisture status for the insights: every field's latest balance, led by the driest.
+ * @param {string} farmerId - The UID of the farmer.
+ * @returns {Promise<object|null>} { status, message, fields: [...] }, or null when no field has a balance yet
+ */
+async function getFieldMoistureSummary(farmerId) {
+  if (!farmerId) return null;
+  const snapshot = await admin.firestore().collection('farmers').doc(farmerId).collection('fields').get();
+  const fields = snapshot.docs
+    .map(doc => doc.data())
+    .filter(field => typeof field.soilMoisture?.percentAvailable === 'number')
+    .map(field => ({
+      fieldId: field.fieldId,
+      crop: field.crop,
+      percentAvailable: field.soilMoisture.percentAvailable,
+      status: field.soilMoisture.status,
+      daysUntilStress: field.soilMoisture.daysUntilStress,
+      asOf: field.soilMoisture.asOf
+    }))
+    .sort((a, b) => a.percentAvailable - b.percentAvailable);
+  if (fields.length === 0) return null;
+
+  const driest = fields[0];
+  let outlook;
+  if (driest.daysUntilStress === 0) {
+    outlook = 'the crop is likely under moisture stress';
+  } else if (driest.daysUntilStress !== null) {
+    outlook = `about ${driest.daysUntilStress} day${driest.daysUntilStress === 1 ? '' : 's'} until stress without rain`;
+  } else {
+    outlook = 'no drawdown expected';
+  }
+  return {
+    status: driest.status,
+    message: `${fields.length > 1 ? 'Driest field' : 'Field'} ${driest.fieldId} has ${driest.percentAvailable}% plant-available water (${driest.status}); ${outlook}.`,
+    fields
+  };
+}
+
+module.exports = {
+  updateFarmSoilMoisture,
+  getFieldMoistureSummary,
+  runWaterBalance,
+  calculateRunoff,
+  classifyMoisture,
+  getAvailableWaterCapacity
+};
@@ -0,0 +1,167 @@
+// functions/src/services/stationCatalog.js
+const axios = require('axios');
+const xml2js = require('xml2js');
+const admin = require('firebase-admin');
+const { getElevations } = require('./elevation');
+
+// Ensure Firebase Admin is initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const SITE_LIST_URL = 'https://dd.weather.gc.ca/citypage_weather/xml/siteList.xml';
+const CATALOG_COLLECTION = 'stationCatalog';
+const CATALOG_DOC = 'citypage';
+const MEMORY_TTL_MS = 6 * 60 * 60 * 1000; // Catalog changes a few times a year; 6h in memory is plenty
+const BOOTSTRAP_RETRY_MS = 10 * 60 * 1000; // After a failed first build, wait this long before asking ECCC again
+
+// Per-instance copy so nearest-station lookups don't read Firestore every call
+let memoryCatalog = { stations: null, loadedAt: 0 };
+// First build after a deploy, shared by concurrent lookups on this instance
+let bootstrap = { pending: null, failedAt: 0 };
+
+/**
+ * Converts an ECCC siteList coordinate such as "54.72N" or "113.29W" to signed decimal degrees.
+ * @param {string} value - Coordinate with hemisphere suffix
+ * @returns {number|null}
+ */
+function parseSiteListCoordinate(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)([NSEW])$/i);
+  if (!match) return null;
+  const degrees = parseFloat(match[1]);
+  return /[SW]/i.test(match[2]) ? -degrees : degrees;
+}
+
+/**
+ * Turns a parsed siteList.xml document into catalog entries.
+ * Sites without usable coordinates are skipped.
+ * @param {object} siteListDoc - xml2js output (explicitArray: false, mergeAttrs: true)
+ * @returns {Array<object>} [{ id, name, nameFr, province, lat, lng }] (elevation is added on refresh)
+ */
+function parseSiteList(siteListDoc) {
+  const sites = siteListDoc?.siteList?.site;
+  if (!sites) return [];
+  const siteArray = Array.isArray(sites) ? sites : [sites];
+
+  return siteArray
+    .map(site => ({
+      id: site.code,
+      name: site.nameEn,
+      nameFr: site.nameFr || site.nameEn,
+      province: site.provinceCode,
+      lat: parseSiteListCoordinate(site.latitude),
+      lng: parseSiteListCoordinate(site.longitude)
+    }))
+    .filter(station => station.id && station.province && station.lat !== null && station.lng !== null);
+}
+
+/**
+ * Downloads and parses ECCC's citypage siteList.xml (~800 sites across Canada).
+ * @returns {Promise<Array<object>>} Catalog entries
+ */
+async function fetchSiteList() {
+  const response = await axios.get(SITE_LIST_URL, {
+    timeout: 30000,
+    headers: { 'User-Agent': 'Agricast/1.0 (Weather verification for farmers)' }
+  });
+  const parser = new xml2js.Parser({ explicitArray: false, mergeAttrs: true });
+  const parsed = await parser.parseStringPromise(response.data);
+  return parseSiteList(parsed);
+}
+
+/**
+ * Rebuilds the Firestore station catalog from siteList.xml.
+ * The whole catalog lives in one document (~80 KB) so a lookup is a single read.
+ * @returns {Promise<object>} { count, added: [ids], removed: [ids] }
+ */
+async function refreshStationCatalog() {
+  const db = admin.firestore();
+  const stations = await fetchSiteList();
+  if (stations.length === 0) {
+    throw new Error('ECCC site list returned no stations; keeping the existing catalog.');
+  }
+
+  const catalogRef = db.collection(CATALOG_COLLECTION).doc(CATALOG_DOC);
+  const existingDoc = await catalogRef.get();
+  const previousStations = existingDoc.exists ? (existingDoc.data().stations || []) : [];
+  const previousIds = new Set(previousStations.map(s => s.id));
+  const currentIds = new Set(stations.map(s => s.id));
+
+  // siteList.xml has no heights; look them up, reusing last week's value if the lookup fails
+  const previousElevations = new Map(previousStations.map(s => [s.id, s.elevation ?? null]));
+  const elevations = await getElevations(stations);
+  stations.forEach((station, i) => {
+    station.elevation = elevations[i] ?? previousElevations.get(station.id) ?? null;
+  });
+
+  await catalogRef.set({
+    stations,
+    count: stations.length,
+    source: SITE_LIST_URL,
+    refreshedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  memoryCatalog = { stations, loadedAt: Date.now() };
+
+  return {
+    count: stations.length,
+    added: [...currentIds].filter(id => !previousIds.has(id)),
+    removed: [...previousIds].filter(id => !currentIds.has(id))
+  };
+}
+
+/**
+ * Builds the catalog the first time a lookup needs it, instead of leaving every lookup on the
+ * fallback list until the weekly refresh runs. A failed build is retried after BOOTSTRAP_RETRY_MS.
+ * @returns {Promise<Array<object>|null>} The new catalog, or null if it couldn't be built
+ */
+function bootstrapStationCatalog() {
+  if (bootstrap.pending) return bootstrap.pending;
+  if (Date.now() - bootstrap.failedAt < BOOTSTRAP_RETRY_MS) return Promise.resolve(null);
+
+  console.log('Station catalog has not been built yet; building it from the ECCC site list.');
+  bootstrap.pending = refreshStationCatalog()
+    .then(result => {
+      console.log(`Station catalog built: ${result.count} stations.`);
+      return memoryCatalog.stations;
+    })
+    .catch(error => {
+      console.error('Error building station catalog:', error.message);
+      bootstrap.failedAt = Date.now();
+      return null;
+    })
+    .finally(() => {
+      bootstrap.pending = null;
+    });
+  return bootstrap.pending;
+}
+
+/**
+ * Returns the station catalog, from memory if fresh, otherwise from Firestore. If it has never
+ * been built, it is built now (see bootstrapStationCatalog).
+ * @returns {Promise<Array<object>|null>} Catalog entries, or null if no catalog is available
+ */
+async function getStationCatalog() {
+  if (memoryCatalog.stations && (Date.now() - memoryCatalog.loadedAt) < MEMORY_TTL_MS) {
+    return memoryCatalog.stations;
+  }
+  try {
+    const doc = await admin.firestore().collection(CATALOG_COLLECTION).doc(CATALOG_DOC).get();
+    if (!doc.exists || !Array.isArray(doc.data().stations) || doc.data().stations.length === 0) {
+      return bootstrapStationCatalog();
+    }
+    memoryCatalog = { stations: doc.data().stations, loadedAt: Date.now() };
+    return memoryCatalog.stations;
+  } catch (error) {
+    console.error('Error loading station catalog:', error.message);
+    return memoryCatalog.stations; // Stale copy beats nothing
+  }
+}
+
+module.exports = {
+  fetchSiteList,
+  parseSiteList,
+  parseSiteListCoordinate,
+  refreshStationCatalog,
+  getStationCatalog
+};
@@ -1,6 +1,11 @@
 const axios = require('axios');
 const xml2js = require('xml2js');
 const admin = require('firebase-admin');
+const calculations = require('./calculations');
+const { interpolateStationWeather } = require('./farmPointWeather');
+const { findNearestWeatherStations } = require('../utils/weatherStations');
+const { getElevation } = require('./elevation');
+const { gridCellId, lookupFrostProbability } = require('./climateNormals');
 
 // Initialize Firebase Admin only if not already initialized
 if (!admin.apps.length) {
@@ -8,6 +13,10 @@ if (!admin.apps.length) {
 }
 const db = admin.firestore();
 
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+const HIGH_AFTER_SOLAR_NOON_MS = 3 * HOUR_MS; // Daily highs come in mid-afternoon
+
 async function fetchECCCWeather(province, stationCode) {
   const url = `https://dd.weather.gc.ca/citypage_weather/xml/${province}/${stationCode}_e.xml`;
 
@@ -29,24 +38,37 @@ async function fetchECCCWeather(province, stationCode) {
       throw new Error('Weather data structure is invalid or missing key elements.');
     }
 
+    const current = {
+      temperature: parseFloat(siteData.currentConditions.temperature._),
+      condition: siteData.currentConditions.condition,
+      humidity: parseFloat(siteData.currentConditions.relativeHumidity._),
+      dewpoint: parseNumericValue(siteData.currentConditions.dewpoint),
+      windSpeed: parseFloat(siteData.currentConditions.wind.speed._),
+      windDirection: siteData.currentConditions.wind.direction,
+      pressure: parseFloat(siteData.currentConditions.pressure._),
+      visibility: parseFloat(siteData.currentConditions.visibility._),
+      observationTime: siteData.currentConditions.dateTime[1].textSummary
+    };
+    const hourly = extractHourlyForecast(siteData.hourlyForecastGroup);
+    const sun = extractRiseSet(siteData.riseSet);
+    const periodTimeline = placeForecastPeriods(
+      extractForecast(siteData.forecastGroup, Infinity), sun, hourly[0]?.time || new Date().toISOString()
+    );
+
     const weatherData = {
       location: {
         city: siteData.location.name._,
         province: siteData.location.province.code,
-        lat: parseFloat(siteData.location.name.lat),
-        lon: parseFloat(siteData.location.name.lon)
-      },
-      current: {
-        temperature: parseFloat(siteData.currentConditions.temperature._),
-        condition: siteData.currentConditions.condition,
-        humidity: parseFloat(siteData.currentConditions.relativeHumidity._),
-        windSpeed: parseFloat(siteData.currentConditions.wind.speed._),
-        windDirection: siteData.currentConditions.wind.direction,
-        pressure: parseFloat(siteData.currentConditions.pressure._),
-        visibility: parseFloat(siteData.currentConditions.visibility._),
-        observationTime: siteData.currentConditions.dateTime[1].textSummary
+        lat: parseCoordinate(siteData.location.name.lat),
+        lon: parseCoordinate(siteData.location.name.lon)
       },
+      current,
       forecast: extractForecast(siteData.forecastGroup), // This might need adjustment
+      hourly: deriveHourlyHumidity(hourly, current, periodTimeline),
+      periodTimeline,
+      sun,
+      yesterday: extractYesterdayConditions(siteData.yesterdayConditions, siteData.currentConditions.dateTime),
+      warnings: extractWarnings(siteData.warnings),
       almanac: {
         extremeMax: siteData.almanac?.temperature?.extremeMax?._ ? parseFloat(siteData.almanac.temperature.extremeMax._) : null,
         extremeMin: siteData.almanac?.temperature?.extremeMin?._ ? parseFloat(siteData.almanac.temperature.extremeMin._) : null,
@@ -80,14 +102,14 @@ async function fetchECCCWeather(province, stationCode) {
   }
 }
 
-function extractForecast(forecastGroup) {
+function extractForecast(forecastGroup, limit = 5) {
   if (!forecastGroup || !forecastGroup.forecast) {
     return [];
   }
   const forecasts = Array.isArray(forecastGroup.forecast)
     ? forecastGroup.forecast
     : [forecastGroup.forecast];
-  return forecasts.slice(0, 5).map(fc => { // Original code slices to 5 days
+  return forecasts.slice(0, limit).map(fc => { // Original code slices to 5 days
     let highTempObj = null;
     let lowTempObj = null;
     if (fc.temperatures && fc.temperatures.temperature) {
@@ -107,11 +129,287 @@ function extractForecast(forecastGroup) {
         high: highTempObj?._ ? parseFloat(highTempObj._) : null,
         low: lowTempObj?._ ? parseFloat(lowTempObj._) : null
       },
+      relativeHumidity: parseNumericValue(fc.relativeHumidity),
       pop: fc.abbreviatedForecast?.pop?._ || '0'
     };
   });
 }
 
+/**
+ * Puts the period forecast on the clock, in order from `after`: a period's low at the next
+ * sunrise and its high three hours after the next solar noon. Today's sun times are projected
+ * onto later days. A period's humidity, when ECCC gives one, becomes a dew point at that time.
+ * Returns [] without sun times.
+ * @param {Array<object>} periods - extractForecast output
+ * @param {object} sun - { sunrise, sunset } ISO strings
+ * @param {string} after - ISO time the first period follows
+ * @returns {Array<object>} [{ time, period, temperature, dewpoint }]
+ */
+function placeForecastPeriods(periods, sun, after) {
+  if (!sun || !sun.sunrise || !sun.sunset) return [];
+  const sunrise = Date.parse(sun.sunrise);
+  const dayLength = ((Date.parse(sun.sunset) - sunrise) % DAY_MS + DAY_MS) % DAY_MS;
+  const afternoon = sunrise + dayLength / 2 + HIGH_AFTER_SOLAR_NOON_MS;
+  let cursor = Date.parse(after);
+  const placed = [];
+  periods.forEach(period => {
+    const isHigh = period.temperature.high !== null;
+    const temperature = isHigh ? period.temperature.high : period.temperature.low;
+    if (temperature === null) return;
+    const base = isHigh ? afternoon : sunrise;
+    cursor = base + (Math.floor((cursor - base) / DAY_MS) + 1) * DAY_MS;
+    placed.push({
+      time: new Date(cursor).toISOString(),
+      period: period.period || null,
+      temperature,
+      dewpoint: calculations.calculateDewpoint(temperature, period.relativeHumidity)
+    });
+  });
+  return placed;
+}
+
+/**
+ * Linear interpolation of `key` at a time between time-ordered anchors, held flat past the ends.
+ */
+function interpolateAt(anchors, time, key) {
+  if (anchors.length === 0) return null;
+  const t = Date.parse(time);
+  const next = anchors.findIndex(a => Date.parse(a.time) >= t);
+  if (next === 0) return anchors[0][key];
+  if (next === -1) return anchors[anchors.length - 1][key];
+  const a = anchors[next - 1];
+  const b = anchors[next];
+  const f = (t - Date.parse(a.time)) / (Date.parse(b.time) - Date.parse(a.time));
+  return a[key] + (b[key] - a[key]) * f;
+}
+
+/**
+ * ECCC's hourly forecast has no humidity. Dew point changes slowly through a day, so each
+ * hour gets the observed dew point carried forward (drifting toward the dew points implied
+ * by the period forecasts' humidity, where given) and the humidity that dew point makes at
+ * the hour's temperature.
+ * @param {Array<object>} hourly - extractHourlyForecast output
+ * @param {object} current - Current conditions ({ temperature, humidity, dewpoint })
+ * @param {Array<object>} periodTimeline - placeForecastPeriods output
+ * @returns {Array<object>} Hourly rows with dewpoint and humidity (null when no dew point is known)
+ */
+function deriveHourlyHumidity(hourly, current, periodTimeline) {
+  const observed = typeof current?.dewpoint === 'number'
+    ? current.dewpoint
+    : calculations.calculateDewpoint(current?.temperature, current?.humidity);
+  const anchors = [
+    ...(typeof observed === 'number' && !isNaN(observed) && hourly.length > 0 ? [{ time: hourly[0].time, dewpoint: observed }] : []),
+    ...periodTimeline.filter(p => p.dewpoint !== null)
+  ].sort((a, b) => a.time.localeCompare(b.time));
+
+  return hourly.map(hour => {
+    const interpolated = interpolateAt(anchors, hour.time, 'dewpoint');
+    if (interpolated === null || typeof hour.temperature !== 'number') {
+      return { ...hour, dewpoint: null, humidity: null };
+    }
+    const dewpoint = parseFloat(Math.min(interpolated, hour.temperature).toFixed(1));
+    return { ...hour, dewpoint, humidity: calculations.calculateRelativeHumidity(hour.temperature, dewpoint) };
+  });
+}
+
+/**
+ * Extends the ~24-hour hourly forecast through the period forecast (up to six days) for
+ * models that need the next days hour by hour. Past the last forecast hour, temperature
+ * follows a half-cosine between the period highs and lows, and dew point is carried from the
+ * last hour toward the period dew points. Added hours have `estimated: true` and only
+ * time, temperature, dewpoint and humidity.
+ * @param {object} weather - fetchECCCWeather output ({ hourly, periodTimeline })
+ * @param {number} [maxHours=144] - Longest timeline returned, from the first hour
+ * @returns {Array<object>} Hourly rows, the forecast hours first
+ */
+function extendHourlyForecast(weather, maxHours = 144) {
+  const hourly = weather.hourly || [];
+  const last = hourly[hourly.length - 1];
+  if (!last || typeof last.temperature !== 'number') return hourly.slice(0, maxHours);
+  const lastTime = Date.parse(last.time);
+  const later = (weather.periodTimeline || []).filter(p => Date.parse(p.time) > lastTime);
+  const anchors = [{ time: last.time, temperature: last.temperature, dewpoint: last.dewpoint ?? null }, ...later];
+  const dewpoints = anchors.filter(a => typeof a.dewpoint === 'number');
+  const end = Math.min(Date.parse(anchors[anchors.length - 1].time), Date.parse(hourly[0].time) + (maxHours - 1) * HOUR_MS);
+
+  const extended = [];
+  for (let t = lastTime + HOUR_MS, next = 1; t <= end; t += HOUR_MS) {
+    while (Date.parse(anchors[next].time) < t) next++;
+    const a = anchors[next - 1];
+    const b = anchors[next];
+    const f = (t - Date.parse(a.time)) / (Date.parse(b.time) - Date.parse(a.time));
+    const temperature = parseFloat((a.temperature + (b.temperature - a.temperature) * (1 - Math.cos(Math.PI * f)) / 2).toFixed(1));
+    const time = new Date(t).toISOString();
+    const interpolated = interpolateAt(dewpoints, time, 'dewpoint');
+    const dewpoint = interpolated === null ? null : parseFloat(Math.min(interpolated, temperature).toFixed(1));
+    extended.push({
+      time,
+      temperature,
+      dewpoint,
+      humidity: dewpoint === null ? null : calculations.calculateRelativeHumidity(temperature, dewpoint),
+      estimated: true
+    });
+  }
+  return [...hourly, ...extended].slice(0, maxHours);
+}
+
+/**
+ * Parses the citypage hourlyForecastGroup into a flat hourly timeline.
+ * ECCC publishes roughly 24 hours of hourly forecasts, keyed by a UTC
+ * timestamp in the `dateTimeUTC` attribute (YYYYMMDDHHmm). The entries carry no
+ * humidity; fetchECCCWeather adds it with deriveHourlyHumidity.
+ */
+function extractHourlyForecast(hourlyForecastGroup) {
+  if (!hourlyForecastGroup || !hourlyForecastGroup.hourlyForecast) {
+    return [];
+  }
+  const hours = Array.isArray(hourlyForecastGroup.hourlyForecast)
+    ? hourlyForecastGroup.hourlyForecast
+    : [hourlyForecastGroup.hourlyForecast];
+
+  return hours
+    .map(hf => ({
+      time: parseECCCTimestamp(hf.dateTimeUTC),
+      temperature: parseNumericValue(hf.temperature),
+      condition: typeof hf.condition === 'string' ? hf.condition : null,
+      pop: parseNumericValue(hf.lop) ?? 0, // ECCC calls it "likelihood of precipitation"
+      windSpeed: parseNumericValue(hf.wind?.speed),
+      windGust: parseNumericValue(hf.wind?.gust),
+      windDirection: typeof hf.wind?.direction === 'string'
+        ? hf.wind.direction
+        : hf.wind?.direction?._ || null
+    }))
+    .filter(h => h.time !== null)
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// Keywords used to tag ECCC alert descriptions with a hazard category
+const WARNING_HAZARDS = [
+  ['tornado', 'tornado'],
+  ['thunderstorm', 'thunderstorm'],
+  ['hail', 'hail'],
+  ['frost', 'frost'],
+  ['freezing rain', 'freezing_rain'],
+  ['blizzard', 'blizzard'],
+  ['snowfall', 'snowfall'],
+  ['winter storm', 'snowfall'],
+  ['rainfall', 'rainfall'],
+  ['wind', 'wind'],
+  ['extreme cold', 'cold'],
+  ['heat', 'heat'],
+  ['fog', 'fog'],
+  ['air quality', 'air_quality'],
+  ['smoke', 'air_quality']
+];
+
+/**
+ * Parses the citypage warnings element into active warnings, watches, advisories and statements.
+ * The element is empty (or absent) when nothing is in effect.
+ */
+function extractWarnings(warningsNode) {
+  if (!warningsNode || typeof warningsNode !== 'object' || !warningsNode.event) {
+    return [];
+  }
+  const events = Array.isArray(warningsNode.event) ? warningsNode.event : [warningsNode.event];
+
+  return events
+    .filter(ev => ev && ev.type && ev.type !== 'ended')
+    .map(ev => {
+      const dateTimes = ev.dateTime ? (Array.isArray(ev.dateTime) ? ev.dateTime : [ev.dateTime]) : [];
+      const utcStamp = name => {
+        const dt = dateTimes.find(d => d.zone === 'UTC' && d.name === name);
+        return dt ? parseECCCTimestamp(dt.timeStamp) : null;
+      };
+      const description = (ev.description || '').replace(/\s+/g, ' ').trim();
+      const lowered = description.toLowerCase();
+      const hazard = WARNING_HAZARDS.find(([keyword]) => lowered.includes(keyword));
+      return {
+        type: ev.type,                 // 'warning', 'watch', 'advisory' or 'statement'
+        priority: ev.priority || null, // 'urgent', 'high', 'medium', 'low'
+        description,
+        hazard: hazard ? hazard[1] : 'other',
+        url: warningsNode.url || null,
+        issued: utcStamp('eventIssue'),
+        expires: utcStamp('eventEnd')
+      };
+    });
+}
+
+/**
+ * Reads today's sunrise and sunset (UTC) from the citypage riseSet element.
+ */
+function extractRiseSet(riseSet) {
+  const sun = { sunrise: null, sunset: null };
+  if (!riseSet || !riseSet.dateTime) return sun;
+  const entries = Array.isArray(riseSet.dateTime) ? riseSet.dateTime : [riseSet.dateTime];
+  entries
+    .filter(dt => dt.zone === 'UTC')
+    .forEach(dt => {
+      if (dt.name === 'sunrise' || dt.name === 'sunset') {
+        sun[dt.name] = parseECCCTimestamp(dt.timeStamp);
+      }
+    });
+  return sun;
+}
+
+/**
+ * Reads yesterday's observed high, low and precipitation. The date is the station's local
+ * calendar day before the current observation. "Trace" precipitation counts as 0 mm.
+ */
+function extractYesterdayConditions(yesterdayNode, observationDateTimes) {
+  if (!yesterdayNode) return null;
+  const temps = yesterdayNode.temperature
+    ? (Array.isArray(yesterdayNode.temperature) ? yesterdayNode.temperature : [yesterdayNode.temperature])
+    : [];
+  const precipRaw = yesterdayNode.precip && typeof yesterdayNode.precip === 'object' ? yesterdayNode.precip._ : yesterdayNode.precip;
+
+  const entries = observationDateTimes ? (Array.isArray(observationDateTimes) ? observationDateTimes : [observationDateTimes]) : [];
+  const local = entries.find(dt => dt.zone !== 'UTC' && typeof dt.timeStamp === 'string');
+  let date = null;
+  if (local) {
+    const today = Date.UTC(+local.timeStamp.substring(0, 4), +local.timeStamp.substring(4, 6) - 1, +local.timeStamp.substring(6, 8));
+    date = new Date(today - 86400000).toISOString().slice(0, 10);
+  }
+
+  return {
+    date,
+    high: parseNumericValue(temps.find(t => t.class === 'high')),
+    low: parseNumericValue(temps.find(t => t.class === 'low')),
+    precipitation: typeof precipRaw === 'string' && /trace/i.test(precipRaw) ? 0 : parseNumericValue(precipRaw)
+  };
+}
+
+/**
+ * Converts an ECCC UTC stamp (YYYYMMDDHHmm or YYYYMMDDHHmmss) to an ISO string.
+ */
+function parseECCCTimestamp(stamp) {
+  if (typeof stamp !== 'string' || !/^\d{12}(\d{2})?$/.test(stamp)) return null;
+  const iso = `${stamp.substring(0, 4)}-${stamp.substring(4, 6)}-${stamp.substring(6, 8)}T` +
+    `${stamp.substring(8, 10)}:${stamp.substring(10, 12)}:${stamp.substring(12, 14) || '00'}Z`;
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Reads a numeric XML node that may be a bare string or an { _: value, ...attrs } object.
+ * Returns null for empty nodes (e.g. <gust/>) and non-numeric values like "calm".
+ */
+function parseNumericValue(node) {
+  const raw = (node && typeof node === 'object') ? node._ : node;
+  if (raw === undefined || raw === null || raw === '') return null;
+  const value = parseFloat(raw);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Citypage coordinates carry a hemisphere suffix ("49.88N", "97.15W"); south and west are negative.
+ */
+function parseCoordinate(value) {
+  const number = parseFloat(value);
+  if (isNaN(number)) return null;
+  return /[SW]\s*$/i.test(String(value)) ? -number : number;
+}
+
 async function getCachedData(key) {
   try {
     const doc = await db.collection('cache').doc(key).get();
@@ -311,13 +609,99 @@ function generateFieldworkRecommendation(forecasts, dryWindows) {
 // For now, only fetchECCCWeather is the main public function from this file.
 // If getWeatherWithInsights is a new top-level function, it should be defined here and exported.
 
-// Placeholder for getWeatherWithInsights if it's intended to be different from fetchECCCWeather
-// For now, we assume fetchECCCWeather is what gets called, and it now includes precipitation.
-async function getWeatherWithInsights(province, stationCode) {
-  // This function will be similar to fetchECCCWeather but might include more processing
-  // For this implementation, it will call fetchECCCWeather which now includes precipitation data
-  const weatherData = await fetchECCCWeather(province, stationCode);
-  // Potentially add more insights here if needed, or just return as is
+/**
+ * Estimates weather at a farm's exact location from its 3-5 nearest stations (IDW,
+ * with lapse-rate correction for temperature). Stations that fail to load are skipped.
+ * The point is rounded to 0.01° (about 1 km) and the estimate cached for five minutes, so
+ * neighbouring requests share one set of station fetches.
+ * @param {object} coordinates - { lat, lng, elevation } of the farm
+ * @param {object} [options] - { stationCount = 4 }
+ * @returns {Promise<object>} Weather object shaped like fetchECCCWeather's, plus `interpolation`
+ */
+async function fetchFarmPointWeather(coordinates, options = {}) {
+  const stationCount = Math.min(5, Math.max(3, options.stationCount || 4));
+  const point = {
+    lat: parseFloat(coordinates.lat.toFixed(2)),
+    lng: parseFloat(coordinates.lng.toFixed(2))
+  };
+  const givenElevation = typeof coordinates.elevation === 'number' ? Math.round(coordinates.elevation) : null;
+  const cacheKey = `farm_point_${point.lat}_${point.lng}_${stationCount}${givenElevation !== null ? `_${givenElevation}` : ''}`;
+  const cachedData = await getCachedData(cacheKey);
+  if (cachedData) {
+    return cachedData;
+  }
+
+  const target = {
+    ...point,
+    elevation: givenElevation !== null ? givenElevation : await getElevation(point)
+  };
+  const stations = await findNearestWeatherStations(target, {
+    count: stationCount,
+    elevation: target.elevation
+  });
+  if (stations.length === 0) {
+    throw new Error('No weather stations found near this location.');
+  }
+
+  const settled = await Promise.allSettled(
+    stations.map(station => fetchECCCWeather(station.province, station.id))
+  );
+  const stationResults = settled
+    .map((result, i) => {
+      if (result.status === 'rejected') {
+        console.warn(`Farm-point: skipping ${stations[i].id} (${result.reason.message})`);
+        return null;
+      }
+      return { station: stations[i], weather: result.value };
+    })
+    .filter(Boolean);
+
+  const weatherData = interpolateStationWeather(stationResults, target);
+  await cacheData(cacheKey, JSON.parse(JSON.stringify(weatherData))); // Firestore rejects undefined fields
+  return weatherData;
+}
+
+/**
+ * 1991-2020 frost frequency around today's date at a weather location, from the table the
+ * trackFrostDates job stores per grid cell (frostClimatology/{cell}). null when the cell has
+ * no table yet; the frost risk then rests on the forecast alone.
+ */
+async function getFrostClimatology(location) {
+  if (typeof location?.lat !== 'number' || typeof location?.lon !== 'number' || isNaN(location.lat) || isNaN(location.lon)) {
+    return null;
+  }
+  try {
+    const doc = await db.collection('frostClimatology').doc(gridCellId({ lat: location.lat, lng: location.lon })).get();
+    return doc.exists ? lookupFrostProbability(doc.data(), new Date().toISOString().slice(0, 10)) : null;
+  } catch (error) {
+    console.warn('Frost risk: climatology unavailable:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetches station weather and attaches agricultural insights (spray windows, drying, frost).
+ * When options.farmPoint ({ lat, lng, elevation }) is given, insights are computed on the
+ * interpolated farm-point estimate instead of the single station. options.storedGrain
+ * ({ grain, grainMoisture, targetMoisture, grainTemperature }) adds an hourly aeration plan.
+ * options.frostClimatology blends 1991-2020 frost frequency into the frost risk (one stored
+ * lookup per grid cell, see getFrostClimatology), and options.crops (getFarmCropFrostTolerance)
+ * adds crop-specific frost damage.
+ * @param {object} [options] - { sprayConstraints, farmPoint, storedGrain, frostClimatology, crops }
+ */
+async function getWeatherWithInsights(province, stationCode, options = {}) {
+  const weatherData = options.farmPoint
+    ? await fetchFarmPointWeather(options.farmPoint)
+    : await fetchECCCWeather(province, stationCode);
+  const climatology = options.frostClimatology ? await getFrostClimatology(weatherData.location) : null;
+  weatherData.insights = {
+    spray: calculations.calculateSprayConditions(weatherData, options.sprayConstraints),
+    drying: calculations.calculateDryingConditions(weatherData, options.storedGrain?.grain),
+    frost: calculations.calculateFrostRisk(weatherData, { climatology, crops: options.crops })
+  };
+  if (options.storedGrain) {
+    weatherData.insights.aeration = calculations.calculateAerationPlan(weatherData, options.storedGrain);
+  }
   return weatherData;
 }
 
@@ -325,6 +709,13 @@ async function getWeatherWithInsights(province, stationCode) {
 module.exports = {
   fetchECCCWeather, // Original function, now enhanced
   getWeatherWithInsights, // New function that leverages the enhanced fetchECCCWeather
+  fetchFarmPointWeather,
+  extractHourlyForecast,
+  placeForecastPeriods,
+  deriveHourlyHumidity,
+  extendHourlyForecast,
+  extractWarnings,
+  extractYesterdayConditions,
   getCachedData,
   cacheData
   // Potentially export other functions if needed directly by other modules
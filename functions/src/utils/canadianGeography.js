@@ -1,199 +1,639 @@
 // functions/src/utils/canadianGeography.js
+const { createPolygonIndex, calculateDistance } = require('./geometry');
 
-// Base coordinates for the west of each Principal Meridian (approximate)
-// These are longitudes. The DLS system is based on these survey lines.
+// --- Dominion Land Survey (DLS / ATS) grid ---
+// Townships are numbered north from the 49th parallel; ranges are numbered away from a
+// meridian (west, except the few ranges east of the Principal Meridian in Manitoba).
+// The model below follows the Third System survey used across most of the Prairies:
+//   - a township is 6 miles of sections plus road allowances (1 chain = 66 ft each),
+//     on every north-south section line and every second east-west one;
+//   - range lines are true meridians, so ranges narrow as they go north;
+//   - range widths are laid out at full size along base lines (south of townships 1, 5, 9, ...)
+//     and run two townships north and two south, meeting at correction lines (north of
+//     townships 2, 6, 10, ...) where the jog happens.
+// It is the theoretical grid, not the surveyed fabric, so expect tens of metres of error
+// (more near fractional ranges along meridians and in resurveyed areas).
 const meridianBases = {
-  1: -97.45734,  // Principal Meridian (PM or W1M) - near Winnipeg
+  1: -97.45789,  // Principal Meridian (W1M / E1M) - 97°27′28.4″W, near Winnipeg
   2: -102.0,     // West of the 2nd Meridian (W2M)
   3: -106.0,     // West of the 3rd Meridian (W3M)
   4: -110.0,     // West of the 4th Meridian (W4M) - Alberta/Saskatchewan border
   5: -114.0,     // West of the 5th Meridian (W5M) - Through Calgary
-  6: -118.0      // West of the 6th Meridian (W6M) - Into BC
+  6: -118.0,     // West of the 6th Meridian (W6M) - Into the BC Peace block
+  7: -122.0      // Western limit of W6M ranges
 };
 
-// Constants for DLS calculations (approximations)
-const MILES_PER_TOWNSHIP = 6; // A township is roughly 6x6 miles
-const MILES_PER_RANGE_WIDTH = 6; // Width of a range strip
-const MILES_PER_SECTION = 1;   // A section is 1x1 mile
+const CHAIN_M = 20.1168;
+const MILE_M = 80 * CHAIN_M;
+const TOWNSHIP_DEPTH_M = 6 * MILE_M + 3 * CHAIN_M;  // 6 sections + 3 east-west road allowances
+const TOWNSHIP_WIDTH_M = 6 * MILE_M + 6 * CHAIN_M;  // 6 sections + 6 north-south road allowances
+const BASE_LATITUDE = 49.0;
 
-const KM_PER_MILE = 1.60934;
-const LAT_DEG_PER_MILE = 1 / 69; // Approx. 69 miles per degree latitude
-const LNG_DEG_PER_MILE_AT_49N = 1 / 45.2; // Approx. miles per degree longitude at 49°N (changes with lat)
+const DLS_LIMITS = { meridian: [1, 6], township: [1, 126], range: [1, 34], section: [1, 36], lsd: [1, 16] };
+const QUARTERS = ['NE', 'NW', 'SE', 'SW'];
+
+// WGS84 ellipsoid
+const WGS84_A = 6378137.0;
+const WGS84_E2 = 0.00669437999014;
+
+const toRad = deg => deg * Math.PI / 180;
+
+/** Meridian arc length (m) from the equator to latitude phi (radians). */
+function meridianArc(phi) {
+  const e2 = WGS84_E2, e4 = e2 * e2, e6 = e4 * e2;
+  return WGS84_A * (
+    (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi
+    - (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi)
+    + (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi)
+    - (35 * e6 / 3072) * Math.sin(6 * phi)
+  );
+}
+
+/** Latitude (degrees) reached after travelling `metres` due north of the 49th parallel. */
+function latitudeNorthOfBase(metres) {
+  const target = meridianArc(toRad(BASE_LATITUDE)) + metres;
+  let phi = toRad(BASE_LATITUDE) + metres / 6367000;
+  for (let i = 0; i < 5; i++) {
+    const sin = Math.sin(phi);
+    const radius = WGS84_A * (1 - WGS84_E2) / Math.pow(1 - WGS84_E2 * sin * sin, 1.5);
+    phi += (target - meridianArc(phi)) / radius;
+  }
+  return phi * 180 / Math.PI;
+}
+
+/** Ground distance (m) due north of the 49th parallel to the given latitude. */
+function distanceNorthOfBase(lat) {
+  return meridianArc(toRad(lat)) - meridianArc(toRad(BASE_LATITUDE));
+}
+
+/** Length (m) of one degree of longitude at the given latitude. */
+function metresPerDegreeLongitude(lat) {
+  const sin = Math.sin(toRad(lat));
+  return toRad(1) * WGS84_A * Math.cos(toRad(lat)) / Math.sqrt(1 - WGS84_E2 * sin * sin);
+}
+
+/** Width of a range (degrees of longitude) in the given township, fixed by its governing base line. */
+function rangeWidthDegrees(township) {
+  const baseLineTownship = 4 * Math.floor((township + 1) / 4); // Township line the ranges were laid out on
+  const baseLineLat = latitudeNorthOfBase(baseLineTownship * TOWNSHIP_DEPTH_M);
+  return TOWNSHIP_WIDTH_M / metresPerDegreeLongitude(baseLineLat);
+}
+
+/** Position of a section in its township: row from the south and column from the east (0-5). */
+function sectionCell(section) {
+  const row = Math.floor((section - 1) / 6);
+  const offset = (section - 1) % 6;
+  // Serpentine: 1-6 run east to west, 7-12 west to east, and so on
+  return { row, col: row % 2 === 0 ? offset : 5 - offset };
+}
+
+/** Position of a legal subdivision in its section: row from the south and column from the east (0-3). */
+function lsdCell(lsd) {
+  const row = Math.floor((lsd - 1) / 4);
+  const offset = (lsd - 1) % 4;
+  return { row, col: row % 2 === 0 ? offset : 3 - offset };
+}
+
+function sectionFromCell(row, col) {
+  return row * 6 + (row % 2 === 0 ? col : 5 - col) + 1;
+}
+
+function lsdFromCell(row, col) {
+  return row * 4 + (row % 2 === 0 ? col : 3 - col) + 1;
+}
 
 /**
- * Converts Dominion Land Survey (DLS) location to approximate GPS coordinates.
- * This is a simplified model. Real DLS to GPS is complex due to Earth's curvature
- * and survey inaccuracies.
- * @param {object} dls - DLS object { meridian, township, range, section, quarterSection }
- * @returns {object} { lat, lng } approximate coordinates
+ * Normalizes and range-checks a DLS object. Numeric fields may arrive as strings from forms.
+ * @param {object} dls - { meridian, township, range, section?, quarterSection?, lsd?, direction? }
+ * @returns {object} Normalized DLS object
+ * @throws {Error} When a field is missing or out of range
  */
-async function getDLSCoordinates(dls) {
-  const { meridian, township, range, section, quarterSection } = dls;
-
-  if (!meridian || !township || !range) {
-    console.warn('Meridian, Township, and Range are required for DLS conversion.');
-    return { lat: null, lng: null }; // Or throw error
-  }
-
-  // --- Longitude Calculation (Westward from Meridian) ---
-  // Base longitude for the given meridian.
-  const baseLng = meridianBases[parseInt(meridian, 10)] || meridianBases[1];
-  
-  // Each range is approx 6 miles wide. Ranges are numbered W of the meridian line.
-  // This is a simplification; actual width in degrees longitude decreases as latitude increases.
-  // For a rough estimate, we use a fixed offset per range, acknowledging its inaccuracy.
-  const lngOffsetFromMeridian = (parseInt(range, 10) - 0.5) * MILES_PER_RANGE_WIDTH * LNG_DEG_PER_MILE_AT_49N; // Center of range strip
-  let calculatedLng = baseLng - lngOffsetFromMeridian;
-
-  // --- Latitude Calculation (Northward from US Border/49th Parallel) ---
-  const baseLat = 49.0; // DLS townships are numbered north from the 49th parallel (US border).
-  
-  // Each township is approx 6 miles tall.
-  const latOffsetFromBorder = (parseInt(township, 10) - 0.5) * MILES_PER_TOWNSHIP * LAT_DEG_PER_MILE; // Center of township strip
-  let calculatedLat = baseLat + latOffsetFromBorder;
-
-  // --- Section and Quarter Section Adjustments (Highly Simplified) ---
-  // This part is the most complex in reality due to the serpentine numbering of sections (1-36)
-  // and the 1x1 mile nature of sections, then 0.5x0.5 mile quarter sections.
-  if (section) {
-    const sec = parseInt(section, 10);
-    // Very rough adjustment based on section number. A real system uses detailed lookup tables or algorithms.
-    // Example: section 1 is SE corner, 36 is NE corner of a township.
-    // This naive approach just adds a small offset.
-    const sectionRow = Math.floor((sec - 1) / 6); // 0-5
-    const sectionCol = (sec - 1) % 6;          // 0-5
-
-    // If serpentine, odd rows (1,3,5 from top) count R-L, even rows (0,2,4 from top) count L-R
-    // This is relative to township SE corner being (0,0) for sections for simplicity here.
-    const adjCol = (5 - sectionRow) % 2 !== 0 ? sectionCol : 5 - sectionCol; 
-
-    calculatedLat -= (sectionRow * MILES_PER_SECTION * LAT_DEG_PER_MILE);
-    calculatedLng += (adjCol * MILES_PER_SECTION * LNG_DEG_PER_MILE_AT_49N);
-    
-    if (quarterSection) {
-      const qsFactor = 0.25 * MILES_PER_SECTION; // Approx center of quarter section from section corner
-      if (quarterSection.toUpperCase() === 'NE') {
-        calculatedLat += qsFactor * LAT_DEG_PER_MILE;
-        calculatedLng += qsFactor * LNG_DEG_PER_MILE_AT_49N;
-      } else if (quarterSection.toUpperCase() === 'NW') {
-        calculatedLat += qsFactor * LAT_DEG_PER_MILE;
-        calculatedLng -= qsFactor * LNG_DEG_PER_MILE_AT_49N;
-      } else if (quarterSection.toUpperCase() === 'SE') {
-        calculatedLat -= qsFactor * LAT_DEG_PER_MILE;
-        calculatedLng += qsFactor * LNG_DEG_PER_MILE_AT_49N;
-      } else if (quarterSection.toUpperCase() === 'SW') {
-        calculatedLat -= qsFactor * LAT_DEG_PER_MILE;
-        calculatedLng -= qsFactor * LNG_DEG_PER_MILE_AT_49N;
-      }
+function normalizeDLS(dls) {
+  if (!dls || typeof dls !== 'object') {
+    throw new Error('DLS location is required.');
+  }
+  const toInt = value => (value === null || value === undefined || value === '' ? null : parseInt(value, 10));
+  const normalized = {
+    meridian: toInt(dls.meridian),
+    township: toInt(dls.township),
+    range: toInt(dls.range),
+    section: toInt(dls.section),
+    quarterSection: dls.quarterSection ? String(dls.quarterSection).toUpperCase() : null,
+    lsd: toInt(dls.lsd),
+    direction: dls.direction ? String(dls.direction).toUpperCase() : 'W'
+  };
+
+  ['meridian', 'township', 'range'].forEach(field => {
+    if (normalized[field] === null || isNaN(normalized[field])) {
+      throw new Error(`DLS ${field} is required.`);
+    }
+  });
+  ['meridian', 'township', 'range', 'section', 'lsd'].forEach(field => {
+    const value = normalized[field];
+    const [min, max] = DLS_LIMITS[field];
+    if (value !== null && (isNaN(value) || value < min || value > max)) {
+      throw new Error(`DLS ${field} must be between ${min} and ${max}.`);
     }
+  });
+  if (normalized.quarterSection && !QUARTERS.includes(normalized.quarterSection)) {
+    throw new Error('DLS quarter section must be one of NE, NW, SE or SW.');
+  }
+  if ((normalized.quarterSection || normalized.lsd) && !normalized.section) {
+    throw new Error('DLS section is required when a quarter section or LSD is given.');
+  }
+  if (normalized.direction !== 'W' && !(normalized.direction === 'E' && normalized.meridian === 1)) {
+    throw new Error('Only the Principal Meridian has ranges east of it.');
   }
+  return normalized;
+}
 
-  return {
-    lat: parseFloat(calculatedLat.toFixed(5)),
-    lng: parseFloat(calculatedLng.toFixed(5))
+/**
+ * Bounding box of the smallest unit described by a DLS object (township, section, quarter or LSD).
+ * @param {object} dls - DLS object
+ * @returns {object} { north, south, east, west } in decimal degrees
+ */
+function getDLSBounds(dls) {
+  const d = normalizeDLS(dls);
+
+  const south = latitudeNorthOfBase((d.township - 1) * TOWNSHIP_DEPTH_M);
+  const north = latitudeNorthOfBase(d.township * TOWNSHIP_DEPTH_M);
+  const width = rangeWidthDegrees(d.township);
+  const meridianLng = meridianBases[d.meridian];
+  let east, west;
+  if (d.direction === 'E') {
+    west = meridianLng + (d.range - 1) * width;
+    east = meridianLng + d.range * width;
+  } else {
+    east = meridianLng - (d.range - 1) * width;
+    // The last range before the next meridian is fractional
+    west = Math.max(meridianLng - d.range * width, meridianBases[d.meridian + 1]);
+    if (east <= west) {
+      throw new Error(`Range ${d.range} does not exist west of meridian ${d.meridian}.`);
+    }
+  }
+
+  let box = { north, south, east, west };
+  const cellOf = (outer, row, col, divisions) => {
+    const latStep = (outer.north - outer.south) / divisions;
+    const lngStep = (outer.east - outer.west) / divisions;
+    return {
+      south: outer.south + row * latStep,
+      north: outer.south + (row + 1) * latStep,
+      east: outer.east - col * lngStep,
+      west: outer.east - (col + 1) * lngStep
+    };
   };
+
+  if (d.section) {
+    const { row, col } = sectionCell(d.section);
+    box = cellOf(box, row, col, 6);
+    if (d.lsd) {
+      const cell = lsdCell(d.lsd);
+      box = cellOf(box, cell.row, cell.col, 4);
+    } else if (d.quarterSection) {
+      box = cellOf(box, d.quarterSection[0] === 'N' ? 1 : 0, d.quarterSection[1] === 'E' ? 0 : 1, 2);
+    }
+  }
+  return box;
 }
 
 /**
- * Reverse lookup: Approximate DLS from GPS coordinates.
- * This is even more approximate than DLS to GPS.
+ * Converts a Dominion Land Survey (DLS) location to GPS coordinates at the centre of the
+ * smallest unit given (LSD, quarter section, section or township).
+ * @param {object|string} dls - DLS object { meridian, township, range, section, quarterSection, lsd }
+ *   or a land description string such as "NW-12-34-5-W4"
+ * @returns {object} { lat, lng }, or { lat: null, lng: null } if the description is invalid
+ */
+async function getDLSCoordinates(dls) {
+  try {
+    const box = getDLSBounds(typeof dls === 'string' ? parseDLS(dls) : dls);
+    return {
+      lat: parseFloat(((box.north + box.south) / 2).toFixed(5)),
+      lng: parseFloat(((box.east + box.west) / 2).toFixed(5))
+    };
+  } catch (error) {
+    console.warn('DLS conversion failed:', error.message);
+    return { lat: null, lng: null };
+  }
+}
+
+/**
+ * Reverse lookup: DLS location (down to quarter section and LSD) containing a GPS point.
  * @param {object} coordinates - { lat, lng }
- * @returns {object} Approximate DLS data { meridian, township, range, approximate: true }
+ * @returns {object} { meridian, township, range, section, quarterSection, lsd, direction, approximate: true }
+ *   (approximate because the theoretical grid is used), or { error } outside the DLS area
  */
 async function getDLSFromCoordinates(coordinates) {
-  const { lat, lng } = coordinates;
+  const { lat, lng } = coordinates || {};
   if (typeof lat !== 'number' || typeof lng !== 'number') {
     return { error: "Invalid coordinates for DLS lookup" };
   }
 
-  // Determine Meridian (very rough)
-  let meridian = 1;
-  if (lng < (meridianBases[6] - LNG_DEG_PER_MILE_AT_49N * MILES_PER_RANGE_WIDTH * 15)) meridian = 6; // Approx midpoint for meridian 6 ranges
-  else if (lng < (meridianBases[5] - LNG_DEG_PER_MILE_AT_49N * MILES_PER_RANGE_WIDTH * 15)) meridian = 5;
-  else if (lng < (meridianBases[4] - LNG_DEG_PER_MILE_AT_49N * MILES_PER_RANGE_WIDTH * 15)) meridian = 4;
-  else if (lng < (meridianBases[3] - LNG_DEG_PER_MILE_AT_49N * MILES_PER_RANGE_WIDTH * 15)) meridian = 3;
-  else if (lng < (meridianBases[2] - LNG_DEG_PER_MILE_AT_49N * MILES_PER_RANGE_WIDTH * 15)) meridian = 2;
+  const township = Math.floor(distanceNorthOfBase(lat) / TOWNSHIP_DEPTH_M) + 1;
+  if (township < DLS_LIMITS.township[0] || township > DLS_LIMITS.township[1]) {
+    return { error: "Coordinates are outside the Dominion Land Survey area" };
+  }
 
-  const baseLngForMeridian = meridianBases[meridian];
+  let meridian, direction = 'W';
+  if (lng > meridianBases[1]) {
+    meridian = 1;
+    direction = 'E';
+  } else {
+    meridian = [1, 2, 3, 4, 5, 6].find(m => lng <= meridianBases[m] && lng > meridianBases[m + 1]);
+    if (!meridian) {
+      return { error: "Coordinates are outside the Dominion Land Survey area" };
+    }
+  }
 
-  // Calculate Township (north from 49th parallel)
-  const township = Math.max(1, Math.floor((lat - 49.0) / (MILES_PER_TOWNSHIP * LAT_DEG_PER_MILE)) + 1);
+  const width = rangeWidthDegrees(township);
+  const offset = direction === 'E' ? lng - meridianBases[1] : meridianBases[meridian] - lng;
+  const range = Math.floor(offset / width) + 1;
+  if (range > DLS_LIMITS.range[1]) {
+    return { error: "Coordinates are outside the Dominion Land Survey area" };
+  }
+
+  // Fractional position inside the township, measured from its south-east corner
+  const box = getDLSBounds({ meridian, township, range, direction });
+  const fromSouth = Math.min(Math.max((lat - box.south) / (box.north - box.south), 0), 0.999999);
+  const fromEast = Math.min(Math.max((box.east - lng) / (box.east - box.west), 0), 0.999999);
+
+  const sectionRow = Math.floor(fromSouth * 6);
+  const sectionCol = Math.floor(fromEast * 6);
+  const inSectionSouth = fromSouth * 6 - sectionRow;
+  const inSectionEast = fromEast * 6 - sectionCol;
 
-  // Calculate Range (west from the determined meridian line)
-  const range = Math.max(1, Math.floor((baseLngForMeridian - lng) / (MILES_PER_RANGE_WIDTH * LNG_DEG_PER_MILE_AT_49N)) + 1);
-  
-  // Section and Quarter Section are too complex for this simplified reverse lookup.
   return {
-    meridian: meridian,
-    township: township,
-    range: range,
-    section: null, // Not calculated in this simplified version
-    quarterSection: null, // Not calculated
+    meridian,
+    township,
+    range,
+    section: sectionFromCell(sectionRow, sectionCol),
+    quarterSection: (inSectionSouth >= 0.5 ? 'N' : 'S') + (inSectionEast < 0.5 ? 'E' : 'W'),
+    lsd: lsdFromCell(Math.floor(inSectionSouth * 4), Math.floor(inSectionEast * 4)),
+    direction,
     approximate: true
   };
 }
 
 /**
- * Placeholder: Get soil zone from coordinates.
- * In production, this would query a GIS service or a detailed soil map dataset.
+ * Parses a land description into a DLS object. Accepts the common written forms, e.g.
+ * "NW-12-34-5-W4", "NW 12-34-5 W4M", "12-34-5-W4", "34-5-W4",
+ * "LSD 14-12-34-05W4M" and "14-12-034-05-W4".
+ * @param {string} text - Land description
+ * @returns {object} Normalized DLS object
+ * @throws {Error} When the text is not a recognizable land description
+ */
+function parseDLS(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Land description must be a string.');
+  }
+  const match = text.trim().toUpperCase()
+    .match(/^(LSD[\s-]*)?(?:(NE|NW|SE|SW)[\s-]+)?(\d{1,3}(?:[\s-]+\d{1,3}){1,3})[\s-]*([WE])\s*(\d)\s*M?$/);
+  if (!match) {
+    throw new Error(`Unrecognized land description: "${text}"`);
+  }
+
+  const [, lsdPrefix, quarter, numberText, direction, meridian] = match;
+  const numbers = numberText.split(/[\s-]+/).map(n => parseInt(n, 10));
+  if (numbers.length === 4 && quarter) {
+    throw new Error(`Land description cannot have both a quarter section and an LSD: "${text}"`);
+  }
+  if (lsdPrefix && numbers.length !== 4) {
+    throw new Error(`LSD descriptions need LSD, section, township and range: "${text}"`);
+  }
+
+  const parts = numbers.length === 4
+    ? { lsd: numbers[0], section: numbers[1], township: numbers[2], range: numbers[3] }
+    : numbers.length === 3
+      ? { section: numbers[0], township: numbers[1], range: numbers[2] }
+      : { township: numbers[0], range: numbers[1] };
+
+  return normalizeDLS({ ...parts, quarterSection: quarter || null, meridian, direction });
+}
+
+/**
+ * Formats a DLS object as a land description: "LSD 14-12-34-05W4M" when an LSD is present,
+ * otherwise "NW-12-34-5-W4", "12-34-5-W4" or "34-5-W4".
+ * @param {object} dls - DLS object
+ * @returns {string}
+ */
+function formatDLS(dls) {
+  const d = normalizeDLS(dls);
+  const meridian = `${d.direction}${d.meridian}`;
+  if (d.lsd) {
+    return `LSD ${d.lsd}-${d.section}-${d.township}-${String(d.range).padStart(2, '0')}${meridian}M`;
+  }
+  const parts = [d.section, d.township, d.range].filter(v => v !== null);
+  return `${d.quarterSection ? d.quarterSection + '-' : ''}${parts.join('-')}-${meridian}`;
+}
+
+const SQ_METRES_PER_ACRE = 4046.8564224;
+
+/** Area (acres) of a latitude/longitude box on the WGS84 ellipsoid. */
+function boundsAcres(box) {
+  const depth = distanceNorthOfBase(box.north) - distanceNorthOfBase(box.south);
+  const width = (box.east - box.west) * metresPerDegreeLongitude((box.north + box.south) / 2);
+  return depth * width / SQ_METRES_PER_ACRE;
+}
+
+function dlsLevel(dls) {
+  if (dls.lsd) return 'lsd';
+  if (dls.quarterSection) return 'quarter';
+  if (dls.section) return 'section';
+  return 'township';
+}
+
+/**
+ * Boundary polygon of a DLS township, section, quarter section or LSD as a GeoJSON Feature.
+ * The grid spreads road allowances across the parcels, so a quarter comes out near 162 acres
+ * rather than the surveyed 160; fractional ranges along meridians come out correspondingly smaller.
+ * @param {object|string} dls - DLS object or land description string
+ * @returns {object} GeoJSON Feature with properties { description, level, dls, acres, center }
+ * @throws {Error} When the description is invalid
+ */
+function getDLSPolygon(dls) {
+  const normalized = typeof dls === 'string' ? parseDLS(dls) : normalizeDLS(dls);
+  const box = getDLSBounds(normalized);
+  const round = value => parseFloat(value.toFixed(6));
+  const [w, s, e, n] = [box.west, box.south, box.east, box.north].map(round);
+
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] // Counter-clockwise per RFC 7946
+    },
+    properties: {
+      description: formatDLS(normalized),
+      level: dlsLevel(normalized),
+      dls: normalized,
+      acres: parseFloat(boundsAcres(box).toFixed(1)),
+      center: {
+        lat: parseFloat(((box.north + box.south) / 2).toFixed(5)),
+        lng: parseFloat(((box.east + box.west) / 2).toFixed(5))
+      }
+    }
+  };
+}
+
+/**
+ * GeoJSON for one or more land descriptions, e.g. "SE-1-2-3-W2, SW-1-2-3-W2".
+ * Parcels may be separated by commas, semicolons or new lines, or passed as an array of
+ * strings/DLS objects. A single parcel returns a Feature; several return a FeatureCollection
+ * whose properties carry the parcel count and total acreage.
+ * @param {string|Array<string|object>|object} input - Land description(s)
+ * @returns {object} GeoJSON Feature or FeatureCollection
+ * @throws {Error} Naming the first parcel that cannot be parsed
+ */
+function getLandParcelsGeoJSON(input) {
+  const parcels = typeof input === 'string'
+    ? input.split(/[,;\n]+/).map(p => p.trim()).filter(Boolean)
+    : (Array.isArray(input) ? input : [input]);
+  if (parcels.length === 0) {
+    throw new Error('At least one land description is required.');
+  }
+
+  const features = parcels.map(parcel => {
+    try {
+      return getDLSPolygon(parcel);
+    } catch (error) {
+      const label = typeof parcel === 'string' ? parcel : JSON.stringify(parcel);
+      throw new Error(`Invalid parcel "${label}": ${error.message}`);
+    }
+  });
+  if (features.length === 1) return features[0];
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    properties: {
+      parcelCount: features.length,
+      totalAcres: parseFloat(features.reduce((sum, f) => sum + f.properties.acres, 0).toFixed(1))
+    }
+  };
+}
+
+// Zone datasets are nested envelopes: test in priority order and take the first match
+let zoneIndexes = null;
+
+function getZoneIndexes() {
+  if (!zoneIndexes) {
+    const byPriority = collection => ({
+      ...collection,
+      features: [...collection.features].sort((a, b) => a.properties.priority - b.properties.priority)
+    });
+    zoneIndexes = {
+      soil: createPolygonIndex(byPriority(require('../data/soilZones.json'))),
+      climate: createPolygonIndex(byPriority(require('../data/climateRegions.json'))),
+      soilByName: new Map(require('../data/soilZones.json').features.map(f => [f.properties.zone.toLowerCase(), f.properties])),
+      climateByName: new Map(require('../data/climateRegions.json').features.map(f => [f.properties.region.toLowerCase(), f.properties])),
+      soilSource: describeSource(require('../data/soilZones.json'), 'zone'),
+      climateSource: describeSource(require('../data/climateRegions.json'), 'region')
+    };
+  }
+  return zoneIndexes;
+}
+
+// Point lookups carry the dataset's accuracy so callers can caveat results near a boundary
+function describeSource(collection, unit) {
+  const { basis, accuracy, resolutionKm } = collection.source;
+  return {
+    dataset: collection.name,
+    basis,
+    accuracy,
+    resolutionKm,
+    caveat: `Boundaries are approximate to about ${resolutionKm} km; a farm near a boundary may be in the neighbouring ${unit}.`
+  };
+}
+
+function stripPriority(properties) {
+  if (!properties) return null;
+  const { priority, ...info } = properties;
+  return info;
+}
+
+/**
+ * Agricultural soil zone at a point, with its agronomic metadata. The zones are generalized
+ * envelopes rather than the published AAFC boundaries; `source` says how far to trust them.
+ * @param {object} coordinates - { lat, lng }
+ * @returns {object|null} { zone, soilOrder, organicMatterPct, moistureDeficitMm, availableWaterMm,
+ *   rotations, suitedCrops, notes, source: { dataset, basis, accuracy, resolutionKm, caveat } },
+ *   or null outside the mapped Prairie soil zones
+ */
+function getSoilZoneInfo(coordinates) {
+  const { lat, lng } = coordinates || {};
+  if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+  const indexes = getZoneIndexes();
+  const info = stripPriority(indexes.soil.find({ lat, lng }));
+  return info ? { ...info, source: indexes.soilSource } : null;
+}
+
+/**
+ * Metadata for a soil zone by name (as stored in location.derived.soilZone).
+ * @param {string} zone - e.g. 'Dark Brown'
+ * @returns {object|null}
+ */
+function getSoilZoneMetadata(zone) {
+  if (typeof zone !== 'string') return null;
+  return stripPriority(getZoneIndexes().soilByName.get(zone.toLowerCase()));
+}
+
+/**
+ * Get soil zone name from coordinates ('Brown', 'Dark Brown', 'Black', 'Dark Grey', 'Grey').
+ * @returns {Promise<string>} Zone name, 'Other' outside the mapped zones, 'Unknown' for bad input
  */
 async function getSoilZone(coordinates) {
-  const { lat, lng } = coordinates;
-  if (typeof lat !== 'number') return 'Unknown';
-  
-  // Highly simplified based on latitude for Canadian Prairies.
-  if (lat > 53.5) return 'Grey';
-  if (lat > 52) return 'Black';
-  if (lat > 50.5) return 'Dark Brown';
-  if (lat > 49) return 'Brown';
-  return 'Other'; // For areas outside typical prairie Ag soil zones by this simple logic
+  if (typeof coordinates?.lat !== 'number') return 'Unknown';
+  return getSoilZoneInfo(coordinates)?.zone || 'Other';
+}
+
+/**
+ * Ecoregion-based climate region at a point, with typical season length and heat units. The
+ * regions are generalized envelopes rather than the published ecoregion boundaries; `source`
+ * says how far to trust them. Crop-insurance risk areas are out of scope for this lookup.
+ * @param {object} coordinates - { lat, lng }
+ * @returns {object|null} { region, ecozone, frostFreeDays, gddBase5, annualPrecipMm, description,
+ *   source: { dataset, basis, accuracy, resolutionKm, caveat } }
+ */
+function getClimateRegionInfo(coordinates) {
+  const { lat, lng } = coordinates || {};
+  if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+  const indexes = getZoneIndexes();
+  const info = stripPriority(indexes.climate.find({ lat, lng }));
+  return info ? { ...info, source: indexes.climateSource } : null;
 }
 
 /**
- * Placeholder: Get climate region from coordinates.
- * In production, this would involve a more detailed lookup.
+ * Metadata for a climate region by name (as stored in location.derived.climateRegion).
+ * @param {string} region - e.g. 'Aspen Parkland'
+ * @returns {object|null}
+ */
+function getClimateRegionMetadata(region) {
+  if (typeof region !== 'string') return null;
+  return stripPriority(getZoneIndexes().climateByName.get(region.toLowerCase()));
+}
+
+/**
+ * Get climate region name from coordinates (e.g. 'Aspen Parkland', 'Mixed Grassland').
+ * @returns {Promise<string>} Region name, 'Other' outside the mapped regions, 'Unknown' for bad input
  */
 async function getClimateRegion(coordinates) {
-  // This is a very coarse placeholder.
-  const { lat } = coordinates;
-  if (typeof lat !== 'number') return 'Unknown';
+  if (typeof coordinates?.lat !== 'number') return 'Unknown';
+  return getClimateRegionInfo(coordinates)?.region || 'Other';
+}
+
+// Cache-warming jobs run per time zone; a farmer's province decides which one covers their station
+const CACHE_WARMING_REGIONS = {
+  central: ['MB', 'SK'],
+  mountain: ['AB']
+};
 
-  if (lat > 52) return 'Northern Prairie';
-  if (lat > 49) return 'Central Prairie';
-  return 'Southern Agricultural';
+/**
+ * Cache-warming region ('central' or 'mountain') for a province code, or null if none covers it.
+ */
+function getCacheWarmingRegion(province) {
+  const code = province?.toUpperCase();
+  return Object.keys(CACHE_WARMING_REGIONS).find(region => CACHE_WARMING_REGIONS[region].includes(code)) || null;
 }
 
-// Placeholder for finding nearest weather station - this would typically involve
-// a database of stations and geospatial querying.
-async function findNearestWeatherStation(coordinates) {
-    console.warn('findNearestWeatherStation is a placeholder. Returning dummy data.');
-    return {
-        id: 'S0000STUB',
-        name: 'Stubville Ag Station',
-        distance: Math.round(Math.random() * 50) + 5, // Random distance 5-55km
-        lat: coordinates.lat + (Math.random() - 0.5) * 0.1, // Slightly offset from input
-        lng: coordinates.lng + (Math.random() - 0.5) * 0.1
+// Beyond this a "nearest town" stops being a useful description of where a farm is
+const MAX_TOWN_DISTANCE_KM = 100;
+
+// Bundled boundary datasets (src/data), indexed on first use
+let boundaryIndexes = null;
+
+function getBoundaryIndexes() {
+  if (!boundaryIndexes) {
+    boundaryIndexes = {
+      provinces: createPolygonIndex(require('../data/provinces.json')),
+      municipalities: createPolygonIndex(require('../data/municipalities.json')),
+      municipalProvinces: new Set(require('../data/municipalities.json').features.map(f => f.properties.province)),
+      places: require('../data/places.json').places
     };
+  }
+  return boundaryIndexes;
 }
 
-// Placeholder for reverse geocoding - uses a mock response
+/**
+ * Nearest populated place to a point.
+ * @param {object} coordinates - { lat, lng }
+ * @returns {object|null} { name, province, distance (km) }
+ */
+function findNearestTown(coordinates) {
+  let nearest = null;
+  getBoundaryIndexes().places.forEach(place => {
+    const distance = calculateDistance(coordinates.lat, coordinates.lng, place.lat, place.lng);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { name: place.name, province: place.province, distance };
+    }
+  });
+  return nearest ? { ...nearest, distance: parseFloat(nearest.distance.toFixed(1)) } : null;
+}
+
+/**
+ * Offline reverse geocoding against the bundled province, municipality and place datasets.
+ * Only Alberta, Saskatchewan and Manitoba boundaries are bundled: elsewhere `supported` is
+ * false and province and county come back empty. `countyAvailable` says whether municipal
+ * boundaries have been imported for the province, so an empty county can be told apart from
+ * a point no municipality covers. Unresolved fields are empty strings, matching the profile's
+ * derived-location defaults.
+ * @param {object} coordinates - { lat, lng }
+ * @returns {Promise<object>} { supported, province, provinceName, county, countyType,
+ *   countyAvailable, nearestTown, nearestTownDistance, fullAddress }
+ */
 async function reverseGeocode(coordinates) {
-    console.warn('reverseGeocode is a placeholder. Returning dummy data.');
+  const { lat, lng } = coordinates || {};
+  if (typeof lat !== 'number' || typeof lng !== 'number') {
     return {
-        province: 'SK', // Saskatchewan default
-        county: 'RM of Placeholder County',
-        nearestTown: 'Faketown',
-        fullAddress: 'Near Faketown, SK, Canada'
+      supported: false, province: '', provinceName: '', county: '', countyType: '', countyAvailable: false,
+      nearestTown: '', nearestTownDistance: null, fullAddress: ''
     };
+  }
+
+  const indexes = getBoundaryIndexes();
+  const province = indexes.provinces.find({ lat, lng });
+  const municipality = province ? indexes.municipalities.find({ lat, lng }) : null;
+  const nearestTown = findNearestTown({ lat, lng });
+  const town = nearestTown && nearestTown.distance <= MAX_TOWN_DISTANCE_KM ? nearestTown : null;
+
+  const provinceCode = province?.code || '';
+  const addressParts = [
+    municipality?.name,
+    town ? `near ${town.name}` : null,
+    provinceCode || null,
+    'Canada'
+  ].filter(Boolean);
+
+  return {
+    supported: Boolean(province),
+    province: provinceCode,
+    provinceName: province?.name || '',
+    county: municipality?.name || '',
+    countyType: municipality?.type || '',
+    countyAvailable: indexes.municipalProvinces.has(provinceCode),
+    nearestTown: town?.name || '',
+    nearestTownDistance: town ? town.distance : null,
+    fullAddress: addressParts.join(', ').replace(/^near/, 'Near')
+  };
 }
 
 
 module.exports = {
   getDLSCoordinates,
   getDLSFromCoordinates,
+  getDLSBounds,
+  parseDLS,
+  formatDLS,
+  normalizeDLS,
+  getDLSPolygon,
+  getLandParcelsGeoJSON,
   getSoilZone,
+  getSoilZoneInfo,
+  getSoilZoneMetadata,
   getClimateRegion,
-  // Exposing these stubs as they are used by authService.js for now
-  findNearestWeatherStation,
-  reverseGeocode
+  getClimateRegionInfo,
+  getClimateRegionMetadata,
+  reverseGeocode,
+  findNearestTown,
+  getCacheWarmingRegion,
+  CACHE_WARMING_REGIONS
 };
@@ -0,0 +1,109 @@
+// functions/src/utils/geometry.js
+
+/**
+ * Small planar geometry helpers for the bundled boundary datasets (GeoJSON, [lng, lat] order).
+ * Boundaries are generalized to kilometres, so treating degrees as planar is accurate enough.
+ */
+
+/**
+ * Great-circle (haversine) distance in km between two points.
+ * Returns Infinity when any coordinate is missing so callers can sort without special cases.
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  if (lat1 == null || lon1 == null || lat2 == null || lon2 == null) return Infinity;
+  const toRad = degrees => degrees * (Math.PI / 180);
+  const R = 6371;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Ray-casting test for a point against one linear ring.
+ * @param {number} lng
+ * @param {number} lat
+ * @param {Array<Array<number>>} ring - [[lng, lat], ...]
+ * @returns {boolean}
+ */
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/** Point in a GeoJSON Polygon's coordinates (outer ring minus holes). */
+function pointInPolygon(lng, lat, rings) {
+  if (!rings.length || !pointInRing(lng, lat, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(lng, lat, hole));
+}
+
+/**
+ * Whether a point falls inside a GeoJSON Polygon or MultiPolygon geometry.
+ * @param {object} point - { lat, lng }
+ * @param {object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+function pointInGeometry(point, geometry) {
+  if (!geometry) return false;
+  if (geometry.type === 'Polygon') {
+    return pointInPolygon(point.lng, point.lat, geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(rings => pointInPolygon(point.lng, point.lat, rings));
+  }
+  return false;
+}
+
+/** [west, south, east, north] of a Polygon or MultiPolygon. */
+function geometryBounds(geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  polygons.forEach(rings => rings[0].forEach(([lng, lat]) => {
+    bounds[0] = Math.min(bounds[0], lng);
+    bounds[1] = Math.min(bounds[1], lat);
+    bounds[2] = Math.max(bounds[2], lng);
+    bounds[3] = Math.max(bounds[3], lat);
+  }));
+  return bounds;
+}
+
+/**
+ * Wraps a FeatureCollection for repeated point lookups: bounding boxes are computed once so
+ * most features are rejected without walking their rings.
+ * @param {object} featureCollection - GeoJSON FeatureCollection of (Multi)Polygons
+ * @returns {{ find: function(object): (object|null), filter: function(object): Array<object> }}
+ *   find returns the first containing feature's properties; filter returns all of them
+ */
+function createPolygonIndex(featureCollection) {
+  const entries = (featureCollection?.features || [])
+    .filter(f => f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon'))
+    .map(f => ({ feature: f, bounds: geometryBounds(f.geometry) }));
+
+  const matches = point => entries.filter(({ feature, bounds }) =>
+    point.lng >= bounds[0] && point.lng <= bounds[2] &&
+    point.lat >= bounds[1] && point.lat <= bounds[3] &&
+    pointInGeometry(point, feature.geometry)
+  );
+
+  return {
+    find: point => matches(point)[0]?.feature.properties || null,
+    filter: point => matches(point).map(e => e.feature.properties)
+  };
+}
+
+module.exports = {
+  calculateDistance,
+  pointInRing,
+  pointInGeometry,
+  geometryBounds,
+  createPolygonIndex
+};
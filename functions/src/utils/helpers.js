@@ -1,5 +1,10 @@
 // functions/src/utils/helpers.js
 const admin = require('firebase-admin'); // May not be strictly needed here if not accessing DB, but good practice for utils
+const { getSoilZoneMetadata, getClimateRegionMetadata } = require('./canadianGeography');
+const { getClimateAnomaly } = require('../services/climateNormals');
+
+const RECENT_CONDITIONS_DAYS = 30;
+const RECENT_CONDITIONS_TIMEOUT_MS = 8000; // A slow NASA response shouldn't hold up registration
 
 // Ensure Firebase admin is initialized if this module were to use Firebase services directly.
 // For these specific helper functions as defined, it's not directly used.
@@ -12,7 +17,8 @@ const admin = require('firebase-admin'); // May not be strictly needed here if n
  * In a real application, this might check against a Firestore collection or environment config.
  * @param {string} email - The user's email.
  * @returns {Promise<boolean>} True if the user is an alpha tester.
- */sync function isAlphaTester(email) {
+ */
+async function isAlphaTester(email) {
   if (!email) return false;
   // Example: Check against a predefined list or a specific domain suffix
   const alphaTesterEmails = [
@@ -26,7 +32,8 @@ const admin = require('firebase-admin'); // May not be strictly needed here if n
  * Check if email is a beta tester.
  * @param {string} email - The user's email.
  * @returns {Promise<boolean>} True if the user is a beta tester.
- */sync function isBetaTester(email) {
+ */
+async function isBetaTester(email) {
   if (!email) return false;
   // Example: Check against a predefined list or a specific domain suffix
   const betaTesterEmails = [
@@ -38,9 +45,11 @@ const admin = require('firebase-admin'); // May not be strictly needed here if n
 /**
  * Get growing season information by province (simplified).
  * @param {string} province - Province code (e.g., 'MB', 'SK', 'AB').
+ * @param {string} [climateRegion] - Climate region name; when known, its frost-free period
+ *   replaces the province-wide figure.
  * @returns {object} Object containing season start, end, and frost-free days.
  */
-function getGrowingSeasonInfo(province) {
+function getGrowingSeasonInfo(province, climateRegion) {
   const normalizedProvince = province?.toUpperCase();
   const seasonInfo = {
     'MB': { start: 'Mid-May', end: 'Early October', frostFree: '120-130 days' },
@@ -48,22 +57,75 @@ function getGrowingSeasonInfo(province) {
     'AB': { start: 'Early May', end: 'Late September', frostFree: '100-120 days' }
     // Add other provinces if necessary
   };
-  return seasonInfo[normalizedProvince] || { start: 'May', end: 'September', frostFree: 'approx. 120 days' }; // Default
+  const info = seasonInfo[normalizedProvince] || { start: 'May', end: 'September', frostFree: 'approx. 120 days' }; // Default
+  const region = getClimateRegionMetadata(climateRegion);
+  if (region?.frostFreeDays) {
+    return { ...info, frostFree: `${region.frostFreeDays[0]}-${region.frostFreeDays[1]} days` };
+  }
+  return info;
+}
+
+/**
+ * How the last 30 days at the farm compare with 1991-2020, or null if it can't be worked
+ * out quickly (no coordinates, NASA slow or unavailable).
+ * @param {object} coordinates - { lat, lng }
+ * @returns {Promise<object|null>} { period, precipitation, temperature, summary }
+ */
+async function getRecentConditions(coordinates) {
+  if (typeof coordinates?.lat !== 'number' || typeof coordinates?.lng !== 'number') return null;
+  const end = new Date();
+  const start = new Date(end.getTime() - (RECENT_CONDITIONS_DAYS - 1) * 86400000);
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, RECENT_CONDITIONS_TIMEOUT_MS, null);
+  });
+  try {
+    const anomaly = await Promise.race([
+      getClimateAnomaly(coordinates, start.toISOString().slice(0, 10), end.toISOString().slice(0, 10)),
+      timeout
+    ]);
+    if (!anomaly || anomaly.period.daysCompared === 0) return null;
+    return {
+      period: anomaly.period,
+      precipitation: anomaly.comparison.precipitation,
+      temperature: anomaly.comparison.temperature,
+      summary: anomaly.summary
+    };
+  } catch (error) {
+    console.warn('Welcome insights: recent conditions unavailable:', error.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
 /**
  * Generate welcome insights for new farmers.
  * @param {object} farmerProfile - The newly created farmer profile.
  * @returns {Promise<object>} An object containing welcome messages and tips.
- */sync function generateWelcomeInsights(farmerProfile) {
+ */
+async function generateWelcomeInsights(farmerProfile) {
   if (!farmerProfile) return { message: 'Welcome to Agricast!', tips: [] };
 
+  const derived = farmerProfile.location?.derived || {};
+  const soil = getSoilZoneMetadata(derived.soilZone);
+  const mainCrop = farmerProfile.farmDetails?.crops?.[0]?.type;
+
   const insights = {
     message: `Welcome to Agricast, ${farmerProfile.farmName || farmerProfile.username}!`,
     locationInfo: {
-      nearestStation: farmerProfile.location?.derived?.nearestStation?.name || 'Not set',
+      nearestStation: (farmerProfile.location?.derived?.selectedStation || farmerProfile.location?.derived?.nearestStation)?.name || 'Not set',
+      stationWarning: farmerProfile.location?.derived?.stationCoverage?.warning || null,
       climateZone: farmerProfile.location?.derived?.climateRegion || 'Not set',
-      soilType: farmerProfile.location?.derived?.soilZone || 'Not set'
+      soilType: farmerProfile.location?.derived?.soilZone || 'Not set',
+      soilInfo: soil
+        ? {
+            typicalMoistureDeficitMm: soil.moistureDeficitMm,
+            recommendedRotations: soil.rotations,
+            suitedCrops: soil.suitedCrops,
+            notes: soil.notes
+          }
+        : null
     },
     tips: [
       'Explore your personalized weather dashboard daily.',
@@ -73,9 +135,23 @@ function getGrowingSeasonInfo(province) {
     quickStats: {
       farmSizeAcres: farmerProfile.farmDetails?.totalAcres || 0,
       mainCrop: farmerProfile.farmDetails?.crops?.[0]?.type || 'Not specified',
-      growingSeason: getGrowingSeasonInfo(farmerProfile.location?.derived?.province)
+      growingSeason: getGrowingSeasonInfo(derived.province, derived.climateRegion)
     }
   };
+
+  const recent = await getRecentConditions(farmerProfile.location?.coordinates);
+  insights.locationInfo.recentConditions = recent;
+  if (recent && recent.summary.length > 0) {
+    insights.tips.push(`Over the last ${recent.period.daysCompared} days: ${recent.summary[0]}`);
+  }
+
+  if (soil) {
+    insights.tips.push(`In the ${soil.zone} soil zone, a common rotation is: ${soil.rotations[0]}.`);
+    if (mainCrop && mainCrop !== 'other' && !soil.suitedCrops.includes(mainCrop)) {
+      const cropName = mainCrop.replace(/_/g, ' ');
+      insights.tips.push(`${cropName.charAt(0).toUpperCase()}${cropName.slice(1)} is less common in the ${soil.zone} zone; watch moisture and season length closely.`);
+    }
+  }
   
   return insights;
 }
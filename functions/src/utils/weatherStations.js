@@ -1,5 +1,8 @@
 // functions/src/utils/weatherStations.js
+const { getStationCatalog } = require('../services/stationCatalog');
+const { calculateDistance } = require('./geometry');
 
+// Fallback used until the ECCC station catalog has been built (see scheduled/stationCatalog.js)
 const PRAIRIE_STATIONS = [
   // Manitoba
   { id: 's0000193', name: 'Winnipeg The Forks', province: 'MB', lat: 49.8888, lng: -97.1264 }, 
@@ -31,48 +34,135 @@ function toRad(degrees) {
   return degrees * (Math.PI / 180);
 }
 
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  if (lat1 == null || lon1 == null || lat2 == null || lon2 == null) return Infinity;
-  const R = 6371; 
-  const dLat = toRad(lat2 - lat1);
+/**
+ * All known citypage stations: the ECCC catalog if available, otherwise the Prairie fallback list.
+ * @returns {Promise<Array<object>>} [{ id, name, province, lat, lng }]
+ */
+async function getWeatherStations() {
+  const catalog = await getStationCatalog();
+  return catalog && catalog.length > 0 ? catalog : PRAIRIE_STATIONS;
+}
+
+/**
+ * Looks up stations by citypage code, preserving the order of the requested IDs.
+ * Unknown IDs are skipped.
+ */
+async function getStationsByIds(stationIds) {
+  const stations = await getWeatherStations();
+  const byId = new Map(stations.map(s => [s.id, s]));
+  return stationIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+// Distance bands (km) for how well a station represents a farm
+const COVERAGE_THRESHOLDS = { good: 25, marginal: 75 };
+
+/**
+ * Initial great-circle bearing from point 1 to point 2, in degrees clockwise from north.
+ */
+function calculateBearing(lat1, lon1, lat2, lon2) {
   const dLon = toRad(lon2 - lon1);
-  const radLat1 = toRad(lat1);
-  const radLat2 = toRad(lat2);
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(radLat1) * Math.cos(radLat2) *
-            Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c; 
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+            Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
 }
 
-async function findNearestWeatherStation(coordinates) {
+function bearingToCompass(bearing) {
+  return COMPASS_POINTS[Math.round(bearing / 22.5) % 16];
+}
+
+/**
+ * Classifies how representative the nearest station is for a farm.
+ * @param {number} distanceKm - Distance to the nearest station
+ * @returns {object} { level: 'good'|'marginal'|'poor'|'none', distance, warning }
+ */
+function classifyStationCoverage(distanceKm) {
+  if (typeof distanceKm !== 'number' || !isFinite(distanceKm)) {
+    return { level: 'none', distance: null, warning: 'No weather station found for this location.' };
+  }
+  const distance = parseFloat(distanceKm.toFixed(1));
+  if (distanceKm < COVERAGE_THRESHOLDS.good) {
+    return { level: 'good', distance, warning: null };
+  }
+  if (distanceKm <= COVERAGE_THRESHOLDS.marginal) {
+    return {
+      level: 'marginal',
+      distance,
+      warning: `The nearest weather station is ${Math.round(distanceKm)} km away. Local conditions, especially rainfall, may differ.`
+    };
+  }
+  return {
+    level: 'poor',
+    distance,
+    warning: `The nearest weather station is ${Math.round(distanceKm)} km away. Your local conditions may differ significantly; consider choosing an alternate station or reporting your own observations.`
+  };
+}
+
+/**
+ * Finds the N nearest stations to a point, closest first.
+ * @param {object} coordinates - { lat, lng }
+ * @param {object} [options] - { count = 5, elevation } where elevation (m) is the farm's height
+ * @returns {Promise<Array<object>>} [{ id, name, province, lat, lng, distance, bearing, bearingCompass, elevation, elevationDifference }]
+ */
+async function findNearestWeatherStations(coordinates, options = {}) {
   if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
-    console.warn('Invalid coordinates provided to findNearestWeatherStation:', coordinates);
-    return null;
+    console.warn('Invalid coordinates provided to findNearestWeatherStations:', coordinates);
+    return [];
   }
   const { lat, lng } = coordinates;
-  let nearestStation = null;
-  let minDistance = Infinity;
-  PRAIRIE_STATIONS.forEach(station => {
-    const distance = calculateDistance(lat, lng, station.lat, station.lng);
-    if (distance < minDistance) {
-      minDistance = distance;
-      nearestStation = {
+  const count = options.count || 5;
+  const farmElevation = typeof options.elevation === 'number' ? options.elevation : null;
+  const stations = await getWeatherStations();
+
+  return stations
+    .map(station => ({ station, distance: calculateDistance(lat, lng, station.lat, station.lng) }))
+    .filter(entry => isFinite(entry.distance))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, count)
+    .map(({ station, distance }) => {
+      const bearing = calculateBearing(lat, lng, station.lat, station.lng);
+      const elevation = typeof station.elevation === 'number' ? station.elevation : null;
+      return {
         id: station.id,
         name: station.name,
         province: station.province,
-        distance: parseFloat(minDistance.toFixed(1))
+        lat: station.lat,
+        lng: station.lng,
+        distance: parseFloat(distance.toFixed(1)),
+        bearing: Math.round(bearing),
+        bearingCompass: bearingToCompass(bearing),
+        elevation,
+        // Positive when the station sits higher than the farm
+        elevationDifference: elevation !== null && farmElevation !== null ? elevation - farmElevation : null
       };
-    }
-  });
-  if (nearestStation) {
-    console.log(`Nearest station to ${lat},${lng} is ${nearestStation.name} (${nearestStation.id}) at ${nearestStation.distance} km.`);
+    });
+}
+
+async function findNearestWeatherStation(coordinates) {
+  if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+    console.warn('Invalid coordinates provided to findNearestWeatherStation:', coordinates);
+    return null;
   }
-  return nearestStation;
+  const [nearest] = await findNearestWeatherStations(coordinates, { count: 1 });
+  if (!nearest) return null;
+  console.log(`Nearest station to ${coordinates.lat},${coordinates.lng} is ${nearest.name} (${nearest.id}) at ${nearest.distance} km.`);
+  return {
+    id: nearest.id,
+    name: nearest.name,
+    province: nearest.province,
+    distance: nearest.distance
+  };
 }
 
 module.exports = {
   findNearestWeatherStation,
+  findNearestWeatherStations,
+  classifyStationCoverage,
+  calculateBearing,
+  getWeatherStations,
+  getStationsByIds,
   calculateDistance,
   PRAIRIE_STATIONS 
 };
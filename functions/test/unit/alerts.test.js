@@ -0,0 +1,219 @@
+// functions/test/unit/alerts.test.js
+jest.mock('firebase-admin', () => {
+  const mockAlertDoc = { get: jest.fn(async () => ({ exists: false })), set: jest.fn(async () => {}) };
+  const mockAlertsRef = { where: jest.fn(), get: jest.fn(), doc: jest.fn(id => ({ id, ...mockAlertDoc })) };
+  mockAlertsRef.where.mockReturnValue(mockAlertsRef);
+  const mockFarmerRef = { id: 'farmer', get: jest.fn(async () => ({ exists: false })) };
+  const mockBatch = { set: jest.fn(), commit: jest.fn(async () => {}) };
+  const mockDb = {
+    collection: jest.fn(name => ({
+      doc: jest.fn(() => (name === 'users' ? { collection: jest.fn(() => mockAlertsRef) } : mockFarmerRef))
+    })),
+    batch: jest.fn(() => mockBatch)
+  };
+  const firestoreMockFn = jest.fn(() => mockDb);
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, __mockAlertsRef: mockAlertsRef, __mockAlertDoc: mockAlertDoc, __mockFarmerRef: mockFarmerRef, __mockBatch: mockBatch };
+});
+
+const admin = require('firebase-admin');
+const {
+  checkAlertConditions, createDefaultAlerts, setPestAlert, shouldTriggerAlert, getNewWarnings, getTriggeredPest
+} = require('../../src/services/alerts');
+
+// A Firestore query snapshot of the given alert documents
+function alertsSnapshot(alerts) {
+  const docs = alerts.map(({ id, ...data }) => ({ id, data: () => data, ref: { update: jest.fn(async () => {}) } }));
+  return { empty: docs.length === 0, docs, forEach: fn => docs.forEach(fn) };
+}
+
+const tornadoWarning = {
+  type: 'warning', priority: 'urgent', description: 'TORNADO WARNING IN EFFECT', hazard: 'tornado',
+  url: 'https://weather.gc.ca/warnings/report_e.html?sk1', issued: '2024-06-03T20:00:00.000Z', expires: null
+};
+const fogStatement = {
+  type: 'statement', priority: 'low', description: 'SPECIAL WEATHER STATEMENT IN EFFECT', hazard: 'other',
+  url: 'https://weather.gc.ca/warnings/report_e.html?sk1', issued: '2024-06-03T18:00:00.000Z', expires: null
+};
+
+const weatherData = {
+  location: { city: 'Regina' },
+  current: { temperature: 24, windSpeed: 30, condition: 'Thunderstorm' },
+  warnings: [tornadoWarning, fogStatement]
+};
+
+describe('Alerts Service', () => {
+  describe('SEVERE_WEATHER', () => {
+    test('should trigger for a warning that has not been seen', () => {
+      expect(shouldTriggerAlert({ type: 'SEVERE_WEATHER' }, weatherData)).toBe(true);
+    });
+
+    test('should not trigger again once the warning is recorded as seen', () => {
+      const alert = {
+        type: 'SEVERE_WEATHER',
+        seenWarnings: ['warning|TORNADO WARNING IN EFFECT|2024-06-03T20:00:00.000Z']
+      };
+      expect(shouldTriggerAlert(alert, weatherData)).toBe(false);
+    });
+
+    test('should ignore statements unless requested', () => {
+      expect(getNewWarnings({ type: 'SEVERE_WEATHER' }, weatherData)).toEqual([tornadoWarning]);
+      expect(getNewWarnings({ type: 'SEVERE_WEATHER', warningTypes: ['statement'] }, weatherData)).toEqual([fogStatement]);
+    });
+
+    test('should respect hazard filters', () => {
+      expect(shouldTriggerAlert({ type: 'SEVERE_WEATHER', hazards: ['hail', 'frost'] }, weatherData)).toBe(false);
+      expect(shouldTriggerAlert({ type: 'SEVERE_WEATHER', hazards: ['tornado'] }, weatherData)).toBe(true);
+    });
+
+    test('should not trigger when the weather data has no warnings', () => {
+      expect(shouldTriggerAlert({ type: 'SEVERE_WEATHER' }, { ...weatherData, warnings: undefined })).toBe(false);
+    });
+  });
+
+  describe('PEST_DEGREE_DAYS', () => {
+    const withPests = {
+      ...weatherData,
+      insights: {
+        pests: {
+          season: '2024',
+          pests: [{ pest: 'wheat_midge', percentEmerged: 30, scouting: { status: 'active' } }]
+        }
+      }
+    };
+
+    test('should trigger once scouting starts, or at a percent emerged', () => {
+      expect(shouldTriggerAlert({ type: 'PEST_DEGREE_DAYS', pest: 'wheat_midge' }, withPests)).toBe(true);
+      expect(shouldTriggerAlert({ type: 'PEST_DEGREE_DAYS', pest: 'wheat_midge', threshold: 50 }, withPests)).toBe(false);
+      expect(getTriggeredPest({ type: 'PEST_DEGREE_DAYS', pest: 'wheat_midge', threshold: 25 }, withPests).percentEmerged).toBe(30);
+    });
+
+    test('should only notify once a season', () => {
+      expect(shouldTriggerAlert({ type: 'PEST_DEGREE_DAYS', pest: 'wheat_midge', notifiedSeason: '2024' }, withPests)).toBe(false);
+    });
+
+    test('should not trigger without pest models', () => {
+      expect(shouldTriggerAlert({ type: 'PEST_DEGREE_DAYS', pest: 'wheat_midge' }, weatherData)).toBe(false);
+    });
+  });
+
+  describe('checkAlertConditions', () => {
+    const windAlert = { id: 'WIND_THRESHOLD_above_25', name: 'High Wind Speed Warning', type: 'WIND_THRESHOLD', operator: 'above', threshold: 25, enabled: true };
+
+    beforeEach(() => jest.clearAllMocks());
+
+    test('fires a condition alert when the condition starts and marks it active', async () => {
+      const snapshot = alertsSnapshot([windAlert]);
+      admin.__mockAlertsRef.get.mockResolvedValue(snapshot);
+
+      const triggered = await checkAlertConditions('farmer-1', weatherData);
+
+      expect(triggered).toHaveLength(1);
+      expect(triggered[0]).toMatchObject({ alertType: 'WIND_THRESHOLD', alertName: 'High Wind Speed Warning' });
+      expect(triggered[0].message).toContain('Currently 30 km/h near Regina');
+      expect(snapshot.docs[0].ref.update).toHaveBeenCalledWith({ active: true, lastTriggered: 'MOCK_TIMESTAMP' });
+    });
+
+    test('stays quiet while the condition holds and resets once it clears', async () => {
+      const holding = alertsSnapshot([{ ...windAlert, active: true }]);
+      admin.__mockAlertsRef.get.mockResolvedValue(holding);
+      expect(await checkAlertConditions('farmer-1', weatherData)).toEqual([]);
+      expect(holding.docs[0].ref.update).not.toHaveBeenCalled();
+
+      const cleared = alertsSnapshot([{ ...windAlert, active: true }]);
+      admin.__mockAlertsRef.get.mockResolvedValue(cleared);
+      const calm = { ...weatherData, current: { ...weatherData.current, windSpeed: 10 } };
+      expect(await checkAlertConditions('farmer-1', calm)).toEqual([]);
+      expect(cleared.docs[0].ref.update).toHaveBeenCalledWith({ active: false });
+    });
+
+    test('fires a pest alert from the farm pest models once a season', async () => {
+      const snapshot = alertsSnapshot([{ id: 'PEST_DEGREE_DAYS_wheat_midge', name: 'Wheat midge Scouting Alert', type: 'PEST_DEGREE_DAYS', pest: 'wheat_midge', threshold: null, enabled: true }]);
+      admin.__mockAlertsRef.get.mockResolvedValue(snapshot);
+      admin.__mockFarmerRef.get.mockResolvedValueOnce({
+        exists: true,
+        data: () => ({
+          pestModels: {
+            season: '2024',
+            pests: [{
+              pest: 'wheat_midge', name: 'Wheat midge', stage: 'Adult emergence', percentEmerged: 12, degreeDays: 780, baseTemp: 5,
+              scouting: { status: 'active', advice: 'Check heads at dusk.' }
+            }]
+          }
+        })
+      });
+
+      const triggered = await checkAlertConditions('farmer-1', weatherData);
+
+      expect(triggered[0].message).toBe('Wheat midge: 12% adult emergence (780 degree days above 5°C). Time to scout. Check heads at dusk.');
+      expect(snapshot.docs[0].ref.update).toHaveBeenCalledWith({ notifiedSeason: '2024', lastTriggered: 'MOCK_TIMESTAMP' });
+    });
+
+    test('records seen warnings so a severe weather alert fires once per warning', async () => {
+      const snapshot = alertsSnapshot([{ id: 'SEVERE_WEATHER', name: 'Severe Weather Warnings', type: 'SEVERE_WEATHER', enabled: true }]);
+      admin.__mockAlertsRef.get.mockResolvedValue(snapshot);
+
+      const triggered = await checkAlertConditions('farmer-1', weatherData);
+
+      expect(triggered[0].message).toBe('Regina: TORNADO WARNING IN EFFECT. Details: https://weather.gc.ca/warnings/report_e.html?sk1');
+      expect(snapshot.docs[0].ref.update).toHaveBeenCalledWith({
+        seenWarnings: [
+          'warning|TORNADO WARNING IN EFFECT|2024-06-03T20:00:00.000Z',
+          'statement|SPECIAL WEATHER STATEMENT IN EFFECT|2024-06-03T18:00:00.000Z'
+        ],
+        lastChecked: 'MOCK_TIMESTAMP'
+      });
+    });
+  });
+
+  describe('createDefaultAlerts', () => {
+    test('adds only the defaults a user is missing and records the version', async () => {
+      jest.clearAllMocks();
+      admin.__mockAlertsRef.get.mockResolvedValue(alertsSnapshot([
+        { id: 'SPRAY_CONDITIONS_true', enabled: false },
+        { id: 'FROST_RISK_HIGH', enabled: true },
+        { id: 'WIND_THRESHOLD_above_25', enabled: true },
+        { id: 'TEMPERATURE_below_5', enabled: false }
+      ]));
+
+      await createDefaultAlerts('farmer-1');
+
+      const written = admin.__mockBatch.set.mock.calls;
+      expect(written).toHaveLength(2);
+      expect(written[0][0].id).toBe('SEVERE_WEATHER');
+      expect(written[0][1]).toMatchObject({ type: 'SEVERE_WEATHER', enabled: true, isDefault: true });
+      expect(written[1][1]).toEqual({ alertDefaultsVersion: 2 });
+      expect(admin.__mockBatch.commit).toHaveBeenCalled();
+    });
+  });
+
+  describe('setPestAlert', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    test('creates a pest alert the alert check can evaluate', async () => {
+      const alert = await setPestAlert('farmer-1', { pest: 'wheat_midge', threshold: 50 });
+
+      expect(alert).toEqual({
+        id: 'PEST_DEGREE_DAYS_wheat_midge',
+        name: 'Wheat midge Scouting Alert',
+        type: 'PEST_DEGREE_DAYS',
+        pest: 'wheat_midge',
+        threshold: 50,
+        enabled: true,
+        description: 'Notifies when wheat midge reach 50% adult emergence.'
+      });
+      const [written, options] = admin.__mockAlertDoc.set.mock.calls[0];
+      expect(written).toMatchObject({ pest: 'wheat_midge', enabled: true, createdAt: 'MOCK_TIMESTAMP', lastTriggered: null });
+      expect(options).toEqual({ merge: true });
+      expect(shouldTriggerAlert(written, {
+        ...weatherData,
+        insights: { pests: { season: '2024', pests: [{ pest: 'wheat_midge', percentEmerged: 55 }] } }
+      })).toBe(true);
+    });
+
+    test('rejects unknown pests and bad thresholds', async () => {
+      await expect(setPestAlert('farmer-1', { pest: 'locust' })).rejects.toThrow('Unknown pest');
+      await expect(setPestAlert('farmer-1', { pest: 'wheat_midge', threshold: 150 })).rejects.toThrow('threshold');
+    });
+  });
+});
@@ -26,12 +26,21 @@ jest.mock('../../src/utils/validation', () => ({
 jest.mock('../../src/utils/canadianGeography', () => ({
   getDLSCoordinates: jest.fn(async () => ({ lat: 50.01, lng: -100.01 })),
   getDLSFromCoordinates: jest.fn(async () => ({ meridian: 1, township: 1, range: 1, approximate: true })),
+  parseDLS: jest.fn(() => ({ meridian: 4, township: 34, range: 5, section: 12, quarterSection: 'NW', lsd: null, direction: 'W' })),
   getSoilZone: jest.fn(async () => 'Mock Soil Zone'),
   getClimateRegion: jest.fn(async () => 'Mock Climate Region'),
-  reverseGeocode: jest.fn(async () => ({ province: 'MCK', county: 'Mock Rural Municipality', nearestTown: 'Mocktown' }))
+  reverseGeocode: jest.fn(async () => ({ supported: true, province: 'MCK', county: 'Mock Rural Municipality', nearestTown: 'Mocktown' })),
+  getCacheWarmingRegion: jest.fn(() => 'central')
 }));
 jest.mock('../../src/utils/weatherStations', () => ({
-  findNearestWeatherStation: jest.fn(async () => ({ id: 's0000mock', name: 'Mock Station', province: 'MCK', distance: 15 }))
+  findNearestWeatherStations: jest.fn(async () => ([
+    { id: 's0000mock', name: 'Mock Station', province: 'MCK', distance: 15, bearing: 90, bearingCompass: 'E', elevation: 500, elevationDifference: -20 },
+    { id: 's0000alt', name: 'Alternate Station', province: 'MCK', distance: 42, bearing: 270, bearingCompass: 'W', elevation: null, elevationDifference: null }
+  ])),
+  classifyStationCoverage: jest.fn((distance) => ({ level: distance < 25 ? 'good' : 'marginal', distance, warning: null }))
+}));
+jest.mock('../../src/services/elevation', () => ({
+  getElevation: jest.fn(async () => 520)
 }));
 jest.mock('../../src/utils/helpers', () => ({
   isAlphaTester: jest.fn().mockResolvedValue(false),
@@ -63,6 +72,21 @@ describe('Auth Service - registerFarmer', () => {
     expect(mockBatchSet).toHaveBeenCalledTimes(3);
   });
 
+  test('should store nearby stations and coverage in derived location data', async () => {
+    const authUser = { uid: 'test-uid-stations-005', email: 'stations@farm.com' };
+    const profileData = { farmName: 'Station Farm', location: { method: 'pin', coordinates: { lat: 52.2, lng: -106.7 } } };
+    mockFirestoreDocGet.mockResolvedValueOnce({ exists: false });
+    const result = await registerFarmer(authUser, profileData);
+    const derived = result.profile.location.derived;
+    expect(derived.elevation).toBe(520);
+    expect(derived.nearestStation).toEqual({ id: 's0000mock', name: 'Mock Station', province: 'MCK', distance: 15 });
+    expect(derived.nearbyStations).toHaveLength(2);
+    expect(derived.stationCoverage.level).toBe('good');
+    expect(derived.selectedStation).toBeNull();
+    expect(derived.cacheRegion).toBe('central');
+    expect(derived).toMatchObject({ provinceSupported: true, county: 'Mock Rural Municipality' });
+  });
+
   test('should create a farmer profile with provided username and detailed data', async () => {
     const authUser = { uid: 'test-uid-full-002', email: 'full@farm.com', providerData: [{ providerId: 'google.com' }] };
     const profileData = { username: 'fullfarmer', farmName: 'Full Data Farm', location: {method: 'pin', coordinates: {lat:1,lng:1}} };
@@ -0,0 +1,322 @@
+// functions/test/unit/calculations.test.js
+const {
+  findSprayWindows,
+  findBestSprayWindow,
+  calculateSprayConditions,
+  calculateInversionRisk,
+  calculateCHU,
+  calculateExtraterrestrialRadiation,
+  calculateET0PenmanMonteith,
+  calculateReferenceET,
+  calculateGrainEMC,
+  calculateAerationPlan,
+  calculateDryingConditions,
+  calculateFrostRisk,
+  calculateDewpoint,
+  isDaylight
+} = require('../../src/services/calculations');
+
+// Builds an hourly timeline starting at the given UTC time, one entry per override
+function buildHourly(startIso, overrides) {
+  const start = new Date(startIso).getTime();
+  return overrides.map((o, i) => ({
+    time: new Date(start + i * 3600000).toISOString(),
+    temperature: 18,
+    windSpeed: 10,
+    windGust: null,
+    humidity: null,
+    pop: 0,
+    ...o
+  }));
+}
+
+// Sunrise 11:00 UTC, sunset 03:00 UTC (roughly a Prairie summer day)
+const sun = { sunrise: '2024-06-04T11:00:00.000Z', sunset: '2024-06-05T03:00:00.000Z' };
+
+describe('Calculations Service', () => {
+  describe('isDaylight', () => {
+    test('should project sunrise and sunset onto neighbouring days', () => {
+      expect(isDaylight('2024-06-04T12:00:00.000Z', sun)).toBe(true);
+      expect(isDaylight('2024-06-05T02:00:00.000Z', sun)).toBe(true);
+      expect(isDaylight('2024-06-05T06:00:00.000Z', sun)).toBe(false);
+      expect(isDaylight('2024-06-05T14:00:00.000Z', sun)).toBe(true);
+    });
+
+    test('should return null when sun times are unknown', () => {
+      expect(isDaylight('2024-06-04T12:00:00.000Z', null)).toBeNull();
+    });
+  });
+
+  describe('findSprayWindows', () => {
+    test('should return contiguous windows ranked by score', () => {
+      const hourly = buildHourly('2024-06-04T12:00:00.000Z', [
+        { windSpeed: 14 }, { windSpeed: 14 }, { windSpeed: 20 }, // short, windy-edged window then a break
+        { windSpeed: 8 }, { windSpeed: 9 }, { windSpeed: 9 }, { windSpeed: 30 }
+      ]);
+      const windows = findSprayWindows(hourly, {}, sun);
+
+      expect(windows).toHaveLength(2);
+      expect(windows[0].start).toBe('2024-06-04T15:00:00.000Z');
+      expect(windows[0].end).toBe('2024-06-04T18:00:00.000Z');
+      expect(windows[0].hours).toBe(3);
+      expect(windows[0].score).toBeGreaterThan(windows[1].score);
+      expect(windows[1].limitingFactor).toBe('wind');
+    });
+
+    test('should exclude hours within the rainfast interval of forecast rain', () => {
+      const hourly = buildHourly('2024-06-04T12:00:00.000Z', [
+        {}, {}, {}, {}, { pop: 60 }, {}
+      ]);
+      const windows = findSprayWindows(hourly, { rainfastHours: 2 }, sun);
+
+      expect(windows).toHaveLength(1);
+      expect(windows[0].start).toBe('2024-06-04T12:00:00.000Z');
+      expect(windows[0].hours).toBe(2);
+    });
+
+    test('should apply product-specific temperature limits', () => {
+      const hourly = buildHourly('2024-06-04T12:00:00.000Z', [
+        { temperature: 24 }, { temperature: 26 }, { temperature: 27 }
+      ]);
+      expect(findSprayWindows(hourly, {}, sun)).toHaveLength(1);
+      expect(findSprayWindows(hourly, { maxTemp: 25 }, sun)).toHaveLength(0);
+    });
+
+    test('should skip hours after sunset when daylight is required', () => {
+      const hourly = buildHourly('2024-06-05T01:00:00.000Z', [{}, {}, {}, {}]);
+      const windows = findSprayWindows(hourly, {}, sun);
+      expect(windows).toHaveLength(1);
+      expect(windows[0].end).toBe('2024-06-05T03:00:00.000Z');
+      expect(findSprayWindows(hourly, { daylightOnly: false }, sun)[0].hours).toBe(4);
+    });
+
+    test('should flag windows whose rainfast interval runs past the forecast', () => {
+      const hourly = buildHourly('2024-06-04T12:00:00.000Z', [{}, {}, {}]);
+      expect(findBestSprayWindow(hourly, { rainfastHours: 4 }, sun).rainfastVerified).toBe(false);
+      expect(findBestSprayWindow(hourly, { rainfastHours: 0 }, sun).rainfastVerified).toBe(true);
+    });
+
+    test('should block hours likely to sit under an inversion', () => {
+      // A clear, calm evening cooling quickly into sunset at 03:00 UTC
+      const hourly = buildHourly('2024-06-04T23:00:00.000Z', [
+        { temperature: 25 }, { temperature: 24 }, { temperature: 23 }, { temperature: 21 }, { temperature: 18 }
+      ].map(h => ({ ...h, windSpeed: 4, humidity: 45, condition: 'Clear' })));
+
+      const windows = findSprayWindows(hourly, {}, sun);
+      expect(windows).toHaveLength(1);
+      expect(windows[0].end).toBe('2024-06-05T02:00:00.000Z');
+      // The inversion block is a safety limit, not a product constraint
+      expect(findSprayWindows(hourly, { maxInversionLikelihood: 1 }, sun)[0].end).toBe('2024-06-05T02:00:00.000Z');
+    });
+
+    test('should return no windows for an empty timeline', () => {
+      expect(findSprayWindows([], {}, sun)).toEqual([]);
+      expect(findBestSprayWindow(undefined)).toBeNull();
+    });
+  });
+
+  describe('calculateSprayConditions', () => {
+    test('should report ranked windows from the hourly forecast', () => {
+      const weather = {
+        current: { temperature: 20, windSpeed: 10, humidity: 55 },
+        hourly: buildHourly('2024-06-04T12:00:00.000Z', [{}, {}, {}]),
+        sun
+      };
+      const result = calculateSprayConditions(weather);
+      expect(result.overall.canSpray).toBe(true);
+      expect(result.overall.windows).toHaveLength(1);
+      expect(result.overall.bestWindow).toBe(result.overall.windows[0]);
+      expect(result.overall.summary).toMatch(/^Best window: 3 hours/);
+    });
+
+    test('should give inversion risk as a reason and rule out spraying under one', () => {
+      const weather = {
+        current: { temperature: 14, windSpeed: 4, humidity: 60 },
+        hourly: buildHourly('2024-06-05T03:00:00.000Z', [{ temperature: 14 }, { temperature: 12 }, { temperature: 11 }]
+          .map(h => ({ ...h, windSpeed: 4, humidity: 60, condition: 'Clear' }))),
+        sun
+      };
+      const result = calculateSprayConditions(weather, { daylightOnly: false });
+
+      expect(result.inversion).toMatchObject({ value: 0.89, level: 'high', suitable: false });
+      expect(result.inversion.reason).toBe('Inversion likely (night, light wind, clear sky) - fine droplets can drift far off target');
+      expect(result.inversion.hourly).toHaveLength(3);
+      expect(result.overall.canSpray).toBe(false);
+      expect(result.overall.windows).toEqual([]);
+    });
+
+    test('should explain when no hourly forecast is available', () => {
+      const result = calculateSprayConditions({ current: { temperature: 20, windSpeed: 10, humidity: 55 } });
+      expect(result.overall.bestWindow).toBeNull();
+      expect(result.overall.summary).toBe('No hourly forecast available to identify spray windows.');
+    });
+  });
+
+  describe('calculateInversionRisk', () => {
+    test('should rise from late afternoon into a clear, calm night', () => {
+      const hourly = buildHourly('2024-06-05T00:00:00.000Z', [24, 23, 21, 18, 15]
+        .map(temperature => ({ temperature, windSpeed: 4, humidity: 35, condition: 'Clear' })));
+      const risk = calculateInversionRisk(hourly, sun);
+
+      expect(risk.map(h => h.likelihood)).toEqual([0, 0.37, 0.8, 1, 1]);
+      expect(risk.map(h => h.level)).toEqual(['low', 'moderate', 'high', 'high', 'high']);
+      expect(risk[2].factors).toEqual({ daypart: 0.8, wind: 1, sky: 1, cooling: 1, dewpointSpread: 16.1 });
+    });
+
+    test('should stay low when wind mixes the air or skies are overcast', () => {
+      const night = overrides => buildHourly('2024-06-05T05:00:00.000Z', [{ temperature: 12 }, { temperature: 11, ...overrides }]);
+
+      expect(calculateInversionRisk(night({ windSpeed: 20, condition: 'Clear' }), sun)[1].likelihood).toBe(0);
+      expect(calculateInversionRisk(night({ windSpeed: 8, humidity: 95, condition: 'Cloudy' }), sun)[1]).toMatchObject({ likelihood: 0.35, level: 'moderate' });
+      // Unknown sun times and sky count as middling
+      expect(calculateInversionRisk(night({ windSpeed: 2 }), null)[1].likelihood).toBe(0.35);
+      expect(calculateInversionRisk(undefined)).toEqual([]);
+    });
+  });
+
+  describe('calculateCHU', () => {
+    test('should average the day and night contributions', () => {
+      // Ymax = 3.33 * 15 - 0.084 * 15^2 = 31.05, Ymin = 1.8 * 7.6 = 13.68
+      expect(calculateCHU(25, 12)).toBeCloseTo(22.365, 3);
+    });
+
+    test('should not go negative on cold days', () => {
+      expect(calculateCHU(8, 2)).toBe(0);
+    });
+  });
+
+  describe('reference evapotranspiration', () => {
+    // FAO-56 Example 18: Brussels, 6 July, 100 m
+    const brussels = { tempMax: 21.5, tempMin: 12.3, windSpeed: 2.078, solarRadiation: 22.07 };
+    const site = { latitude: 50.8, dayOfYear: 187, elevation: 100 };
+
+    test('should match the FAO-56 extraterrestrial radiation examples', () => {
+      expect(calculateExtraterrestrialRadiation(-20, 246)).toBeCloseTo(32.2, 1);
+      expect(calculateExtraterrestrialRadiation(50.8, 187)).toBeCloseTo(41.09, 2);
+    });
+
+    test('should match the FAO-56 Penman-Monteith example', () => {
+      expect(calculateET0PenmanMonteith({ ...brussels, humidityMax: 84, humidityMin: 63 }, site)).toBeCloseTo(3.9, 1);
+    });
+
+    test('should use Penman-Monteith with mean humidity and fall back to Hargreaves', () => {
+      const full = calculateReferenceET({ ...brussels, humidity: 73.5 }, site);
+      expect(full.method).toBe('penman-monteith');
+      expect(full.et0).toBeCloseTo(3.79, 2);
+
+      const temperatureOnly = calculateReferenceET({ tempMax: 21.5, tempMin: 12.3, humidity: null, windSpeed: 2 }, site);
+      expect(temperatureOnly.method).toBe('hargreaves');
+      expect(temperatureOnly.et0).toBeCloseTo(4.06, 2);
+    });
+
+    test('should return null without max/min temperature', () => {
+      expect(calculateReferenceET({ tempMax: null, tempMin: 12 }, site)).toBeNull();
+    });
+
+    test('should not produce NaN during polar night', () => {
+      expect(calculateExtraterrestrialRadiation(75, 355)).toBe(0);
+    });
+  });
+
+  describe('calculateFrostRisk', () => {
+    // A clear, calm night cooling 0.6 °C an hour from 6 °C at 02:00 UTC; sunrise 12:30 UTC
+    const frostNight = dewpoint => ({
+      current: { temperature: 8, humidity: 60, dewpoint, condition: 'Clear', windSpeed: 5 },
+      hourly: buildHourly('2024-09-10T02:00:00.000Z', Array.from({ length: 12 }, (_, i) => ({
+        temperature: parseFloat((6 - i * 0.6).toFixed(1)), condition: 'Clear', windSpeed: 5
+      }))),
+      forecast: [{ temperature: { low: '1' } }],
+      sun: { sunrise: '2024-09-10T12:30:00.000Z', sunset: '2024-09-11T01:00:00.000Z' }
+    });
+    const canola = { type: 'canola', variety: '', stage: { code: 'BBCH 80', name: 'Seed colour change' }, damage: -3, severe: -5 };
+
+    test('should estimate duration, low-spot cooling and crop damage from the hourly forecast', () => {
+      const risk = calculateFrostRisk(frostNight(-4), { crops: [canola] });
+
+      expect(risk).toMatchObject({
+        expected_low_C: -0.6,
+        tonight_risk_level: 'HIGH',
+        probability: 62,
+        hoursBelow0: 2,
+        hoursBelowMinus2: 0,
+        frostPeriod: { start: '2024-09-10T12:00:00.000Z', end: '2024-09-10T13:00:00.000Z' },
+        lowSpot: { minimum: -3, probability: 93, hoursBelow0: 7, hoursBelowMinus2: 2 }
+      });
+      expect(risk.crops[0]).toMatchObject({ risk: 'damage', probability: 50 });
+      expect(risk.factors).toContain('Dry air (dew point -4°C) lets temperatures keep falling overnight.');
+    });
+
+    test('should not cool low spots far below a high dew point', () => {
+      const risk = calculateFrostRisk(frostNight(0.5));
+      expect(risk.lowSpot.minimum).toBe(-0.6);
+      expect(risk.crops).toEqual([]);
+    });
+
+    test('should blend in frost climatology', () => {
+      const risk = calculateFrostRisk(frostNight(-4), { climatology: { probability: 0.1, period: '1991-2020' } });
+      expect(risk.probability).toBe(54);
+      expect(risk.climatology).toEqual({ probability: 10, period: '1991-2020' });
+    });
+
+    test('should stay low on a windy, cloudy evening without a forecast', () => {
+      const risk = calculateFrostRisk({ current: { temperature: 10, windSpeed: 20, condition: 'Cloudy' } });
+      expect(risk).toMatchObject({ tonight_risk_level: 'LOW', probability: 0, estimatedMinimum: 7 });
+    });
+
+    test('should derive the dew point from humidity', () => {
+      expect(calculateDewpoint(20, 50)).toBe(9.3);
+    });
+  });
+
+  describe('grain equilibrium moisture', () => {
+    test('should use each grain\'s Henderson or Chung-Pfost constants', () => {
+      // 25 °C and 70% RH
+      expect(calculateGrainEMC('wheat', 25, 70)).toBe(14.5);
+      expect(calculateGrainEMC('corn', 25, 70)).toBe(14);
+      expect(calculateGrainEMC('canola', 25, 70)).toBe(8.5);
+      // Cooler, damper air holds grain wetter
+      expect(calculateGrainEMC('wheat', 5, 90)).toBe(20.3);
+      expect(calculateGrainEMC('sorghum', 25, 70)).toBeNull();
+    });
+
+    test('should report drying EMC for the chosen grain', () => {
+      const weather = { current: { temperature: 22, humidity: 45, windSpeed: 10 } };
+      expect(calculateDryingConditions(weather, 'canola')).toMatchObject({ EMC_estimated_percent: '6.5', grain: 'canola' });
+      expect(calculateDryingConditions(weather).grain).toBe('wheat');
+    });
+  });
+
+  describe('calculateAerationPlan', () => {
+    const weather = {
+      timestamp: '2024-09-10T20:00:00.000Z',
+      current: { temperature: 22, humidity: 45 },
+      hourly: [
+        { time: '2024-09-10T21:00:00.000Z', temperature: 20, humidity: 50 },
+        { time: '2024-09-11T03:00:00.000Z', temperature: 10, humidity: 90 },
+        { time: '2024-09-11T09:00:00.000Z', temperature: 8, humidity: null }
+      ]
+    };
+
+    test('should run the fan only for hours that dry wet grain', () => {
+      const plan = calculateAerationPlan(weather, { grain: 'canola', grainMoisture: 10, targetMoisture: 8 });
+      expect(plan.mode).toBe('drying');
+      expect(plan.current).toMatchObject({ emc: 6.3, effect: 'drying', fan: true });
+      expect(plan.hourly.map(h => h.effect)).toEqual(['drying', 'rewetting', null]);
+      expect(plan.summary).toEqual({ hours: 3, dryingHours: 1, rewettingHours: 1, fanHours: 1, fanOn: ['2024-09-10T21:00:00.000Z'] });
+    });
+
+    test('should aerate dry grain only when the air is cool enough', () => {
+      const plan = calculateAerationPlan(weather, { grain: 'wheat', grainMoisture: 13.5, grainTemperature: 25 });
+      expect(plan).toMatchObject({ mode: 'aeration', targetMoisture: 14.5 });
+      expect(plan.hourly.map(h => h.fan)).toEqual([true, false, false]);
+
+      const noTemperature = calculateAerationPlan(weather, { grain: 'wheat', grainMoisture: 13.5 });
+      expect(noTemperature.summary.fanHours).toBe(0);
+      expect(noTemperature.recommendation).toMatch('Enter the grain temperature');
+    });
+
+    test('should return null for an unknown grain', () => {
+      expect(calculateAerationPlan(weather, { grain: 'sorghum', grainMoisture: 14 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,242 @@
+// functions/test/unit/canadianGeography.test.js
+const {
+  getDLSCoordinates,
+  getDLSFromCoordinates,
+  getDLSBounds,
+  parseDLS,
+  formatDLS,
+  getDLSPolygon,
+  getLandParcelsGeoJSON,
+  reverseGeocode,
+  getCacheWarmingRegion,
+  getSoilZone,
+  getSoilZoneInfo,
+  getSoilZoneMetadata,
+  getClimateRegion,
+  getClimateRegionInfo
+} = require('../../src/utils/canadianGeography');
+
+describe('DLS conversion', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('locates known townships', async () => {
+    const calgary = await getDLSFromCoordinates({ lat: 51.0447, lng: -114.0719 });
+    expect(calgary).toMatchObject({ meridian: 5, township: 24, range: 1, direction: 'W' });
+
+    const regina = await getDLSFromCoordinates({ lat: 50.4452, lng: -104.6189 });
+    expect(regina).toMatchObject({ meridian: 2, township: 17, range: 20 });
+
+    const winnipeg = await getDLSFromCoordinates({ lat: 49.8951, lng: -97.1384 });
+    expect(winnipeg).toMatchObject({ meridian: 1, township: 11, range: 3, direction: 'E' });
+  });
+
+  test('numbers sections and LSDs in serpentine order', () => {
+    const sec1 = getDLSBounds({ meridian: 4, township: 10, range: 5, section: 1 });
+    const sec6 = getDLSBounds({ meridian: 4, township: 10, range: 5, section: 6 });
+    const sec7 = getDLSBounds({ meridian: 4, township: 10, range: 5, section: 7 });
+    const sec36 = getDLSBounds({ meridian: 4, township: 10, range: 5, section: 36 });
+
+    expect(sec6.east).toBeLessThan(sec1.east);          // 1 is east, 6 is west
+    expect(sec7.west).toBeCloseTo(sec6.west, 8);        // 7 sits directly north of 6
+    expect(sec7.south).toBeCloseTo(sec6.north, 8);
+    expect(sec36.east).toBeCloseTo(sec1.east, 8);       // 36 is the north-east corner
+    expect(sec36.north).toBeGreaterThan(sec1.north);
+
+    const lsd1 = getDLSBounds({ meridian: 4, township: 10, range: 5, section: 1, lsd: 1 });
+    const lsd8 = getDLSBounds({ meridian: 4, township: 10, range: 5, section: 1, lsd: 8 });
+    expect(lsd1.east).toBeCloseTo(sec1.east, 8);
+    expect(lsd8.east).toBeCloseTo(sec1.east, 8);        // 5-8 run back west to east
+    expect(lsd8.south).toBeCloseTo(lsd1.north, 8);
+  });
+
+  test('narrows ranges northward and jogs at correction lines', () => {
+    const tp2 = getDLSBounds({ meridian: 4, township: 2, range: 20 });
+    const tp3 = getDLSBounds({ meridian: 4, township: 3, range: 20 });
+    const tp4 = getDLSBounds({ meridian: 4, township: 4, range: 20 });
+    const tp80 = getDLSBounds({ meridian: 4, township: 80, range: 20 });
+
+    expect(tp3.east).toBeCloseTo(tp4.east, 8);          // same block between correction lines
+    expect(tp3.east).not.toBeCloseTo(tp2.east, 3);      // correction line between townships 2 and 3
+    expect(tp80.east - tp80.west).toBeGreaterThan(tp2.east - tp2.west); // more degrees per range up north
+  });
+
+  test('round-trips quarter sections and LSDs', async () => {
+    for (const text of ['NW-12-34-5-W4', 'SE-1-1-1-W2', 'SW-31-80-22-W5', 'NE-36-12-4-E1']) {
+      const coords = await getDLSCoordinates(text);
+      const dls = await getDLSFromCoordinates(coords);
+      expect(formatDLS({ ...dls, lsd: null })).toBe(text);
+    }
+
+    const coords = await getDLSCoordinates('LSD 14-12-34-05W4M');
+    expect(formatDLS(await getDLSFromCoordinates(coords))).toBe('LSD 14-12-34-05W4M');
+  });
+
+  test('places the centre of a quarter within its section', async () => {
+    const section = getDLSBounds({ meridian: 3, township: 52, range: 26, section: 16 });
+    const sw = await getDLSCoordinates({ meridian: 3, township: 52, range: 26, section: 16, quarterSection: 'SW' });
+    expect(sw.lat).toBeGreaterThan(section.south);
+    expect(sw.lat).toBeLessThan((section.north + section.south) / 2);
+    expect(sw.lng).toBeLessThan((section.east + section.west) / 2);
+    expect(sw.lng).toBeGreaterThan(section.west);
+  });
+
+  test('returns nulls for invalid DLS input', async () => {
+    expect(await getDLSCoordinates({ meridian: 4, township: 10 })).toEqual({ lat: null, lng: null });
+    expect(await getDLSCoordinates({ meridian: 4, township: 10, range: 5, section: 37 })).toEqual({ lat: null, lng: null });
+    expect(await getDLSCoordinates({ meridian: 4, township: 10, range: 33 })).toEqual({ lat: null, lng: null });
+  });
+
+  test('rejects points outside the survey area', async () => {
+    expect((await getDLSFromCoordinates({ lat: 48.5, lng: -105 })).error).toBeDefined();
+    expect((await getDLSFromCoordinates({ lat: 50, lng: -123 })).error).toBeDefined();
+  });
+});
+
+describe('parseDLS / formatDLS', () => {
+  test('parses quarter section descriptions', () => {
+    expect(parseDLS('NW-12-34-5-W4')).toEqual({
+      meridian: 4, township: 34, range: 5, section: 12, quarterSection: 'NW', lsd: null, direction: 'W'
+    });
+    expect(parseDLS('nw 12-34-5 w4m')).toMatchObject({ quarterSection: 'NW', section: 12, meridian: 4 });
+  });
+
+  test('parses LSD descriptions', () => {
+    expect(parseDLS('LSD 14-12-34-05W4M')).toMatchObject({ lsd: 14, section: 12, township: 34, range: 5, meridian: 4 });
+    expect(parseDLS('14-12-034-05-W4')).toMatchObject({ lsd: 14, township: 34 });
+  });
+
+  test('parses section and township descriptions', () => {
+    expect(parseDLS('12-34-5-W4')).toMatchObject({ section: 12, township: 34, range: 5, quarterSection: null, lsd: null });
+    expect(parseDLS('34-5-W4')).toMatchObject({ section: null, township: 34, range: 5 });
+  });
+
+  test('rejects malformed descriptions', () => {
+    expect(() => parseDLS('NW-12-34')).toThrow('Unrecognized land description');
+    expect(() => parseDLS('NW-14-12-34-5-W4')).toThrow('both a quarter section and an LSD');
+    expect(() => parseDLS('NW-40-34-5-W4')).toThrow('section must be between 1 and 36');
+    expect(() => parseDLS('12-34-5-E4')).toThrow('Principal Meridian');
+  });
+
+  test('formats each level of description', () => {
+    expect(formatDLS({ meridian: 4, township: 34, range: 5, section: 12, quarterSection: 'nw' })).toBe('NW-12-34-5-W4');
+    expect(formatDLS({ meridian: 4, township: 34, range: 5, section: 12, lsd: 14 })).toBe('LSD 14-12-34-05W4M');
+    expect(formatDLS({ meridian: '2', township: '17', range: '20', section: '24' })).toBe('24-17-20-W2');
+    expect(formatDLS({ meridian: 4, township: 34, range: 5 })).toBe('34-5-W4');
+  });
+});
+
+describe('DLS polygons', () => {
+  test('builds a closed counter-clockwise polygon around the parcel', () => {
+    const feature = getDLSPolygon('NW-12-34-5-W4');
+    const ring = feature.geometry.coordinates[0];
+    const box = getDLSBounds(parseDLS('NW-12-34-5-W4'));
+
+    expect(feature.type).toBe('Feature');
+    expect(feature.geometry.type).toBe('Polygon');
+    expect(ring).toHaveLength(5);
+    expect(ring[0]).toEqual(ring[4]);
+    expect(ring[0][0]).toBeCloseTo(box.west, 5);   // SW corner first, then east along the south edge
+    expect(ring[1][0]).toBeCloseTo(box.east, 5);
+    expect(ring[2][1]).toBeCloseTo(box.north, 5);
+    expect(feature.properties).toMatchObject({ description: 'NW-12-34-5-W4', level: 'quarter' });
+  });
+
+  test('reports acreage close to the surveyed parcel sizes', () => {
+    expect(getDLSPolygon('NW-12-34-5-W4').properties.acres).toBeGreaterThan(158);
+    expect(getDLSPolygon('NW-12-34-5-W4').properties.acres).toBeLessThan(165);
+    expect(getDLSPolygon('12-34-5-W4').properties.acres).toBeCloseTo(4 * getDLSPolygon('NE-12-34-5-W4').properties.acres, -1);
+    expect(getDLSPolygon({ meridian: 4, township: 34, range: 5, section: 12, lsd: 14 }).properties).toMatchObject({ level: 'lsd' });
+    expect(getDLSPolygon('34-5-W4').properties.level).toBe('township');
+  });
+
+  test('returns a FeatureCollection with total acres for several parcels', () => {
+    const collection = getLandParcelsGeoJSON('SE-1-2-3-W2, SW-1-2-3-W2; NE-1-2-3-W2');
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.features.map(f => f.properties.description)).toEqual(['SE-1-2-3-W2', 'SW-1-2-3-W2', 'NE-1-2-3-W2']);
+    expect(collection.properties.parcelCount).toBe(3);
+    expect(collection.properties.totalAcres).toBeCloseTo(
+      collection.features.reduce((sum, f) => sum + f.properties.acres, 0), 0
+    );
+  });
+
+  test('returns a single Feature for one parcel and names bad parcels', () => {
+    expect(getLandParcelsGeoJSON(['SE-1-2-3-W2']).type).toBe('Feature');
+    expect(() => getLandParcelsGeoJSON('SE-1-2-3-W2, bogus')).toThrow('Invalid parcel "bogus"');
+    expect(() => getLandParcelsGeoJSON(' , ')).toThrow('At least one land description');
+  });
+});
+
+describe('reverseGeocode', () => {
+  test('resolves province and nearest town from bundled data', async () => {
+    expect(await reverseGeocode({ lat: 51.0447, lng: -114.0719 })).toMatchObject({
+      supported: true,
+      province: 'AB', provinceName: 'Alberta', nearestTown: 'Calgary', fullAddress: 'Near Calgary, AB, Canada'
+    });
+    expect((await reverseGeocode({ lat: 50.4452, lng: -104.6189 })).province).toBe('SK');
+    expect((await reverseGeocode({ lat: 49.8951, lng: -97.1384 })).province).toBe('MB');
+  });
+
+  test('splits Manitoba and Saskatchewan along the range line rather than 102°W', async () => {
+    expect((await reverseGeocode({ lat: 50.6, lng: -101.5 })).province).toBe('SK');
+    expect((await reverseGeocode({ lat: 50.6, lng: -101.2 })).province).toBe('MB');
+    expect((await reverseGeocode({ lat: 57, lng: -101.9 })).province).toBe('MB');
+  });
+
+  test('reports points outside the bundled provinces as unsupported', async () => {
+    const result = await reverseGeocode({ lat: 47, lng: -100 });
+    expect(result).toMatchObject({ supported: false, province: '', county: '', nearestTown: '', nearestTownDistance: null });
+    // Southern Ontario, now reachable through the national station catalog
+    expect(await reverseGeocode({ lat: 43.65, lng: -79.38 })).toMatchObject({ supported: false, province: '' });
+  });
+
+  test('says when no municipal boundaries are bundled for the province', async () => {
+    expect(await reverseGeocode({ lat: 50.4452, lng: -104.6189 })).toMatchObject({ county: '', countyAvailable: false });
+  });
+
+  test('maps provinces to cache-warming regions', () => {
+    expect(getCacheWarmingRegion('sk')).toBe('central');
+    expect(getCacheWarmingRegion('MB')).toBe('central');
+    expect(getCacheWarmingRegion('AB')).toBe('mountain');
+    expect(getCacheWarmingRegion('ON')).toBeNull();
+  });
+});
+
+describe('soil zones and climate regions', () => {
+  test('finds soil zones from the bundled polygons rather than latitude bands', async () => {
+    expect(await getSoilZone({ lat: 51.4672, lng: -109.1567 })).toBe('Brown');      // Kindersley, north of 51°
+    expect(await getSoilZone({ lat: 50.4452, lng: -104.6189 })).toBe('Dark Brown'); // Regina
+    expect(await getSoilZone({ lat: 49.8485, lng: -99.9501 })).toBe('Black');       // Brandon, well south of 52°
+    expect(await getSoilZone({ lat: 55.1707, lng: -118.7947 })).toBe('Dark Grey');  // Grande Prairie
+    expect(await getSoilZone({ lat: 54.7194, lng: -113.2856 })).toBe('Grey');       // Athabasca
+    expect(await getSoilZone({ lat: 43.7, lng: -79.4 })).toBe('Other');
+    expect(await getSoilZone({})).toBe('Unknown');
+  });
+
+  test('returns zone metadata for rotations and moisture', () => {
+    const info = getSoilZoneInfo({ lat: 50.2881, lng: -107.7939 });
+    expect(info).toMatchObject({ zone: 'Brown' });
+    expect(info.moistureDeficitMm).toBeLessThan(getSoilZoneMetadata('black').moistureDeficitMm);
+    expect(info.rotations.length).toBeGreaterThan(0);
+    expect(info.suitedCrops).toContain('lentils');
+    expect(info).not.toHaveProperty('priority');
+    expect(info.source).toMatchObject({ dataset: 'prairie-soil-zones', accuracy: 'generalized', resolutionKm: 25 });
+    expect(getSoilZoneMetadata('brown')).not.toHaveProperty('source');
+    expect(getSoilZoneMetadata('Not a zone')).toBeNull();
+  });
+
+  test('finds ecoregion-based climate regions', async () => {
+    expect(await getClimateRegion({ lat: 49.8951, lng: -97.1384 })).toBe('Lake Manitoba Plain'); // Winnipeg
+    expect(await getClimateRegion({ lat: 53.5461, lng: -113.4938 })).toBe('Aspen Parkland');     // Edmonton
+    expect(await getClimateRegion({ lat: 50.0405, lng: -110.6766 })).toBe('Mixed Grassland');    // Medicine Hat
+    expect(await getClimateRegion({ lat: 56.2333, lng: -117.2833 })).toBe('Peace Lowland');      // Peace River
+    expect(getClimateRegionInfo({ lat: 53.5461, lng: -113.4938 }).frostFreeDays).toHaveLength(2);
+    expect(getClimateRegionInfo({ lat: 53.5461, lng: -113.4938 }).source.caveat).toMatch(/neighbouring region/);
+    expect(getClimateRegionInfo({ lat: 43.7, lng: -79.4 })).toBeNull();
+  });
+});
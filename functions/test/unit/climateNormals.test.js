@@ -0,0 +1,180 @@
+// functions/test/unit/climateNormals.test.js
+jest.mock('firebase-admin', () => {
+  const firestoreMockFn = jest.fn(() => ({ collection: jest.fn() }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn };
+});
+jest.mock('../../src/services/nasa', () => ({
+  fetchNASADailyHistory: jest.fn(),
+  fetchNASAPowerParameters: jest.fn(),
+  calendarSlot: jest.requireActual('../../src/services/nasa').calendarSlot,
+  toNASADate: jest.requireActual('../../src/services/nasa').toNASADate
+}));
+
+const { fetchNASADailyHistory, fetchNASAPowerParameters } = require('../../src/services/nasa');
+const {
+  getClimateAnomaly,
+  calculateDailyNormals,
+  calculateFrostProbability,
+  calculateFrostProbabilityTable,
+  lookupFrostProbability,
+  calculateFrostDateNormals,
+  calculateWindowDistribution,
+  compareToNormals,
+  describeComparison,
+  percentileRank,
+  toGridCell,
+  gridCellId
+} = require('../../src/services/climateNormals');
+
+// 1991-2020 where year k (0-29) gets 1 + 0.1k mm every day, a 20/6 °C day and no Feb 29
+// in common years
+function buildHistory() {
+  const years = {};
+  for (let year = 1991; year <= 2020; year++) {
+    const k = year - 1991;
+    const fill = value => Array.from({ length: 366 }, (_, slot) => (slot === 59 && year % 4 !== 0 ? null : value));
+    years[year] = { PRECTOTCORR: fill(parseFloat((1 + 0.1 * k).toFixed(1))), T2M_MAX: fill(20), T2M_MIN: fill(6) };
+  }
+  return { period: { startYear: 1991, endYear: 2020 }, years };
+}
+
+describe('Climate normals', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('snaps points to the POWER grid cell centre', () => {
+    expect(toGridCell({ lat: 50.4452, lng: -104.6189 })).toEqual({ lat: 50.5, lng: -104.375 });
+    expect(gridCellId({ lat: 50.4452, lng: -104.6189 })).toBe('50.5_-104.375');
+  });
+
+  test('counts frost nights in the fortnight around a date', () => {
+    const history = buildHistory();
+    // Frost on May 8-10 in 1991-1995: 15 of the 30 x 15 days around May 10
+    for (let year = 1991; year <= 1995; year++) history.years[year].T2M_MIN.fill(-1, 128, 131);
+
+    expect(calculateFrostProbability(history, '2024-05-10')).toEqual({ probability: 0.03, threshold: 0, samples: 450, period: '1991-2020' });
+    expect(calculateFrostProbability(history, '2024-07-15').probability).toBe(0);
+    expect(calculateFrostProbability(history, '2024-07-15', 10).probability).toBe(1);
+  });
+
+  test('tabulates frost probability by calendar day for lookups without the history', () => {
+    const history = buildHistory();
+    for (let year = 1991; year <= 1995; year++) history.years[year].T2M_MIN.fill(-1, 128, 131);
+
+    const table = calculateFrostProbabilityTable(history);
+
+    expect(table.probabilities).toHaveLength(366);
+    expect(table).toMatchObject({ threshold: 0, period: '1991-2020' });
+    expect(lookupFrostProbability(table, '2024-05-10')).toEqual({ probability: 0.03, threshold: 0, period: '1991-2020' });
+    expect(lookupFrostProbability(table, '2024-07-15').probability).toBe(0);
+    expect(lookupFrostProbability(null, '2024-05-10')).toBeNull();
+  });
+
+  test('takes median last spring and first fall frost dates across the normals years', () => {
+    const history = buildHistory();
+    Object.entries(history.years).forEach(([year, yearData]) => {
+      const k = year - 1991;
+      yearData.T2M_MIN[100] = -4;     // An April frost every year, always followed by a later one
+      yearData.T2M_MIN[130 + k] = -1; // Last spring frost May 10 + k
+      yearData.T2M_MIN[250] = -2;     // First fall frost Sep 7
+      yearData.T2M_MIN[300] = -8;
+    });
+
+    expect(calculateFrostDateNormals(history)).toEqual({
+      lastSpringFrost: '05-25',
+      firstFallFrost: '09-07',
+      frostFreeDays: 105,
+      threshold: 0,
+      years: 30,
+      period: '1991-2020'
+    });
+    expect(calculateFrostDateNormals(buildHistory())).toMatchObject({ lastSpringFrost: null, firstFallFrost: null, frostFreeDays: null, years: 0 });
+  });
+
+  describe('calculateWindowDistribution', () => {
+    test('totals the same calendar window in every normals year', () => {
+      const samples = calculateWindowDistribution(buildHistory(), ['2024-05-01', '2024-05-02'], 5);
+
+      expect(samples).toHaveLength(30);
+      expect(samples[0]).toEqual({ year: 1991, precipitation: 2, temperature: 13, gdd: 16, chu: 27.8, days: 2 });
+      expect(samples[29].precipitation).toBe(7.8);
+    });
+
+    test('skips Feb 29 in common years', () => {
+      const samples = calculateWindowDistribution(buildHistory(), ['2024-02-28', '2024-02-29', '2024-03-01'], 5);
+      expect(samples.find(s => s.year === 1991).days).toBe(2);
+      expect(samples.find(s => s.year === 1992).days).toBe(3);
+    });
+
+    test('leaves out years the window runs past or that are missing too much data', () => {
+      const history = buildHistory();
+      history.years[1995].PRECTOTCORR.fill(null, 120, 125);
+
+      const acrossNewYear = calculateWindowDistribution(history, ['2023-12-31', '2024-01-01'], 5);
+      expect(acrossNewYear.map(s => s.year)).not.toContain(2020);
+      expect(acrossNewYear).toHaveLength(29);
+
+      const may = calculateWindowDistribution(history, ['2024-05-01', '2024-05-02', '2024-05-03'], 5);
+      expect(may.map(s => s.year)).not.toContain(1995);
+    });
+  });
+
+  describe('compareToNormals', () => {
+    test('reports anomaly, percent of normal and percentile rank', () => {
+      const distribution = calculateWindowDistribution(buildHistory(), ['2024-05-01', '2024-05-02'], 5);
+      const comparison = compareToNormals({ precipitation: 2.5, temperature: 15, gdd: 20, chu: 30 }, distribution);
+
+      expect(comparison.precipitation).toEqual({
+        actual: 2.5,
+        normal: 4.9,
+        anomaly: -2.4,
+        percentOfNormal: 51,
+        percentileRank: 10,
+        category: 'below normal',
+        unit: 'mm'
+      });
+      expect(comparison.temperature).toMatchObject({ normal: 13, anomaly: 2, percentOfNormal: null, percentileRank: 100 });
+      expect(describeComparison(comparison)).toEqual([
+        'Precipitation is 51% of normal (3 mm vs 5 mm), drier than 90% of years.',
+        'Mean temperature is 2.0 °C above normal, warmer than 100% of years.',
+        'Growing degree days are 125% of normal (20 vs 16), ahead of 100% of years.'
+      ]);
+    });
+
+    test('counts ties as half when ranking', () => {
+      expect(percentileRank(5, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10])).toBe(45);
+      expect(percentileRank(5, [])).toBeNull();
+    });
+  });
+
+  test('builds 366 smoothed daily normals including Feb 29', () => {
+    const days = calculateDailyNormals(buildHistory(), 5);
+
+    expect(days).toHaveLength(366);
+    expect(days[59].monthDay).toBe('02-29');
+    expect(days[121]).toEqual({ monthDay: '05-01', precipitation: 2.45, temperature: 13, gdd: 8, chu: 13.89 });
+  });
+
+  test('compares only the days NASA POWER has published', async () => {
+    fetchNASADailyHistory.mockResolvedValue(buildHistory());
+    fetchNASAPowerParameters.mockResolvedValue({
+      daily: [
+        { date: '2024-05-01', T2M_MAX: 22, T2M_MIN: 8, PRECTOTCORR: 0 },
+        { date: '2024-05-02', T2M_MAX: 24, T2M_MIN: 10, PRECTOTCORR: 1 },
+        { date: '2024-05-03', T2M_MAX: null, T2M_MIN: null, PRECTOTCORR: null }
+      ]
+    });
+
+    const anomaly = await getClimateAnomaly({ lat: 50.4452, lng: -104.6189 }, '2024-05-01', '2024-05-03');
+
+    expect(fetchNASADailyHistory).toHaveBeenCalledWith(50.5, -104.375, 1991, 2020, ['T2M_MAX', 'T2M_MIN', 'PRECTOTCORR']);
+    expect(fetchNASAPowerParameters).toHaveBeenCalledWith(50.5, -104.375, '20240501', '20240503', ['T2M_MAX', 'T2M_MIN', 'PRECTOTCORR']);
+    expect(anomaly.period).toMatchObject({ daysCompared: 2, missingDays: ['2024-05-03'] });
+    expect(anomaly.yearsCompared).toBe(30);
+    expect(anomaly.comparison.precipitation).toMatchObject({ actual: 1, normal: 4.9, percentileRank: 0 });
+    expect(anomaly.comparison.gdd).toMatchObject({ actual: 22, normal: 16 });
+    expect(anomaly.summary[0]).toContain('drier than 100% of years');
+  });
+});
@@ -0,0 +1,151 @@
+// functions/test/unit/diseaseRisk.test.js
+jest.mock('firebase-admin', () => {
+  const mockDocRef = { get: jest.fn() };
+  const firestoreMockFn = jest.fn(() => ({ collection: jest.fn(() => ({ doc: jest.fn(() => mockDocRef) })) }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, __mockDocRef: mockDocRef };
+});
+jest.mock('../../src/services/nasa', () => ({
+  fetchNASAPowerParameters: jest.fn(),
+  fetchNASAClimatology: jest.fn(),
+  fetchNASADailyHistory: jest.fn(),
+  calendarSlot: jest.requireActual('../../src/services/nasa').calendarSlot,
+  toNASADate: jest.requireActual('../../src/services/nasa').toNASADate
+}));
+jest.mock('../../src/services/weather', () => ({
+  fetchECCCWeather: jest.fn()
+}));
+jest.mock('../../src/services/crops/growthStages', () => ({
+  ...jest.requireActual('../../src/services/crops/growthStages'),
+  updateFarmCropStages: jest.fn()
+}));
+
+const admin = require('firebase-admin');
+const { fetchNASAPowerParameters } = require('../../src/services/nasa');
+const { fetchECCCWeather } = require('../../src/services/weather');
+const { updateFarmCropStages } = require('../../src/services/crops/growthStages');
+const {
+  getFarmDiseaseRisk,
+  assessCropDiseaseRisk,
+  assessDecisionTiming,
+  calculateSclerotiniaRisk,
+  calculateFusariumRisk,
+  calculateLeafWetnessIndex,
+  summarizeConditions
+} = require('../../src/services/diseaseRisk');
+
+// 14 days ending 2024-07-14; `wet` days get rain and high humidity
+function buildDaily(wetDays, { tMax = 24, tMin = 12 } = {}) {
+  return Array.from({ length: 14 }, (_, i) => {
+    const wet = wetDays.includes(i);
+    return {
+      date: `2024-07-${String(i + 1).padStart(2, '0')}`,
+      tMax,
+      tMin,
+      humidity: wet ? 85 : 60,
+      precipitation: wet ? 6 : 0
+    };
+  });
+}
+const humidHours = count => Array.from({ length: 48 }, (_, i) => ({ humidity: i < count ? 92 : 55, pop: 0 }));
+
+describe('Disease risk', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('summarizes the last week, two weeks and the 48-hour forecast', () => {
+    const summary = summarizeConditions({ daily: buildDaily([2, 9, 12, 13]), hourly: humidHours(10) });
+    expect(summary).toEqual({
+      rain7: 18, rain14: 24, rainDays7: 3, humidDays7: 3, meanTemp7: 18, forecastHumidHours: 10, forecastWetHours: 10, days: 14
+    });
+  });
+
+  describe('calculateSclerotiniaRisk', () => {
+    test('rates a wet, humid, mild fortnight as high', () => {
+      const risk = calculateSclerotiniaRisk({ daily: buildDaily([1, 3, 5, 8, 10, 12, 13]), hourly: humidHours(14) });
+      expect(risk).toMatchObject({ disease: 'Sclerotinia stem rot', riskClass: 'high', score: 6 });
+      expect(risk.factors[0]).toBe('42 mm of rain in the last 14 days keeps the soil moist enough for apothecia.');
+    });
+
+    test('rates a dry fortnight as low', () => {
+      expect(calculateSclerotiniaRisk({ daily: buildDaily([]), hourly: [] })).toMatchObject({ riskClass: 'low', score: 1 });
+    });
+  });
+
+  test('rates fusarium head blight from rain days, humidity and temperature', () => {
+    expect(calculateFusariumRisk({ daily: buildDaily([12]), hourly: [] })).toMatchObject({ riskClass: 'moderate', score: 3 });
+    expect(calculateFusariumRisk({ daily: buildDaily([12], { tMax: 12, tMin: 2 }), hourly: [] }).score).toBe(2);
+  });
+
+  test('estimates leaf-wet hours and damps the index in cool weather', () => {
+    const warm = calculateLeafWetnessIndex({ daily: buildDaily([9, 11, 13]), hourly: humidHours(14) });
+    expect(warm).toMatchObject({ riskClass: 'high', wetHours: 36, forecastWetHours: 14 });
+
+    const cool = calculateLeafWetnessIndex({ daily: buildDaily([9, 11, 13], { tMax: 8, tMin: 0 }), hourly: humidHours(14) });
+    expect(cool.riskClass).toBe('moderate');
+  });
+
+  test('places heat units relative to the decision window', () => {
+    // Canola sclerotinia: first flower (550 GDD) until end of flowering (800 GDD)
+    expect(assessDecisionTiming('canola', 400, ['BBCH 60', 'BBCH 69'])).toMatchObject({ relevant: false, timing: 'before' });
+    expect(assessDecisionTiming('canola', 650, ['BBCH 60', 'BBCH 69'])).toEqual({
+      relevant: true,
+      timing: 'now',
+      window: { from: { code: 'BBCH 60', name: 'First flower' }, to: { code: 'BBCH 69', name: 'End of flowering' } }
+    });
+    expect(assessDecisionTiming('canola', 900, ['BBCH 60', 'BBCH 69']).timing).toBe('past');
+    expect(assessDecisionTiming('canola', null, ['BBCH 60', 'BBCH 69']).timing).toBe('unknown');
+  });
+
+  test('runs the models that apply to each crop', () => {
+    const conditions = { daily: buildDaily([1, 3, 5, 8, 10, 12, 13]), hourly: humidHours(14) };
+
+    const canola = assessCropDiseaseRisk({ type: 'canola', growthStage: { status: 'ok', heatUnits: 620 } }, conditions);
+    expect(canola.map(r => r.disease)).toEqual(['Sclerotinia stem rot', 'Blackleg']);
+    expect(canola[0].recommendation).toBe('Canola is in the sclerotinia stem rot decision window (first flower to end of flowering) and risk is high: decide on a fungicide now.');
+    expect(canola[1].decision.timing).toBe('past');
+
+    const wheat = assessCropDiseaseRisk({ type: 'wheat', growthStage: { status: 'no_planting_date' } }, conditions);
+    expect(wheat.map(r => r.disease)).toEqual(['Fusarium head blight', 'Leaf spots']);
+    expect(wheat[0].decision.timing).toBe('unknown');
+
+    const potatoes = assessCropDiseaseRisk({ type: 'potatoes' }, conditions);
+    expect(potatoes).toHaveLength(1);
+    expect(potatoes[0]).toMatchObject({ disease: 'Leaf disease (wetness index)', decision: null });
+  });
+
+  test('combines POWER history, the station observation and the forecast for a farm', async () => {
+    admin.__mockDocRef.get.mockResolvedValue({
+      exists: true,
+      data: () => ({
+        location: {
+          coordinates: { lat: 50.4452, lng: -104.6189 },
+          derived: { nearestStation: { id: 's0000788', province: 'SK' } }
+        }
+      })
+    });
+    fetchNASAPowerParameters.mockResolvedValue({
+      daily: [
+        { date: '2024-07-12', T2M_MAX: 25, T2M_MIN: 13, RH2M: 82, PRECTOTCORR: 9 },
+        { date: '2024-07-13', T2M_MAX: null, T2M_MIN: null, RH2M: null, PRECTOTCORR: null }
+      ]
+    });
+    fetchECCCWeather.mockResolvedValue({
+      yesterday: { date: '2024-07-14', high: 23, low: 11, precipitation: 4 },
+      hourly: humidHours(6)
+    });
+    updateFarmCropStages.mockResolvedValue([
+      { type: 'canola', variety: 'CS2000', growthStage: { status: 'ok', code: 'BBCH 65', name: 'Full flower', heatUnits: 680 } }
+    ]);
+
+    const result = await getFarmDiseaseRisk('farmer-1', { today: new Date('2024-07-15T15:00:00Z') });
+
+    expect(fetchNASAPowerParameters).toHaveBeenCalledWith(50.45, -104.62, '20240701', '20240714', ['T2M_MAX', 'T2M_MIN', 'RH2M', 'PRECTOTCORR']);
+    expect(result.period).toEqual({ start: '2024-07-01', end: '2024-07-14' });
+    expect(result.conditions).toMatchObject({ rain14: 13, rainDays7: 2, humidDays7: 1, forecastWetHours: 6 });
+    expect(result.crops[0].growthStage).toEqual({ code: 'BBCH 65', name: 'Full flower', heatUnits: 680 });
+    expect(result.crops[0].risks[0].decision.relevant).toBe(true);
+  });
+});
@@ -0,0 +1,49 @@
+// functions/test/unit/elevation.test.js
+const axios = require('axios');
+
+jest.mock('axios');
+
+const { getElevation, getElevations } = require('../../src/services/elevation');
+
+describe('Elevation lookup', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    delete process.env.ELEVATION_API_URL;
+    delete process.env.ELEVATION_LOOKUP;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('looks points up on Open-Meteo by default and nulls the ones it cannot resolve', async () => {
+    axios.get.mockResolvedValue({ data: { elevation: [577.4, null] } });
+
+    expect(await getElevations([{ lat: 50.4452, lng: -104.6189 }, { lat: 0, lng: 0 }])).toEqual([577, null]);
+    expect(axios.get.mock.calls[0][0]).toBe('https://api.open-meteo.com/v1/elevation');
+    expect(axios.get.mock.calls[0][1].params).toEqual({ latitude: '50.4452,0.0000', longitude: '-104.6189,0.0000' });
+  });
+
+  test('uses the configured endpoint', async () => {
+    process.env.ELEVATION_API_URL = 'https://elevation.example.internal/v1/elevation';
+    axios.get.mockResolvedValue({ data: { elevation: [577] } });
+
+    expect(await getElevation({ lat: 50.4452, lng: -104.6189 })).toBe(577);
+    expect(axios.get.mock.calls[0][0]).toBe('https://elevation.example.internal/v1/elevation');
+  });
+
+  test('makes no calls when lookups are turned off', async () => {
+    process.env.ELEVATION_LOOKUP = 'off';
+
+    expect(await getElevations([{ lat: 50.4452, lng: -104.6189 }, { lat: 49.9, lng: -97.1 }])).toEqual([null, null]);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('returns null for a failed request', async () => {
+    axios.get.mockRejectedValue(new Error('timeout'));
+    expect(await getElevation({ lat: 50.4452, lng: -104.6189 })).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+// functions/test/unit/evapotranspiration.test.js
+jest.mock('firebase-admin', () => {
+  const mockDocRef = { get: jest.fn() };
+  const firestoreMockFn = jest.fn(() => ({ collection: jest.fn(() => ({ doc: jest.fn(() => mockDocRef) })) }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, __mockDocRef: mockDocRef };
+});
+jest.mock('../../src/services/nasa', () => ({
+  fetchNASAPowerParameters: jest.fn(),
+  calendarSlot: jest.requireActual('../../src/services/nasa').calendarSlot,
+  toNASADate: jest.requireActual('../../src/services/nasa').toNASADate
+}));
+jest.mock('../../src/services/elevation', () => ({
+  getElevation: jest.fn()
+}));
+jest.mock('../../src/services/seasonAccumulation', () => ({
+  getSeasonToDate: jest.fn()
+}));
+jest.mock('../../src/services/climateNormals', () => ({
+  getNormalsHistory: jest.fn(),
+  calculateDailyNormals: jest.fn()
+}));
+
+const admin = require('firebase-admin');
+const { fetchNASAPowerParameters } = require('../../src/services/nasa');
+const { getElevation } = require('../../src/services/elevation');
+const { getReferenceET, getFarmCropWaterUse, calculateCropET } = require('../../src/services/evapotranspiration');
+
+const complete = { T2M_MAX: 22, T2M_MIN: 8, RH2M: 60, WS2M: 3, ALLSKY_SFC_SW_DWN: 24, PRECTOTCORR: 0 };
+const nasaRows = {
+  daily: [
+    { date: '2024-05-01', ...complete },
+    { date: '2024-05-02', T2M_MAX: 24, T2M_MIN: 10, RH2M: null, WS2M: null, ALLSKY_SFC_SW_DWN: null, PRECTOTCORR: 3.2 },
+    { date: '2024-05-03', T2M_MAX: null, T2M_MIN: null, RH2M: null, WS2M: null, ALLSKY_SFC_SW_DWN: null, PRECTOTCORR: null }
+  ]
+};
+
+describe('Evapotranspiration', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fetchNASAPowerParameters.mockResolvedValue(nasaRows);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getReferenceET', () => {
+    test('uses Penman-Monteith on complete days and Hargreaves on temperature-only days', async () => {
+      const result = await getReferenceET({ lat: 50.4452, lng: -104.6189 }, '2024-05-01', '2024-05-03', { elevation: 577 });
+
+      expect(fetchNASAPowerParameters).toHaveBeenCalledWith(50.45, -104.62, '20240501', '20240503',
+        ['T2M_MAX', 'T2M_MIN', 'RH2M', 'WS2M', 'ALLSKY_SFC_SW_DWN', 'PRECTOTCORR']);
+      expect(result.daily.map(d => d.method)).toEqual(['penman-monteith', 'hargreaves', null]);
+      expect(result.daily[0].et0).toBe(4.31);
+      expect(result.daily[1].et0).toBe(4.4);
+      expect(result.totals).toEqual({ et0: 8.7, precipitation: 3.2 });
+      expect(result.methods).toEqual({ penmanMonteith: 1, hargreaves: 1 });
+      expect(result.missingDays).toEqual(['2024-05-03']);
+      expect(result.location.elevation).toBe(577);
+    });
+
+    test('rejects ranges longer than a year', async () => {
+      await expect(getReferenceET({ lat: 50, lng: -104 }, '2023-01-01', '2024-05-01')).rejects.toThrow('limited to 366 days');
+      await expect(getReferenceET({ lat: 50, lng: -104 }, '2024-05-02', '2024-05-01')).rejects.toThrow('on or after');
+      expect(fetchNASAPowerParameters).not.toHaveBeenCalled();
+    });
+  });
+
+  test('scales ET0 by the crop coefficient from seeding', () => {
+    const daily = [
+      { date: '2024-04-30', tMax: 20, tMin: 4, et0: 3 },
+      { date: '2024-05-01', tMax: 20, tMin: 4, et0: 4 },
+      { date: '2024-05-02', tMax: null, tMin: null, et0: null }
+    ];
+
+    expect(calculateCropET('wheat', daily, '2024-05-01')).toEqual([
+      { date: '2024-05-01', heatUnits: 12, kc: 0.3, period: 'initial', etc: 1.2 },
+      { date: '2024-05-02', heatUnits: 12, kc: 0.3, period: 'initial', etc: null }
+    ]);
+    expect(calculateCropET('potatoes', daily, '2024-05-01')).toBeNull();
+  });
+
+  describe('getFarmCropWaterUse', () => {
+    const farmer = {
+      location: { coordinates: { lat: 50.4452, lng: -104.6189 }, derived: { elevation: 577 } },
+      farmDetails: {
+        crops: [
+          { type: 'wheat', variety: 'AAC Brandon', plantingDate: '2024-05-01T00:00:00.000Z' },
+          { type: 'canola', plantingDate: '2023-05-10' },
+          { type: 'potatoes', plantingDate: '2024-05-01' }
+        ]
+      }
+    };
+
+    test('reports daily ET0 and ETc for each seeded crop through yesterday', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(new Date('2024-05-04T15:00:00Z'));
+      admin.__mockDocRef.get.mockResolvedValue({ exists: true, data: () => farmer });
+
+      const result = await getFarmCropWaterUse('farmer-1');
+
+      expect(getElevation).not.toHaveBeenCalled();
+      expect(result.period).toEqual({ start: '2024-05-01', end: '2024-05-03', days: 3 });
+      expect(result.crops.map(c => c.status)).toEqual(['ok', 'no_planting_date', 'no_model']);
+      const wheat = result.crops[0];
+      expect(wheat).toMatchObject({ variety: 'AAC Brandon', plantingDate: '2024-05-01', currentKc: 0.3 });
+      expect(wheat.daily.map(d => d.etc)).toEqual([1.29, 1.32, null]);
+      expect(wheat.totals).toEqual({ etc: 2.6 });
+    });
+
+    test('accumulates heat units from seeding when the range starts later', async () => {
+      admin.__mockDocRef.get.mockResolvedValue({
+        exists: true,
+        data: () => ({ ...farmer, location: { coordinates: farmer.location.coordinates } })
+      });
+      getElevation.mockResolvedValue(577);
+
+      const result = await getFarmCropWaterUse('farmer-1', { startDate: '2024-05-02', endDate: '2024-05-03' });
+
+      expect(fetchNASAPowerParameters.mock.calls[0].slice(2, 4)).toEqual(['20240501', '20240503']);
+      expect(result.daily.map(d => d.date)).toEqual(['2024-05-02', '2024-05-03']);
+      expect(result.totals.precipitation).toBe(3.2);
+      expect(result.crops[0].daily[0]).toMatchObject({ date: '2024-05-02', heatUnits: 32 });
+    });
+
+    test('rejects farmers without coordinates', async () => {
+      admin.__mockDocRef.get.mockResolvedValue({ exists: true, data: () => ({ location: {} }) });
+      await expect(getFarmCropWaterUse('farmer-1')).rejects.toThrow('Farm location is not set');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// functions/test/unit/farmPointWeather.test.js
+const {
+  interpolateStationWeather,
+  calculateIDWWeights,
+  lapseRateCorrection
+} = require('../../src/services/farmPointWeather');
+
+function stationWeather(city, temperature, overrides = {}) {
+  return {
+    location: { city, province: 'SK' },
+    current: { temperature, humidity: 60, windSpeed: 10, condition: 'Sunny', windDirection: 'W' },
+    forecast: [{ period: 'Tonight', summary: 'Clear.', temperature: { high: null, low: temperature - 10 }, pop: '10' }],
+    hourly: [{ time: '2024-06-04T12:00:00.000Z', temperature, humidity: null, pop: 0, windSpeed: 10, windGust: null }],
+    warnings: [],
+    ...overrides
+  };
+}
+
+describe('Farm-point Weather', () => {
+  test('calculateIDWWeights should favour closer stations and sum to 1', () => {
+    const weights = calculateIDWWeights([10, 20]);
+    expect(weights[0]).toBeCloseTo(0.8);
+    expect(weights[1]).toBeCloseTo(0.2);
+    expect(calculateIDWWeights([0, 50])[0]).toBeGreaterThan(0.99);
+  });
+
+  test('lapseRateCorrection should warm readings from higher stations', () => {
+    expect(lapseRateCorrection(700, 600)).toBeCloseTo(0.65);
+    expect(lapseRateCorrection(null, 600)).toBe(0);
+  });
+
+  test('interpolateStationWeather should weight readings and report contributors', () => {
+    const result = interpolateStationWeather([
+      { station: { id: 'b', name: 'Far', province: 'SK', distance: 20, elevation: 500 }, weather: stationWeather('Far', 20) },
+      { station: { id: 'a', name: 'Near', province: 'SK', distance: 10, elevation: 500 }, weather: stationWeather('Near', 10) }
+    ], { lat: 51, lng: -106, elevation: 500 });
+
+    expect(result.current.temperature).toBe(12);
+    expect(result.forecast[0].temperature.low).toBe(2);
+    expect(result.hourly[0].temperature).toBe(12);
+    expect(result.location.city).toBe('Farm point near Near');
+    expect(result.interpolation.stations.map(s => [s.id, s.weight])).toEqual([['a', 0.8], ['b', 0.2]]);
+  });
+
+  test('interpolateStationWeather should apply the lapse rate to temperatures', () => {
+    const result = interpolateStationWeather([
+      { station: { id: 'a', name: 'Hill', province: 'AB', distance: 30, elevation: 1100 }, weather: stationWeather('Hill', 10) }
+    ], { lat: 51, lng: -114, elevation: 900 });
+    expect(result.current.temperature).toBe(11.3);
+    expect(result.interpolation.elevationCorrected).toBe(true);
+  });
+
+  test('interpolateStationWeather should throw when no station returned data', () => {
+    expect(() => interpolateStationWeather([], { lat: 51, lng: -106 })).toThrow('No station data available');
+  });
+});
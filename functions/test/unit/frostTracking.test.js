@@ -0,0 +1,170 @@
+// functions/test/unit/frostTracking.test.js
+jest.mock('firebase-admin', () => {
+  const mockDocRef = { get: jest.fn(), set: jest.fn(async () => {}) };
+  const mockCollection = { doc: jest.fn(() => mockDocRef) };
+  const firestoreMockFn = jest.fn(() => ({ collection: jest.fn(() => mockCollection) }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, __mockDocRef: mockDocRef, __mockCollection: mockCollection };
+});
+jest.mock('../../src/services/weather', () => ({
+  fetchECCCWeather: jest.fn()
+}));
+jest.mock('../../src/services/nasa', () => ({
+  ...jest.requireActual('../../src/services/nasa'),
+  fetchNASAPowerParameters: jest.fn()
+}));
+jest.mock('../../src/services/climateNormals', () => ({
+  ...jest.requireActual('../../src/services/climateNormals'),
+  getNormalsHistory: jest.fn()
+}));
+
+const admin = require('firebase-admin');
+const { fetchECCCWeather } = require('../../src/services/weather');
+const { fetchNASAPowerParameters } = require('../../src/services/nasa');
+const { getNormalsHistory } = require('../../src/services/climateNormals');
+const { summarizeFrostSeason, updateStationFrostSeason, recordFarmFrostDates } = require('../../src/services/frostTracking');
+
+// Daily ECCC lows of 5 °C from April 1 through `endDate`, with the given frosts
+function buildObservations(endDate, frosts = {}) {
+  const observations = {};
+  for (let time = Date.UTC(2024, 3, 1); time <= Date.parse(endDate); time += 86400000) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    observations[date] = { low: frosts[date] ?? 5, source: 'ECCC' };
+  }
+  return observations;
+}
+
+const normals = { lastSpringFrost: '05-14', firstFallFrost: '09-16', frostFreeDays: 124, threshold: 0, years: 30, period: '1991-2020' };
+const regina = { id: 's0000788', name: 'Regina', province: 'SK', lat: 50.43, lng: -104.67 };
+
+describe('Frost tracking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('summarizeFrostSeason', () => {
+    test('finds the last spring and first fall frost and compares the season with normal', () => {
+      const observations = buildObservations('2024-09-30', { '2024-04-20': -6, '2024-05-20': -1.5, '2024-09-12': -0.8, '2024-09-25': -3 });
+
+      const season = summarizeFrostSeason(observations, '2024', normals);
+
+      expect(season).toMatchObject({
+        asOf: '2024-09-30',
+        lastSpringFrost: { date: '2024-05-20', low: -1.5, source: 'ECCC', final: true },
+        firstFallFrost: { date: '2024-09-12', low: -0.8, source: 'ECCC' },
+        frostFreeDays: 114,
+        complete: true,
+        departure: { lastSpringFrost: 6, firstFallFrost: -4, frostFreeDays: -10 }
+      });
+      expect(season.summary).toEqual([
+        'Last spring frost was May 20 (-1.5 °C), 6 days later than normal.',
+        'First fall frost was September 12 (-0.8 °C), 4 days earlier than normal.',
+        'Frost-free period was 114 days, 10 fewer than the normal 124.'
+      ]);
+    });
+
+    test('counts the frost-free period to date against normal before the fall frost', () => {
+      const season = summarizeFrostSeason(buildObservations('2024-06-30', { '2024-05-20': -1.5 }), '2024', normals);
+
+      expect(season.lastSpringFrost.final).toBe(false);
+      expect(season).toMatchObject({ firstFallFrost: null, frostFreeDays: 41, complete: false });
+      expect(season.normal).toMatchObject({ lastSpringFrost: '2024-05-14', frostFreeToDate: 47 });
+      expect(season.summary[1]).toBe('41 frost-free days so far, 6 fewer than normal by this date.');
+    });
+
+    test('notes a fall frost that is late and works without normals', () => {
+      const late = summarizeFrostSeason(buildObservations('2024-09-20', { '2024-05-10': -1 }), '2024', normals);
+      expect(late.summary).toContain('No fall frost yet; it normally arrives by September 16.');
+
+      expect(summarizeFrostSeason(buildObservations('2024-06-30', { '2024-05-10': -1 }), '2024')).toMatchObject({
+        lastSpringFrost: { date: '2024-05-10' }, frostFreeDays: 51, normal: null, departure: null
+      });
+    });
+  });
+
+  describe('updateStationFrostSeason', () => {
+    test('records the station minimum, fills earlier days from NASA POWER and saves the season', async () => {
+      admin.__mockDocRef.get.mockResolvedValue({ exists: false });
+      fetchECCCWeather.mockResolvedValue({ yesterday: { date: '2024-05-21', high: 12, low: -2.1, precipitation: 0 } });
+      fetchNASAPowerParameters.mockResolvedValue({
+        daily: [
+          { date: '2024-05-09', T2M_MIN: 2 },
+          { date: '2024-05-10', T2M_MIN: -0.5 },
+          { date: '2024-05-20', T2M_MIN: null }
+        ]
+      });
+      getNormalsHistory.mockRejectedValue(new Error('POWER unavailable'));
+
+      const result = await updateStationFrostSeason(regina, { today: new Date('2024-05-22T13:00:00Z') });
+
+      expect(admin.__mockCollection.doc).toHaveBeenCalledWith('s0000788_2024');
+      expect(fetchNASAPowerParameters).toHaveBeenCalledWith(50.43, -104.67, '20240301', '20240520', ['T2M_MIN']);
+      expect(result).toMatchObject({
+        station: { id: 's0000788', name: 'Regina' },
+        asOf: '2024-05-21',
+        lastSpringFrost: { date: '2024-05-21', low: -2.1, source: 'ECCC', final: false }
+      });
+
+      const [written, options] = admin.__mockDocRef.set.mock.calls[0];
+      expect(written.observations).toEqual({
+        '2024-05-09': { low: 2, source: 'NASA POWER' },
+        '2024-05-10': { low: -0.5, source: 'NASA POWER' },
+        '2024-05-21': { low: -2.1, source: 'ECCC' }
+      });
+      expect(written).toMatchObject({ stationId: 's0000788', season: '2024', normals: null, updatedAt: 'MOCK_TIMESTAMP' });
+      expect(options).toEqual({ merge: true });
+    });
+
+    test('keeps stored normals and still saves when NASA POWER fails', async () => {
+      admin.__mockDocRef.get.mockResolvedValue({
+        exists: true,
+        data: () => ({ normals, frostClimatology: '50.5_-104.375', observations: buildObservations('2024-06-29', { '2024-05-20': -1.5 }) })
+      });
+      fetchECCCWeather.mockResolvedValue({ yesterday: { date: '2024-06-30', high: 28, low: 12, precipitation: 0 } });
+      fetchNASAPowerParameters.mockRejectedValue(new Error('POWER unavailable'));
+
+      const result = await updateStationFrostSeason(regina, { today: new Date('2024-07-01T13:00:00Z') });
+
+      expect(getNormalsHistory).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ asOf: '2024-06-30', frostFreeDays: 41, departure: { lastSpringFrost: 6, frostFreeDays: -6 } });
+      expect(admin.__mockDocRef.set).toHaveBeenCalled();
+    });
+
+    test('stores the grid cell frost climatology with the season normals', async () => {
+      admin.__mockDocRef.get.mockResolvedValue({ exists: false });
+      fetchECCCWeather.mockResolvedValue({ yesterday: { date: '2024-05-21', high: 12, low: 3, precipitation: 0 } });
+      fetchNASAPowerParameters.mockResolvedValue({ daily: [] });
+      const years = {};
+      for (let year = 1991; year <= 2020; year++) {
+        years[year] = { T2M_MIN: Array.from({ length: 366 }, (_, slot) => (slot < 135 || slot > 260 ? -2 : 8)) };
+      }
+      getNormalsHistory.mockResolvedValue({ years });
+
+      await updateStationFrostSeason(regina, { today: new Date('2024-05-22T13:00:00Z') });
+
+      expect(admin.__mockCollection.doc).toHaveBeenCalledWith('50.5_-104.375');
+      const [table] = admin.__mockDocRef.set.mock.calls[0];
+      expect(table).toMatchObject({ cell: { lat: 50.5, lng: -104.375 }, threshold: 0, period: '1991-2020', updatedAt: 'MOCK_TIMESTAMP' });
+      expect(table.probabilities[0]).toBe(1);
+      expect(table.probabilities[196]).toBe(0);
+      const [season] = admin.__mockDocRef.set.mock.calls[1];
+      expect(season).toMatchObject({ frostClimatology: '50.5_-104.375', normals: { lastSpringFrost: '05-14', firstFallFrost: '09-18' } });
+    });
+
+    test('requires a station', async () => {
+      await expect(updateStationFrostSeason({ id: 's0000788' })).rejects.toThrow('weather station');
+    });
+  });
+
+  test('copies the frost dates into the farmer quick stats', async () => {
+    const season = summarizeFrostSeason(buildObservations('2024-09-30', { '2024-05-20': -1.5, '2024-09-12': -0.8 }), '2024', normals);
+
+    await recordFarmFrostDates('farmer-1', { ...season, station: { id: 's0000788', name: 'Regina' } });
+
+    const [written, options] = admin.__mockDocRef.set.mock.calls[0];
+    expect(written.quickStats).toEqual({ lastFrost: '2024-05-20', firstFrost: '2024-09-12' });
+    expect(written.frostSeason).toMatchObject({ season: '2024', frostFreeDays: 114, station: { id: 's0000788' }, updatedAt: 'MOCK_TIMESTAMP' });
+    expect(options).toEqual({ merge: true });
+  });
+});
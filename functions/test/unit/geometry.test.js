@@ -0,0 +1,42 @@
+// functions/test/unit/geometry.test.js
+const { pointInGeometry, createPolygonIndex, calculateDistance } = require('../../src/utils/geometry');
+
+const square = { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]] };
+const squareWithHole = {
+  type: 'Polygon',
+  coordinates: [
+    [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+    [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]
+  ]
+};
+
+describe('geometry helpers', () => {
+  test('tests points against polygons, holes and multipolygons', () => {
+    expect(pointInGeometry({ lng: 5, lat: 5 }, square)).toBe(true);
+    expect(pointInGeometry({ lng: 11, lat: 5 }, square)).toBe(false);
+    expect(pointInGeometry({ lng: 5, lat: 5 }, squareWithHole)).toBe(false);
+    expect(pointInGeometry({ lng: 2, lat: 2 }, squareWithHole)).toBe(true);
+
+    const multi = { type: 'MultiPolygon', coordinates: [square.coordinates, [[[20, 0], [30, 0], [30, 10], [20, 0]]]] };
+    expect(pointInGeometry({ lng: 29, lat: 5 }, multi)).toBe(true);
+    expect(pointInGeometry({ lng: 21, lat: 5 }, multi)).toBe(false);
+  });
+
+  test('indexes feature collections for lookups', () => {
+    const index = createPolygonIndex({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { name: 'A' }, geometry: square },
+        { type: 'Feature', properties: { name: 'B' }, geometry: { type: 'Polygon', coordinates: [[[5, 5], [15, 5], [15, 15], [5, 15], [5, 5]]] } }
+      ]
+    });
+    expect(index.find({ lng: 1, lat: 1 })).toEqual({ name: 'A' });
+    expect(index.filter({ lng: 7, lat: 7 }).map(p => p.name)).toEqual(['A', 'B']);
+    expect(index.find({ lng: 20, lat: 20 })).toBeNull();
+  });
+
+  test('measures great-circle distance', () => {
+    expect(calculateDistance(49.8951, -97.1384, 50.4452, -104.6189)).toBeCloseTo(536, -1); // Winnipeg-Regina
+    expect(calculateDistance(null, -97, 50, -104)).toBe(Infinity);
+  });
+});
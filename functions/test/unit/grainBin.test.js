@@ -0,0 +1,86 @@
+// functions/test/unit/grainBin.test.js
+jest.mock('firebase-admin', () => {
+  const mockDocRef = { get: jest.fn() };
+  const firestoreMockFn = jest.fn(() => ({ collection: jest.fn(() => ({ doc: jest.fn(() => mockDocRef) })) }));
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, __mockDocRef: mockDocRef };
+});
+jest.mock('../../src/services/weather', () => ({
+  ...jest.requireActual('../../src/services/weather'),
+  fetchECCCWeather: jest.fn()
+}));
+
+const admin = require('firebase-admin');
+const { fetchECCCWeather } = require('../../src/services/weather');
+const { calculateSafeStorageDays, simulateGrainBin, simulateFarmGrainBin } = require('../../src/services/grainBin');
+
+// A dry evening, a humid night and a drier afternoon
+function buildHourly() {
+  return Array.from({ length: 24 }, (_, i) => ({
+    time: new Date(Date.UTC(2024, 8, 10, 20 + i)).toISOString(),
+    temperature: i < 8 ? 18 - i : 10 + (i - 8) * 0.5,
+    humidity: i < 8 ? 45 + i * 5 : (i < 14 ? 90 : 60)
+  }));
+}
+
+const wetWheat = { grain: 'wheat', bushels: 5000, moisture: 18, temperature: 20, airflow: 1 };
+
+describe('Grain bin simulator', () => {
+  test('shortens safe storage time for wetter and warmer grain', () => {
+    expect(calculateSafeStorageDays('wheat', 15, 25)).toBeCloseTo(60, 0);
+    expect(calculateSafeStorageDays('wheat', 18, 15)).toBeCloseTo(39.7, 1);
+    // Canola at its 10% storage moisture keeps like wheat at 14.5%
+    expect(calculateSafeStorageDays('canola', 10, 25)).toBeCloseTo(calculateSafeStorageDays('wheat', 14.5, 25), 5);
+    expect(calculateSafeStorageDays('sorghum', 15, 25)).toBeNull();
+  });
+
+  test('runs the fan only in drying hours and dries and cools the grain', () => {
+    const result = simulateGrainBin({ hourly: buildHourly() }, wetWheat);
+
+    expect(result.fanHours).toBe(18);
+    expect(result.hourly[8]).toMatchObject({ airEmc: 18.2, fan: false, waterRemovedKg: 0 });
+    expect(result.final).toEqual({ moisture: 17.65, temperature: 14.1, safeStorageDays: 52 });
+    expect(result.waterRemovedKg).toBe(583.1);
+    expect(result.risk.level).toBe('safe');
+  });
+
+  test('leaves the grain unchanged with the fan off and flags spoilage risk', () => {
+    const result = simulateGrainBin({ hourly: buildHourly() }, { ...wetWheat, moisture: 21, temperature: 25, fanMode: 'off' });
+
+    expect(result.fanHours).toBe(0);
+    expect(result.final).toMatchObject({ moisture: 21, temperature: 25 });
+    expect(result.risk.level).toBe('at_risk');
+  });
+
+  test('rejects unknown grains and bad sizes', () => {
+    expect(() => simulateGrainBin({ hourly: [] }, { ...wetWheat, grain: 'sorghum' })).toThrow('Unknown grain');
+    expect(() => simulateGrainBin({ hourly: [] }, { ...wetWheat, bushels: 0 })).toThrow('positive number');
+  });
+
+  test('reports the simulated horizon', () => {
+    const result = simulateGrainBin({ hourly: buildHourly() }, wetWheat);
+    expect(result.horizon).toEqual({ start: '2024-09-10T20:00:00.000Z', end: '2024-09-11T19:00:00.000Z', hours: 24, estimatedHours: 0 });
+    expect(result.hourly[0].estimated).toBe(false);
+  });
+
+  test('simulates the farm station forecast through the period forecast', async () => {
+    admin.__mockDocRef.get.mockResolvedValue({
+      exists: true,
+      data: () => ({ location: { derived: { nearestStation: { id: 's0000788', name: 'Regina', province: 'SK' } } } })
+    });
+    fetchECCCWeather.mockResolvedValue({
+      hourly: buildHourly(),
+      periodTimeline: [
+        { time: '2024-09-12T12:00:00.000Z', period: 'Wednesday night', temperature: 6, dewpoint: 5 },
+        { time: '2024-09-12T21:00:00.000Z', period: 'Thursday', temperature: 22, dewpoint: 8 }
+      ],
+      timestamp: '2024-09-10T19:30:00.000Z'
+    });
+
+    const result = await simulateFarmGrainBin('farmer-1', wetWheat);
+
+    expect(fetchECCCWeather).toHaveBeenCalledWith('SK', 's0000788');
+    expect(result).toMatchObject({ station: { id: 's0000788', name: 'Regina' }, forecastIssued: '2024-09-10T19:30:00.000Z' });
+    expect(result.horizon).toEqual({ start: '2024-09-10T20:00:00.000Z', end: '2024-09-12T21:00:00.000Z', hours: 50, estimatedHours: 26 });
+    expect(result.fanHours).toBe(37);
+  });
+});
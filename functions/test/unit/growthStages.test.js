@@ -0,0 +1,206 @@
+// functions/test/unit/growthStages.test.js
+jest.mock('firebase-admin', () => {
+  const mockDocRef = {
+    get: jest.fn(),
+    update: jest.fn(async () => {})
+  };
+  const mockTransaction = {
+    get: jest.fn(ref => ref.get()),
+    update: jest.fn()
+  };
+  const firestoreMockFn = jest.fn(() => ({
+    collection: jest.fn(() => ({ doc: jest.fn(() => mockDocRef) })),
+    runTransaction: jest.fn(async updateFunction => updateFunction(mockTransaction))
+  }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, __mockDocRef: mockDocRef, __mockTransaction: mockTransaction };
+});
+jest.mock('../../src/services/seasonAccumulation', () => ({
+  getSeasonToDate: jest.fn()
+}));
+jest.mock('../../src/services/climateNormals', () => ({
+  getNormalsHistory: jest.fn(),
+  calculateDailyNormals: jest.fn()
+}));
+
+const admin = require('firebase-admin');
+const { getSeasonToDate } = require('../../src/services/seasonAccumulation');
+const { getNormalsHistory, calculateDailyNormals } = require('../../src/services/climateNormals');
+const {
+  getCropModel,
+  accumulateHeatUnits,
+  cropCoefficient,
+  getFrostTolerance,
+  getFarmCropFrostTolerance,
+  predictGrowthStage,
+  updateFarmCropStages
+} = require('../../src/services/crops/growthStages');
+
+describe('Crop growth stages', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('uses crop-specific heat units and bases', () => {
+    expect(getCropModel('Wheat')).toMatchObject({ type: 'wheat', heatUnit: 'GDD', baseTemp: 0, scale: 'Zadoks' });
+    expect(getCropModel('canola')).toMatchObject({ baseTemp: 5, scale: 'BBCH' });
+    expect(getCropModel('corn')).toMatchObject({ heatUnit: 'CHU' });
+    expect(getCropModel('potatoes')).toBeNull();
+  });
+
+  test('accumulates heat units from the seeding date at the crop\'s base', () => {
+    const daily = [
+      { date: '2024-05-01', tMax: 14, tMin: 2 },
+      { date: '2024-05-02', tMax: 16, tMin: 4 },
+      { date: '2024-05-03', tMax: null, tMin: null },
+      { date: '2024-05-04', tMax: 20, tMin: 8 }
+    ];
+    expect(accumulateHeatUnits(getCropModel('wheat'), daily, '2024-05-02')).toEqual({ total: 24, days: 2, recentRate: 12 });
+    // Canola's 5 °C base raises the 4 °C minimum to 5: (16 + 5) / 2 - 5 + (20 + 8) / 2 - 5
+    expect(accumulateHeatUnits(getCropModel('canola'), daily, '2024-05-02').total).toBe(14.5);
+  });
+
+  test('looks up frost tolerance for the crop stage', () => {
+    expect(getFrostTolerance('wheat', 'Z65')).toEqual({ from: 'Z55', damage: -1, severe: -2 });
+    expect(getFrostTolerance('canola', 'BBCH 09')).toEqual({ from: 'BBCH 09', damage: -2, severe: -4 });
+    // An unknown stage says nothing about tolerance
+    expect(getFrostTolerance('canola')).toBeNull();
+    expect(getFrostTolerance('canola', 'Z55')).toBeNull();
+    expect(getFrostTolerance('canola', 'BBCH 89').damage).toBeNull();
+    expect(getFrostTolerance('potatoes', 'any')).toBeNull();
+  });
+
+  describe('predictGrowthStage', () => {
+    test('maps heat units to the current Zadoks stage and projects the next one', () => {
+      const prediction = predictGrowthStage('wheat', 720, { asOf: '2024-06-20', recentRate: 18 });
+
+      expect(prediction.current).toEqual({ code: 'Z31', name: 'Stem elongation', units: 700 });
+      expect(prediction.nextStage).toMatchObject({ code: 'Z39', unitsRemaining: 180, estimatedDate: '2024-06-30' });
+      expect(prediction.maturity).toMatchObject({ code: 'Z89', reached: false, estimatedDate: '2024-08-11' });
+      expect(prediction.progressPct).toBe(44);
+      expect(prediction.projectionBasis).toBe('last 7 days');
+    });
+
+    test('projects with daily normals when they are available', () => {
+      const normals = Array.from({ length: 366 }, () => ({ gdd: 10, chu: 20 }));
+      const prediction = predictGrowthStage('corn', 1350, { asOf: '2024-07-20', normals });
+
+      expect(prediction.current.code).toBe('V10');
+      expect(prediction.nextStage).toMatchObject({ code: 'R1', estimatedDate: '2024-07-23' });
+      expect(prediction.maturity.estimatedDate).toBe('2024-09-11');
+      expect(prediction.projectionBasis).toBe('1991-2020 daily normals');
+    });
+
+    test('reports seeded crops before emergence and mature crops without projections', () => {
+      expect(predictGrowthStage('canola', 40, {}).current.name).toBe('Seeded');
+      const mature = predictGrowthStage('canola', 1200, { asOf: '2024-08-30', recentRate: 10 });
+      expect(mature.nextStage).toBeNull();
+      expect(mature.maturity).toMatchObject({ reached: true, estimatedDate: null });
+      expect(mature.progressPct).toBe(100);
+    });
+
+    test('does not project when heat is no longer accumulating', () => {
+      expect(predictGrowthStage('soybeans', 900, { asOf: '2024-09-20', recentRate: 0 }).maturity.estimatedDate).toBeNull();
+    });
+  });
+
+  test('follows the FAO-56 crop coefficient curve through development', () => {
+    // Wheat: 0.3 until tillering (500), 1.15 from flag leaf (900) to milk (1300), 0.25 at maturity (1650)
+    expect(cropCoefficient('wheat', 200)).toEqual({ kc: 0.3, period: 'initial' });
+    expect(cropCoefficient('wheat', 700)).toEqual({ kc: 0.72, period: 'development' });
+    expect(cropCoefficient('wheat', 1000)).toEqual({ kc: 1.15, period: 'mid' });
+    expect(cropCoefficient('wheat', 1475)).toEqual({ kc: 0.7, period: 'late' });
+    expect(cropCoefficient('wheat', 2000)).toEqual({ kc: 0.25, period: 'late' });
+    expect(cropCoefficient('potatoes', 500)).toBeNull();
+  });
+
+  test('assesses frost only for crops staged this season and not yet mature', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(new Date('2024-06-10T15:00:00Z'));
+    admin.__mockDocRef.get.mockResolvedValue({
+      exists: true,
+      data: () => ({
+        farmDetails: {
+          crops: [
+            { type: 'wheat', variety: 'AAC Brandon', growthStage: { status: 'ok', code: 'Z55', name: 'Heading', asOf: '2024-06-09' } },
+            { type: 'canola', growthStage: { status: 'ok', code: 'BBCH 14', name: 'Four leaves', asOf: '2023-06-09' } },
+            { type: 'barley', growthStage: { status: 'ok', code: 'Z92', name: 'Ripe', asOf: '2024-06-09', maturityReached: true } },
+            { type: 'oats', growthStage: { status: 'no_planting_date' } }
+          ]
+        }
+      })
+    });
+
+    expect(await getFarmCropFrostTolerance('farmer-1')).toEqual([
+      { type: 'wheat', variety: 'AAC Brandon', stage: { code: 'Z55', name: 'Heading' }, damage: -1, severe: -2 }
+    ]);
+    jest.useRealTimers();
+  });
+
+  describe('updateFarmCropStages', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('stores a stage on each crop and explains crops it cannot model', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(new Date('2024-05-05T15:00:00Z'));
+      admin.__mockDocRef.get.mockResolvedValue({
+        exists: true,
+        data: () => ({
+          location: { coordinates: { lat: 50, lng: -104 }, derived: { nearestStation: { id: 's0000788', province: 'SK' } } },
+          farmDetails: {
+            crops: [
+              { type: 'wheat', acres: 500, plantingDate: '2024-05-02' },
+              { type: 'canola', acres: 300, plantingDate: '2023-05-10' },
+              { type: 'potatoes', acres: 20, plantingDate: '2024-05-01' }
+            ]
+          }
+        })
+      });
+      getSeasonToDate.mockResolvedValue({
+        daily: [
+          { date: '2024-05-02', tMax: 16, tMin: 4 },
+          { date: '2024-05-03', tMax: 20, tMin: 8 },
+          { date: '2024-05-04', tMax: null, tMin: null }
+        ]
+      });
+      getNormalsHistory.mockRejectedValue(new Error('timeout'));
+
+      const crops = await updateFarmCropStages('farmer-1');
+
+      expect(getSeasonToDate).toHaveBeenCalledWith({ lat: 50, lng: -104 }, expect.objectContaining({ startDate: '2024-05-02' }));
+      expect(calculateDailyNormals).not.toHaveBeenCalled();
+      expect(crops[0].growthStage).toMatchObject({ status: 'ok', code: 'Z00', heatUnits: 24, asOf: '2024-05-03', nextStage: { code: 'Z10' } });
+      expect(crops[1].growthStage.status).toBe('no_planting_date');
+      expect(crops[2].growthStage.status).toBe('no_model');
+
+      const written = admin.__mockTransaction.update.mock.calls[0][1]['farmDetails.crops'];
+      expect(written[0]).toMatchObject({ type: 'wheat', acres: 500, growthStage: { code: 'Z00' } });
+    });
+
+    test('merges the stages onto crops edited while the weather was fetched', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(new Date('2024-05-05T15:00:00Z'));
+      const profile = crops => ({
+        exists: true,
+        data: () => ({ location: { coordinates: { lat: 50, lng: -104 } }, farmDetails: { crops } })
+      });
+      admin.__mockDocRef.get
+        .mockResolvedValueOnce(profile([{ type: 'wheat', acres: 500, plantingDate: '2024-05-02' }]))
+        .mockResolvedValueOnce(profile([
+          { type: 'wheat', acres: 450, plantingDate: '2024-05-02' },
+          { type: 'barley', acres: 50, plantingDate: '2024-05-04' }
+        ]));
+      getSeasonToDate.mockResolvedValue({ daily: [{ date: '2024-05-02', tMax: 16, tMin: 4 }] });
+      getNormalsHistory.mockResolvedValue(null);
+
+      const crops = await updateFarmCropStages('farmer-1');
+
+      const written = admin.__mockTransaction.update.mock.calls[0][1]['farmDetails.crops'];
+      expect(written).toHaveLength(2);
+      expect(written[0]).toMatchObject({ acres: 450, growthStage: { status: 'ok', heatUnits: 10 } });
+      expect(written[1]).toEqual({ type: 'barley', acres: 50, plantingDate: '2024-05-04' });
+      expect(crops[1].growthStage).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,227 @@
+// functions/test/unit/nasaHandlers.test.js
+jest.mock('cors', () => () => (req, res, next) => next());
+jest.mock('../../src/middleware/auth', () => ({
+  validateRequest: jest.fn(async () => ({ authenticated: true, uid: 'agronomist1', type: 'firebase' }))
+}));
+jest.mock('../../src/services/analytics', () => ({
+  logUsage: jest.fn(async () => {})
+}));
+jest.mock('../../src/services/nasa', () => ({
+  ...jest.requireActual('../../src/services/nasa'),
+  fetchNASAPowerData: jest.fn(async (lat, lon) => ({
+    location: { latitude: lat, longitude: lon },
+    summary: { totalPrecipitation: '42.00', unit: 'mm' },
+    daily: []
+  }))
+}));
+const mockStations = [
+  { id: 's0000193', name: 'Winnipeg', province: 'MB', lat: 49.9, lng: -97.14 },
+  { id: 's0000492', name: 'Brandon', province: 'MB', lat: 49.91, lng: -99.95 },
+  { id: 's0000788', name: 'Regina', province: 'SK', lat: 50.43, lng: -104.67 }
+];
+jest.mock('../../src/utils/weatherStations', () => ({
+  getWeatherStations: jest.fn(async () => mockStations),
+  getStationsByIds: jest.fn(async (ids) => ids.map(id => mockStations.find(s => s.id === id)).filter(Boolean))
+}));
+jest.mock('../../src/services/weather', () => ({
+  getWeatherWithInsights: jest.fn(async (province, station) => ({
+    current: { temperature: 12, condition: 'Clear', humidity: 60, windSpeed: 10 },
+    forecast: [
+      { period: 'Tonight', summary: 'Clear.', temperature: { high: null, low: -1 }, pop: '0' },
+      { period: 'Tuesday', summary: 'Sunny.', temperature: { high: 18, low: null }, pop: '10' },
+      { period: 'Tuesday night', summary: 'Clear.', temperature: { high: null, low: 2 }, pop: '0' }
+    ],
+    warnings: [],
+    insights: {
+      spray: { overall: { canSpray: true, bestWindow: { start: '2024-05-20T14:00:00.000Z' }, summary: 'Good' } },
+      frost: { tonight_risk_level: 'HIGH', expected_low_C: -1 },
+      drying: { rating: 'Good', dryingScore_out_of_100: 64 }
+    }
+  }))
+}));
+jest.mock('../../src/services/climateNormals', () => ({
+  getClimateAnomaly: jest.fn(async (coordinates, start, end) => ({
+    period: { start, end, daysCompared: 31, missingDays: [] },
+    comparison: { precipitation: { actual: 30, normal: 60, percentOfNormal: 50, percentileRank: 10 } },
+    summary: ['Precipitation is 50% of normal (30 mm vs 60 mm), drier than 90% of years.']
+  }))
+}));
+jest.mock('firebase-admin', () => {
+  const firestoreMockFn = jest.fn(() => ({ collection: jest.fn() }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn };
+});
+
+const { handleGetNASAPrecipitation, handleGetClimateAnomaly, handleMultipleStations } = require('../../src/handlers/nasa');
+const { getClimateAnomaly } = require('../../src/services/climateNormals');
+const { getWeatherWithInsights } = require('../../src/services/weather');
+const { fetchNASAPowerData } = require('../../src/services/nasa');
+const { logUsage } = require('../../src/services/analytics');
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function callPrecipitation(query) {
+  const res = mockResponse();
+  await handleGetNASAPrecipitation({ query, headers: {} }, res);
+  return res;
+}
+
+describe('NASA precipitation endpoint', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('fetches by coordinates and logs usage', async () => {
+    const res = await callPrecipitation({ lat: '50.1', lon: '-101.5', start: '20240501', end: '20240531' });
+
+    expect(fetchNASAPowerData).toHaveBeenCalledWith(50.1, -101.5, '20240501', '20240531');
+    expect(logUsage).toHaveBeenCalledWith('agronomist1', 'nasa_precipitation', expect.objectContaining({ source: 'coordinates' }));
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0]).toMatchObject({ apiVersion: 'v1', data: { summary: { totalPrecipitation: '42.00' } } });
+  });
+
+  test('resolves a station ID to its coordinates', async () => {
+    const res = await callPrecipitation({ station: 's0000193', start: '20240501', end: '20240531' });
+    expect(fetchNASAPowerData).toHaveBeenCalledWith(49.9, -97.14, '20240501', '20240531');
+    expect(res.json.mock.calls[0][0].query.station).toMatchObject({ id: 's0000193', name: 'Winnipeg' });
+  });
+
+  test('resolves a DLS land description', async () => {
+    const res = await callPrecipitation({ dls: 'nw 12-34-5 w4', start: '20240501', end: '20240531' });
+    const [lat, lng] = fetchNASAPowerData.mock.calls[0];
+    expect(lat).toBeCloseTo(51.93, 1);
+    expect(lng).toBeCloseTo(-110.62, 1);
+    expect(res.json.mock.calls[0][0].query.dls).toBe('NW-12-34-5-W4');
+  });
+
+  test.each([
+    [{ start: '20240501' }, 400, 'Missing location'],
+    [{ lat: '95', lon: '-100', start: '20240501' }, 400, 'Invalid coordinates'],
+    [{ station: 's9999999', start: '20240501' }, 404, 'Unknown weather station'],
+    [{ dls: 'north forty', start: '20240501' }, 400, 'Unrecognized land description'],
+    [{ lat: '50', lon: '-100' }, 400, 'Missing required parameter: start'],
+    [{ lat: '50', lon: '-100', start: '2024-05-01' }, 400, 'YYYYMMDD'],
+    [{ lat: '50', lon: '-100', start: '20240601', end: '20240501' }, 400, 'on or before end'],
+    [{ lat: '50', lon: '-100', start: '19700101', end: '19700201' }, 400, 'starts on 19810101'],
+    [{ lat: '50', lon: '-100', start: '20220101', end: '20240101' }, 400, 'cannot exceed 366 days']
+  ])('rejects %j', async (query, status, message) => {
+    const res = await callPrecipitation(query);
+    expect(res.status).toHaveBeenCalledWith(status);
+    expect(res.json.mock.calls[0][0].error).toContain(message);
+    expect(fetchNASAPowerData).not.toHaveBeenCalled();
+  });
+
+  test('reports upstream failures as server errors', async () => {
+    fetchNASAPowerData.mockRejectedValueOnce(new Error('Failed to fetch NASA POWER data: timeout'));
+    const res = await callPrecipitation({ lat: '50', lon: '-100', start: '20240501', end: '20240502' });
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json.mock.calls[0][0].message).toContain('timeout');
+  });
+});
+
+describe('climate anomaly endpoint', () => {
+  async function callAnomaly(query) {
+    const res = mockResponse();
+    await handleGetClimateAnomaly({ query, headers: {} }, res);
+    return res;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('compares a date range at a station with its normals', async () => {
+    const res = await callAnomaly({ station: 's0000788', start: '20240501', end: '20240531', gddBase: '10' });
+
+    expect(getClimateAnomaly).toHaveBeenCalledWith({ lat: 50.43, lng: -104.67 }, '2024-05-01', '2024-05-31', { gddBase: 10 });
+    expect(logUsage).toHaveBeenCalledWith('agronomist1', 'climate_anomaly', expect.objectContaining({ source: 'station' }));
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      apiVersion: 'v1',
+      data: { comparison: { precipitation: { percentOfNormal: 50, percentileRank: 10 } } },
+      query: { station: { id: 's0000788' } }
+    });
+  });
+
+  test.each([
+    [{ start: '20240501' }, 'Missing location'],
+    [{ lat: '50', lon: '-100', start: '20240601', end: '20240501' }, 'on or before end'],
+    [{ lat: '50', lon: '-100', start: '20240501', end: '20240531', gddBase: 'warm' }, 'gddBase']
+  ])('rejects %j', async (query, message) => {
+    const res = await callAnomaly(query);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toContain(message);
+    expect(getClimateAnomaly).not.toHaveBeenCalled();
+  });
+});
+
+describe('multi-station comparison endpoint', () => {
+  async function callMultiStation(query) {
+    const res = mockResponse();
+    await handleMultipleStations({ query, headers: {} }, res);
+    return res;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('summarizes each requested station and flags unknown IDs', async () => {
+    const res = await callMultiStation({ stations: 's0000193,s0000788,s9999999' });
+    const { stations, summary } = res.json.mock.calls[0][0].data;
+
+    expect(stations.map(s => [s.station.id, s.status])).toEqual([['s0000193', 'ok'], ['s0000788', 'ok'], ['s9999999', 'error']]);
+    expect(stations[2]).toEqual({
+      station: { id: 's9999999', name: null, province: null, lat: null, lng: null },
+      status: 'error',
+      error: 'Unknown station'
+    });
+    expect(stations[0]).toMatchObject({
+      status: 'ok',
+      current: { temperature: 12 },
+      insights: {
+        spray: { canSpray: true },
+        frost: { riskLevel: 'HIGH', expectedLow: -1 },
+        drying: { rating: 'Good', score: 64 }
+      }
+    });
+    expect(stations[0].forecast).toHaveLength(2);
+    expect(summary).toMatchObject({ requested: 3, returned: 3, successful: 2, failed: 1, truncated: false, unknownStations: ['s9999999'] });
+    expect(logUsage).toHaveBeenCalledWith('agronomist1', 'multi_station', { selector: 'stations', stationCount: 2 });
+  });
+
+  test('reports per-station failures without failing the request', async () => {
+    getWeatherWithInsights.mockRejectedValueOnce(new Error('ECCC timeout'));
+    const res = await callMultiStation({ province: 'mb' });
+    const { stations, summary } = res.json.mock.calls[0][0].data;
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(stations[0]).toMatchObject({ station: { id: 's0000193' }, status: 'error', error: 'ECCC timeout' });
+    expect(stations[1].status).toBe('ok');
+    expect(summary).toMatchObject({ successful: 1, failed: 1 });
+  });
+
+  test('selects stations inside a bounding box', async () => {
+    const res = await callMultiStation({ bbox: '-101,49,-96,51' });
+    expect(res.json.mock.calls[0][0].data.stations.map(s => s.station.id)).toEqual(['s0000193', 's0000492']);
+  });
+
+  test.each([
+    [{}, 400, 'Missing selection'],
+    [{ bbox: '-96,49,-101,51' }, 400, 'bbox must be'],
+    [{ province: 'NU' }, 404, 'No weather stations'],
+    [{ stations: 's9999999' }, 404, 'Unknown weather stations']
+  ])('rejects %j', async (query, status, message) => {
+    const res = await callMultiStation(query);
+    expect(res.status).toHaveBeenCalledWith(status);
+    expect(res.json.mock.calls[0][0].error).toContain(message);
+    expect(getWeatherWithInsights).not.toHaveBeenCalled();
+  });
+});
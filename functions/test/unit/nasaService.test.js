@@ -0,0 +1,159 @@
+// functions/test/unit/nasaService.test.js
+jest.mock('axios');
+jest.mock('firebase-admin', () => {
+  const mockDocRef = {
+    get: jest.fn(async () => ({ exists: false })),
+    set: jest.fn(async () => {}),
+    delete: jest.fn(async () => {})
+  };
+  const mockDoc = jest.fn(() => mockDocRef);
+  const mockDb = { collection: jest.fn(() => ({ doc: mockDoc })) };
+  const firestoreMockFn = jest.fn(() => mockDb);
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  firestoreMockFn.Timestamp = { now: jest.fn(() => 'MOCK_NOW') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, __mockDoc: mockDoc, __mockDocRef: mockDocRef };
+});
+
+const axios = require('axios');
+const { fetchNASAPowerParameters, fetchNASAPowerData, fetchNASAClimatology, fetchNASADailyHistory, calendarSlot } = require('../../src/services/nasa');
+
+const powerResponse = {
+  header: { fill_value: -999 },
+  properties: {
+    parameter: {
+      T2M_MAX: { 20240501: 18.2, 20240502: 21.4, 20240503: -999 },
+      T2M_MIN: { 20240501: 2.1, 20240502: 6.3, 20240503: 4.0 },
+      PRECTOTCORR: { 20240501: 0, 20240502: 12.5, 20240503: 3.25 },
+      GWETROOT: { 20240501: 0.62, 20240502: 0.7, 20240503: 0.68 }
+    }
+  }
+};
+
+describe('NASA POWER multi-parameter fetch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.get.mockResolvedValue({ data: powerResponse });
+  });
+
+  test('requests the parameter set in one call and builds daily series', async () => {
+    const data = await fetchNASAPowerParameters(50, -100, '20240501', '20240503', ['t2m_max', 'T2M_MIN', 'PRECTOTCORR', 'GWETROOT']);
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get.mock.calls[0][0]).toContain('parameters=GWETROOT,PRECTOTCORR,T2M_MAX,T2M_MIN');
+    expect(data.parameters.T2M_MAX.daily).toEqual([
+      { date: '2024-05-01', value: 18.2 },
+      { date: '2024-05-02', value: 21.4 },
+      { date: '2024-05-03', value: null }
+    ]);
+    expect(data.daily[1]).toEqual({ date: '2024-05-02', GWETROOT: 0.7, PRECTOTCORR: 12.5, T2M_MAX: 21.4, T2M_MIN: 6.3 });
+  });
+
+  test('summarizes precipitation as a total and other parameters as means', async () => {
+    const data = await fetchNASAPowerParameters(50, -100, '20240501', '20240503', ['T2M_MAX', 'PRECTOTCORR']);
+
+    expect(data.parameters.PRECTOTCORR.summary).toMatchObject({ total: 15.75, daysWithData: 3 });
+    expect(data.parameters.T2M_MAX.summary).toMatchObject({ total: null, mean: 19.8, min: 18.2, max: 21.4, daysWithData: 2, dataCompleteness: '66.7%' });
+    expect(data.parameters.T2M_MAX.unit).toBe('°C');
+  });
+
+  test('caches per parameter set regardless of order', async () => {
+    const admin = require('firebase-admin');
+    await fetchNASAPowerParameters(50, -100, '20240501', '20240503', ['PRECTOTCORR', 'T2M_MAX']);
+    await fetchNASAPowerParameters(50, -100, '20240501', '20240503', ['T2M_MAX', 'PRECTOTCORR']);
+    await fetchNASAPowerParameters(50, -100, '20240501', '20240503', ['GWETROOT']);
+
+    const keys = admin.__mockDoc.mock.calls.map(call => call[0]);
+    expect(keys[0]).toBe('nasa_50_-100_20240501_20240503_PRECTOTCORR-T2M_MAX');
+    expect(keys).toContain('nasa_50_-100_20240501_20240503_GWETROOT');
+    expect(new Set(keys).size).toBe(2);
+    expect(admin.__mockDocRef.set.mock.calls[0][0].ttl).toBe(86400);
+  });
+
+  test('rejects unsupported parameters before calling NASA', async () => {
+    await expect(fetchNASAPowerParameters(50, -100, '20240501', '20240503', ['T2M', 'SNOWDEPTH']))
+      .rejects.toThrow('Unsupported NASA POWER parameters: SNOWDEPTH');
+    await expect(fetchNASAClimatology(50, -100, ['snowdepth'])).rejects.toThrow('Unsupported NASA POWER parameters: SNOWDEPTH');
+    await expect(fetchNASADailyHistory(50, -100, 1992, 1993, [])).rejects.toThrow('Unsupported NASA POWER parameters: none requested');
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('keeps the precipitation-only output shape', async () => {
+    const data = await fetchNASAPowerData(50, -100, '20240501', '20240503');
+    expect(axios.get.mock.calls[0][0]).toContain('parameters=PRECTOTCORR&');
+    expect(data.summary).toMatchObject({ totalPrecipitation: '15.75', unit: 'mm' });
+    expect(data.daily).toHaveLength(3);
+  });
+});
+
+describe('NASA POWER climatology fetch', () => {
+  const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+  const series = values => Object.fromEntries([...months.map((m, i) => [m, values[i]]), ['ANN', 4.1]]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.get.mockResolvedValue({
+      data: {
+        header: { fill_value: -999, start: 2001, end: 2020 },
+        properties: {
+          parameter: {
+            T2M_MAX: series([-11, -8, -1, 10, 18, 22, 25, 24, 18, 9, -2, -9]),
+            PRECTOTCORR: series([0.5, 0.4, 0.6, 0.8, 1.6, 2.6, 2.2, 1.7, 1.3, 0.7, -999, 0.5])
+          }
+        }
+      }
+    });
+  });
+
+  test('returns monthly means in calendar order and caches them for 30 days', async () => {
+    const admin = require('firebase-admin');
+    const data = await fetchNASAClimatology(50, -100, ['T2M_MAX', 'PRECTOTCORR']);
+
+    expect(axios.get.mock.calls[0][0]).toContain('/temporal/climatology/point?parameters=PRECTOTCORR,T2M_MAX');
+    expect(data.parameters.T2M_MAX.monthly[4]).toBe(18);
+    expect(data.parameters.PRECTOTCORR).toMatchObject({ unit: 'mm/day', annual: 4.1 });
+    expect(data.parameters.PRECTOTCORR.monthly[10]).toBeNull();
+    expect(data.metadata.period).toBe('2001-2020');
+    expect(admin.__mockDoc.mock.calls[0][0]).toBe('nasa_climatology_50_-100_PRECTOTCORR-T2M_MAX');
+    expect(admin.__mockDocRef.set.mock.calls[0][0].ttl).toBe(30 * 86400);
+  });
+});
+
+describe('NASA POWER daily history fetch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.get.mockResolvedValue({
+      data: {
+        header: { fill_value: -999 },
+        properties: {
+          parameter: {
+            PRECTOTCORR: { 19920228: 0.4, 19920229: 1.234, 19920301: -999, 19930301: 2.5 }
+          }
+        }
+      }
+    });
+  });
+
+  test('lines leap and common years up on a 366-slot calendar', () => {
+    expect(calendarSlot('2023-01-01')).toBe(0);
+    expect(calendarSlot('20240229')).toBe(59);
+    expect(calendarSlot('2023-03-01')).toBe(60);
+    expect(calendarSlot('2023-12-31')).toBe(365);
+  });
+
+  test('stores one array per year and parameter and caches it long-term', async () => {
+    const admin = require('firebase-admin');
+    const history = await fetchNASADailyHistory(50.5, -104.375, 1992, 1993, ['PRECTOTCORR']);
+
+    expect(axios.get.mock.calls[0][0]).toContain('start=19920101&end=19931231');
+    expect(axios.get.mock.calls[0][1].timeout).toBe(60000);
+    expect(history.years[1992].PRECTOTCORR).toHaveLength(366);
+    expect(history.years[1992].PRECTOTCORR.slice(58, 61)).toEqual([0.4, 1.23, null]);
+    expect(history.years[1993].PRECTOTCORR[60]).toBe(2.5);
+    expect(history.years[1993].PRECTOTCORR[59]).toBeNull();
+    expect(admin.__mockDoc.mock.calls[0][0]).toBe('nasa_history_50.5_-104.375_1992_1993_PRECTOTCORR');
+    expect(admin.__mockDocRef.set.mock.calls[0][0].ttl).toBe(30 * 86400);
+  });
+});
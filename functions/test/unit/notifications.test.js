@@ -0,0 +1,76 @@
+// functions/test/unit/notifications.test.js
+jest.mock('firebase-admin', () => {
+  const mockFarmerRef = { get: jest.fn(), set: jest.fn(async () => {}), update: jest.fn(async () => {}) };
+  const mockInbox = { doc: jest.fn(() => ({ id: 'notification' })) };
+  const mockBatch = { set: jest.fn(), commit: jest.fn(async () => {}) };
+  const mockDb = {
+    collection: jest.fn(name => ({
+      doc: jest.fn(() => (name === 'users' ? { collection: jest.fn(() => mockInbox) } : mockFarmerRef))
+    })),
+    batch: jest.fn(() => mockBatch)
+  };
+  const mockMessaging = { sendEachForMulticast: jest.fn() };
+  const firestoreMockFn = jest.fn(() => mockDb);
+  firestoreMockFn.FieldValue = {
+    serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP'),
+    arrayUnion: jest.fn((...values) => ({ arrayUnion: values })),
+    arrayRemove: jest.fn((...values) => ({ arrayRemove: values }))
+  };
+  return {
+    apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, messaging: jest.fn(() => mockMessaging),
+    __mockFarmerRef: mockFarmerRef, __mockBatch: mockBatch, __mockMessaging: mockMessaging
+  };
+});
+
+const admin = require('firebase-admin');
+const { deliverAlerts, registerNotificationToken } = require('../../src/services/notifications');
+
+const frostAlert = {
+  alertName: 'High Frost Risk Warning',
+  alertType: 'FROST_RISK',
+  triggeredAt: '2024-05-20T02:00:00.000Z',
+  message: "Frost risk update for Regina: Tonight's risk is HIGH. Factors: Clear skies."
+};
+
+describe('Notifications', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('stores each alert in the inbox and pushes it to the farmer devices', async () => {
+    admin.__mockFarmerRef.get.mockResolvedValue({ exists: true, data: () => ({ notificationTokens: ['phone', 'tablet'] }) });
+    admin.__mockMessaging.sendEachForMulticast.mockResolvedValue({
+      successCount: 1,
+      responses: [{ success: true }, { success: false, error: { code: 'messaging/registration-token-not-registered' } }]
+    });
+
+    const result = await deliverAlerts('farmer-1', [frostAlert]);
+
+    expect(result).toEqual({ stored: 1, pushed: 1 });
+    expect(admin.__mockBatch.set.mock.calls[0][1]).toEqual({
+      title: 'Frost risk', body: frostAlert.message, alertType: 'FROST_RISK', alertName: 'High Frost Risk Warning',
+      triggeredAt: '2024-05-20T02:00:00.000Z', read: false, createdAt: 'MOCK_TIMESTAMP'
+    });
+    expect(admin.__mockMessaging.sendEachForMulticast).toHaveBeenCalledWith({
+      tokens: ['phone', 'tablet'],
+      notification: { title: 'Frost risk', body: frostAlert.message },
+      data: { alertType: 'FROST_RISK' }
+    });
+    expect(admin.__mockFarmerRef.update).toHaveBeenCalledWith({ notificationTokens: { arrayRemove: ['tablet'] } });
+  });
+
+  test('keeps alerts in the inbox only when weather alert pushes are turned off', async () => {
+    admin.__mockFarmerRef.get.mockResolvedValue({
+      exists: true,
+      data: () => ({ notificationTokens: ['phone'], preferences: { notifications: { weatherAlerts: false } } })
+    });
+
+    expect(await deliverAlerts('farmer-1', [frostAlert])).toEqual({ stored: 1, pushed: 0 });
+    expect(admin.__mockMessaging.sendEachForMulticast).not.toHaveBeenCalled();
+    expect(await deliverAlerts('farmer-1', [])).toEqual({ stored: 0, pushed: 0 });
+  });
+
+  test('registers a device token on the farmer profile', async () => {
+    await registerNotificationToken('farmer-1', 'phone');
+    expect(admin.__mockFarmerRef.set).toHaveBeenCalledWith({ notificationTokens: { arrayUnion: ['phone'] } }, { merge: true });
+    await expect(registerNotificationToken('farmer-1', '')).rejects.toThrow('token');
+  });
+});
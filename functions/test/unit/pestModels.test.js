@@ -0,0 +1,123 @@
+// functions/test/unit/pestModels.test.js
+jest.mock('firebase-admin', () => {
+  const mockDocRef = { get: jest.fn(), set: jest.fn(async () => {}) };
+  const firestoreMockFn = jest.fn(() => ({ collection: jest.fn(() => ({ doc: jest.fn(() => mockDocRef) })) }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, __mockDocRef: mockDocRef };
+});
+jest.mock('../../src/services/seasonAccumulation', () => ({
+  getSeasonToDate: jest.fn()
+}));
+jest.mock('../../src/services/climateNormals', () => ({
+  getNormalsHistory: jest.fn(),
+  calculateDailyNormals: jest.fn()
+}));
+
+const admin = require('firebase-admin');
+const { getSeasonToDate } = require('../../src/services/seasonAccumulation');
+const { getNormalsHistory } = require('../../src/services/climateNormals');
+const {
+  getPestModel,
+  percentEmerged,
+  evaluatePest,
+  updateFarmPestModels
+} = require('../../src/services/crops/pestModels');
+
+// `days` days from May 1, 2024 at a steady 25/15 °C
+function buildDaily(days) {
+  return Array.from({ length: days }, (_, i) => ({
+    date: new Date(Date.UTC(2024, 4, 1 + i)).toISOString().slice(0, 10),
+    tMax: 25,
+    tMin: 15
+  }));
+}
+
+describe('Insect degree-day models', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('looks up models by key', () => {
+    expect(getPestModel('wheat_midge')).toMatchObject({ key: 'wheat_midge', baseTemp: 5, scoutAt: 600 });
+    expect(getPestModel('locusts')).toBeNull();
+  });
+
+  test('interpolates percent emerged along the curve', () => {
+    const curve = getPestModel('wheat_midge').curve;
+    expect(percentEmerged(curve, 300)).toBe(0);
+    expect(percentEmerged(curve, 675)).toBe(30);
+    expect(percentEmerged(curve, 1500)).toBe(100);
+  });
+
+  describe('evaluatePest', () => {
+    test('dates scouting from observed degree days once the threshold is passed', () => {
+      // 15 degree days a day above 5 °C
+      const midge = evaluatePest('wheat_midge', buildDaily(45), { season: '2024', asOf: '2024-06-14' });
+      expect(midge).toMatchObject({ degreeDays: 675, percentEmerged: 30, generations: null });
+      expect(midge.scouting).toMatchObject({ status: 'active', unitsRemaining: 0, startDate: '2024-06-09', basis: 'observed' });
+    });
+
+    test('projects the scouting date from normals before it is reached', () => {
+      const normals = Array.from({ length: 366 }, () => ({ gdd: 10 }));
+      // 10 degree days a day above 10 °C; 50 short of the 450 threshold
+      const bertha = evaluatePest('bertha_armyworm', buildDaily(40), { season: '2024', asOf: '2024-06-09', normals });
+      expect(bertha.scouting).toEqual({
+        startUnits: 450,
+        unitsRemaining: 50,
+        status: 'upcoming',
+        startDate: '2024-06-14',
+        basis: '1991-2020 daily normals',
+        advice: getPestModel('bertha_armyworm').scouting
+      });
+    });
+
+    test('counts generations for multi-generation pests', () => {
+      expect(evaluatePest('diamondback_moth', buildDaily(40), { season: '2024' }).generations).toBe(1.7);
+    });
+  });
+
+  describe('updateFarmPestModels', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(new Date('2024-06-10T15:00:00Z'));
+    });
+    afterEach(() => jest.useRealTimers());
+
+    test('runs every model from January 1 and flags pests of the farm crops', async () => {
+      admin.__mockDocRef.get.mockResolvedValue({
+        exists: true,
+        data: () => ({
+          location: {
+            coordinates: { lat: 50.4452, lng: -104.6189 },
+            derived: { nearestStation: { id: 's0000788', province: 'SK' } }
+          },
+          farmDetails: { crops: [{ type: 'wheat', variety: 'AAC Brandon' }, { type: 'canola' }] }
+        })
+      });
+      getSeasonToDate.mockResolvedValue({ daily: [...buildDaily(40), { date: '2024-06-09', tMax: null, tMin: null }] });
+      getNormalsHistory.mockRejectedValue(new Error('POWER unavailable'));
+
+      const result = await updateFarmPestModels('farmer-1');
+
+      expect(getSeasonToDate).toHaveBeenCalledWith(
+        { lat: 50.4452, lng: -104.6189 },
+        { startDate: '2024-01-01', station: { id: 's0000788', province: 'SK' } }
+      );
+      expect(result.asOf).toBe('2024-06-09');
+      expect(result.pests.map(p => p.pest)).toEqual(['wheat_midge', 'bertha_armyworm', 'grasshoppers', 'diamondback_moth', 'alfalfa_weevil']);
+      expect(result.pests.filter(p => p.relevant).map(p => p.pest)).toEqual(['wheat_midge', 'bertha_armyworm', 'grasshoppers', 'diamondback_moth']);
+      expect(result.pests[0].crops).toEqual([{ type: 'wheat', variety: 'AAC Brandon' }]);
+      expect(result.pests[1].scouting).toMatchObject({ status: 'upcoming', startDate: null, basis: null });
+
+      const [written, options] = admin.__mockDocRef.set.mock.calls[0];
+      expect(written.pestModels).toMatchObject({ season: '2024', asOf: '2024-06-09', updatedAt: 'MOCK_TIMESTAMP' });
+      expect(options).toEqual({ merge: true });
+    });
+
+    test('requires a farm location', async () => {
+      admin.__mockDocRef.get.mockResolvedValue({ exists: true, data: () => ({ location: {} }) });
+      await expect(updateFarmPestModels('farmer-1')).rejects.toThrow('Farm location is not set');
+    });
+  });
+});
@@ -0,0 +1,253 @@
+// functions/test/unit/seasonAccumulation.test.js
+jest.mock('firebase-admin', () => {
+  const mockDocRef = {
+    get: jest.fn(),
+    set: jest.fn(async () => {})
+  };
+  const mockCollection = jest.fn(() => ({ doc: jest.fn(() => mockDocRef) }));
+  const firestoreMockFn = jest.fn(() => ({ collection: mockCollection }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, __mockDocRef: mockDocRef, __mockCollection: mockCollection };
+});
+jest.mock('../../src/services/nasa', () => ({
+  fetchNASAPowerParameters: jest.fn(),
+  fetchNASAClimatology: jest.fn(),
+  fetchNASADailyHistory: jest.fn(),
+  calendarSlot: jest.requireActual('../../src/services/nasa').calendarSlot,
+  toNASADate: jest.requireActual('../../src/services/nasa').toNASADate
+}));
+jest.mock('../../src/services/weather', () => ({
+  fetchECCCWeather: jest.fn()
+}));
+
+const admin = require('firebase-admin');
+const { fetchNASAPowerParameters, fetchNASAClimatology, fetchNASADailyHistory } = require('../../src/services/nasa');
+const { fetchECCCWeather } = require('../../src/services/weather');
+const {
+  getSeasonToDate,
+  updateFarmerSeasonStats,
+  resolveSeasonStart,
+  validateSeasonStart,
+  mergeDailyObservations,
+  accumulateSeason,
+  calculateNormals
+} = require('../../src/services/seasonAccumulation');
+
+const monthly = value => Array(12).fill(value);
+const climatology = {
+  parameters: {
+    T2M_MAX: { monthly: monthly(20) },
+    T2M_MIN: { monthly: monthly(6) },
+    PRECTOTCORR: { monthly: monthly(2) }
+  }
+};
+const nasaHistory = {
+  daily: [
+    { date: '2024-05-01', T2M_MAX: 20, T2M_MIN: 6, PRECTOTCORR: 0 },
+    { date: '2024-05-02', T2M_MAX: 24, T2M_MIN: 10, PRECTOTCORR: 8.4 },
+    { date: '2024-05-03', T2M_MAX: null, T2M_MIN: null, PRECTOTCORR: null }
+  ]
+};
+
+describe('Season-to-date accumulation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // Most tests exercise the monthly-climatology fallback
+    fetchNASADailyHistory.mockRejectedValue(new Error('timeout'));
+  });
+
+  describe('resolveSeasonStart', () => {
+    const crops = [{ type: 'canola', plantingDate: '2024-05-12T00:00:00.000Z' }];
+
+    test('should prefer an explicit start date', () => {
+      expect(resolveSeasonStart({ startDate: '2024-04-20', crop: 'canola', season: 2024 }, crops))
+        .toEqual({ date: '2024-04-20', source: 'explicit' });
+    });
+
+    test('should use the crop\'s seeding date for the season', () => {
+      expect(resolveSeasonStart({ crop: 'Canola', season: 2024 }, crops))
+        .toEqual({ date: '2024-05-12', source: 'plantingDate' });
+    });
+
+    test('should fall back to May 1 when the seeding date is unknown or from another season', () => {
+      expect(resolveSeasonStart({ crop: 'wheat', season: 2024 }, crops)).toEqual({ date: '2024-05-01', source: 'default' });
+      expect(resolveSeasonStart({ crop: 'canola', season: 2025 }, crops)).toEqual({ date: '2025-05-01', source: 'default' });
+    });
+  });
+
+  describe('mergeDailyObservations', () => {
+    test('should fill days POWER has not published with the ECCC yesterday observation', () => {
+      const yesterday = { date: '2024-05-03', high: 18, low: 4, precipitation: 0 };
+      const rows = mergeDailyObservations(nasaHistory.daily, yesterday, '2024-05-01', '2024-05-04');
+
+      expect(rows.map(r => r.source)).toEqual(['NASA POWER', 'NASA POWER', 'ECCC', null]);
+      expect(rows[2]).toEqual({ date: '2024-05-03', tMax: 18, tMin: 4, precipitation: 0, source: 'ECCC' });
+      expect(rows[3].date).toBe('2024-05-04');
+    });
+  });
+
+  describe('accumulateSeason', () => {
+    test('should build daily and cumulative GDD, CHU and precipitation', () => {
+      const rows = mergeDailyObservations(nasaHistory.daily, null, '2024-05-01', '2024-05-03');
+      const { daily, totals, missingDays } = accumulateSeason(rows, 5);
+
+      expect(daily[0]).toMatchObject({ gdd: 8, chu: 13.9, precipitation: 0 });
+      expect(daily[1]).toMatchObject({ gdd: 12, precipitation: 8.4, cumulative: { gdd: 20, precipitation: 8.4 } });
+      expect(daily[2]).toMatchObject({ gdd: null, chu: null, cumulative: { gdd: 20 } });
+      expect(totals).toEqual({ gdd: 20, chu: 34, precipitation: 8.4 });
+      expect(missingDays).toEqual(['2024-05-03']);
+    });
+
+    test('should respect a different GDD base', () => {
+      const rows = mergeDailyObservations(nasaHistory.daily, null, '2024-05-01', '2024-05-02');
+      // Minimums below the base are raised to it: (20 + 10) / 2 - 10 and (24 + 10) / 2 - 10
+      expect(accumulateSeason(rows, 10).totals.gdd).toBe(12);
+    });
+  });
+
+  describe('calculateNormals', () => {
+    test('should sum monthly normals over the requested days', () => {
+      expect(calculateNormals(climatology, ['2024-05-01', '2024-05-02'], 5)).toEqual({ gdd: 16, chu: 27.8, precipitation: 4 });
+    });
+
+    test('should return null without climatology', () => {
+      expect(calculateNormals(null, ['2024-05-01'])).toBeNull();
+    });
+  });
+
+  describe('getSeasonToDate', () => {
+    test('should combine history, recent observations and normals', async () => {
+      fetchNASAPowerParameters.mockResolvedValue(nasaHistory);
+      fetchNASAClimatology.mockResolvedValue(climatology);
+      fetchECCCWeather.mockResolvedValue({ yesterday: { date: '2024-05-03', high: 18, low: 4, precipitation: 0 } });
+
+      const result = await getSeasonToDate({ lat: 50.4452, lng: -104.6189 }, {
+        startDate: '2024-05-01',
+        station: { id: 's0000788', province: 'SK' },
+        today: new Date('2024-05-04T15:00:00Z')
+      });
+
+      expect(fetchNASAPowerParameters).toHaveBeenCalledWith(50.45, -104.62, '20240501', '20240503', ['T2M_MAX', 'T2M_MIN', 'PRECTOTCORR']);
+      expect(result.period).toEqual({ start: '2024-05-01', end: '2024-05-03', days: 3 });
+      expect(result.totals).toEqual({ gdd: 26.5, chu: 44.6, precipitation: 8.4 });
+      expect(result.normals).toEqual({ gdd: 24, chu: 41.7, precipitation: 6 });
+      expect(result.percentOfNormal).toEqual({ gdd: 110, chu: 107, precipitation: 140 });
+      expect(result.missingDays).toEqual([]);
+      expect(result.sources).toEqual({ history: 'NASA POWER', recent: 'ECCC s0000788', normals: 'NASA POWER climatology' });
+    });
+
+    test('should rank the season against 1991-2020 when the daily history loads', async () => {
+      const history = { period: { startYear: 1991, endYear: 2020 }, years: {} };
+      for (let year = 1991; year <= 2020; year++) {
+        const fill = value => new Array(366).fill(value);
+        history.years[year] = { T2M_MAX: fill(20), T2M_MIN: fill(6), PRECTOTCORR: fill((year - 1990) / 5) };
+      }
+      fetchNASADailyHistory.mockResolvedValue(history);
+      fetchNASAPowerParameters.mockResolvedValue(nasaHistory);
+
+      const result = await getSeasonToDate({ lat: 50.4452, lng: -104.6189 }, {
+        startDate: '2024-05-01',
+        today: new Date('2024-05-04T15:00:00Z')
+      });
+
+      expect(fetchNASADailyHistory).toHaveBeenCalledWith(50.5, -104.375, 1991, 2020, ['T2M_MAX', 'T2M_MIN', 'PRECTOTCORR']);
+      expect(fetchNASAClimatology).not.toHaveBeenCalled();
+      // Only the two days with data are compared
+      expect(result.normals).toEqual({ gdd: 16, chu: 27.8, precipitation: 6.2 });
+      expect(result.percentOfNormal).toEqual({ gdd: 125, chu: 122, precipitation: 135 });
+      expect(result.percentileRank).toEqual({ gdd: 100, chu: 100, precipitation: 68 });
+      expect(result.summary[0]).toBe('Precipitation is 135% of normal (8 mm vs 6 mm), wetter than 68% of years.');
+      expect(result.sources.normals).toBe('NASA POWER 1991-2020 daily');
+    });
+
+    test('should still report totals when climatology and the station are unavailable', async () => {
+      fetchNASAPowerParameters.mockResolvedValue(nasaHistory);
+      fetchNASAClimatology.mockRejectedValue(new Error('timeout'));
+      fetchECCCWeather.mockRejectedValue(new Error('404'));
+
+      const result = await getSeasonToDate({ lat: 50, lng: -104 }, {
+        startDate: '2024-05-01',
+        station: { id: 's0000788', province: 'SK' },
+        today: new Date('2024-05-04T15:00:00Z')
+      });
+
+      expect(result.totals.gdd).toBe(20);
+      expect(result.normals).toBeNull();
+      expect(result.percentOfNormal).toEqual({ gdd: null, chu: null, precipitation: null });
+      expect(result.missingDays).toEqual(['2024-05-03']);
+    });
+
+    test('should not call NASA before the season starts', async () => {
+      const result = await getSeasonToDate({ lat: 50, lng: -104 }, { startDate: '2024-05-10', today: new Date('2024-05-04T15:00:00Z') });
+
+      expect(fetchNASAPowerParameters).not.toHaveBeenCalled();
+      expect(result.period.days).toBe(0);
+      expect(result.totals).toEqual({ gdd: 0, chu: 0, precipitation: 0 });
+    });
+
+    test('should refuse starts more than a season back', async () => {
+      await expect(getSeasonToDate({ lat: 50, lng: -104 }, { startDate: '1990-01-01', today: new Date('2024-05-04T15:00:00Z') }))
+        .rejects.toThrow('at most 366 days; start on or after 2023-05-04');
+      expect(fetchNASAPowerParameters).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateSeasonStart', () => {
+    const today = new Date('2024-05-04T15:00:00Z');
+
+    test('should accept a start within the last 366 days', () => {
+      expect(validateSeasonStart('2024-05-01', today)).toBeNull();
+      expect(validateSeasonStart('2023-05-04', today)).toBeNull();
+    });
+
+    test('should reject malformed, future and multi-year starts', () => {
+      expect(validateSeasonStart('2024-02-30', today)).toMatch('YYYY-MM-DD');
+      expect(validateSeasonStart(20240501, today)).toMatch('YYYY-MM-DD');
+      expect(validateSeasonStart('2024-05-05', today)).toBe('startDate cannot be in the future.');
+      expect(validateSeasonStart('2023-05-03', today)).toBe('startDate cannot be more than 366 days ago.');
+      expect(validateSeasonStart('1990-01-01', today)).toBe('startDate cannot be more than 366 days ago.');
+    });
+  });
+
+  describe('updateFarmerSeasonStats', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should write totals and the season summary into farmerStats', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(new Date('2024-05-04T15:00:00Z'));
+      admin.__mockDocRef.get.mockResolvedValue({
+        exists: true,
+        data: () => ({
+          location: {
+            coordinates: { lat: 50, lng: -104 },
+            derived: { nearestStation: { id: 's0000788', province: 'SK' } }
+          },
+          farmDetails: { crops: [{ type: 'wheat', plantingDate: '2024-05-02' }] }
+        })
+      });
+      fetchNASAPowerParameters.mockResolvedValue(nasaHistory);
+      fetchNASAClimatology.mockResolvedValue(climatology);
+      fetchECCCWeather.mockResolvedValue({ yesterday: null });
+
+      const result = await updateFarmerSeasonStats('farmer-1', { crop: 'wheat' });
+
+      expect(result.startSource).toBe('plantingDate');
+      expect(result.period.start).toBe('2024-05-02');
+      expect(admin.__mockCollection).toHaveBeenCalledWith('farmerStats');
+      const [written, options] = admin.__mockDocRef.set.mock.calls[0];
+      expect(options).toEqual({ merge: true });
+      expect(written.quickStats).toEqual({ totalGDD: 12, totalPrecipitation: 8.4 });
+      expect(written.seasonToDate).toMatchObject({ crop: 'wheat', startSource: 'plantingDate', gddBase: 5 });
+      expect(written.seasonToDate.daily).toBeUndefined();
+      expect(written.seasonYear).toBe(2024);
+    });
+
+    test('should reject farmers without coordinates', async () => {
+      admin.__mockDocRef.get.mockResolvedValue({ exists: true, data: () => ({ location: {} }) });
+      await expect(updateFarmerSeasonStats('farmer-1')).rejects.toThrow('Farm location is not set');
+    });
+  });
+});
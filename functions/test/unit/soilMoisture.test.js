@@ -0,0 +1,180 @@
+// functions/test/unit/soilMoisture.test.js
+jest.mock('firebase-admin', () => {
+  const mockFieldDoc = { set: jest.fn(async () => {}) };
+  const mockFields = { doc: jest.fn(() => mockFieldDoc), get: jest.fn() };
+  const mockDocRef = { get: jest.fn(), collection: jest.fn(() => mockFields) };
+  const firestoreMockFn = jest.fn(() => ({ collection: jest.fn(() => ({ doc: jest.fn(() => mockDocRef) })) }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, __mockDocRef: mockDocRef, __mockFields: mockFields, __mockFieldDoc: mockFieldDoc };
+});
+jest.mock('../../src/services/nasa', () => ({
+  fetchNASAPowerParameters: jest.fn(),
+  calendarSlot: jest.requireActual('../../src/services/nasa').calendarSlot,
+  toNASADate: jest.requireActual('../../src/services/nasa').toNASADate
+}));
+jest.mock('../../src/services/weather', () => ({
+  fetchECCCWeather: jest.fn()
+}));
+jest.mock('../../src/services/evapotranspiration', () => ({
+  ...jest.requireActual('../../src/services/evapotranspiration'),
+  getReferenceET: jest.fn()
+}));
+
+const admin = require('firebase-admin');
+const { fetchNASAPowerParameters } = require('../../src/services/nasa');
+const { fetchECCCWeather } = require('../../src/services/weather');
+const { getReferenceET } = require('../../src/services/evapotranspiration');
+const {
+  updateFarmSoilMoisture,
+  getFieldMoistureSummary,
+  runWaterBalance,
+  calculateRunoff,
+  classifyMoisture,
+  getAvailableWaterCapacity
+} = require('../../src/services/soilMoisture');
+
+describe('Soil moisture water balance', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('scales the soil zone capacity by texture', () => {
+    expect(getAvailableWaterCapacity('Brown', 'Sandy Loam')).toEqual({ capacityMm: 117, zone: 'Brown', texture: 'sandy_loam' });
+    expect(getAvailableWaterCapacity('Black')).toEqual({ capacityMm: 190, zone: 'Black', texture: 'loam' });
+    expect(getAvailableWaterCapacity('', null, { lat: 0, lng: 0 })).toEqual({ capacityMm: 160, zone: null, texture: 'loam' });
+  });
+
+  test('only sheds runoff from heavy rain', () => {
+    expect(calculateRunoff(10)).toBe(0);
+    expect(calculateRunoff(40)).toBeCloseTo(4.94, 2);
+  });
+
+  test('uses crop report moisture terms', () => {
+    expect(classifyMoisture(95)).toBe('surplus');
+    expect(classifyMoisture(60)).toBe('adequate');
+    expect(classifyMoisture(30)).toBe('short');
+    expect(classifyMoisture(10)).toBe('very short');
+  });
+
+  describe('runWaterBalance', () => {
+    test('adds rain, removes crop ET and skips days without data', () => {
+      const balance = runWaterBalance([
+        { date: '2024-06-01', precipitation: 0, etc: 5 },
+        { date: '2024-06-02', precipitation: 50, etc: 4 },
+        { date: '2024-06-03', precipitation: null, etc: 4 },
+        { date: '2024-06-04', precipitation: 0, etc: 6 }
+      ], { capacityMm: 100, initialFraction: 0.6 });
+
+      expect(balance.daily[1]).toEqual({
+        date: '2024-06-02', precipitation: 50, runoff: 9.3, drainage: 0, etc: 4, actualEt: 4, waterMm: 91.7, percentAvailable: 92
+      });
+      expect(balance).toMatchObject({ waterMm: 85.7, percentAvailable: 86, status: 'adequate', asOf: '2024-06-04' });
+      // 35.7 mm above the 50% stress point at 5 mm/day
+      expect(balance.daysUntilStress).toBe(7);
+      expect(balance.missingDays).toEqual(['2024-06-03']);
+    });
+
+    test('drains water above capacity', () => {
+      const balance = runWaterBalance([{ date: '2024-06-01', precipitation: 10, etc: 2 }], { capacityMm: 100, initialFraction: 1 });
+      expect(balance.totals).toMatchObject({ drainage: 10, actualEt: 2 });
+      expect(balance.percentAvailable).toBe(98);
+    });
+
+    test('reduces ET once the crop is stressed', () => {
+      const balance = runWaterBalance([{ date: '2024-07-01', precipitation: 0, etc: 6 }], { capacityMm: 100, initialFraction: 0.4 });
+      expect(balance.daily[0].actualEt).toBe(4.8);
+      expect(balance).toMatchObject({ status: 'short', daysUntilStress: 0 });
+    });
+  });
+
+  describe('updateFarmSoilMoisture', () => {
+    const reference = {
+      location: { lat: 50.45, lng: -104.62, elevation: 577 },
+      daily: [
+        { date: '2024-05-01', tMax: 20, tMin: 4, precipitation: 0, et0: 4, method: 'penman-monteith' },
+        { date: '2024-05-02', tMax: 22, tMin: 6, precipitation: 12, et0: 3, method: 'penman-monteith' },
+        { date: '2024-05-03', tMax: null, tMin: null, precipitation: null, et0: null, method: null }
+      ]
+    };
+
+    beforeEach(() => {
+      admin.__mockDocRef.get.mockResolvedValue({
+        exists: true,
+        data: () => ({
+          location: {
+            coordinates: { lat: 50.4452, lng: -104.6189 },
+            derived: { soilZone: 'Dark Brown', elevation: 577, nearestStation: { id: 's0000788', province: 'SK' } }
+          },
+          farmDetails: {
+            crops: [
+              { type: 'wheat', plantingDate: '2024-05-02', soilTexture: 'clay' },
+              { type: 'potatoes', plantingDate: '2024-05-01' }
+            ]
+          }
+        })
+      });
+      getReferenceET.mockResolvedValue(reference);
+      fetchNASAPowerParameters.mockResolvedValue({ daily: [{ date: '2024-05-01', GWETROOT: 0.7 }] });
+      fetchECCCWeather.mockResolvedValue({ yesterday: { date: '2024-05-03', high: 18, low: 2, precipitation: 1.5 } });
+      admin.__mockFields.get.mockResolvedValue({
+        docs: [{ id: 'wheat-1', ref: { delete: jest.fn() } }, { id: 'canola-3', ref: { delete: jest.fn() } }]
+      });
+    });
+
+    test('writes a field document for each modelled crop', async () => {
+      const result = await updateFarmSoilMoisture('farmer-1', { today: new Date('2024-05-04T15:00:00Z') });
+
+      expect(getReferenceET).toHaveBeenCalledWith({ lat: 50.4452, lng: -104.6189 }, '2024-05-01', '2024-05-03', { elevation: 577 });
+      expect(fetchNASAPowerParameters).toHaveBeenCalledWith(50.45, -104.62, '20240501', '20240501', ['GWETROOT']);
+      expect(result.map(f => f.fieldId)).toEqual(['wheat-1']);
+
+      const [written] = admin.__mockFieldDoc.set.mock.calls[0];
+      expect(admin.__mockFields.doc).toHaveBeenCalledWith('wheat-1');
+      expect(written.soil).toEqual({ zone: 'Dark Brown', texture: 'clay', capacityMm: 165 });
+      // Wheat's initial Kc (0.3) applies before and after seeding; May 3 comes from the ECCC observation
+      expect(written.soilMoisture.recent.map(d => d.etc)).toEqual([1.2, 0.9, 1.1]);
+      expect(written.soilMoisture.season).toMatchObject({ start: '2024-05-01', initialFraction: 0.8, initialSource: 'NASA POWER GWETROOT', precipitation: 13.5 });
+      expect(written.soilMoisture).toMatchObject({ asOf: '2024-05-03', status: 'adequate', missingDays: [] });
+      expect(written.updatedAt).toBe('MOCK_TIMESTAMP');
+    });
+
+    test('removes field documents for crops no longer in the profile', async () => {
+      await updateFarmSoilMoisture('farmer-1', { today: new Date('2024-05-04T15:00:00Z') });
+
+      const [current, stale] = (await admin.__mockFields.get()).docs;
+      expect(current.ref.delete).not.toHaveBeenCalled();
+      expect(stale.ref.delete).toHaveBeenCalled();
+    });
+
+    test('does nothing before the season starts', async () => {
+      const result = await updateFarmSoilMoisture('farmer-1', { today: new Date('2024-04-10T15:00:00Z') });
+
+      expect(result).toEqual([]);
+      expect(getReferenceET).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getFieldMoistureSummary', () => {
+    test('leads with the driest field', async () => {
+      admin.__mockFields.get.mockResolvedValue({
+        docs: [
+          { data: () => ({ fieldId: 'canola-1', crop: 'canola', soilMoisture: { percentAvailable: 72, status: 'adequate', daysUntilStress: 6, asOf: '2024-07-02' } }) },
+          { data: () => ({ fieldId: 'wheat-2', crop: 'wheat', soilMoisture: { percentAvailable: 55, status: 'adequate', daysUntilStress: 1, asOf: '2024-07-02' } }) }
+        ]
+      });
+
+      const summary = await getFieldMoistureSummary('farmer-1');
+
+      expect(summary.status).toBe('adequate');
+      expect(summary.fields.map(f => f.fieldId)).toEqual(['wheat-2', 'canola-1']);
+      expect(summary.message).toBe('Driest field wheat-2 has 55% plant-available water (adequate); about 1 day until stress without rain.');
+    });
+
+    test('returns null before any balance has run', async () => {
+      admin.__mockFields.get.mockResolvedValue({ docs: [] });
+      expect(await getFieldMoistureSummary('farmer-1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+// functions/test/unit/stationCatalog.test.js
+const axios = require('axios');
+
+const mockFirebase = {
+  docGet: jest.fn(),
+  docSet: jest.fn().mockResolvedValue(undefined)
+};
+
+jest.mock('axios');
+jest.mock('../../src/services/elevation', () => ({
+  getElevations: jest.fn(async (points) => points.map(p => (p.id === 's0000013' ? null : 571)))
+}));
+jest.mock('firebase-admin', () => {
+  const mockDoc = jest.fn(() => ({ get: (...args) => mockFirebase.docGet(...args), set: (...args) => mockFirebase.docSet(...args) }));
+  const firestoreMockFn = jest.fn(() => ({ collection: jest.fn(() => ({ doc: mockDoc })) }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn };
+});
+
+const {
+  parseSiteListCoordinate,
+  refreshStationCatalog
+} = require('../../src/services/stationCatalog');
+const { findNearestWeatherStation } = require('../../src/utils/weatherStations');
+
+const siteListXml = `<?xml version="1.0" encoding="UTF-8"?>
+<siteList>
+  <site code="s0000001"><nameEn>Athabasca</nameEn><nameFr>Athabasca</nameFr><provinceCode>AB</provinceCode><latitude>54.72N</latitude><longitude>113.29W</longitude></site>
+  <site code="s0000039"><nameEn>Peace River</nameEn><nameFr>Peace River</nameFr><provinceCode>AB</provinceCode><latitude>56.23N</latitude><longitude>117.29W</longitude></site>
+  <site code="s0000013"><nameEn>Grande Prairie</nameEn><nameFr>Grande Prairie</nameFr><provinceCode>AB</provinceCode><latitude>55.17N</latitude><longitude>118.80W</longitude></site>
+  <site code="s0000458"><nameEn>Toronto</nameEn><nameFr>Toronto</nameFr><provinceCode>ON</provinceCode><latitude>43.74N</latitude><longitude>79.37W</longitude></site>
+  <site code="s0000999"><nameEn>Broken Site</nameEn><nameFr>Site brisé</nameFr><provinceCode>SK</provinceCode><latitude></latitude><longitude>105.00W</longitude></site>
+</siteList>`;
+
+describe('Station Catalog', () => {
+  beforeEach(() => {
+    axios.get.mockResolvedValue({ data: siteListXml });
+    mockFirebase.docGet.mockResolvedValue({ exists: true, data: () => ({ stations: [{ id: 's0000013', elevation: 669 }, { id: 's0000777' }] }) });
+    mockFirebase.docSet.mockClear();
+    axios.get.mockClear();
+  });
+
+  test('parseSiteListCoordinate should sign coordinates by hemisphere', () => {
+    expect(parseSiteListCoordinate('54.72N')).toBe(54.72);
+    expect(parseSiteListCoordinate('113.29W')).toBe(-113.29);
+    expect(parseSiteListCoordinate('')).toBeNull();
+    expect(parseSiteListCoordinate(undefined)).toBeNull();
+  });
+
+  test('refreshStationCatalog should store parsed sites and report changes', async () => {
+    const result = await refreshStationCatalog();
+
+    expect(result.count).toBe(4);
+    expect(result.added).toEqual(['s0000001', 's0000039', 's0000458']);
+    expect(result.removed).toEqual(['s0000777']);
+    const stored = mockFirebase.docSet.mock.calls[0][0];
+    expect(stored.stations[1]).toEqual({
+      id: 's0000039', name: 'Peace River', nameFr: 'Peace River', province: 'AB', lat: 56.23, lng: -117.29, elevation: 571
+    });
+  });
+
+  test('refreshStationCatalog should keep the previous elevation when a lookup fails', async () => {
+    await refreshStationCatalog();
+    const stored = mockFirebase.docSet.mock.calls[0][0];
+    expect(stored.stations.find(s => s.id === 's0000013').elevation).toBe(669);
+  });
+
+  test('findNearestWeatherStation should use the catalog once it is loaded', async () => {
+    await refreshStationCatalog();
+    const station = await findNearestWeatherStation({ lat: 56.1, lng: -117.5 });
+    expect(station.id).toBe('s0000039');
+    expect(station.name).toBe('Peace River');
+  });
+
+  test('refreshStationCatalog should keep the existing catalog when the site list is empty', async () => {
+    axios.get.mockResolvedValue({ data: '<siteList></siteList>' });
+    await expect(refreshStationCatalog()).rejects.toThrow('ECCC site list returned no stations');
+    expect(mockFirebase.docSet).not.toHaveBeenCalled();
+  });
+
+  test('getStationCatalog should build the catalog on first use after a deploy', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockFirebase.docGet.mockResolvedValue({ exists: false });
+    let getStationCatalog;
+    jest.isolateModules(() => {
+      ({ getStationCatalog } = require('../../src/services/stationCatalog'));
+    });
+
+    const [first, second] = await Promise.all([getStationCatalog(), getStationCatalog()]);
+
+    expect(first.map(s => s.id)).toEqual(['s0000001', 's0000039', 's0000013', 's0000458']);
+    expect(second).toBe(first);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(mockFirebase.docSet).toHaveBeenCalledTimes(1);
+  });
+
+  test('getStationCatalog should wait before retrying a failed first build', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockFirebase.docGet.mockResolvedValue({ exists: false });
+    axios.get.mockRejectedValue(new Error('ECCC unavailable'));
+    let getStationCatalog;
+    jest.isolateModules(() => {
+      ({ getStationCatalog } = require('../../src/services/stationCatalog'));
+    });
+
+    expect(await getStationCatalog()).toBeNull();
+    expect(await getStationCatalog()).toBeNull();
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,140 @@
+// functions/test/unit/weatherHandlers.test.js
+jest.mock('cors', () => () => (req, res, next) => next());
+jest.mock('../../src/middleware/auth', () => ({
+  validateRequest: jest.fn()
+}));
+jest.mock('../../src/services/analytics', () => ({
+  logUsage: jest.fn(async () => {})
+}));
+jest.mock('../../src/services/weather', () => ({
+  fetchECCCWeather: jest.fn(),
+  getWeatherWithInsights: jest.fn(async () => ({ current: { temperature: 12 }, insights: {} }))
+}));
+jest.mock('../../src/services/soilMoisture', () => ({
+  getFieldMoistureSummary: jest.fn(async () => ({ status: 'adequate', message: 'Home quarter has 62% of its plant-available water.', fields: [] }))
+}));
+jest.mock('../../src/services/crops/growthStages', () => ({
+  getFarmCropFrostTolerance: jest.fn(async () => [{ type: 'wheat', stage: { code: 'Z55' }, damage: -1, severe: -2 }])
+}));
+jest.mock('../../src/utils/weatherStations', () => ({
+  ...jest.requireActual('../../src/utils/weatherStations'),
+  findNearestWeatherStations: jest.fn(async (point, { count }) => [
+    { id: 's0000788', name: 'Regina', province: 'SK', distance: 31.2, bearing: 90, bearingCompass: 'E', elevation: 578, elevationDifference: 2 },
+    { id: 's0000661', name: 'Moose Jaw', province: 'SK', distance: 48, bearing: 260, bearingCompass: 'W', elevation: 577, elevationDifference: 1 }
+  ].slice(0, count))
+}));
+jest.mock('../../src/services/elevation', () => ({
+  getElevation: jest.fn(async () => 576)
+}));
+jest.mock('firebase-admin', () => {
+  const firestoreMockFn = jest.fn(() => ({ collection: jest.fn() }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn };
+});
+
+const { handleGetWeatherWithInsights, handleGetNearestStations } = require('../../src/handlers/weather');
+const { findNearestWeatherStations } = require('../../src/utils/weatherStations');
+const { validateRequest } = require('../../src/middleware/auth');
+const { getWeatherWithInsights } = require('../../src/services/weather');
+const { logUsage } = require('../../src/services/analytics');
+const { getFarmCropFrostTolerance } = require('../../src/services/crops/growthStages');
+const { getFieldMoistureSummary } = require('../../src/services/soilMoisture');
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function callInsights(query) {
+  const res = mockResponse();
+  await handleGetWeatherWithInsights({ query, headers: {} }, res);
+  return res;
+}
+
+describe('Weather insights endpoint', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('adds the farmer\'s crop frost thresholds and field moisture for a signed-in farmer', async () => {
+    validateRequest.mockResolvedValue({ authenticated: true, uid: 'farmer-1', type: 'firebase' });
+
+    const res = await callInsights({ province: 'SK', station: 's0000788' });
+
+    expect(getFarmCropFrostTolerance).toHaveBeenCalledWith('farmer-1');
+    expect(getWeatherWithInsights.mock.calls[0][2].crops).toEqual([{ type: 'wheat', stage: { code: 'Z55' }, damage: -1, severe: -2 }]);
+    expect(getFieldMoistureSummary).toHaveBeenCalledWith('farmer-1');
+    expect(res.json.mock.calls[0][0].data.insights.moisture).toMatchObject({ status: 'adequate' });
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('does not read farm data for anonymous callers', async () => {
+    validateRequest.mockResolvedValue({ authenticated: false, uid: 'anon_1700000000000', type: 'anonymous' });
+
+    const res = await callInsights({ province: 'SK', station: 's0000788' });
+
+    expect(getFarmCropFrostTolerance).not.toHaveBeenCalled();
+    expect(getFieldMoistureSummary).not.toHaveBeenCalled();
+    expect(getWeatherWithInsights.mock.calls[0][2].crops).toEqual([]);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ apiVersion: 'v1', data: { current: { temperature: 12 }, insights: { moisture: null } } });
+  });
+
+  test('logs farm-point requests with their nearest station', async () => {
+    validateRequest.mockResolvedValue({ authenticated: true, uid: 'farmer-1', type: 'firebase' });
+    getWeatherWithInsights.mockResolvedValueOnce({
+      current: { temperature: 12 },
+      interpolation: { stations: [{ id: 's0000788', province: 'SK' }, { id: 's0000661', province: 'SK' }] },
+      insights: {}
+    });
+
+    await callInsights({ lat: '50.45', lon: '-104.61' });
+
+    expect(logUsage).toHaveBeenCalledWith('farmer-1', 'weather_insights_farm_point', {
+      lat: 50.45, lon: -104.61, province: 'SK', station: 's0000788'
+    });
+  });
+
+  test('passes spray constraints through but never the inversion limit', async () => {
+    validateRequest.mockResolvedValue({ authenticated: false, uid: 'anon_1700000000000', type: 'anonymous' });
+
+    await callInsights({ province: 'SK', station: 's0000788', maxWind: '20', maxInversionLikelihood: '1' });
+
+    expect(getWeatherWithInsights.mock.calls[0][2].sprayConstraints).toEqual({ maxWind: 20 });
+  });
+});
+
+describe('Nearest stations endpoint', () => {
+  async function callNearest(query) {
+    const res = mockResponse();
+    await handleGetNearestStations({ query, headers: {} }, res);
+    return res;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    validateRequest.mockResolvedValue({ authenticated: false, uid: 'anon_1700000000000', type: 'anonymous' });
+  });
+
+  test('returns the requested number of stations with the coverage of the nearest', async () => {
+    const res = await callNearest({ lat: '50.45', lon: '-105.05', count: '2' });
+
+    expect(findNearestWeatherStations).toHaveBeenCalledWith({ lat: 50.45, lng: -105.05, elevation: null }, { count: 2, elevation: 576 });
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.stations.map(s => s.id)).toEqual(['s0000788', 's0000661']);
+    expect(data.coverage).toMatchObject({ level: 'marginal', distance: 31.2 });
+    expect(data).toMatchObject({ count: 2, truncated: false, elevation: 576 });
+  });
+
+  test('caps count and rejects bad input', async () => {
+    await callNearest({ lat: '50.45', lon: '-105.05', count: '500' });
+    expect(findNearestWeatherStations.mock.calls[0][1].count).toBe(10);
+    expect(logUsage).toHaveBeenCalledWith('anon_1700000000000', 'nearest_stations', { lat: 50.45, lon: -105.05, count: 10 });
+
+    expect((await callNearest({ lat: '50.45', lon: '-105.05', count: '0' })).status).toHaveBeenCalledWith(400);
+    expect((await callNearest({ lat: '50.45', lon: '-105.05', count: 'many' })).status).toHaveBeenCalledWith(400);
+    expect((await callNearest({ lat: '95', lon: '-105.05' })).status).toHaveBeenCalledWith(400);
+    expect((await callNearest({ count: '3' })).status).toHaveBeenCalledWith(400);
+  });
+});
@@ -0,0 +1,249 @@
+// functions/test/unit/weatherService.test.js
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const admin = require('firebase-admin');
+
+jest.mock('axios');
+jest.mock('firebase-admin', () => {
+  const mockCacheDoc = { get: jest.fn(async () => ({ exists: false })), set: jest.fn(async () => {}), delete: jest.fn(async () => {}) };
+  const firestoreMockFn = jest.fn(() => ({ collection: jest.fn(() => ({ doc: jest.fn(() => mockCacheDoc) })) }));
+  firestoreMockFn.FieldValue = { serverTimestamp: jest.fn(() => 'MOCK_TIMESTAMP') };
+  return { apps: [], initializeApp: jest.fn(), firestore: firestoreMockFn, __mockCacheDoc: mockCacheDoc };
+});
+jest.mock('../../src/utils/weatherStations', () => ({
+  ...jest.requireActual('../../src/utils/weatherStations'),
+  findNearestWeatherStations: jest.fn()
+}));
+
+const {
+  fetchECCCWeather,
+  extractHourlyForecast,
+  placeForecastPeriods,
+  deriveHourlyHumidity,
+  extendHourlyForecast,
+  extractWarnings,
+  extractYesterdayConditions,
+  fetchFarmPointWeather
+} = require('../../src/services/weather');
+const { findNearestWeatherStations } = require('../../src/utils/weatherStations');
+const { calculateAerationPlan } = require('../../src/services/calculations');
+
+const citypageXml = fs.readFileSync(path.join(__dirname, '../fixtures/citypage.xml'), 'utf8');
+
+describe('Weather Service (citypage parsing)', () => {
+  beforeEach(() => {
+    axios.get.mockResolvedValue({ data: citypageXml });
+  });
+
+  describe('hourly forecast', () => {
+    test('should parse hourlyForecastGroup into a time-ordered hourly timeline', async () => {
+      const weather = await fetchECCCWeather('MB', 's0000193');
+
+      expect(weather.hourly).toHaveLength(3);
+      expect(weather.hourly.map(h => h.time)).toEqual([
+        '2024-06-03T22:00:00.000Z',
+        '2024-06-03T23:00:00.000Z',
+        '2024-06-04T00:00:00.000Z'
+      ]);
+      expect(weather.hourly[0]).toEqual({
+        time: '2024-06-03T22:00:00.000Z',
+        temperature: 21,
+        condition: 'Mainly cloudy',
+        dewpoint: 9.8,
+        humidity: 49,
+        pop: 0,
+        windSpeed: 15,
+        windGust: 35,
+        windDirection: 'NW'
+      });
+    });
+
+    test('should report empty gusts as null and read likelihood of precipitation as PoP', async () => {
+      const weather = await fetchECCCWeather('MB', 's0000193');
+      expect(weather.hourly[1].windGust).toBeNull();
+      expect(weather.hourly[1].pop).toBe(10);
+    });
+
+    test('should return an empty array when the hourly group is missing', () => {
+      expect(extractHourlyForecast(undefined)).toEqual([]);
+      expect(extractHourlyForecast({})).toEqual([]);
+    });
+
+    test('should handle a single hourly entry that is not wrapped in an array', () => {
+      const hourly = extractHourlyForecast({
+        hourlyForecast: {
+          dateTimeUTC: '202406041200',
+          condition: 'Sunny',
+          temperature: { _: '12', units: 'C' },
+          lop: { _: '20', units: '%' },
+          wind: { speed: { _: '8' }, direction: { _: 'S', windDirFull: 'South' }, gust: { units: 'km/h' } }
+        }
+      });
+      expect(hourly).toEqual([{
+        time: '2024-06-04T12:00:00.000Z',
+        temperature: 12,
+        condition: 'Sunny',
+        pop: 20,
+        windSpeed: 8,
+        windGust: null,
+        windDirection: 'S'
+      }]);
+    });
+  });
+
+  describe('hourly humidity', () => {
+    test('should carry the observed dew point through the hourly forecast', async () => {
+      const weather = await fetchECCCWeather('MB', 's0000193');
+      // Citypage hourly entries have no humidity; the 9.8 °C dew point sets it at each hour's temperature
+      expect(weather.hourly.map(h => [h.dewpoint, h.humidity])).toEqual([[9.8, 49], [9.8, 55], [9.8, 63]]);
+    });
+
+    test('should put the period forecast on the clock from the sun times', async () => {
+      const weather = await fetchECCCWeather('MB', 's0000193');
+      expect(weather.periodTimeline).toEqual([
+        { time: '2024-06-04T10:19:00.000Z', period: 'Tonight', temperature: 6, dewpoint: null },
+        { time: '2024-06-04T21:27:00.000Z', period: 'Tuesday', temperature: 23, dewpoint: null }
+      ]);
+    });
+
+    test('should drift toward the dew point implied by a period forecast humidity', () => {
+      const hourly = [{ time: '2024-06-04T00:00:00.000Z', temperature: 20 }, { time: '2024-06-04T06:00:00.000Z', temperature: 12 }];
+      const periods = placeForecastPeriods(
+        [{ period: 'Tonight', temperature: { high: null, low: 8 }, relativeHumidity: 100 }],
+        { sunrise: '2024-06-03T12:00:00.000Z', sunset: '2024-06-04T03:00:00.000Z' },
+        '2024-06-04T00:00:00.000Z'
+      );
+
+      expect(periods).toEqual([{ time: '2024-06-04T12:00:00.000Z', period: 'Tonight', temperature: 8, dewpoint: 8 }]);
+      expect(deriveHourlyHumidity(hourly, { temperature: 22, humidity: 40, dewpoint: 12 }, periods)).toEqual([
+        { ...hourly[0], dewpoint: 12, humidity: 60 },
+        { ...hourly[1], dewpoint: 10, humidity: 88 }
+      ]);
+      expect(deriveHourlyHumidity(hourly, {}, [])[0]).toMatchObject({ dewpoint: null, humidity: null });
+    });
+  });
+
+  describe('extended hourly forecast', () => {
+    test('should continue the hourly forecast through the period forecast', async () => {
+      const weather = await fetchECCCWeather('MB', 's0000193');
+      const hourly = extendHourlyForecast(weather);
+
+      // Three forecast hours, then estimated hours to Tuesday's high at 21:27 UTC
+      expect(hourly).toHaveLength(24);
+      expect(hourly[2].estimated).toBeUndefined();
+      expect(hourly[3]).toEqual({ time: '2024-06-04T01:00:00.000Z', temperature: 16.7, dewpoint: 9.8, humidity: 64, estimated: true });
+      // Tonight's low of 6 at sunrise saturates the air
+      expect(hourly[12]).toMatchObject({ time: '2024-06-04T10:00:00.000Z', temperature: 6, dewpoint: 6, humidity: 100 });
+      expect(hourly[23]).toMatchObject({ time: '2024-06-04T21:00:00.000Z', temperature: 22.9, humidity: 43 });
+      expect(extendHourlyForecast(weather, 10)).toHaveLength(10);
+      expect(extendHourlyForecast({ hourly: weather.hourly })).toEqual(weather.hourly);
+    });
+  });
+
+  describe('aeration on parsed forecasts', () => {
+    test('should plan fan hours from the derived hourly humidity', async () => {
+      const weather = await fetchECCCWeather('MB', 's0000193');
+      const plan = calculateAerationPlan(weather, { grain: 'wheat', grainMoisture: 17 });
+
+      expect(plan.hourly.map(h => [h.humidity, h.emc, h.effect])).toEqual([
+        [49, 11.4, 'drying'], [55, 12.3, 'drying'], [63, 13.4, 'drying']
+      ]);
+      expect(plan.summary).toMatchObject({ hours: 3, dryingHours: 3, fanHours: 3 });
+      expect(plan.current).toMatchObject({ humidity: 47, emc: 11.1, fan: true });
+    });
+  });
+
+  describe('farm-point weather', () => {
+    const stations = [
+      { id: 's0000193', name: 'Winnipeg', province: 'MB', distance: 12, elevation: 239 },
+      { id: 's0000626', name: 'Portage la Prairie', province: 'MB', distance: 40, elevation: 259 },
+      { id: 's0000492', name: 'Gimli', province: 'MB', distance: 70, elevation: 220 }
+    ];
+
+    beforeEach(() => {
+      findNearestWeatherStations.mockResolvedValue(stations);
+      admin.__mockCacheDoc.get.mockResolvedValue({ exists: false });
+      admin.__mockCacheDoc.set.mockClear();
+    });
+
+    test('should interpolate the rounded point and cache it with the contributing stations', async () => {
+      const weather = await fetchFarmPointWeather({ lat: 49.90123, lng: -97.40456, elevation: 240.4 }, { stationCount: 3 });
+
+      expect(findNearestWeatherStations).toHaveBeenCalledWith({ lat: 49.9, lng: -97.4, elevation: 240 }, { count: 3, elevation: 240 });
+      expect(weather.interpolation.stations[0]).toMatchObject({ id: 's0000193', province: 'MB' });
+      const [written] = admin.__mockCacheDoc.set.mock.calls[0];
+      expect(written.value.location).toMatchObject({ lat: 49.9, lon: -97.4, elevation: 240 });
+    });
+
+    test('should answer nearby points from the cache without refetching stations', async () => {
+      const cached = { current: { temperature: 18 }, interpolation: { stations: [{ id: 's0000193', province: 'MB' }] } };
+      admin.__mockCacheDoc.get.mockResolvedValue({ exists: true, data: () => ({ value: cached, timestamp: { toDate: () => new Date() } }) });
+      findNearestWeatherStations.mockClear();
+
+      expect(await fetchFarmPointWeather({ lat: 49.9012, lng: -97.4049, elevation: 240 }, { stationCount: 3 })).toBe(cached);
+      expect(findNearestWeatherStations).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('current conditions', () => {
+    test('should read the dew point and signed station coordinates', async () => {
+      const weather = await fetchECCCWeather('MB', 's0000193');
+      expect(weather.current.dewpoint).toBe(9.8);
+      expect(weather.location).toMatchObject({ lat: 49.88, lon: -97.15 });
+    });
+  });
+
+  describe('sunrise and sunset', () => {
+    test('should read UTC sunrise and sunset from riseSet', async () => {
+      const weather = await fetchECCCWeather('MB', 's0000193');
+      expect(weather.sun).toEqual({
+        sunrise: '2024-06-03T10:19:00.000Z',
+        sunset: '2024-06-04T02:35:00.000Z'
+      });
+    });
+  });
+
+  describe('yesterday conditions', () => {
+    test('should read yesterday\'s high, low and precipitation for the previous local day', async () => {
+      const weather = await fetchECCCWeather('MB', 's0000193');
+      expect(weather.yesterday).toEqual({ date: '2024-06-02', high: 24.1, low: 9.7, precipitation: 0 });
+    });
+
+    test('should return null when the citypage has no yesterdayConditions', () => {
+      expect(extractYesterdayConditions(undefined, [])).toBeNull();
+    });
+  });
+
+  describe('warnings', () => {
+    test('should parse active warnings and advisories with issue and expiry times', async () => {
+      const weather = await fetchECCCWeather('MB', 's0000193');
+      expect(weather.warnings).toEqual([
+        {
+          type: 'warning',
+          priority: 'high',
+          description: 'SEVERE THUNDERSTORM WARNING IN EFFECT',
+          hazard: 'thunderstorm',
+          url: 'https://weather.gc.ca/warnings/report_e.html?mb52',
+          issued: '2024-06-03T20:04:00.000Z',
+          expires: null
+        },
+        {
+          type: 'advisory',
+          priority: 'low',
+          description: 'FROST ADVISORY IN EFFECT',
+          hazard: 'frost',
+          url: 'https://weather.gc.ca/warnings/report_e.html?mb52',
+          issued: '2024-06-03T19:30:00.000Z',
+          expires: '2024-06-04T15:00:00.000Z'
+        }
+      ]);
+    });
+
+    test('should return an empty array when no warnings are in effect', () => {
+      expect(extractWarnings('')).toEqual([]);
+      expect(extractWarnings(undefined)).toEqual([]);
+      expect(extractWarnings({ url: 'https://weather.gc.ca/warnings/report_e.html?mb52' })).toEqual([]);
+    });
+  });
+});
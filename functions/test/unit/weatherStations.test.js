@@ -0,0 +1,53 @@
+// functions/test/unit/weatherStations.test.js
+jest.mock('../../src/services/stationCatalog', () => ({
+  getStationCatalog: jest.fn(async () => ([
+    { id: 's0000039', name: 'Peace River', province: 'AB', lat: 56.23, lng: -117.29, elevation: 571 },
+    { id: 's0000013', name: 'Grande Prairie', province: 'AB', lat: 55.17, lng: -118.80, elevation: 669 },
+    { id: 's0000045', name: 'Edmonton', province: 'AB', lat: 53.54, lng: -113.49, elevation: null }
+  ]))
+}));
+
+const {
+  findNearestWeatherStations,
+  classifyStationCoverage,
+  calculateBearing
+} = require('../../src/utils/weatherStations');
+
+describe('Weather Stations', () => {
+  describe('findNearestWeatherStations', () => {
+    test('should return stations closest first with bearing and elevation difference', async () => {
+      const stations = await findNearestWeatherStations({ lat: 56.0, lng: -117.6 }, { count: 2, elevation: 600 });
+
+      expect(stations.map(s => s.id)).toEqual(['s0000039', 's0000013']);
+      expect(stations[0].bearingCompass).toBe('NE');
+      expect(stations[0].elevationDifference).toBe(-29);
+      expect(stations[1].elevationDifference).toBe(69);
+    });
+
+    test('should leave elevation difference null when an elevation is unknown', async () => {
+      const stations = await findNearestWeatherStations({ lat: 53.5, lng: -113.5 }, { count: 1, elevation: 670 });
+      expect(stations[0].id).toBe('s0000045');
+      expect(stations[0].elevationDifference).toBeNull();
+    });
+
+    test('should return an empty list for invalid coordinates', async () => {
+      expect(await findNearestWeatherStations({ lat: '56' })).toEqual([]);
+    });
+  });
+
+  describe('classifyStationCoverage', () => {
+    test('should classify by distance band', () => {
+      expect(classifyStationCoverage(12.3)).toEqual({ level: 'good', distance: 12.3, warning: null });
+      expect(classifyStationCoverage(48).level).toBe('marginal');
+      expect(classifyStationCoverage(48).warning).toMatch(/48 km away/);
+      expect(classifyStationCoverage(110).level).toBe('poor');
+      expect(classifyStationCoverage(undefined).level).toBe('none');
+    });
+  });
+
+  test('calculateBearing should measure clockwise from north', () => {
+    expect(Math.round(calculateBearing(50, -105, 51, -105))).toBe(0);
+    expect(Math.round(calculateBearing(50, -105, 50, -104))).toBe(90);
+    expect(Math.round(calculateBearing(50, -105, 49, -105))).toBe(180);
+  });
+});